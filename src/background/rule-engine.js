@@ -2,13 +2,194 @@
  * Rule engine - determines which rules apply and whether to block access
  */
 
-import { matchesSitePattern } from '../utils/url-matcher.js';
-import { isRuleActiveNow } from '../utils/time-utils.js';
-import { calculateRemainingAccesses } from '../utils/access-calculator.js';
+import {
+  matchesSitePattern,
+  matchesSiteList,
+  findMatchingSitePattern,
+  isExclusionPattern,
+  requiresFullUrl,
+  toMatchableUrl
+} from '../utils/url-matcher.js';
+import { isRuleActiveNow, getActivePeriodStart, getCalendarWindow } from '../utils/time-utils.js';
+import {
+  calculateRemainingAccesses,
+  calculateBucketState,
+  calculateTimeSpent,
+  filterAccessesInWindow,
+  filterTimeInWindow,
+  filterRelevantAccesses,
+  getAccessUrl,
+  getVisitCost
+} from '../utils/access-calculator.js';
+import { getSiteAliases, canonicalizeUrl, canonicalizeSites } from '../utils/site-aliases.js';
+import { buildSiteIndex, findCandidateSites } from '../utils/site-index.js';
+import { getGroupLimits, getGroupSites } from '../storage/schema.js';
+
+// Compiled site indexes, keyed by configuration. A changed configuration is a new
+// object (it is re-read from storage), so each one is compiled once
+const siteIndexCache = new WeakMap();
+
+/**
+ * Find the canonical patterns of each group that could match a URL
+ * @param {string} url - Canonical full URL
+ * @param {Configuration} config - Current configuration
+ * @returns {Map<number, string[]>} Candidate patterns by group index
+ */
+function getCandidateSites(url, config) {
+  if (!siteIndexCache.has(config)) {
+    const aliases = getSiteAliases(config);
+    siteIndexCache.set(config, buildSiteIndex(config.groups.map(group => canonicalizeSites(getGroupSites(group), aliases))));
+  }
+  
+  return findCandidateSites(siteIndexCache.get(config), url);
+}
+
+// Length of each calendar-aligned window type in minutes
+const CALENDAR_WINDOW_MINUTES = {
+  hourly: 60,
+  daily: 24 * 60,
+  weekly: 7 * 24 * 60
+};
+
+/**
+ * Get the calendar-aligned window a limit currently counts accesses in
+ * Reset times are read in the rule's schedule time zone, if it has one
+ * @param {Limit} limit - One of the rule's limits
+ * @param {Schedule} [schedule] - The rule's schedule
+ * @param {Date} [now] - The current time
+ * @returns {{start: Date, end: Date}|null} Current window, or null for rolling windows
+ */
+export function getLimitWindow(limit, schedule = null, now = new Date()) {
+  return getCalendarWindow(limit.windowType, {
+    resetTime: limit.windowResetTime,
+    resetDay: limit.windowResetDay,
+    timeZone: schedule?.timeZone
+  }, now);
+}
+
+/**
+ * Get how far back a rule's windows can reach
+ * @param {RuleGroup} rule - Rule group
+ * @returns {number} Longest window of its limits in minutes (the duration for rolling
+ *   windows, a full refill for buckets), or its cooldown if that is longer
+ */
+export function getRuleWindowMinutes(rule) {
+  return Math.max(
+    ...getGroupLimits(rule).map(limit => (limit.windowType === 'bucket'
+      ? limit.maxAccesses * limit.duration
+      : CALENDAR_WINDOW_MINUTES[limit.windowType] || limit.duration)),
+    rule.cooldownMinutes || 0
+  );
+}
+
+/**
+ * Count the remaining accesses under one of a rule's limits
+ * @param {string} site - Domain or full URL to check
+ * @param {RuleGroup} rule - Rule group
+ * @param {Limit} limit - One of the rule's limits
+ * @param {AccessLog[]} accessLogs - All access logs
+ * @param {SiteAliases} aliases - Alias table
+ * @returns {number} Remaining visits to the site (0 means the limit is reached); with
+ *   weighted sites in strict mode, the accesses left divided by the site's cost
+ */
+function getLimitRemaining(site, rule, limit, accessLogs, aliases) {
+  if (limit.windowType === 'bucket') {
+    return getBucketState(site, rule, limit, accessLogs, aliases).remaining;
+  }
+  
+  const remaining = calculateRemainingAccesses(
+    accessLogs,
+    limit.maxAccesses,
+    limit.duration,
+    rule.strictMode,
+    rule.sites,
+    site,
+    { aliases, schedule: rule.schedule, calendarWindow: getLimitWindow(limit, rule.schedule) }
+  );
+  
+  return Math.floor(remaining / getAccessCost(site, rule, aliases));
+}
+
+/**
+ * Get how many accesses one visit counts as under a rule's limits
+ * Only strict mode weighs sites
+ * @param {string} siteOrUrl - Domain or full URL visited
+ * @param {RuleGroup} rule - Rule group
+ * @param {SiteAliases} aliases - Alias table
+ * @returns {number} Cost of the visit
+ */
+function getAccessCost(siteOrUrl, rule, aliases) {
+  return rule.strictMode ? getVisitCost(siteOrUrl, rule.sites, aliases) : 1;
+}
+
+/**
+ * Get the state of one of a rule's refilling (bucket) limits
+ * @param {string} site - Domain or full URL to check
+ * @param {RuleGroup} rule - Rule group
+ * @param {Limit} limit - One of the rule's limits, with the "bucket" window type
+ * @param {AccessLog[]} accessLogs - All access logs
+ * @param {SiteAliases} aliases - Alias table
+ * @returns {{remaining: number, nextRefill: Date|null}} Visits to the site banked and when
+ *   the bucket holds one more (null when it is full)
+ */
+function getBucketState(site, rule, limit, accessLogs, aliases) {
+  return calculateBucketState(
+    accessLogs,
+    limit.maxAccesses,
+    limit.duration,
+    rule.strictMode,
+    rule.sites,
+    site,
+    { aliases, schedule: rule.schedule }
+  );
+}
+
+/**
+ * Count the minutes left in a rule's time budget
+ * @param {string} site - Domain or full URL to check
+ * @param {RuleGroup} rule - Rule group with a time budget
+ * @param {TimeLog[]} timeLogs - All time logs
+ * @param {SiteAliases} aliases - Alias table
+ * @returns {number} Minutes left (fractional; 0 means the budget is used up)
+ */
+function getBudgetRemaining(site, rule, timeLogs, aliases) {
+  const spent = calculateTimeSpent(
+    timeLogs,
+    rule.timeBudget.duration,
+    rule.strictMode,
+    getGroupSites(rule),
+    site,
+    { aliases, schedule: rule.schedule }
+  );
+  
+  return Math.max(0, rule.timeBudget.minutes - spent);
+}
+
+/**
+ * Get when a rule's cooldown after the last counted access ends
+ * @param {string} site - Domain or full URL to check
+ * @param {RuleGroup} rule - Rule group with a cooldown
+ * @param {AccessLog[]} accessLogs - All access logs
+ * @param {SiteAliases} aliases - Alias table
+ * @returns {Date|null} End of the cooldown, or null if none is running
+ */
+function getCooldownEnd(site, rule, accessLogs, aliases) {
+  // Accesses from before the current schedule period don't count, like for limits
+  const recentLogs = filterAccessesInWindow(accessLogs, rule.cooldownMinutes, getActivePeriodStart(rule.schedule));
+  const relevantLogs = filterRelevantAccesses(recentLogs, rule.strictMode, getGroupSites(rule), site, aliases);
+  
+  if (relevantLogs.length === 0) {
+    return null;
+  }
+  
+  const lastAccess = Math.max(...relevantLogs.map(log => log.timestamp));
+  const end = lastAccess + rule.cooldownMinutes * 60 * 1000;
+  return end > Date.now() ? new Date(end) : null;
+}
 
 /**
  * Get all currently active rules that apply to a given site
- * @param {string} site - Domain to check
+ * @param {string} site - Domain or full URL to check (a full URL lets path patterns match)
  * @param {Configuration} config - Current configuration
  * @returns {RuleGroup[]} Array of applicable active rule groups
  */
@@ -17,113 +198,309 @@ export function getActiveRulesForSite(site, config) {
     return [];
   }
   
-  return config.groups.filter(group => {
+  const siteUrl = canonicalizeUrl(toMatchableUrl(site), getSiteAliases(config));
+  const candidates = getCandidateSites(siteUrl, config);
+  
+  return config.groups.filter((group, index) => {
+    // Groups without a pattern for this site's domain can't match
+    if (!candidates.has(index)) {
+      return false;
+    }
+    
     // Check if rule is currently active based on schedule
     if (!isRuleActiveNow(group.schedule)) {
       return false;
     }
     
-    // Check if site matches any pattern in this group
-    const siteUrl = `https://${site}`;
-    return group.sites.some(pattern => matchesSitePattern(siteUrl, pattern));
+    // Check if site matches any pattern in this group (and isn't excluded)
+    return matchesSiteList(siteUrl, candidates.get(index));
   });
 }
 
+/**
+ * Check if two URLs fall under exactly the same rule groups
+ * Used for refresh detection: moving between URLs of the same domain only counts as a
+ * new access when it enters or leaves a group, e.g. "youtube.com/results?search_query="
+ * or "app.example.com#/feed"
+ * @param {string} previousUrl - URL the tab was on
+ * @param {string} url - URL being navigated to
+ * @param {Configuration} config - Current configuration
+ * @returns {boolean} True if every group matches both URLs or neither
+ */
+export function isSameRuleScope(previousUrl, url, config) {
+  if (!config || !config.groups) {
+    return true;
+  }
+  
+  const aliases = getSiteAliases(config);
+  const fromUrl = canonicalizeUrl(previousUrl, aliases);
+  const toUrl = canonicalizeUrl(url, aliases);
+  const fromSites = getCandidateSites(fromUrl, config);
+  const toSites = getCandidateSites(toUrl, config);
+  
+  return config.groups.every((group, index) =>
+    matchesSiteList(fromUrl, fromSites.get(index) || []) === matchesSiteList(toUrl, toSites.get(index) || [])
+  );
+}
+
+/**
+ * Check if an active group matching a URL has patterns that look at its query or fragment
+ * Only such groups can tell apart the URLs of a single-page app's in-page navigations
+ * @param {string} url - Full URL
+ * @param {Configuration} config - Current configuration
+ * @returns {boolean} True if a matching group has a query, fragment or regex pattern
+ */
+export function hasUrlConstrainedRule(url, config) {
+  return getActiveRulesForSite(url, config).some(group => getGroupSites(group).some(requiresFullUrl));
+}
+
+/**
+ * Check if a site is excluded by every group that would otherwise include it
+ * Excluded URLs are neither blocked nor counted as accesses
+ * @param {string} site - Domain or full URL to check
+ * @param {Configuration} config - Current configuration
+ * @returns {boolean} True if at least one group matches the site and all of them exclude it
+ */
+export function isSiteExcluded(site, config) {
+  if (!config || !config.groups) {
+    return false;
+  }
+  
+  const siteUrl = canonicalizeUrl(toMatchableUrl(site), getSiteAliases(config));
+  const candidates = [...getCandidateSites(siteUrl, config).values()]
+    .filter(sites =>
+      sites.some(pattern => !isExclusionPattern(pattern) && matchesSitePattern(siteUrl, pattern))
+    );
+  
+  return candidates.length > 0 &&
+    candidates.every(sites => !matchesSiteList(siteUrl, sites));
+}
+
+/**
+ * Build the block decision for a rule whose time budget is used up
+ * @param {RuleGroup} rule - Rule group with a time budget
+ * @returns {{block: true, reason: string, ruleName: string, duration: number, budgetMinutes: number}}
+ */
+export function getBudgetBlockDecision(rule) {
+  return {
+    block: true,
+    reason: `Time budget used up for rule "${rule.name}"`,
+    ruleName: rule.name,
+    duration: rule.timeBudget.duration,
+    budgetMinutes: rule.timeBudget.minutes
+  };
+}
+
 /**
  * Determine if access to a site should be blocked
- * @param {string} site - Domain to check
+ * Every limit of every active rule is checked, then the rule's cooldown and time budget;
+ * the first one reached blocks
+ * @param {string} site - Domain or full URL to check
  * @param {Configuration} config - Current configuration
  * @param {AccessLog[]} accessLogs - All access logs
- * @returns {{block: boolean, reason?: string, ruleName?: string}} Block decision
+ * @param {TimeLog[]} [timeLogs] - All time logs, for rules with a time budget
+ * @returns {{block: boolean, reason?: string, ruleName?: string, limitIndex?: number,
+ *   limitCount?: number, cooldownMinutes?: number, budgetMinutes?: number}} Block decision,
+ *   with the fields of the limit that was reached (maxAccesses, duration, windowType,
+ *   windowResetTime, windowResetDay), `cooldownMinutes` if a cooldown is running, or
+ *   `budgetMinutes` and `duration` if the time budget was used up
  */
-export function shouldBlockAccess(site, config, accessLogs) {
+export function shouldBlockAccess(site, config, accessLogs, timeLogs = []) {
   const activeRules = getActiveRulesForSite(site, config);
   
   if (activeRules.length === 0) {
     return { block: false };
   }
   
-  // Check each active rule
+  const aliases = getSiteAliases(config);
+  
+  // Check each limit of each active rule
   for (const rule of activeRules) {
-    const remaining = calculateRemainingAccesses(
-      accessLogs,
-      rule.maxAccesses,
-      rule.duration,
-      rule.strictMode,
-      rule.sites,
-      site
-    );
+    const limits = getGroupLimits(rule);
     
-    if (remaining <= 0) {
+    for (const [limitIndex, limit] of limits.entries()) {
+      if (getLimitRemaining(site, rule, limit, accessLogs, aliases) > 0) {
+        continue;
+      }
+      
       return {
         block: true,
         reason: `Access limit reached for rule "${rule.name}"`,
         ruleName: rule.name,
-        duration: rule.duration,
-        maxAccesses: rule.maxAccesses
+        duration: limit.duration,
+        maxAccesses: limit.maxAccesses,
+        windowType: limit.windowType || 'rolling',
+        windowResetTime: limit.windowResetTime,
+        windowResetDay: limit.windowResetDay,
+        limitIndex,
+        limitCount: limits.length
+      };
+    }
+    
+    if (rule.cooldownMinutes && getCooldownEnd(site, rule, accessLogs, aliases)) {
+      return {
+        block: true,
+        reason: `Cooling down after the last access for rule "${rule.name}"`,
+        ruleName: rule.name,
+        cooldownMinutes: rule.cooldownMinutes
       };
     }
+    
+    if (rule.timeBudget && getBudgetRemaining(site, rule, timeLogs, aliases) <= 0) {
+      return getBudgetBlockDecision(rule);
+    }
   }
   
   return { block: false };
 }
 
+/**
+ * Get the most restrictive active rule for a site and what it counts the site as
+ * @param {string} site - Domain or full URL to check
+ * @param {Configuration} config - Current configuration
+ * @param {AccessLog[]} accessLogs - All access logs
+ * @returns {{remaining: number, rule: RuleGroup, limit: Limit, countedAs: string|null,
+ *   refillsAt: Date|null}|null} Lowest remaining count across all limits, with its rule
+ *   and limit, the pattern accesses are keyed on (null in strict mode) and, for a
+ *   refilling limit that isn't full, when it gains its next access; or null if no active rules
+ */
+export function getMostRestrictiveRule(site, config, accessLogs) {
+  const activeRules = getActiveRulesForSite(site, config);
+  const aliases = getSiteAliases(config);
+  
+  let mostRestrictive = null;
+  
+  for (const rule of activeRules) {
+    for (const limit of getGroupLimits(rule)) {
+      const bucket = limit.windowType === 'bucket' ? getBucketState(site, rule, limit, accessLogs, aliases) : null;
+      const remaining = bucket ? bucket.remaining : getLimitRemaining(site, rule, limit, accessLogs, aliases);
+      
+      if (!mostRestrictive || remaining < mostRestrictive.remaining) {
+        mostRestrictive = {
+          remaining,
+          rule,
+          limit,
+          refillsAt: bucket ? bucket.nextRefill : null,
+          countedAs: rule.strictMode ? null : findMatchingSitePattern(
+            canonicalizeUrl(toMatchableUrl(site), aliases),
+            canonicalizeSites(getGroupSites(rule), aliases)
+          )
+        };
+      }
+    }
+  }
+  
+  return mostRestrictive;
+}
+
 /**
  * Get the most restrictive (lowest) remaining access count for a site
- * @param {string} site - Domain to check
+ * @param {string} site - Domain or full URL to check
  * @param {Configuration} config - Current configuration
  * @param {AccessLog[]} accessLogs - All access logs
  * @returns {number|null} Lowest remaining count, or null if no active rules
  */
 export function getMostRestrictiveCount(site, config, accessLogs) {
-  const activeRules = getActiveRulesForSite(site, config);
+  const mostRestrictive = getMostRestrictiveRule(site, config, accessLogs);
+  return mostRestrictive ? mostRestrictive.remaining : null;
+}
+
+/**
+ * Get the cooldown running for a site, if any
+ * @param {string} site - Domain or full URL to check
+ * @param {Configuration} config - Current configuration
+ * @param {AccessLog[]} accessLogs - All access logs
+ * @returns {{ends: Date, rule: RuleGroup}|null} The latest cooldown end among the active
+ *   rules and its rule, or null if no cooldown is running
+ */
+export function getCooldownStatus(site, config, accessLogs) {
+  const aliases = getSiteAliases(config);
+  let latest = null;
   
-  if (activeRules.length === 0) {
-    return null;
+  for (const rule of getActiveRulesForSite(site, config)) {
+    const ends = rule.cooldownMinutes ? getCooldownEnd(site, rule, accessLogs, aliases) : null;
+    if (ends && (!latest || ends > latest.ends)) {
+      latest = { ends, rule };
+    }
   }
   
-  let lowestRemaining = Infinity;
+  return latest;
+}
+
+/**
+ * Get the most restrictive time budget of the active rules for a site
+ * @param {string} site - Domain or full URL to check
+ * @param {Configuration} config - Current configuration
+ * @param {TimeLog[]} timeLogs - All time logs
+ * @returns {{remainingMinutes: number, rule: RuleGroup}|null} Fewest minutes left (fractional)
+ *   and the rule they belong to, or null if no active rule has a time budget
+ */
+export function getTimeBudgetStatus(site, config, timeLogs) {
+  const aliases = getSiteAliases(config);
+  let mostRestrictive = null;
   
-  for (const rule of activeRules) {
-    const remaining = calculateRemainingAccesses(
-      accessLogs,
-      rule.maxAccesses,
-      rule.duration,
-      rule.strictMode,
-      rule.sites,
-      site
-    );
+  for (const rule of getActiveRulesForSite(site, config)) {
+    if (!rule.timeBudget) {
+      continue;
+    }
     
-    lowestRemaining = Math.min(lowestRemaining, remaining);
+    const remainingMinutes = getBudgetRemaining(site, rule, timeLogs, aliases);
+    if (!mostRestrictive || remainingMinutes < mostRestrictive.remainingMinutes) {
+      mostRestrictive = { remainingMinutes, rule };
+    }
   }
   
-  return lowestRemaining === Infinity ? null : lowestRemaining;
+  return mostRestrictive;
 }
 
 /**
- * Calculate when access will be unblocked based on oldest access in window
- * @param {string} site - Domain to check
- * @param {RuleGroup} rule - The rule that blocked access
+ * Get the shortest session length of the active rules for a site
+ * @param {string} site - Domain or full URL to check
+ * @param {Configuration} config - Current configuration
+ * @returns {{minutes: number, rule: RuleGroup}|null} Session length in minutes and the rule
+ *   it belongs to, or null if no active rule limits sessions
+ */
+export function getSessionLimit(site, config) {
+  let shortest = null;
+  
+  for (const rule of getActiveRulesForSite(site, config)) {
+    if (rule.sessionMinutes && (!shortest || rule.sessionMinutes < shortest.minutes)) {
+      shortest = { minutes: rule.sessionMinutes, rule };
+    }
+  }
+  
+  return shortest;
+}
+
+/**
+ * Calculate when one of a rule's limits has room again
+ * @param {string} site - Domain or full URL to check
+ * @param {RuleGroup} rule - Rule group
+ * @param {Limit} limit - One of the rule's limits
  * @param {AccessLog[]} accessLogs - All access logs
- * @returns {Date|null} When access will be available, or null if can't determine
+ * @param {SiteAliases} aliases - Alias table
+ * @returns {{time: Date, reached: boolean}|null} When the limit frees up and whether it
+ *   is reached now, or null if no accesses count toward it
  */
-export function calculateUnblockTime(site, rule, accessLogs) {
-  // Filter logs to this site (or all sites if strict mode)
-  let relevantLogs;
-  
-  if (rule.strictMode) {
-    // In strict mode, need to consider all sites in the group
-    relevantLogs = accessLogs.filter(log => 
-      rule.sites.some(pattern => {
-        const logUrl = `https://${log.site}`;
-        return matchesSitePattern(logUrl, pattern);
-      })
-    );
-  } else {
-    // In non-strict mode, only this specific site
-    relevantLogs = accessLogs.filter(log => log.site === site);
+function getLimitUnblockTime(site, rule, limit, accessLogs, aliases) {
+  // A refilling limit has room again with its next refill
+  if (limit.windowType === 'bucket') {
+    const bucket = getBucketState(site, rule, limit, accessLogs, aliases);
+    return bucket.nextRefill ? { time: bucket.nextRefill, reached: bucket.remaining === 0 } : null;
   }
   
+  // Only accesses in the window count, and none from before the current schedule period
+  const calendarWindow = getLimitWindow(limit, rule.schedule);
+  const windowLogs = filterAccessesInWindow(
+    accessLogs,
+    limit.duration,
+    getActivePeriodStart(rule.schedule),
+    calendarWindow
+  );
+  
+  // Filter logs to the pattern this site counts under (or all sites if strict mode)
+  const relevantLogs = filterRelevantAccesses(windowLogs, rule.strictMode, getGroupSites(rule), site, aliases);
+  
   // Sort by timestamp
   relevantLogs.sort((a, b) => a.timestamp - b.timestamp);
   
@@ -131,9 +508,99 @@ export function calculateUnblockTime(site, rule, accessLogs) {
     return null;
   }
   
-  // The oldest access in the window determines when we can access again
-  const oldestAccess = relevantLogs[0];
-  const unblockTime = new Date(oldestAccess.timestamp + (rule.duration * 60 * 1000));
+  // Weighted sites in strict mode count as their cost, for past visits and this one
+  const costs = relevantLogs.map(log => getAccessCost(getAccessUrl(log) ?? log.site, rule, aliases));
+  const overLimit = costs.reduce((total, cost) => total + cost, 0) +
+    getAccessCost(site, rule, aliases) - limit.maxAccesses;
+  const reached = overLimit > 0;
+  
+  // A calendar-aligned window frees up all at once when it resets
+  if (calendarWindow) {
+    return { time: calendarWindow.end, reached };
+  }
+  
+  // Access frees up once enough of the oldest accesses leave the window to get
+  // back under the limit
+  let expiringIndex = 0;
+  let expired = costs[0];
+  while (expired < overLimit && expiringIndex < costs.length - 1) {
+    expiringIndex++;
+    expired += costs[expiringIndex];
+  }
+  const expiring = relevantLogs[expiringIndex];
+  return { time: new Date(expiring.timestamp + (limit.duration * 60 * 1000)), reached };
+}
+
+/**
+ * Calculate when a used-up time budget has time again
+ * Time frees up as the window moves past the oldest time logs, once enough has left
+ * the window to get back under the budget
+ * @param {string} site - Domain or full URL to check
+ * @param {RuleGroup} rule - Rule group with a time budget
+ * @param {TimeLog[]} timeLogs - All time logs
+ * @param {SiteAliases} aliases - Alias table
+ * @returns {{time: Date, reached: boolean}|null} When the budget has time again, or null
+ *   if it isn't used up
+ */
+function getBudgetUnblockTime(site, rule, timeLogs, aliases) {
+  const { minutes, duration } = rule.timeBudget;
+  const windowLogs = filterTimeInWindow(timeLogs, duration, getActivePeriodStart(rule.schedule));
+  const relevantLogs = filterRelevantAccesses(windowLogs, rule.strictMode, getGroupSites(rule), site, aliases)
+    .sort((a, b) => a.start - b.start);
+  
+  let excess = relevantLogs.reduce((total, log) => total + (log.end - log.start), 0) - minutes * 60 * 1000;
+  if (excess < 0) {
+    return null;
+  }
+  
+  for (const log of relevantLogs) {
+    const length = log.end - log.start;
+    if (length >= excess) {
+      return { time: new Date(log.start + excess + duration * 60 * 1000), reached: true };
+    }
+    excess -= length;
+  }
+  
+  return null;
+}
+
+/**
+ * Calculate when a running cooldown lets access through again
+ * @param {string} site - Domain or full URL to check
+ * @param {RuleGroup} rule - Rule group with a cooldown
+ * @param {AccessLog[]} accessLogs - All access logs
+ * @param {SiteAliases} aliases - Alias table
+ * @returns {{time: Date, reached: boolean}|null} End of the cooldown, or null if none is running
+ */
+function getCooldownUnblockTime(site, rule, accessLogs, aliases) {
+  const ends = getCooldownEnd(site, rule, accessLogs, aliases);
+  return ends ? { time: ends, reached: true } : null;
+}
+
+/**
+ * Calculate when access will be unblocked based on the accesses in the window
+ * With stacked limits (and a cooldown or time budget), access returns once every limit
+ * that is reached has room again
+ * @param {string} site - Domain or full URL to check
+ * @param {RuleGroup} rule - The rule that blocked access
+ * @param {AccessLog[]} accessLogs - All access logs
+ * @param {SiteAliases} [aliases] - Alias table from `getSiteAliases(config)`
+ * @param {TimeLog[]} [timeLogs] - All time logs, for rules with a time budget
+ * @returns {Date|null} When access will be available, or null if can't determine
+ */
+export function calculateUnblockTime(site, rule, accessLogs, aliases = null, timeLogs = []) {
+  const unblockTimes = getGroupLimits(rule)
+    .map(limit => getLimitUnblockTime(site, rule, limit, accessLogs, aliases))
+    .concat(rule.timeBudget ? [getBudgetUnblockTime(site, rule, timeLogs, aliases)] : [])
+    .concat(rule.cooldownMinutes ? [getCooldownUnblockTime(site, rule, accessLogs, aliases)] : [])
+    .filter(Boolean);
+  
+  if (unblockTimes.length === 0) {
+    return null;
+  }
+  
+  const reached = unblockTimes.filter(unblockTime => unblockTime.reached);
+  const times = (reached.length > 0 ? reached : unblockTimes).map(unblockTime => unblockTime.time.getTime());
   
-  return unblockTime;
+  return new Date(reached.length > 0 ? Math.max(...times) : Math.min(...times));
 }
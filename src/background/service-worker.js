@@ -6,22 +6,75 @@ import {
   getConfiguration, 
   getAccessLogs, 
   addAccessLog,
-  pruneOldAccessLogs 
+  pruneOldAccessLogs,
+  getTimeLogs,
+  addTimeLog,
+  pruneOldTimeLogs,
+  getActiveView,
+  setActiveView
 } from '../storage/storage-manager.js';
 
 import { 
   shouldBlockAccess, 
-  getMostRestrictiveCount,
-  calculateUnblockTime 
+  getMostRestrictiveRule,
+  getTimeBudgetStatus,
+  getBudgetBlockDecision,
+  getCooldownStatus,
+  getSessionLimit,
+  getActiveRulesForSite,
+  calculateUnblockTime,
+  getRuleWindowMinutes,
+  isSiteExcluded,
+  isSameRuleScope,
+  hasUrlConstrainedRule
 } from './rule-engine.js';
 
-import { extractDomain } from '../utils/url-matcher.js';
+import {
+  extractDomain,
+  extractPath,
+  requiresFullUrl,
+  isRedirectorUrl,
+  resolveRedirectUrl
+} from '../utils/url-matcher.js';
+import { getSiteAliases } from '../utils/site-aliases.js';
+import { isIgnoredUrl, getIgnoreList } from '../utils/ignore-list.js';
+import { getNextDeactivation } from '../utils/time-utils.js';
+import { getGroupSites } from '../storage/schema.js';
 
 console.log('Throttle Me, Bananas! service worker loaded');
 
 // Track last URL per tab to detect navigation vs refresh
 const tabUrlMap = new Map();
 
+// Action title shown when no rule applies (matches manifest default_title)
+const DEFAULT_TITLE = 'Throttle Me, Bananas!';
+
+// Time on sites with a time budget is recorded in short stretches, closed on every
+// tab or window switch and at least once per tracking interval
+const TRACKING_ALARM = 'time-tracking';
+const BUDGET_ALARM = 'time-budget';
+const TRACKING_INTERVAL_MINUTES = 1;
+
+// Longest stretch recorded at once; a longer gap means the browser wasn't running
+const MAX_VIEW_STRETCH_MS = 2 * TRACKING_INTERVAL_MINUTES * 60 * 1000;
+
+// Alarms that end a visit for rules with `sessionMinutes` are named after the tab
+const SESSION_ALARM_PREFIX = 'session-';
+
+// Configuration read from storage, kept until storage reports a change so the rule
+// engine's compiled site index is reused across navigations
+let cachedConfig = null;
+
+/**
+ * Get the current configuration, reading storage only after a change
+ */
+async function getCachedConfiguration() {
+  if (!cachedConfig) {
+    cachedConfig = await getConfiguration();
+  }
+  return cachedConfig;
+}
+
 // Basic installation handler
 chrome.runtime.onInstalled.addListener(async (details) => {
   console.log('Extension installed/updated:', details.reason);
@@ -33,24 +86,14 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   } catch (error) {
     console.error('Failed to initialize storage:', error);
   }
+  
+  chrome.alarms.create(TRACKING_ALARM, { periodInMinutes: TRACKING_INTERVAL_MINUTES });
 });
 
-/**
- * Check if a URL should be ignored (settings page, blocked page, etc.)
- */
-function shouldIgnoreUrl(url) {
-  if (!url) return true;
-  
-  // Ignore chrome:// and other browser pages
-  if (url.startsWith('chrome://') || 
-      url.startsWith('chrome-extension://') || 
-      url.startsWith('about:') ||
-      url.startsWith('edge://')) {
-    return true;
-  }
-  
-  return false;
-}
+// Alarms aren't guaranteed to survive a browser restart
+chrome.runtime.onStartup.addListener(() => {
+  chrome.alarms.create(TRACKING_ALARM, { periodInMinutes: TRACKING_INTERVAL_MINUTES });
+});
 
 /**
  * Check if this is our own extension page
@@ -59,6 +102,25 @@ function isOwnExtensionPage(url) {
   return url.includes(chrome.runtime.id);
 }
 
+/**
+ * Format minutes for the badge, e.g. "25m" or "2h"
+ */
+function formatBadgeMinutes(minutes) {
+  return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h`;
+}
+
+/**
+ * Describe when a refilling limit gains its next access, for the badge tooltip
+ */
+function describeRefill(refillsAt) {
+  if (!refillsAt) {
+    return '';
+  }
+  
+  const minutes = Math.ceil((refillsAt.getTime() - Date.now()) / (60 * 1000));
+  return `\nNext access refills in ${minutes} minute${minutes !== 1 ? 's' : ''}`;
+}
+
 /**
  * Update badge for a specific tab
  */
@@ -70,7 +132,8 @@ async function updateBadgeForTab(tabId, url = null) {
       url = tab.url;
     }
     
-    if (shouldIgnoreUrl(url) || isOwnExtensionPage(url)) {
+    // Browser pages are skipped before touching storage
+    if (isIgnoredUrl(url) || isOwnExtensionPage(url)) {
       chrome.action.setBadgeText({ text: '', tabId });
       return;
     }
@@ -81,16 +144,74 @@ async function updateBadgeForTab(tabId, url = null) {
       return;
     }
     
-    const config = await getConfiguration();
+    const config = await getCachedConfiguration();
+    if (isIgnoredUrl(url, getIgnoreList(config))) {
+      chrome.action.setBadgeText({ text: '', tabId });
+      chrome.action.setTitle({ title: DEFAULT_TITLE, tabId });
+      return;
+    }
+    
     const accessLogs = await getAccessLogs();
     
-    const remaining = getMostRestrictiveCount(site, config, accessLogs);
+    // Pass the full URL so path and glob patterns can match
+    const mostRestrictive = getMostRestrictiveRule(url, config, accessLogs);
+    const budget = getTimeBudgetStatus(url, config, await getTimeLogs());
+    const cooldown = getCooldownStatus(url, config, accessLogs);
     
-    if (remaining === null) {
+    if (mostRestrictive === null) {
       // No active rules for this site
       chrome.action.setBadgeText({ text: '', tabId });
+      chrome.action.setTitle({ title: DEFAULT_TITLE, tabId });
+    } else if (cooldown) {
+      // While a cooldown runs the badge counts down to the next allowed access
+      const { remaining, rule, countedAs } = mostRestrictive;
+      const minutesLeft = Math.ceil((cooldown.ends.getTime() - Date.now()) / (60 * 1000));
+      chrome.action.setBadgeText({ text: formatBadgeMinutes(minutesLeft), tabId });
+      chrome.action.setBadgeBackgroundColor({ color: '#6f42c1', tabId }); // Purple
+      
+      const scope = countedAs ? `"${countedAs}"` : `all sites in "${rule.name}"`;
+      chrome.action.setTitle({
+        title: `${DEFAULT_TITLE}
+Cooling down: next access in ${minutesLeft} minute${minutesLeft !== 1 ? 's' : ''} ("${cooldown.rule.name}")` +
+          `
+${remaining} access${remaining !== 1 ? 'es' : ''} left for ${scope}`,
+        tabId
+      });
+    } else if (budget) {
+      // Sites with a time budget show the time left, which runs down while they're open
+      const { remaining, rule, countedAs, refillsAt } = mostRestrictive;
+      const minutesLeft = Math.ceil(budget.remainingMinutes);
+      chrome.action.setBadgeText({ text: formatBadgeMinutes(minutesLeft), tabId });
+      
+      const scope = countedAs ? `"${countedAs}"` : `all sites in "${rule.name}"`;
+      chrome.action.setTitle({
+        title: `${DEFAULT_TITLE}\n${minutesLeft} minute${minutesLeft !== 1 ? 's' : ''} left in the "${budget.rule.name}" time budget` +
+          `\n${remaining} access${remaining !== 1 ? 'es' : ''} left for ${scope}` + describeRefill(refillsAt),
+        tabId
+      });
+      
+      if (minutesLeft === 0 || remaining === 0) {
+        chrome.action.setBadgeBackgroundColor({ color: '#dc3545', tabId }); // Red
+      } else if (minutesLeft <= 5 || remaining === 1) {
+        chrome.action.setBadgeBackgroundColor({ color: '#ffc107', tabId }); // Yellow
+      } else {
+        chrome.action.setBadgeBackgroundColor({ color: '#28a745', tabId }); // Green
+      }
     } else {
-      chrome.action.setBadgeText({ text: String(remaining), tabId });
+      const { remaining, rule, countedAs, refillsAt } = mostRestrictive;
+      
+      // An empty refilling limit counts down to its next access instead of showing 0
+      const text = remaining === 0 && refillsAt
+        ? formatBadgeMinutes(Math.ceil((refillsAt.getTime() - Date.now()) / (60 * 1000)))
+        : String(remaining);
+      chrome.action.setBadgeText({ text, tabId });
+      
+      // Explain what the count is shared across
+      const scope = countedAs ? `"${countedAs}"` : `all sites in "${rule.name}"`;
+      chrome.action.setTitle({
+        title: `${DEFAULT_TITLE}\n${remaining} access${remaining !== 1 ? 'es' : ''} left for ${scope}` + describeRefill(refillsAt),
+        tabId
+      });
       
       // Set color based on remaining count
       if (remaining === 0) {
@@ -106,10 +227,190 @@ async function updateBadgeForTab(tabId, url = null) {
   }
 }
 
+/**
+ * Send a tab to the blocked page with details of the rule that blocked it
+ * A decision that doesn't block (an ended session with accesses left) shows no unblock time
+ */
+function redirectToBlockedPage(tabId, url, blockDecision, config, accessLogs, timeLogs) {
+  // Calculate unblock time
+  const rule = blockDecision.block ? config.groups.find(g => g.name === blockDecision.ruleName) : null;
+  const unblockTime = rule ? calculateUnblockTime(url, rule, accessLogs, getSiteAliases(config), timeLogs) : null;
+  const ruleEnds = rule ? getNextDeactivation(rule.schedule) : null;
+  
+  // Redirect to blocked page with info
+  const blockedUrl = chrome.runtime.getURL('src/pages/blocked/blocked.html') +
+    `?site=${encodeURIComponent(extractDomain(url))}` +
+    `&rule=${encodeURIComponent(blockDecision.ruleName || '')}` +
+    `&duration=${encodeURIComponent(blockDecision.duration || '')}` +
+    `&maxAccesses=${encodeURIComponent(blockDecision.maxAccesses || '')}` +
+    `&windowType=${encodeURIComponent(blockDecision.windowType || '')}` +
+    `&resetTime=${encodeURIComponent(blockDecision.windowResetTime || '')}` +
+    `&resetDay=${encodeURIComponent(blockDecision.windowResetDay ?? '')}` +
+    `&limitIndex=${encodeURIComponent(blockDecision.limitIndex ?? '')}` +
+    `&limitCount=${encodeURIComponent(blockDecision.limitCount || '')}` +
+    `&budgetMinutes=${encodeURIComponent(blockDecision.budgetMinutes || '')}` +
+    `&sessionMinutes=${encodeURIComponent(blockDecision.sessionMinutes || '')}` +
+    `&cooldownMinutes=${encodeURIComponent(blockDecision.cooldownMinutes || '')}` +
+    `&unblockTime=${encodeURIComponent(unblockTime ? unblockTime.toISOString() : '')}` +
+    `&timeZone=${encodeURIComponent(rule?.schedule?.timeZone || '')}` +
+    `&ruleEnds=${encodeURIComponent(ruleEnds ? ruleEnds.toISOString() : '')}`;
+  
+  chrome.tabs.update(tabId, { url: blockedUrl });
+}
+
+/**
+ * Get the tab the user is looking at
+ * @returns {Promise<chrome.tabs.Tab|null>} Active tab of the focused window, or null if
+ *   no browser window has focus
+ */
+async function getViewedTab() {
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  if (!tab || !tab.url) {
+    return null;
+  }
+  
+  const window = await chrome.windows.get(tab.windowId);
+  return window.focused ? tab : null;
+}
+
+/**
+ * Check if time spent on a URL counts toward a time budget
+ */
+function isTimeTracked(url, config) {
+  if (isIgnoredUrl(url) || isOwnExtensionPage(url) || isIgnoredUrl(url, getIgnoreList(config))) {
+    return false;
+  }
+  
+  return !isSiteExcluded(url, config) &&
+    getActiveRulesForSite(url, config).some(rule => rule.timeBudget);
+}
+
+/**
+ * Record the time spent on the site being viewed, and start timing whatever is viewed now
+ * Sends the tab to the blocked page once its time budget is used up
+ */
+async function trackViewedTab() {
+  const now = Date.now();
+  const config = await getCachedConfiguration();
+  
+  // Close the open stretch; one the worker never got to close (the browser quit) only
+  // counts up to the longest stretch
+  const openView = await getActiveView();
+  if (openView) {
+    await addTimeLog({ ...openView, end: Math.min(now, openView.start + MAX_VIEW_STRETCH_MS) });
+    
+    const maxBudget = Math.max(...config.groups.map(group => group.timeBudget?.duration || 0), 0);
+    if (maxBudget > 0) {
+      await pruneOldTimeLogs(maxBudget * 2);
+    }
+  }
+  
+  const tab = await getViewedTab();
+  if (!tab || !isTimeTracked(tab.url, config)) {
+    await setActiveView(null);
+    await chrome.alarms.clear(BUDGET_ALARM);
+    
+    // The tracking alarm also keeps a running cooldown's countdown on the badge current
+    if (tab) {
+      await updateBadgeForTab(tab.id, tab.url);
+    }
+    return;
+  }
+  
+  const timeLogs = await getTimeLogs();
+  const budget = getTimeBudgetStatus(tab.url, config, timeLogs);
+  
+  if (budget.remainingMinutes <= 0) {
+    // Another rule may have blocked first; otherwise the used-up budget blocks. Timing
+    // the view on would only set the budget alarm for now, over and over
+    const accessLogs = await getAccessLogs();
+    const limitDecision = shouldBlockAccess(tab.url, config, accessLogs, timeLogs);
+    const blockDecision = limitDecision.block ? limitDecision : getBudgetBlockDecision(budget.rule);
+    
+    console.log(`Time budget used up for ${tab.url}: ${blockDecision.reason}`);
+    await setActiveView(null);
+    await chrome.alarms.clear(BUDGET_ALARM);
+    redirectToBlockedPage(tab.id, tab.url, blockDecision, config, accessLogs, timeLogs);
+    return;
+  }
+  
+  const view = { site: extractDomain(tab.url), start: now, tabId: tab.id, path: extractPath(tab.url) };
+  if (config.groups.some(group => getGroupSites(group).some(requiresFullUrl))) {
+    view.url = tab.url;
+  }
+  await setActiveView(view);
+  
+  // Check again the moment the budget runs out (it has time left here)
+  chrome.alarms.create(BUDGET_ALARM, { when: now + budget.remainingMinutes * 60 * 1000 });
+  await updateBadgeForTab(tab.id, tab.url);
+}
+
+/**
+ * Start the session of an access to a rule with `sessionMinutes`
+ * A new access in the same tab replaces the previous session
+ */
+function startSession(tabId, url, config, timestamp) {
+  const alarmName = `${SESSION_ALARM_PREFIX}${tabId}`;
+  const session = getSessionLimit(url, config);
+  
+  if (session) {
+    chrome.alarms.create(alarmName, { when: timestamp + session.minutes * 60 * 1000 });
+  } else {
+    chrome.alarms.clear(alarmName);
+  }
+}
+
+/**
+ * Send a tab whose session ran out to the blocked page
+ * Tabs that have moved on to a site without a session limit are left alone
+ */
+async function endSession(tabId) {
+  let tab;
+  try {
+    tab = await chrome.tabs.get(tabId);
+  } catch (error) {
+    // Tab was closed
+    return;
+  }
+  
+  const config = await getCachedConfiguration();
+  const session = tab.url ? getSessionLimit(tab.url, config) : null;
+  if (!session) {
+    return;
+  }
+  
+  // Say when the site is available again if its limits are reached too
+  const accessLogs = await getAccessLogs();
+  const timeLogs = await getTimeLogs();
+  const blockDecision = shouldBlockAccess(tab.url, config, accessLogs, timeLogs);
+  const sessionDecision = blockDecision.block
+    ? { ...blockDecision, sessionMinutes: session.minutes }
+    : { block: false, ruleName: session.rule.name, sessionMinutes: session.minutes };
+  
+  console.log(`Session ended for ${tab.url} (rule "${session.rule.name}")`);
+  
+  // Coming back is a new access, not a refresh
+  tabUrlMap.delete(tabId);
+  redirectToBlockedPage(tabId, tab.url, sessionDecision, config, accessLogs, timeLogs);
+}
+
+// Tracking runs one step at a time so a stretch is never recorded twice
+let tracking = Promise.resolve();
+
+/**
+ * Re-check which site is being viewed, after any tab, window or alarm event
+ */
+function updateTracking() {
+  tracking = tracking
+    .then(trackViewedTab)
+    .catch(error => console.error('Error tracking time on site:', error));
+  return tracking;
+}
+
 /**
  * Handle navigation events
  */
-chrome.webNavigation.onCommitted.addListener(async (details) => {
+async function handleNavigation(details) {
   // Only process main frame navigations
   if (details.frameId !== 0) {
     return;
@@ -118,7 +419,7 @@ chrome.webNavigation.onCommitted.addListener(async (details) => {
   const { tabId, url, transitionType } = details;
   
   // Ignore extension pages and chrome:// URLs
-  if (shouldIgnoreUrl(url) || isOwnExtensionPage(url)) {
+  if (isIgnoredUrl(url) || isOwnExtensionPage(url)) {
     return;
   }
   
@@ -129,48 +430,83 @@ chrome.webNavigation.onCommitted.addListener(async (details) => {
   
   console.log(`Navigation detected: ${site} (tab ${tabId}, type: ${transitionType})`);
   
-  // Check if this is a refresh or a new navigation
-  const lastUrl = tabUrlMap.get(tabId);
-  const lastSite = lastUrl ? extractDomain(lastUrl) : null;
-  const isRefresh = (lastSite === site) || transitionType === 'reload';
-  
-  if (isRefresh) {
-    console.log(`Refresh detected for ${site}, not counting as new access`);
-    tabUrlMap.set(tabId, url);
-    await updateBadgeForTab(tabId, url);
-    return;
-  }
-  
-  // This is a new navigation - check if we should block
   try {
-    const config = await getConfiguration();
+    const config = await getCachedConfiguration();
+    const ignoreList = getIgnoreList(config);
+    
+    // The configured ignore list (e.g. localhost, file://, intranet ranges) is never tracked
+    if (isIgnoredUrl(url, ignoreList)) {
+      console.log(`${site} is on the ignore list, not tracking`);
+      return;
+    }
+    
+    // Redirector hops (google.com/url?q=..., l.facebook.com, t.co) aren't accesses. Block
+    // right away if the destination is over its limit; otherwise the destination is
+    // counted when it commits
+    if (isRedirectorUrl(url)) {
+      const destination = resolveRedirectUrl(url);
+      if (destination && !isIgnoredUrl(destination, ignoreList) && !isSiteExcluded(destination, config)) {
+        const accessLogs = await getAccessLogs();
+        const timeLogs = await getTimeLogs();
+        const blockDecision = shouldBlockAccess(destination, config, accessLogs, timeLogs);
+        
+        if (blockDecision.block) {
+          console.log(`Blocking redirect to ${destination}: ${blockDecision.reason}`);
+          redirectToBlockedPage(tabId, destination, blockDecision, config, accessLogs, timeLogs);
+          return;
+        }
+      }
+      
+      console.log(`${site} is a redirector hop, not counting`);
+      return;
+    }
+    
+    // Check if this is a refresh or a new navigation. Staying on the same domain is a
+    // refresh unless the URL enters or leaves a rule group (e.g. a query or fragment pattern)
+    const lastUrl = tabUrlMap.get(tabId);
+    const lastSite = lastUrl ? extractDomain(lastUrl) : null;
+    const isRefresh = transitionType === 'reload' ||
+      (lastSite === site && isSameRuleScope(lastUrl, url, config));
+    
+    if (isRefresh) {
+      console.log(`Refresh detected for ${site}, not counting as new access`);
+      tabUrlMap.set(tabId, url);
+      await updateBadgeForTab(tabId, url);
+      return;
+    }
+    
+    // This is a new navigation - check if we should block
     const accessLogs = await getAccessLogs();
     
-    const blockDecision = shouldBlockAccess(site, config, accessLogs);
+    // Excluded URLs (e.g. "!discord.com/settings") are neither blocked nor counted
+    if (isSiteExcluded(url, config)) {
+      console.log(`${url} is excluded by its rule groups, not counting`);
+      tabUrlMap.set(tabId, url);
+      await updateBadgeForTab(tabId, url);
+      return;
+    }
+    
+    const timeLogs = await getTimeLogs();
+    const blockDecision = shouldBlockAccess(url, config, accessLogs, timeLogs);
     
     if (blockDecision.block) {
       console.log(`Blocking access to ${site}: ${blockDecision.reason}`);
-      
-      // Calculate unblock time
-      const rule = config.groups.find(g => g.name === blockDecision.ruleName);
-      const unblockTime = rule ? calculateUnblockTime(site, rule, accessLogs) : null;
-      
-      // Redirect to blocked page with info
-      const blockedUrl = chrome.runtime.getURL('src/pages/blocked/blocked.html') +
-        `?site=${encodeURIComponent(site)}` +
-        `&rule=${encodeURIComponent(blockDecision.ruleName || '')}` +
-        `&duration=${encodeURIComponent(blockDecision.duration || '')}` +
-        `&maxAccesses=${encodeURIComponent(blockDecision.maxAccesses || '')}` +
-        `&unblockTime=${encodeURIComponent(unblockTime ? unblockTime.toISOString() : '')}`;
-      
-      chrome.tabs.update(tabId, { url: blockedUrl });
+      redirectToBlockedPage(tabId, url, blockDecision, config, accessLogs, timeLogs);
       return;
     }
     
     // Not blocked - record the access
     console.log(`Access allowed to ${site}`);
     const timestamp = Date.now();
-    await addAccessLog(site, timestamp, tabId);
+    
+    // Log the path so path patterns can be counted; keep the full URL only when
+    // some pattern looks at the query or fragment
+    const location = { path: extractPath(url) };
+    if (config.groups.some(group => getGroupSites(group).some(requiresFullUrl))) {
+      location.url = url;
+    }
+    await addAccessLog(site, timestamp, tabId, location);
+    startSession(tabId, url, config, timestamp);
     
     // Update the tab's last URL
     tabUrlMap.set(tabId, url);
@@ -178,8 +514,8 @@ chrome.webNavigation.onCommitted.addListener(async (details) => {
     // Update badge
     await updateBadgeForTab(tabId, url);
     
-    // Prune old logs periodically (find longest duration in config)
-    const maxDuration = Math.max(...config.groups.map(g => g.duration), 0);
+    // Prune old logs periodically (find longest window in config)
+    const maxDuration = Math.max(...config.groups.map(getRuleWindowMinutes), 0);
     if (maxDuration > 0) {
       // Prune logs older than 2x the longest duration (keep extra buffer)
       await pruneOldAccessLogs(maxDuration * 2);
@@ -187,13 +523,53 @@ chrome.webNavigation.onCommitted.addListener(async (details) => {
   } catch (error) {
     console.error('Error handling navigation:', error);
   }
-});
+}
+
+/**
+ * Handle in-page navigations of single-page apps (history API, fragment changes)
+ * These only count for groups with query or fragment patterns. Everything else was
+ * counted when the page committed, and tabUrlMap doesn't survive a service worker
+ * restart, so the first in-page navigation after one would be counted again
+ */
+async function handleSameDocumentNavigation(details) {
+  if (details.frameId !== 0) {
+    return;
+  }
+  
+  try {
+    const config = await getCachedConfiguration();
+    if (!hasUrlConstrainedRule(details.url, config)) {
+      // Remember the URL so entering a constrained group later is still detected
+      tabUrlMap.set(details.tabId, details.url);
+      return;
+    }
+  } catch (error) {
+    console.error('Error handling in-page navigation:', error);
+    return;
+  }
+  
+  await handleNavigation(details);
+}
+
+chrome.webNavigation.onCommitted.addListener(handleNavigation);
+
+// Single-page apps change the query string or fragment without a full navigation
+chrome.webNavigation.onHistoryStateUpdated.addListener(handleSameDocumentNavigation);
+chrome.webNavigation.onReferenceFragmentUpdated.addListener(handleSameDocumentNavigation);
 
 /**
  * Update badge when tab is activated (switched to)
  */
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
   await updateBadgeForTab(activeInfo.tabId);
+  await updateTracking();
+});
+
+/**
+ * Stop or resume timing when the browser loses or regains focus
+ */
+chrome.windows.onFocusChanged.addListener(async () => {
+  await updateTracking();
 });
 
 /**
@@ -202,14 +578,29 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   if (changeInfo.url) {
     await updateBadgeForTab(tabId, changeInfo.url);
+    await updateTracking();
   }
 });
 
 /**
  * Clean up when tab is closed
  */
-chrome.tabs.onRemoved.addListener((tabId) => {
+chrome.tabs.onRemoved.addListener(async (tabId) => {
   tabUrlMap.delete(tabId);
+  chrome.alarms.clear(`${SESSION_ALARM_PREFIX}${tabId}`);
+  await updateTracking();
+});
+
+/**
+ * Record time on site each tracking interval, enforce budgets when they run out, and
+ * end sessions
+ */
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === TRACKING_ALARM || alarm.name === BUDGET_ALARM) {
+    await updateTracking();
+  } else if (alarm.name.startsWith(SESSION_ALARM_PREFIX)) {
+    await endSession(parseInt(alarm.name.slice(SESSION_ALARM_PREFIX.length), 10));
+  }
 });
 
 /**
@@ -218,6 +609,7 @@ chrome.tabs.onRemoved.addListener((tabId) => {
 chrome.storage.onChanged.addListener(async (changes, areaName) => {
   if (areaName === 'local' && changes.configuration) {
     console.log('Configuration changed, updating badges for all tabs');
+    cachedConfig = null;
     
     // Update badges for all tabs
     const tabs = await chrome.tabs.query({});
@@ -226,6 +618,9 @@ chrome.storage.onChanged.addListener(async (changes, areaName) => {
         await updateBadgeForTab(tab.id, tab.url);
       }
     }
+    
+    // A new or changed time budget may apply to the viewed site
+    await updateTracking();
   }
 });
 
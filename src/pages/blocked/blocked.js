@@ -10,7 +10,17 @@ function getUrlParams() {
     rule: params.get('rule') || 'Unknown Rule',
     duration: params.get('duration') || '0',
     maxAccesses: params.get('maxAccesses') || '0',
-    unblockTime: params.get('unblockTime') || ''
+    windowType: params.get('windowType') || 'rolling',
+    resetTime: params.get('resetTime') || '0000',
+    resetDay: params.get('resetDay') || '1',
+    limitIndex: parseInt(params.get('limitIndex') || '0', 10),
+    limitCount: parseInt(params.get('limitCount') || '1', 10),
+    budgetMinutes: params.get('budgetMinutes') || '',
+    sessionMinutes: params.get('sessionMinutes') || '',
+    cooldownMinutes: params.get('cooldownMinutes') || '',
+    unblockTime: params.get('unblockTime') || '',
+    timeZone: params.get('timeZone') || '',
+    ruleEnds: params.get('ruleEnds') || ''
   };
 }
 
@@ -34,6 +44,28 @@ function formatDuration(minutes) {
   return `${hours} hour${hours !== 1 ? 's' : ''} ${remainingMinutes} min`;
 }
 
+/**
+ * Format the rule's time window, e.g. "2 hours" or "Daily, resets at 12:00 AM"
+ */
+function formatWindow(params) {
+  const hours = parseInt(params.resetTime.slice(0, 2), 10);
+  const resetTime = `${hours % 12 || 12}:${params.resetTime.slice(2, 4)} ${hours < 12 ? 'AM' : 'PM'}`;
+  const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  
+  switch (params.windowType) {
+    case 'hourly':
+      return 'Hourly, resets on the hour';
+    case 'daily':
+      return `Daily, resets at ${resetTime}`;
+    case 'weekly':
+      return `Weekly, resets ${days[params.resetDay] || 'Monday'} at ${resetTime}`;
+    case 'bucket':
+      return `Refills one access every ${formatDuration(params.duration)}`;
+    default:
+      return formatDuration(params.duration);
+  }
+}
+
 /**
  * Format a date/time for display
  */
@@ -70,6 +102,39 @@ function formatUnblockTime(isoString) {
   }
 }
 
+/**
+ * Format a schedule time zone with its current local time
+ */
+function formatTimeZone(timeZone) {
+  try {
+    const time = new Date().toLocaleTimeString([], {
+      timeZone,
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+    return `${timeZone.replace(/_/g, ' ')} (${time} there)`;
+  } catch (e) {
+    return timeZone;
+  }
+}
+
+/**
+ * Format when the rule's schedule turns off, e.g. "5:00 PM" or "Tue 5:00 PM" if not today
+ */
+function formatRuleEnd(isoString) {
+  const date = new Date(isoString);
+  if (isNaN(date.getTime())) {
+    return '';
+  }
+  
+  const time = date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  if (date.toDateString() === new Date().toDateString()) {
+    return time;
+  }
+  
+  return `${date.toLocaleDateString([], { weekday: 'short' })} ${time}`;
+}
+
 /**
  * Update the countdown timer
  */
@@ -95,18 +160,64 @@ function init() {
   // Update site info
   document.getElementById('site').textContent = params.site;
   document.getElementById('rule').textContent = params.rule;
-  document.getElementById('limit').textContent = `${params.maxAccesses} accesses`;
-  document.getElementById('duration').textContent = formatDuration(params.duration);
+  if (params.budgetMinutes) {
+    // Time budgets limit time on the site rather than visits
+    document.getElementById('title').textContent = 'Time Budget Used Up';
+    document.getElementById('subtitle').textContent = "You've spent your time on this site";
+    document.getElementById('limit').textContent = `${formatDuration(params.budgetMinutes)} on site`;
+    document.getElementById('duration').textContent = formatDuration(params.duration);
+  } else if (params.cooldownMinutes) {
+    // A cooldown spaces visits out rather than counting them
+    document.getElementById('title').textContent = 'Cooling Down';
+    document.getElementById('subtitle').textContent = 'Take a break before visiting this site again';
+    document.getElementById('limit').textContent = `${formatDuration(params.cooldownMinutes)} between visits`;
+    document.getElementById('window-row').style.display = 'none';
+  } else if (params.sessionMinutes && !params.unblockTime) {
+    // The visit ran out but the rule's limits still have room
+    document.getElementById('limit').textContent = `${formatDuration(params.sessionMinutes)} per visit`;
+    document.getElementById('window-row').style.display = 'none';
+  } else {
+    // Rules with stacked limits say which one was reached
+    // and refilling limits count down to the next refill
+    const whichLimit = params.limitCount > 1 ? ` (limit ${params.limitIndex + 1} of ${params.limitCount})` : '';
+    const banked = params.windowType === 'bucket' ? ' banked' : '';
+    document.getElementById('limit').textContent = `${params.maxAccesses} accesses${banked}${whichLimit}`;
+    document.getElementById('duration').textContent = formatWindow(params);
+  }
+  
+  // An ended session explains that the visit is over rather than that a limit was hit
+  if (params.sessionMinutes) {
+    document.getElementById('title').textContent = 'Session Ended';
+    document.getElementById('subtitle').textContent =
+      `Each visit to this site lasts ${formatDuration(params.sessionMinutes)}`;
+  }
   
   // Update unblock time
   const unblockTimeElement = document.getElementById('unblockTime');
+  const ruleEnd = params.ruleEnds ? formatRuleEnd(params.ruleEnds) : '';
   if (params.unblockTime) {
     unblockTimeElement.textContent = formatUnblockTime(params.unblockTime);
     updateCountdown(params.unblockTime);
-  } else {
+  } else if (params.sessionMinutes) {
+    unblockTimeElement.textContent = 'Now (visiting again uses an access)';
+  } else if (!ruleEnd) {
     document.getElementById('unblock-row').style.display = 'none';
   }
   
+  // Scheduled rules also let go when their active period ends
+  if (ruleEnd && params.unblockTime) {
+    document.getElementById('ruleEnds').textContent = ` or when the rule ends at ${ruleEnd}`;
+  } else if (ruleEnd) {
+    unblockTimeElement.textContent = `When the rule ends at ${ruleEnd}`;
+  }
+  
+  // Schedules pinned to a time zone say which one
+  if (params.timeZone) {
+    document.getElementById('timeZone').textContent = formatTimeZone(params.timeZone);
+  } else {
+    document.getElementById('timezone-row').style.display = 'none';
+  }
+  
   // Settings button handler
   document.getElementById('settingsBtn').addEventListener('click', () => {
     chrome.runtime.openOptionsPage();
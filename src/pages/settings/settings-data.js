@@ -7,8 +7,48 @@ import {
   getConfiguration,
   saveConfiguration as saveConfigToStorage
 } from '../../storage/storage-manager.js';
-import { validateRuleGroup } from '../../storage/schema.js';
-import { isRuleActiveNow } from '../../utils/time-utils.js';
+import {
+  validateRuleGroup,
+  validateIgnoreList,
+  validateSiteAliases,
+  migrateConfiguration,
+  getGroupSites,
+  getSitePattern,
+  LIMIT_FIELDS
+} from '../../storage/schema.js';
+import {
+  isRuleActiveNow,
+  parseTimeRange,
+  isOvernightRange,
+  validateTimeRange,
+  getScheduleTimes,
+  hasScheduleEnded,
+  getZonedTime,
+  isValidTimeZone,
+  addDays,
+  getWeekday,
+  getNextActivation,
+  getNextDeactivation
+} from '../../utils/time-utils.js';
+import { parseICalendar } from '../../utils/ical.js';
+import {
+  isExclusionPattern,
+  isGlobPattern,
+  isRegexPattern,
+  matchesSiteList,
+  toMatchableUrl
+} from '../../utils/url-matcher.js';
+import {
+  getSiteAliases,
+  getAliasPatterns,
+  canonicalizeUrl,
+  canonicalizeSites
+} from '../../utils/site-aliases.js';
+
+// Exposed for live validation of site inputs
+export { validateSiteEntry, getGroupLimits, getGroupSites, getSitePattern, getSiteCost } from '../../storage/schema.js';
+export { validateTimeRange, validateTime, isValidTimeZone, validateDate } from '../../utils/time-utils.js';
+export { isRegexPattern, normalizeSitePattern } from '../../utils/url-matcher.js';
 
 /**
  * Load the current configuration from storage
@@ -174,6 +214,211 @@ export async function deleteRuleGroup(index) {
   }
 }
 
+/**
+ * Replace the global ignore list
+ * @param {IgnoreList} ignoreList - Hosts, schemes and IP ranges to ignore
+ * @returns {Promise<{success: boolean, errors?: string[]}>}
+ */
+export async function updateIgnoreList(ignoreList) {
+  try {
+    const validation = validateIgnoreList(ignoreList);
+    if (!validation.valid) {
+      return {
+        success: false,
+        errors: validation.errors
+      };
+    }
+    
+    const config = await loadConfiguration();
+    config.ignoreList = ignoreList;
+    
+    return await saveConfiguration(config);
+  } catch (error) {
+    console.error('Error updating ignore list:', error);
+    return {
+      success: false,
+      errors: [error.message]
+    };
+  }
+}
+
+/**
+ * Replace the configured site aliases
+ * @param {SiteAliases} aliases - Canonical domains mapped to their alias domains
+ * @returns {Promise<{success: boolean, errors?: string[]}>}
+ */
+export async function updateSiteAliases(aliases) {
+  try {
+    const validation = validateSiteAliases(aliases);
+    if (!validation.valid) {
+      return {
+        success: false,
+        errors: validation.errors
+      };
+    }
+    
+    const config = await loadConfiguration();
+    config.aliases = aliases;
+    
+    return await saveConfiguration(config);
+  } catch (error) {
+    console.error('Error updating site aliases:', error);
+    return {
+      success: false,
+      errors: [error.message]
+    };
+  }
+}
+
+/**
+ * Parse the alias editor text, one "canonical = alias, alias" line per site
+ * A line with nothing after "=" turns that site's built-in aliases off
+ * @param {string} text - Raw text
+ * @returns {{aliases: SiteAliases, errors: string[]}}
+ */
+export function parseAliasEntries(text) {
+  const aliases = {};
+  const errors = [];
+  
+  text.split('\n').forEach((line, index) => {
+    if (line.trim() === '') {
+      return;
+    }
+    
+    const separator = line.indexOf('=');
+    const canonical = line.slice(0, separator).trim().toLowerCase();
+    if (separator === -1 || canonical === '') {
+      errors.push(`Line ${index + 1}: expected "site = alias, alias"`);
+      return;
+    }
+    if (canonical in aliases) {
+      errors.push(`Line ${index + 1}: "${canonical}" is listed more than once`);
+      return;
+    }
+    
+    aliases[canonical] = line.slice(separator + 1).split(',')
+      .map(domain => domain.trim().toLowerCase())
+      .filter(domain => domain !== '');
+  });
+  
+  return { aliases, errors };
+}
+
+/**
+ * Format an alias table for the alias editor
+ * @param {SiteAliases} aliases - Alias table
+ * @returns {string} One "canonical = alias, alias" line per site
+ */
+export function formatAliasEntries(aliases) {
+  return Object.entries(aliases)
+    .map(([canonical, domains]) => `${canonical} = ${domains.join(', ')}`.trimEnd())
+    .join('\n');
+}
+
+/**
+ * Split a textarea value into list entries, one per line
+ * @param {string} text - Raw text
+ * @returns {string[]} Trimmed, non-empty lines
+ */
+export function parseListEntries(text) {
+  return text.split('\n').map(line => line.trim()).filter(line => line !== '');
+}
+
+/**
+ * Split a comma-separated list of time ranges
+ * @param {string} text - Raw text like "1000-1400, 1500-1800"
+ * @returns {string[]} Trimmed, non-empty ranges
+ */
+export function parseTimeRangeList(text) {
+  return text.split(',').map(range => range.trim()).filter(range => range !== '');
+}
+
+/**
+ * Set or clear the time ranges of one day of a schedule
+ * @param {Schedule} schedule - Schedule to update
+ * @param {number} day - Day index (0=Sunday, 6=Saturday)
+ * @param {string[]} times - The day's own ranges; empty to use the shared `times` again
+ * @returns {Schedule} Updated schedule (dayTimes is dropped once no day has its own ranges)
+ */
+export function setDayTimes(schedule, day, times) {
+  const dayTimes = { ...schedule.dayTimes };
+  if (times.length > 0) {
+    dayTimes[day] = times;
+  } else {
+    delete dayTimes[day];
+  }
+  
+  const updated = { ...schedule, dayTimes };
+  if (Object.keys(dayTimes).length === 0) {
+    delete updated.dayTimes;
+  }
+  
+  return updated;
+}
+
+/**
+ * Set or clear the time zone of a schedule
+ * @param {Schedule} schedule - Schedule to update
+ * @param {string} timeZone - IANA time zone; empty to use the browser's local time zone
+ * @returns {Schedule} Updated schedule
+ */
+export function setScheduleTimeZone(schedule, timeZone) {
+  const updated = { ...schedule, timeZone };
+  if (!timeZone) {
+    delete updated.timeZone;
+  }
+  
+  return updated;
+}
+
+/**
+ * Set or clear the dates listed in a schedule
+ * @param {Schedule} schedule - Schedule to update
+ * @param {'onlyDates'|'exceptDates'} field - List to set
+ * @param {string[]} dates - Dates in format "YYYY-MM-DD"; empty to clear the list
+ * @returns {Schedule} Updated schedule with the dates sorted and deduplicated
+ */
+export function setScheduleDates(schedule, field, dates) {
+  const updated = { ...schedule, [field]: [...new Set(dates)].sort() };
+  if (dates.length === 0) {
+    delete updated[field];
+  }
+  
+  return updated;
+}
+
+/**
+ * Set or clear the first or last date of a schedule
+ * @param {Schedule} schedule - Schedule to update
+ * @param {'startDate'|'endDate'} field - Bound to set
+ * @param {string} date - Date in format "YYYY-MM-DD"; empty for an open end
+ * @returns {Schedule} Updated schedule
+ */
+export function setScheduleDateBound(schedule, field, date) {
+  const updated = { ...schedule, [field]: date };
+  if (!date) {
+    delete updated[field];
+  }
+  
+  return updated;
+}
+
+/**
+ * Get the time zones offered in the schedule editor
+ * @returns {string[]} IANA time zone names, empty if the browser can't list them
+ */
+export function getTimeZoneOptions() {
+  return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+}
+
+/**
+ * Get the browser's local time zone
+ * @returns {string} IANA time zone like "Europe/Berlin"
+ */
+export function getLocalTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
 /**
  * Validate configuration object (re-export from schema with better error messages)
  * @param {any} config - Configuration to validate
@@ -199,6 +444,20 @@ function validateConfiguration(config) {
     }
   });
   
+  if (config.ignoreList !== undefined) {
+    const validation = validateIgnoreList(config.ignoreList);
+    if (!validation.valid) {
+      errors.push(`Ignore list: ${validation.errors.join(', ')}`);
+    }
+  }
+  
+  if (config.aliases !== undefined) {
+    const validation = validateSiteAliases(config.aliases);
+    if (!validation.valid) {
+      errors.push(`Site aliases: ${validation.errors.join(', ')}`);
+    }
+  }
+  
   return {
     valid: errors.length === 0,
     errors
@@ -213,46 +472,85 @@ function validateConfiguration(config) {
 export async function detectOverlappingSites() {
   try {
     const config = await loadConfiguration();
-    const siteMap = new Map(); // site -> array of {groupIndex, groupName, schedule}
-    
-    // Build map of sites to groups
-    config.groups.forEach((group, index) => {
-      group.sites.forEach(site => {
-        if (!siteMap.has(site)) {
-          siteMap.set(site, []);
+    return findOverlappingSites(config.groups, getSiteAliases(config));
+  } catch (error) {
+    console.error('Error detecting overlapping sites:', error);
+    return [];
+  }
+}
+
+/**
+ * Find sites that belong to multiple groups, honoring exclusion entries
+ * A site belongs to another group if that group's site list matches it, so
+ * "discord.com/channels" overlaps with "discord.com" unless that group excludes it
+ * @param {RuleGroup[]} groups - Rule groups to analyze
+ * @param {SiteAliases} [aliases] - Alias table, so "x.com" overlaps with "twitter.com"
+ * @returns {Array<{site: string, groups: Array<{index: number, name: string, overlapping: boolean}>}>}
+ */
+export function findOverlappingSites(groups, aliases = null) {
+  const siteMap = new Map(); // site -> array of {index, name, schedule}
+  
+  // Build map of sites to the groups that cover them
+  groups.forEach(group => {
+    getGroupSites(group).forEach(site => {
+      if (isExclusionPattern(site) || siteMap.has(site)) {
+        return;
+      }
+      
+      // Glob and regex patterns can't be turned into a URL, so only identical entries overlap
+      const siteUrl = canonicalizeUrl(toMatchableUrl(site), aliases);
+      const coveringGroups = [];
+      groups.forEach((other, index) => {
+        const covers = isGlobPattern(site) || isRegexPattern(site)
+          ? getGroupSites(other).includes(site)
+          : matchesSiteList(siteUrl, canonicalizeSites(getGroupSites(other), aliases));
+        
+        if (covers) {
+          coveringGroups.push({
+            index,
+            name: other.name,
+            schedule: other.schedule
+          });
         }
-        siteMap.get(site).push({
-          index,
-          name: group.name,
-          schedule: group.schedule
-        });
       });
+      
+      siteMap.set(site, coveringGroups);
     });
-    
-    // Find sites in multiple groups and check for overlaps
-    const overlaps = [];
-    
-    for (const [site, groups] of siteMap.entries()) {
-      if (groups.length > 1) {
-        // Check if any schedules overlap
-        const hasOverlap = checkScheduleOverlap(groups.map(g => g.schedule));
-        
-        overlaps.push({
-          site,
-          groups: groups.map(g => ({
-            index: g.index,
-            name: g.name,
-            overlapping: hasOverlap
-          }))
-        });
-      }
+  });
+  
+  // Find sites in multiple groups and check for overlaps
+  const overlaps = [];
+  
+  for (const [site, siteGroups] of siteMap.entries()) {
+    if (siteGroups.length > 1) {
+      // Check if any schedules overlap
+      const hasOverlap = checkScheduleOverlap(siteGroups.map(g => g.schedule));
+      
+      overlaps.push({
+        site,
+        groups: siteGroups.map(g => ({
+          index: g.index,
+          name: g.name,
+          overlapping: hasOverlap
+        }))
+      });
     }
-    
-    return overlaps;
-  } catch (error) {
-    console.error('Error detecting overlapping sites:', error);
-    return [];
   }
+  
+  return overlaps;
+}
+
+/**
+ * Find the equivalent domains of a site entry that its group doesn't list yet
+ * Used to offer "also add aliases?" when a known site like "twitter.com" is entered
+ * @param {string} site - Site entry being edited
+ * @param {string[]} sites - Current site list of the group
+ * @param {Configuration} config - Current configuration (for its alias table)
+ * @returns {string[]} Alias entries to suggest, e.g. ["x.com"]
+ */
+export function findMissingAliases(site, sites, config) {
+  return getAliasPatterns(site, getSiteAliases(config))
+    .filter(alias => !sites.includes(alias));
 }
 
 /**
@@ -280,23 +578,36 @@ function checkScheduleOverlap(schedules) {
 
 /**
  * Check if two schedules overlap (have any common active time)
+ * Overnight ranges spill into the next day, so days next to each other are compared too
  * @param {Schedule} schedule1 - First schedule
  * @param {Schedule} schedule2 - Second schedule
  * @returns {boolean} True if schedules overlap
  */
 function schedulesOverlap(schedule1, schedule2) {
-  // Find common days
-  const commonDays = schedule1.days.filter(day => schedule2.days.includes(day));
+  if (!dateRangesOverlap(schedule1, schedule2)) {
+    return false;
+  }
   
-  if (commonDays.length === 0) {
-    return false; // No common days
+  // Schedules in different time zones drift against each other with DST, so any
+  // shared week is assumed to overlap
+  if ((schedule1.timeZone || null) !== (schedule2.timeZone || null)) {
+    return schedule1.days.length > 0 && schedule2.days.length > 0;
   }
   
-  // Check if time ranges overlap on common days
-  for (const timeRange1 of schedule1.times) {
-    for (const timeRange2 of schedule2.times) {
-      if (timeRangesOverlap(timeRange1, timeRange2)) {
-        return true;
+  for (const day1 of schedule1.days) {
+    for (const day2 of schedule2.days) {
+      // Days apart from day1: 0 (same day), 1 (next day) or -1 (previous day)
+      const offset = [0, 1, -1][[0, 1, 6].indexOf((day2 - day1 + 7) % 7)];
+      if (offset === undefined) {
+        continue; // Too far apart for any range to reach
+      }
+      
+      for (const timeRange1 of getScheduleTimes(schedule1, day1)) {
+        for (const timeRange2 of getScheduleTimes(schedule2, day2)) {
+          if (timeRangesOverlap(timeRange1, timeRange2, offset)) {
+            return true;
+          }
+        }
       }
     }
   }
@@ -304,20 +615,47 @@ function schedulesOverlap(schedule1, schedule2) {
   return false;
 }
 
+/**
+ * Check if the startDate/endDate ranges of two schedules share a date
+ * @param {Schedule} schedule1 - First schedule
+ * @param {Schedule} schedule2 - Second schedule
+ * @returns {boolean} True unless the date ranges are disjoint (open ends run forever)
+ */
+function dateRangesOverlap(schedule1, schedule2) {
+  const starts = [schedule1.startDate, schedule2.startDate].filter(Boolean).sort();
+  const ends = [schedule1.endDate, schedule2.endDate].filter(Boolean).sort();
+  
+  return starts.length === 0 || ends.length === 0 || starts[starts.length - 1] <= ends[0];
+}
+
 /**
  * Check if two time ranges overlap
  * @param {string} range1 - Time range like "0900-1700"
- * @param {string} range2 - Time range like "1600-2200"
+ * @param {string} range2 - Time range like "1600-2200" or overnight "2200-0200"
+ * @param {number} [dayOffset=0] - Days range2's day is after range1's (-1, 0 or 1)
  * @returns {boolean} True if ranges overlap
  */
-function timeRangesOverlap(range1, range2) {
-  const [start1, end1] = range1.split('-').map(t => parseInt(t, 10));
-  const [start2, end2] = range2.split('-').map(t => parseInt(t, 10));
+function timeRangesOverlap(range1, range2, dayOffset = 0) {
+  const [start1, end1] = toMinuteSpan(range1);
+  const [start2, end2] = toMinuteSpan(range2).map(minutes => minutes + dayOffset * 24 * 60);
   
   // Check if ranges overlap: start1 < end2 && start2 < end1
   return start1 < end2 && start2 < end1;
 }
 
+/**
+ * Convert a time range to minutes from the start of its day
+ * @param {string} timeRange - Time range like "0900-1700"
+ * @returns {number[]} Start and end minutes; an overnight range ends after 1440
+ */
+function toMinuteSpan(timeRange) {
+  const { start, end } = parseTimeRange(timeRange);
+  const startMinutes = start.hours * 60 + start.minutes;
+  const endMinutes = end.hours * 60 + end.minutes;
+  
+  return [startMinutes, isOvernightRange(start, end) ? endMinutes + 24 * 60 : endMinutes];
+}
+
 /**
  * Export configuration as JSON string
  * @returns {Promise<string>} JSON string of current configuration
@@ -359,8 +697,8 @@ export async function importConfiguration(jsonString) {
       };
     }
     
-    // Save the configuration
-    const saveResult = await saveConfiguration(config);
+    // Exports carry no storage version; groups from older exports get a limits list
+    const saveResult = await saveConfiguration(migrateConfiguration(config, 1));
     
     if (saveResult.success) {
       console.log('Configuration imported successfully');
@@ -376,6 +714,333 @@ export async function importConfiguration(jsonString) {
   }
 }
 
+// iCalendar BYDAY codes, indexed like Date#getDay()
+const ICAL_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Most occurrences a counted series may have (about 27 years of a daily event);
+// finding its end date walks the calendar a day at a time
+const MAX_RECURRENCE_COUNT = 10000;
+
+/**
+ * Read an iCalendar date-time as a calendar date in the schedule's time zone
+ * UTC values (RRULE UNTIL, EXDATE) can fall on another date there
+ * @param {ICalDateTime} value - Parsed value
+ * @param {string|null} timeZone - Schedule time zone
+ * @returns {string} Date in format "YYYY-MM-DD"
+ */
+function toScheduleDate(value, timeZone) {
+  if (value.timeZone !== 'UTC' || !value.time || timeZone === 'UTC') {
+    return value.date;
+  }
+  
+  const instant = new Date(`${value.date}T${value.time.slice(0, 2)}:${value.time.slice(2)}:00Z`);
+  return getZonedTime(instant, timeZone || undefined).date;
+}
+
+/**
+ * Convert an event's start and end into a schedule time range
+ * @param {ICalEvent} event - Parsed event
+ * @returns {string|null} Range like "0900-1200" or "2200-0100", or null if the event
+ *   lasts a day or more (all-day events cover "0000-2400")
+ */
+function getEventTimeRange(event) {
+  const { start, end, duration } = event;
+  const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000));
+  const toMinutesOfDay = time => parseInt(time.slice(0, 2), 10) * 60 + parseInt(time.slice(2), 10);
+  
+  if (!start.time) {
+    return !end || daysBetween(start.date, end.date) <= 1 ? '0000-2400' : null;
+  }
+  
+  // Without DTEND or DURATION an event is a single instant
+  const startMinutes = toMinutesOfDay(start.time);
+  const endMinutes = end && end.time
+    ? daysBetween(start.date, end.date) * 24 * 60 + toMinutesOfDay(end.time)
+    : startMinutes + (duration ?? 0);
+  
+  if (endMinutes <= startMinutes || endMinutes - startMinutes >= 24 * 60) {
+    return null;
+  }
+  
+  // Past midnight the range runs overnight; ending exactly at midnight is "2400"
+  const endOfRange = endMinutes === 24 * 60 ? endMinutes : endMinutes % (24 * 60);
+  const hours = String(Math.floor(endOfRange / 60)).padStart(2, '0');
+  const minutes = String(endOfRange % 60).padStart(2, '0');
+  return `${start.time}-${hours}${minutes}`;
+}
+
+/**
+ * Find the last date a recurrence rule produces an occurrence on
+ * @param {ICalEvent} event - Parsed recurring event
+ * @param {number[]} days - Weekdays the event repeats on
+ * @param {string|null} timeZone - Schedule time zone
+ * @returns {string|null} Date in format "YYYY-MM-DD", or null if the rule repeats forever
+ */
+function getRecurrenceEnd(event, days, timeZone) {
+  const { UNTIL, COUNT } = event.rrule;
+  
+  if (UNTIL) {
+    const until = UNTIL.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{2}(Z)?)?$/);
+    if (!until) {
+      return null;
+    }
+    const [, year, month, day, hours, minutes, utc] = until;
+    return toScheduleDate({
+      date: `${year}-${month}-${day}`,
+      time: hours !== undefined ? `${hours}${minutes}` : null,
+      timeZone: utc ? 'UTC' : null
+    }, timeZone);
+  }
+  
+  if (COUNT) {
+    // Walk forward from the first occurrence until COUNT occurrences have been seen
+    let remaining = parseInt(COUNT, 10);
+    let date = event.start.date;
+    while (remaining > 0) {
+      if (days.includes(getWeekday(date))) {
+        remaining--;
+      }
+      if (remaining > 0) {
+        date = addDays(date, 1);
+      }
+    }
+    return date;
+  }
+  
+  return null;
+}
+
+/**
+ * Check if a date range has a date on one of the given weekdays
+ * @param {string} from - First date, "YYYY-MM-DD"
+ * @param {string|null} to - Last date, or null for no end
+ * @param {number[]} days - Weekdays (0=Sunday)
+ * @returns {boolean} True if a date in the range falls on one of the days
+ */
+function hasDateOnDays(from, to, days) {
+  // Any 7 consecutive dates cover every weekday
+  for (let date = from, step = 0; (to === null || date <= to) && step < 7; date = addDays(date, 1), step++) {
+    if (days.includes(getWeekday(date))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Find where a schedule merged from several events differs from one of them
+ * The schedule has one date range and one list of skipped dates, so an event starting
+ * later or ending earlier than the others would be blocked on dates it doesn't cover,
+ * and another event's EXDATE would skip it too
+ * @param {Array<{name: string, days: number[], start: string, end: string|null, exdates: string[]}>} series
+ *   Converted events
+ * @param {string} startDate - Start of the merged schedule
+ * @param {string|null} endDate - End of the merged schedule, or null if it doesn't end
+ * @param {string[]} exceptDates - Skipped dates of the merged schedule
+ * @returns {string[]} Warnings, one per event and kind of difference
+ */
+function findMergedDateWarnings(series, startDate, endDate, exceptDates) {
+  const warnings = [];
+  
+  for (const { name, days, start, end, exdates } of series) {
+    if (start > startDate && hasDateOnDays(startDate, addDays(start, -1), days)) {
+      warnings.push(`${name} starts on ${formatScheduleDate(start)}, but the schedule applies its days from ${formatScheduleDate(startDate)}`);
+    }
+    if (end && (endDate === null || end < endDate) && hasDateOnDays(addDays(end, 1), endDate, days)) {
+      warnings.push(`${name} ends on ${formatScheduleDate(end)}, but the schedule applies its days ${endDate ? `until ${formatScheduleDate(endDate)}` : 'with no end'}`);
+    }
+    
+    const borrowed = exceptDates.filter(date =>
+      !exdates.includes(date) &&
+      date >= start && (!end || date <= end) &&
+      days.includes(getWeekday(date))
+    );
+    if (borrowed.length > 0) {
+      warnings.push(`${name} is also skipped on ${borrowed.map(formatScheduleDate).join('; ')}, another event's exception`);
+    }
+  }
+  
+  return warnings;
+}
+
+/**
+ * Convert calendar events into a rule group schedule
+ * Weekly and daily recurring events become days and time ranges; EXDATEs become
+ * `exceptDates`, which skip the whole day. Events that can't be expressed as a weekly
+ * schedule (one-off events, other frequencies, intervals, multi-day spans, another
+ * time zone than the first event) are left out with a warning. Kept events whose dates
+ * the merged schedule doesn't match (a later start or earlier end than the others, or
+ * another event's EXDATE on one of their days) get a warning too
+ * @param {ICalEvent[]} events - Events from `parseICalendar()`
+ * @returns {{schedule: Schedule|null, warnings: string[]}} Schedule, or null if no
+ *   event could be converted
+ */
+export function convertEventsToSchedule(events) {
+  const warnings = [];
+  const rangesByDay = new Map();
+  const exceptDates = new Set();
+  const series = [];
+  let timeZone;
+  
+  for (const event of events) {
+    const name = `"${event.summary || 'Untitled'}"`;
+    const rrule = event.rrule;
+    
+    if (event.status === 'CANCELLED') {
+      warnings.push(`${name} is cancelled; skipped`);
+      continue;
+    }
+    if (!rrule) {
+      warnings.push(`${name} on ${event.start.date} doesn't repeat; skipped`);
+      continue;
+    }
+    if (!['WEEKLY', 'DAILY'].includes(rrule.FREQ) || (rrule.INTERVAL && rrule.INTERVAL !== '1')) {
+      warnings.push(`${name} doesn't repeat every day or every week; skipped`);
+      continue;
+    }
+    if (parseInt(rrule.COUNT, 10) > MAX_RECURRENCE_COUNT) {
+      warnings.push(`${name} repeats more than ${MAX_RECURRENCE_COUNT} times; skipped`);
+      continue;
+    }
+    
+    // Zones the browser doesn't know (e.g. Windows names like "Eastern Standard Time")
+    // are read as local time
+    let eventZone = event.start.timeZone;
+    if (eventZone && !isValidTimeZone(eventZone)) {
+      warnings.push(`${name} uses unknown time zone "${eventZone}"; read as local time`);
+      eventZone = null;
+    }
+    if (timeZone === undefined) {
+      timeZone = eventZone;
+    } else if (eventZone !== timeZone) {
+      warnings.push(`${name} is in a different time zone (${eventZone || 'local time'}); skipped`);
+      continue;
+    }
+    
+    const range = getEventTimeRange(event);
+    if (!range) {
+      warnings.push(`${name} lasts a day or more, or ends before it starts; skipped`);
+      continue;
+    }
+    
+    // BYDAY may carry ordinals ("1MO") in other frequencies; only the weekday matters here
+    const byDay = (rrule.BYDAY || '').split(',')
+      .map(code => ICAL_WEEKDAYS.indexOf(code.slice(-2)))
+      .filter(day => day !== -1);
+    const defaultDays = rrule.FREQ === 'DAILY' ? [0, 1, 2, 3, 4, 5, 6] : [getWeekday(event.start.date)];
+    const days = byDay.length > 0 ? byDay : defaultDays;
+    
+    days.forEach(day => {
+      if (!rangesByDay.has(day)) {
+        rangesByDay.set(day, new Set());
+      }
+      rangesByDay.get(day).add(range);
+    });
+    const exdates = event.exdates.map(exdate => toScheduleDate(exdate, timeZone));
+    exdates.forEach(exdate => exceptDates.add(exdate));
+    series.push({ name, days, start: event.start.date, end: getRecurrenceEnd(event, days, timeZone), exdates });
+  }
+  
+  if (rangesByDay.size === 0) {
+    return { schedule: null, warnings };
+  }
+  
+  const startDate = series.map(item => item.start).sort()[0];
+  const endDates = series.map(item => item.end);
+  
+  // The schedule only ends if every series ends
+  const endDate = endDates.every(Boolean) ? endDates.sort().pop() : null;
+  warnings.push(...findMergedDateWarnings(series, startDate, endDate, [...exceptDates]));
+  
+  // The most common set of ranges becomes `times`; days with other ranges get their own
+  const days = [...rangesByDay.keys()].sort((a, b) => a - b);
+  const rangeLists = new Map(days.map(day => [day, [...rangesByDay.get(day)].sort()]));
+  const counts = new Map();
+  for (const ranges of rangeLists.values()) {
+    const key = ranges.join(',');
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  const timesKey = [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  
+  const schedule = { days, times: timesKey.split(',') };
+  const dayTimes = {};
+  for (const [day, ranges] of rangeLists) {
+    if (ranges.join(',') !== timesKey) {
+      dayTimes[day] = ranges;
+    }
+  }
+  if (Object.keys(dayTimes).length > 0) {
+    schedule.dayTimes = dayTimes;
+  }
+  if (timeZone) {
+    schedule.timeZone = timeZone;
+  }
+  schedule.startDate = startDate;
+  if (endDate) {
+    schedule.endDate = endDate;
+  }
+  if (exceptDates.size > 0) {
+    schedule.exceptDates = [...exceptDates].sort();
+  }
+  
+  return { schedule, warnings };
+}
+
+/**
+ * Describe a schedule in a few lines, e.g. to preview an imported schedule
+ * @param {Schedule} schedule - Schedule to describe
+ * @returns {string[]} Lines like "Mon, Wed: 9:00 AM - 12:00 PM"
+ */
+export function formatSchedulePreview(schedule) {
+  // Days with the same ranges share a line
+  const lines = new Map();
+  for (const day of schedule.days) {
+    const ranges = getScheduleTimes(schedule, day).map(formatTimeRange).join(', ');
+    lines.set(ranges, [...(lines.get(ranges) || []), getDayName(day).slice(0, 3)]);
+  }
+  
+  const preview = [...lines.entries()].map(([ranges, days]) => `${days.join(', ')}: ${ranges}`);
+  if (schedule.timeZone) {
+    preview.push(`Time zone: ${schedule.timeZone}`);
+  }
+  if (schedule.startDate || schedule.endDate) {
+    const from = schedule.startDate ? `from ${formatScheduleDate(schedule.startDate)}` : '';
+    const until = schedule.endDate ? `until ${formatScheduleDate(schedule.endDate)}` : '';
+    preview.push(`Runs ${[from, until].filter(Boolean).join(' ')}`);
+  }
+  if (schedule.exceptDates) {
+    preview.push(`Except ${schedule.exceptDates.map(formatScheduleDate).join('; ')}`);
+  }
+  
+  return preview;
+}
+
+/**
+ * Import a schedule from the contents of an iCalendar (.ics) file
+ * Nothing is saved; apply the returned schedule to a rule group once the user confirms
+ * the preview
+ * @param {string} icsText - Contents of a .ics file
+ * @returns {{success: boolean, schedule?: Schedule, preview?: string[], warnings?: string[], errors?: string[]}}
+ */
+export function importScheduleFromIcs(icsText) {
+  const { events, errors } = parseICalendar(icsText);
+  if (events.length === 0) {
+    return { success: false, errors: errors.length > 0 ? errors : ['The calendar has no events'] };
+  }
+  
+  const { schedule, warnings } = convertEventsToSchedule(events);
+  if (!schedule) {
+    return { success: false, errors: [...errors, ...warnings, 'No weekly or daily recurring events to import'] };
+  }
+  
+  return {
+    success: true,
+    schedule,
+    preview: formatSchedulePreview(schedule),
+    warnings: [...errors, ...warnings]
+  };
+}
+
 /**
  * Create a default rule group template
  * @returns {RuleGroup} Default rule group object
@@ -383,8 +1048,7 @@ export async function importConfiguration(jsonString) {
 export function createDefaultRuleGroup() {
   return {
     name: 'New Rule',
-    duration: 60, // 1 hour
-    maxAccesses: 3,
+    limits: [{ maxAccesses: 3, duration: 60 }], // 3 per hour
     strictMode: false,
     sites: [],
     schedule: {
@@ -451,6 +1115,151 @@ export function parseDuration(str) {
   return null;
 }
 
+/**
+ * Replace the limits of a rule group
+ * @param {RuleGroup} group - Rule group
+ * @param {Limit[]} limits - New limits
+ * @returns {RuleGroup} Updated group, without the single-limit fields of groups saved
+ *   before version 3
+ */
+export function setGroupLimits(group, limits) {
+  const updated = { ...group, limits };
+  LIMIT_FIELDS.forEach(field => delete updated[field]);
+  
+  return updated;
+}
+
+/**
+ * Change the pattern of a site entry
+ * Weighted sites keep their cost, except exclusions, which can't have one
+ * @param {SiteEntry} entry - Site entry to update
+ * @param {string} pattern - New site pattern
+ * @returns {SiteEntry} Updated entry
+ */
+export function setSitePattern(entry, pattern) {
+  if (typeof entry === 'string' || isExclusionPattern(pattern)) {
+    return pattern;
+  }
+  
+  return { ...entry, pattern };
+}
+
+/**
+ * Set how many accesses a visit to a site entry counts as in strict mode
+ * @param {SiteEntry} entry - Site entry to update
+ * @param {number} cost - New cost; 1 turns the entry back into a plain pattern
+ * @returns {SiteEntry} Updated entry
+ */
+export function setSiteCost(entry, cost) {
+  const pattern = getSitePattern(entry);
+  return cost === 1 ? pattern : { pattern, cost };
+}
+
+/**
+ * Switch a limit to another window type
+ * Reset settings that don't apply to the new type are dropped
+ * @param {Limit} limit - Limit to update
+ * @param {string} windowType - "rolling", "hourly", "daily" or "weekly"
+ * @returns {Limit} New limit; rolling windows leave `windowType` unset
+ */
+export function setWindowType(limit, windowType) {
+  const updated = {
+    ...limit,
+    windowType,
+    windowResetTime: limit.windowResetTime || '0000',
+    windowResetDay: limit.windowResetDay ?? 1
+  };
+  
+  if (windowType !== 'weekly') {
+    delete updated.windowResetDay;
+  }
+  if (windowType !== 'daily' && windowType !== 'weekly') {
+    delete updated.windowResetTime;
+  }
+  if (!windowType || windowType === 'rolling') {
+    delete updated.windowType;
+  }
+  
+  return updated;
+}
+
+/**
+ * Describe a limit's time window
+ * @param {Limit} limit - Limit to describe
+ * @returns {string} Description like "Last 2 hours", "Resets every Monday at 12:00 AM" or
+ *   "One access every 20 minutes, up to 3 banked"
+ */
+export function formatWindow(limit) {
+  const resetTime = formatTime(limit.windowResetTime || '0000');
+  
+  switch (limit.windowType) {
+    case 'hourly':
+      return 'Resets every hour, on the hour';
+    case 'daily':
+      return `Resets daily at ${resetTime}`;
+    case 'weekly':
+      return `Resets every ${getDayName(limit.windowResetDay ?? 1)} at ${resetTime}`;
+    case 'bucket':
+      return `One access every ${formatDuration(limit.duration)}, up to ${limit.maxAccesses} banked`;
+    default:
+      return `Last ${formatDuration(limit.duration)}`;
+  }
+}
+
+/**
+ * Set or clear a rule group's time budget
+ * @param {RuleGroup} group - Rule group
+ * @param {TimeBudget|null} timeBudget - New time budget; null for none
+ * @returns {RuleGroup} Updated group
+ */
+export function setTimeBudget(group, timeBudget) {
+  const updated = { ...group, timeBudget };
+  if (!timeBudget) {
+    delete updated.timeBudget;
+  }
+  
+  return updated;
+}
+
+/**
+ * Set or clear the length of each visit to a rule group's sites
+ * @param {RuleGroup} group - Rule group
+ * @param {number|null} sessionMinutes - Session length in minutes; null for unlimited
+ * @returns {RuleGroup} Updated group
+ */
+export function setSessionMinutes(group, sessionMinutes) {
+  const updated = { ...group, sessionMinutes };
+  if (!sessionMinutes) {
+    delete updated.sessionMinutes;
+  }
+  
+  return updated;
+}
+
+/**
+ * Set or clear the wait between accesses to a rule group's sites
+ * @param {RuleGroup} group - Rule group
+ * @param {number|null} cooldownMinutes - Cooldown in minutes; null for no wait
+ * @returns {RuleGroup} Updated group
+ */
+export function setCooldownMinutes(group, cooldownMinutes) {
+  const updated = { ...group, cooldownMinutes };
+  if (!cooldownMinutes) {
+    delete updated.cooldownMinutes;
+  }
+  
+  return updated;
+}
+
+/**
+ * Describe a time budget
+ * @param {TimeBudget} timeBudget - Time budget to describe
+ * @returns {string} Description like "30 minutes per 4 hours"
+ */
+export function formatTimeBudget(timeBudget) {
+  return `${formatDuration(timeBudget.minutes)} per ${formatDuration(timeBudget.duration)}`;
+}
+
 /**
  * Get day name from day index
  * @param {number} dayIndex - Day index (0=Sunday, 6=Saturday)
@@ -464,11 +1273,101 @@ export function getDayName(dayIndex) {
 /**
  * Format time for display
  * @param {string} timeRange - Time range like "0900-1700"
- * @returns {string} Formatted string like "9:00 AM - 5:00 PM"
+ * @returns {string} Formatted string like "9:00 AM - 5:00 PM", or
+ *   "10:00 PM - 2:00 AM (next day)" for overnight ranges
  */
 export function formatTimeRange(timeRange) {
   const [start, end] = timeRange.split('-');
-  return `${formatTime(start)} - ${formatTime(end)}`;
+  const nextDay = isOvernightTimeRange(timeRange) ? ' (next day)' : '';
+  return `${formatTime(start)} - ${formatTime(end)}${nextDay}`;
+}
+
+/**
+ * Format a schedule date for display
+ * @param {string} date - Date in format "YYYY-MM-DD"
+ * @returns {string} Formatted string like "Wed, Dec 25, 2024"
+ */
+export function formatScheduleDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  
+  // Format in UTC so the calendar date doesn't shift with the browser's time zone
+  return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+}
+
+/**
+ * Describe when a group's schedule next turns on or off
+ * Times are given on the schedule's own clock (its time zone if it has one)
+ * @param {Object} [schedule] - Schedule object
+ * @param {Date} [now] - The current time
+ * @returns {string} Status like "Active until 5:00 PM", "Starts Mon at 9:00 AM",
+ *   "Always active" or "Schedule ended"
+ */
+export function describeScheduleStatus(schedule, now = new Date()) {
+  if (!schedule || !schedule.days || !schedule.times) {
+    return 'Always active';
+  }
+  
+  if (isRuleActiveNow(schedule, now)) {
+    const end = getNextDeactivation(schedule, now);
+    if (!end) {
+      return 'Active';
+    }
+    const { day, time } = formatScheduleMoment(end, schedule.timeZone, now);
+    return `Active until ${day ? `${day} ` : ''}${time}`;
+  }
+  
+  if (hasScheduleEnded(schedule, now)) {
+    return 'Schedule ended';
+  }
+  
+  const start = getNextActivation(schedule, now);
+  if (!start) {
+    return 'Not scheduled';
+  }
+  const { day, time } = formatScheduleMoment(start, schedule.timeZone, now);
+  return `Starts ${day ? `${day} ` : ''}at ${time}`;
+}
+
+/**
+ * Split an instant into a day label and wall-clock time in a schedule's time zone
+ * @param {Date} instant - The instant
+ * @param {string} [timeZone] - Schedule time zone; local time if missing or unknown
+ * @param {Date} now - The current time
+ * @returns {{day: string|null, time: string}} Day label ("Mon" within the week ahead,
+ *   a full date beyond it, null for today) and time like "9:00 AM"
+ */
+function formatScheduleMoment(instant, timeZone, now) {
+  const zone = isValidTimeZone(timeZone) ? timeZone : undefined;
+  const zoned = getZonedTime(instant, zone);
+  const today = getZonedTime(now, zone).date;
+  const time = formatTime(`${String(zoned.hours).padStart(2, '0')}${String(zoned.minutes).padStart(2, '0')}`);
+  
+  if (zoned.date === today) {
+    return { day: null, time };
+  }
+  
+  const daysAhead = (Date.parse(zoned.date) - Date.parse(today)) / (24 * 60 * 60 * 1000);
+  return { day: daysAhead < 7 ? getDayName(zoned.day).slice(0, 3) : formatScheduleDate(zoned.date), time };
+}
+
+/**
+ * Check if a time range runs past midnight
+ * @param {string} timeRange - Time range like "2200-0200"
+ * @returns {boolean} True if the range ends on the next day (false for invalid ranges)
+ */
+export function isOvernightTimeRange(timeRange) {
+  if (validateTimeRange(timeRange)) {
+    return false;
+  }
+  
+  const { start, end } = parseTimeRange(timeRange);
+  return isOvernightRange(start, end);
 }
 
 /**
@@ -493,26 +1392,32 @@ function formatTime(time) {
 
 /**
  * Get summary statistics about the current configuration
- * @returns {Promise<{totalGroups: number, totalSites: number, activeGroups: number, hasOverlaps: boolean}>}
+ * @returns {Promise<{totalGroups: number, totalSites: number, activeGroups: number, endedGroups: number, hasOverlaps: boolean}>}
  */
 export async function getConfigurationStats() {
   try {
     const config = await loadConfiguration();
     const overlaps = await detectOverlappingSites();
     
-    // Count unique sites
+    // Count unique sites (exclusions don't track anything)
     const allSites = new Set();
     config.groups.forEach(group => {
-      group.sites.forEach(site => allSites.add(site));
+      getGroupSites(group)
+        .filter(site => !isExclusionPattern(site))
+        .forEach(site => allSites.add(site));
     });
     
     // Count currently active groups
     const activeGroups = config.groups.filter(group => isRuleActiveNow(group.schedule)).length;
     
+    // Count groups whose dates are all past, which will never be active again
+    const endedGroups = config.groups.filter(group => hasScheduleEnded(group.schedule)).length;
+    
     return {
       totalGroups: config.groups.length,
       totalSites: allSites.size,
       activeGroups,
+      endedGroups,
       hasOverlaps: overlaps.length > 0
     };
   } catch (error) {
@@ -521,6 +1426,7 @@ export async function getConfigurationStats() {
       totalGroups: 0,
       totalSites: 0,
       activeGroups: 0,
+      endedGroups: 0,
       hasOverlaps: false
     };
   }
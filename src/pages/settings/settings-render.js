@@ -0,0 +1,372 @@
+/**
+ * Settings Page Rendering
+ * Builds the HTML for rule group cards (no DOM access, testable)
+ */
+
+import {
+  formatDuration,
+  getGroupLimits,
+  getSitePattern,
+  getSiteCost,
+  formatWindow,
+  formatTimeBudget,
+  formatTimeRange,
+  isRegexPattern,
+  isOvernightTimeRange,
+  getLocalTimeZone,
+  formatScheduleDate,
+  describeScheduleStatus
+} from './settings-data.js';
+
+// Day labels for the schedule editor, indexed like Date#getDay()
+export const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Window types offered in the group form, with their labels
+export const WINDOW_TYPE_OPTIONS = [
+  ['rolling', 'Rolling'],
+  ['hourly', 'Hourly'],
+  ['daily', 'Daily'],
+  ['weekly', 'Weekly'],
+  ['bucket', 'Refilling']
+];
+
+/**
+ * Render the inner HTML of a rule group card
+ */
+export function renderGroupHtml(group, index) {
+  return `
+    <div class="group-header">
+      <div class="group-title">
+        <input type="text" 
+               value="${escapeHtml(group.name)}" 
+               data-field="name"
+               placeholder="Rule Group Name">
+        <div class="group-status">${escapeHtml(describeScheduleStatus(group.schedule))}</div>
+      </div>
+      <div class="group-actions">
+        <button class="btn btn-danger btn-small btn-delete" title="Delete this rule group">
+          🗑️ Delete
+        </button>
+      </div>
+    </div>
+    
+    <div class="group-body">
+      <div class="group-section">
+        <div class="section-title">⚙️ Settings</div>
+        
+        <div class="form-group">
+          <label class="form-label">Limits</label>
+          <div class="limit-list" data-field="limits">
+            ${getGroupLimits(group).map((limit, limitIndex, limits) => renderLimit(limit, limitIndex, limits.length)).join('')}
+          </div>
+          <button class="btn btn-secondary btn-small btn-add-limit">+ Add Limit</button>
+          <span class="form-hint">Access is blocked as soon as any limit is reached, e.g. 3 per hour and 10 per day</span>
+        </div>
+        
+        <div class="form-group time-budget-group" data-field="timeBudget">
+          <label class="form-label">⏳ Time Budget</label>
+          <div class="limit-row">
+            <input type="text"
+                   class="form-input"
+                   value="${group.timeBudget ? group.timeBudget.minutes : ''}"
+                   data-budget-field="minutes"
+                   title="Time allowed"
+                   placeholder="e.g., 30 or '1h' (empty for none)">
+            <span class="limit-per">per</span>
+            <input type="text"
+                   class="form-input"
+                   value="${group.timeBudget ? group.timeBudget.duration : ''}"
+                   data-budget-field="duration"
+                   title="Time window"
+                   placeholder="e.g., 240 or '4h'">
+          </div>
+          <div class="time-budget-error hidden"></div>
+          <span class="form-hint time-budget-hint">${group.timeBudget ? formatTimeBudget(group.timeBudget) : 'No time budget'} - time counts while the site is open in the focused window</span>
+        </div>
+        
+        <div class="form-group session-group">
+          <label class="form-label">⏱️ Session Length</label>
+          <input type="text"
+                 class="form-input"
+                 value="${group.sessionMinutes || ''}"
+                 data-field="sessionMinutes"
+                 placeholder="e.g., 10 or '1h' (empty for unlimited)">
+          <div class="session-error hidden"></div>
+          <span class="form-hint session-hint">${group.sessionMinutes ? `Each visit lasts ${formatDuration(group.sessionMinutes)}` : 'Visits last as long as you like'}</span>
+        </div>
+        
+        <div class="form-group cooldown-group">
+          <label class="form-label">⏳ Cooldown</label>
+          <input type="text"
+                 class="form-input"
+                 value="${group.cooldownMinutes || ''}"
+                 data-field="cooldownMinutes"
+                 placeholder="e.g., 30 or '2h' (empty for none)">
+          <div class="cooldown-error hidden"></div>
+          <span class="form-hint cooldown-hint">${group.cooldownMinutes ? `Wait ${formatDuration(group.cooldownMinutes)} after each access` : 'No wait between accesses'}</span>
+        </div>
+        
+        <div class="toggle-container">
+          <label class="toggle-switch">
+            <input type="checkbox" 
+                   ${group.strictMode ? 'checked' : ''}
+                   data-field="strictMode">
+            <span class="toggle-slider"></span>
+          </label>
+          <div>
+            <div class="toggle-label">Strict Mode</div>
+            <span class="form-hint">Share limit across all sites; a site's cost is how many accesses a visit counts as</span>
+          </div>
+        </div>
+        
+        <div class="form-group">
+          <label class="form-label">🌐 Sites</label>
+          <div class="sites-list" data-field="sites">
+            ${group.sites.map((entry, siteIndex) => `
+              <div class="site-item">
+                <span class="site-badge site-badge-regex ${isRegexPattern(getSitePattern(entry).replace(/^!/, '')) ? '' : 'hidden'}"
+                      title="Regular expression matched against the full URL">regex</span>
+                <input type="text" 
+                       value="${escapeHtml(getSitePattern(entry))}"
+                       data-site-index="${siteIndex}"
+                       placeholder="example.com or *.example.com/path/**">
+                <input type="number"
+                       class="site-cost ${group.strictMode && !getSitePattern(entry).startsWith('!') ? '' : 'hidden'}"
+                       value="${getSiteCost(entry)}"
+                       data-site-cost-index="${siteIndex}"
+                       min="1"
+                       title="Accesses each visit counts as in strict mode">
+                <button class="btn btn-danger btn-small btn-icon btn-remove-site" 
+                        data-site-index="${siteIndex}"
+                        title="Remove site">
+                  ×
+                </button>
+                <div class="site-error hidden"></div>
+                <div class="site-suggestion hidden">
+                  <span class="site-suggestion-text"></span>
+                  <button class="btn btn-secondary btn-small btn-use-suggestion"
+                          data-site-index="${siteIndex}">
+                    Use
+                  </button>
+                </div>
+                <div class="site-aliases hidden">
+                  <span class="site-aliases-text"></span>
+                  <button class="btn btn-secondary btn-small btn-add-aliases"
+                          data-site-index="${siteIndex}">
+                    Add
+                  </button>
+                </div>
+              </div>
+            `).join('')}
+          </div>
+          <button class="add-site-btn">+ Add Site</button>
+          <span class="form-hint">Wildcards: * (one segment), ** (anything), ? (one character). Add ?param, ?param=value, ?!param or #/route to match query strings and fragments. Prefix with ! to exclude, e.g. !discord.com/settings, or re: for a regex on the full URL</span>
+        </div>
+      </div>
+      
+      <div class="group-section">
+        <div class="section-title">📅 Schedule</div>
+        
+        <div class="form-group">
+          <label class="form-label">Active Days</label>
+          <div class="days-selector">
+            ${DAY_LABELS.map((day, dayIndex) => `
+              <div class="day-checkbox">
+                <input type="checkbox" 
+                       id="day-${index}-${dayIndex}"
+                       ${group.schedule?.days?.includes(dayIndex) ? 'checked' : ''}
+                       data-day="${dayIndex}">
+                <label for="day-${index}-${dayIndex}">${day}</label>
+              </div>
+            `).join('')}
+          </div>
+        </div>
+        
+        <div class="form-group">
+          <label class="form-label">Time Ranges</label>
+          <div class="time-ranges" data-field="times">
+            ${(group.schedule?.times || ['0000-2359']).map((timeRange, timeIndex) => `
+              <div class="time-range-item">
+                <input type="text" 
+                       value="${timeRange}"
+                       data-time-index="${timeIndex}"
+                       placeholder="0900-1700"
+                       pattern="\\d{4}-\\d{4}">
+                <button class="btn btn-danger btn-small btn-icon btn-remove-time" 
+                        data-time-index="${timeIndex}"
+                        title="Remove time range">
+                  ×
+                </button>
+                <div class="time-range-note ${isOvernightTimeRange(timeRange) ? '' : 'hidden'}">
+                  ${isOvernightTimeRange(timeRange) ? `Overnight: ${formatTimeRange(timeRange)}` : ''}
+                </div>
+              </div>
+            `).join('')}
+          </div>
+          <button class="add-time-btn btn btn-secondary btn-small" style="width: 100%; margin-top: 8px;">
+            + Add Time Range
+          </button>
+          <span class="form-hint">Format: HHMM-HHMM (e.g., 0900-1700); 2200-0200 runs overnight</span>
+        </div>
+        
+        <div class="form-group">
+          <label class="form-label">Hours per Day</label>
+          <div class="day-times" data-field="dayTimes">
+            ${DAY_LABELS.map((day, dayIndex) => `
+              <div class="day-times-item ${group.schedule?.days?.includes(dayIndex) ? '' : 'hidden'}">
+                <label class="day-times-label" for="day-times-${index}-${dayIndex}">${day}</label>
+                <input type="text"
+                       id="day-times-${index}-${dayIndex}"
+                       value="${(group.schedule?.dayTimes?.[dayIndex] || []).join(', ')}"
+                       data-day-times="${dayIndex}"
+                       placeholder="Same as time ranges">
+                <div class="day-times-error hidden"></div>
+              </div>
+            `).join('')}
+          </div>
+          <span class="form-hint">Leave empty to use the time ranges above, or give a day its own (e.g., 1000-1400, 1500-1800)</span>
+        </div>
+        
+        <div class="form-group time-zone-group">
+          <label class="form-label" for="time-zone-${index}">Time Zone</label>
+          <input type="text"
+                 class="form-input"
+                 id="time-zone-${index}"
+                 value="${group.schedule?.timeZone || ''}"
+                 data-field="timeZone"
+                 list="time-zone-options"
+                 placeholder="${getLocalTimeZone()} (this browser)">
+          <div class="time-zone-error hidden"></div>
+          <span class="form-hint">Leave empty to follow this browser's time zone, or pin the schedule to one (e.g., America/New_York)</span>
+        </div>
+        
+        <div class="form-group">
+          <label class="form-label">Date Range</label>
+          <div class="date-range" data-field="dateRange">
+            <input type="date"
+                   class="form-input"
+                   value="${group.schedule?.startDate || ''}"
+                   max="${group.schedule?.endDate || ''}"
+                   data-date-bound="startDate"
+                   aria-label="First date">
+            <span class="date-range-separator">to</span>
+            <input type="date"
+                   class="form-input"
+                   value="${group.schedule?.endDate || ''}"
+                   min="${group.schedule?.startDate || ''}"
+                   data-date-bound="endDate"
+                   aria-label="Last date">
+          </div>
+          <span class="form-hint">Leave empty to run indefinitely, or limit the rule to a period like exam weeks</span>
+        </div>
+        
+        <div class="form-group">
+          <label class="form-label">Skip Dates</label>
+          ${renderDateList(group.schedule?.exceptDates, 'exceptDates')}
+          <span class="form-hint">Holidays and vacation days when the rule doesn't apply</span>
+        </div>
+        
+        <div class="form-group">
+          <label class="form-label">Only On Dates</label>
+          ${renderDateList(group.schedule?.onlyDates, 'onlyDates')}
+          <span class="form-hint">If any dates are picked, the rule applies on those dates only</span>
+        </div>
+        
+        <div class="form-group ics-import">
+          <label class="form-label" for="ics-file-${index}">Import from Calendar</label>
+          <input type="file" id="ics-file-${index}" class="ics-file" accept=".ics,text/calendar">
+          <div class="ics-preview hidden"></div>
+          <span class="form-hint">Pick an .ics file with weekly or daily recurring events; the resulting schedule is shown before it replaces this one</span>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render one of a group's limits: its max accesses and time window
+ */
+export function renderLimit(limit, limitIndex, limitCount) {
+  const windowType = limit.windowType || 'rolling';
+  
+  return `
+    <div class="limit-item" data-limit-index="${limitIndex}">
+      <div class="limit-row">
+        <input type="number"
+               class="form-input"
+               value="${limit.maxAccesses}"
+               data-limit-field="maxAccesses"
+               min="1"
+               title="Max accesses"
+               placeholder="e.g., 3">
+        <span class="limit-per">${windowType === 'bucket' ? 'banked,' : 'per'}</span>
+        <select class="form-input" data-limit-field="windowType" title="Window type">
+          ${WINDOW_TYPE_OPTIONS.map(([value, label]) => `
+            <option value="${value}" ${windowType === value ? 'selected' : ''}>${label}</option>
+          `).join('')}
+        </select>
+        <button class="btn btn-danger btn-small btn-icon btn-remove-limit ${limitCount > 1 ? '' : 'hidden'}"
+                title="Remove limit">
+          ×
+        </button>
+      </div>
+      <div class="limit-row ${windowType === 'rolling' || windowType === 'bucket' ? '' : 'hidden'}">
+        <input type="text" 
+               class="form-input" 
+               value="${limit.duration}" 
+               data-limit-field="duration"
+               title="${windowType === 'bucket' ? 'Minutes to refill one access' : 'Time window'}"
+               placeholder="e.g., 60 or '1h' or '90m'">
+      </div>
+      <div class="limit-row window-reset ${windowType === 'daily' || windowType === 'weekly' ? '' : 'hidden'}">
+        <select class="form-input ${windowType === 'weekly' ? '' : 'hidden'}" data-limit-field="windowResetDay" title="Reset day">
+          ${DAY_LABELS.map((label, day) => `
+            <option value="${day}" ${(limit.windowResetDay ?? 1) === day ? 'selected' : ''}>${label}</option>
+          `).join('')}
+        </select>
+        <input type="text"
+               class="form-input"
+               value="${limit.windowResetTime || '0000'}"
+               data-limit-field="windowResetTime"
+               title="Reset time"
+               placeholder="HHMM, e.g. 0000">
+      </div>
+      <div class="window-reset-error hidden"></div>
+      <span class="form-hint window-hint">${formatWindow(limit)}</span>
+    </div>
+  `;
+}
+
+/**
+ * Render a picked list of schedule dates with a calendar picker to add more
+ */
+export function renderDateList(dates = [], field) {
+  return `
+    <div class="date-list" data-date-field="${field}">
+      <div class="date-chips">
+        ${dates.map(date => `
+          <span class="date-chip">
+            ${formatScheduleDate(date)}
+            <button class="btn-remove-date" data-date="${date}" title="Remove date">×</button>
+          </span>
+        `).join('')}
+      </div>
+      <div class="date-picker">
+        <input type="date" class="form-input">
+        <button class="btn btn-secondary btn-small btn-add-date">+ Add Date</button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Escape HTML to prevent XSS
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -15,14 +15,52 @@ import {
   createDefaultRuleGroup,
   formatDuration,
   parseDuration,
+  setWindowType,
+  setGroupLimits,
+  getGroupLimits,
+  getGroupSites,
+  getSitePattern,
+  getSiteCost,
+  setSitePattern,
+  setSiteCost,
+  formatWindow,
+  setTimeBudget,
+  formatTimeBudget,
+  setSessionMinutes,
+  setCooldownMinutes,
+  validateTime,
   getDayName,
   formatTimeRange,
-  getConfigurationStats
+  getConfigurationStats,
+  validateSiteEntry,
+  isRegexPattern,
+  normalizeSitePattern,
+  findMissingAliases,
+  updateIgnoreList,
+  parseListEntries,
+  updateSiteAliases,
+  parseAliasEntries,
+  formatAliasEntries,
+  validateTimeRange,
+  isOvernightTimeRange,
+  parseTimeRangeList,
+  setDayTimes,
+  isValidTimeZone,
+  setScheduleTimeZone,
+  getTimeZoneOptions,
+  validateDate,
+  setScheduleDates,
+  setScheduleDateBound,
+  describeScheduleStatus,
+  importScheduleFromIcs
 } from './settings-data.js';
+import { renderGroupHtml, escapeHtml } from './settings-render.js';
 
 // State
 let currentConfig = null;
 let saveTimeout = null;
+let ignoreSaveTimeout = null;
+let aliasSaveTimeout = null;
 
 // DOM Elements
 const groupsContainer = document.getElementById('groups-container');
@@ -41,11 +79,19 @@ const importJson = document.getElementById('import-json');
 const importFile = document.getElementById('import-file');
 const importErrors = document.getElementById('import-errors');
 const fileName = document.getElementById('file-name');
+const ignoreHosts = document.getElementById('ignore-hosts');
+const ignoreSchemes = document.getElementById('ignore-schemes');
+const ignoreIpRanges = document.getElementById('ignore-ip-ranges');
+const ignoreErrors = document.getElementById('ignore-errors');
+const aliasEntries = document.getElementById('alias-entries');
+const aliasErrors = document.getElementById('alias-errors');
+const timeZoneOptions = document.getElementById('time-zone-options');
 
 // Statistics elements
 const statGroups = document.getElementById('stat-groups');
 const statSites = document.getElementById('stat-sites');
 const statActive = document.getElementById('stat-active');
+const statEnded = document.getElementById('stat-ended');
 
 /**
  * Initialize the settings page
@@ -53,12 +99,20 @@ const statActive = document.getElementById('stat-active');
 async function init() {
   console.log('Settings page initializing...');
   
+  // Time zone suggestions shared by every schedule editor
+  timeZoneOptions.innerHTML = getTimeZoneOptions()
+    .map(timeZone => `<option value="${timeZone}"></option>`)
+    .join('');
+  
   // Load initial configuration
   await loadAndRender();
   
   // Set up event listeners
   setupEventListeners();
   
+  // Keep each group's "Active until..." status current
+  setInterval(updateGroupStatuses, 60000);
+  
   console.log('Settings page ready!');
 }
 
@@ -74,6 +128,11 @@ function setupEventListeners() {
   importConfirm.addEventListener('click', handleImport);
   importFile.addEventListener('change', handleFileSelect);
   
+  [ignoreHosts, ignoreSchemes, ignoreIpRanges].forEach(textarea => {
+    textarea.addEventListener('input', debouncedSaveIgnoreList);
+  });
+  aliasEntries.addEventListener('input', debouncedSaveSiteAliases);
+  
   // Close modal on backdrop click
   importModal.addEventListener('click', (e) => {
     if (e.target === importModal) {
@@ -100,6 +159,8 @@ async function loadAndRender() {
  */
 async function renderAll() {
   renderGroups();
+  renderIgnoreList();
+  renderSiteAliases();
   await updateStatistics();
   await checkOverlaps();
 }
@@ -123,6 +184,25 @@ function renderGroups() {
   });
 }
 
+/**
+ * Fill the ignore list textareas from the configuration
+ */
+function renderIgnoreList() {
+  const ignoreList = currentConfig.ignoreList || {};
+  ignoreHosts.value = (ignoreList.hosts || []).join('\n');
+  ignoreSchemes.value = (ignoreList.schemes || []).join('\n');
+  ignoreIpRanges.value = (ignoreList.ipRanges || []).join('\n');
+  ignoreErrors.classList.add('hidden');
+}
+
+/**
+ * Fill the alias editor from the configured aliases
+ */
+function renderSiteAliases() {
+  aliasEntries.value = formatAliasEntries(currentConfig.aliases || {});
+  aliasErrors.classList.add('hidden');
+}
+
 /**
  * Create a rule group element
  */
@@ -131,124 +211,7 @@ function createGroupElement(group, index) {
   div.className = 'rule-group';
   div.dataset.index = index;
   
-  div.innerHTML = `
-    <div class="group-header">
-      <div class="group-title">
-        <input type="text" 
-               value="${escapeHtml(group.name)}" 
-               data-field="name"
-               placeholder="Rule Group Name">
-      </div>
-      <div class="group-actions">
-        <button class="btn btn-danger btn-small btn-delete" title="Delete this rule group">
-          🗑️ Delete
-        </button>
-      </div>
-    </div>
-    
-    <div class="group-body">
-      <div class="group-section">
-        <div class="section-title">⚙️ Settings</div>
-        
-        <div class="form-group">
-          <label class="form-label">Time Window</label>
-          <input type="text" 
-                 class="form-input" 
-                 value="${group.duration}" 
-                 data-field="duration"
-                 placeholder="e.g., 60 or '1h' or '90m'">
-          <span class="form-hint">${formatDuration(group.duration)}</span>
-        </div>
-        
-        <div class="form-group">
-          <label class="form-label">Max Accesses</label>
-          <input type="number" 
-                 class="form-input" 
-                 value="${group.maxAccesses}" 
-                 data-field="maxAccesses"
-                 min="1"
-                 placeholder="e.g., 3">
-          <span class="form-hint">Allowed accesses within the time window</span>
-        </div>
-        
-        <div class="toggle-container">
-          <label class="toggle-switch">
-            <input type="checkbox" 
-                   ${group.strictMode ? 'checked' : ''}
-                   data-field="strictMode">
-            <span class="toggle-slider"></span>
-          </label>
-          <div>
-            <div class="toggle-label">Strict Mode</div>
-            <span class="form-hint">Share limit across all sites</span>
-          </div>
-        </div>
-        
-        <div class="form-group">
-          <label class="form-label">🌐 Sites</label>
-          <div class="sites-list" data-field="sites">
-            ${group.sites.map((site, siteIndex) => `
-              <div class="site-item">
-                <input type="text" 
-                       value="${escapeHtml(site)}"
-                       data-site-index="${siteIndex}"
-                       placeholder="example.com">
-                <button class="btn btn-danger btn-small btn-icon btn-remove-site" 
-                        data-site-index="${siteIndex}"
-                        title="Remove site">
-                  ×
-                </button>
-              </div>
-            `).join('')}
-          </div>
-          <button class="add-site-btn">+ Add Site</button>
-        </div>
-      </div>
-      
-      <div class="group-section">
-        <div class="section-title">📅 Schedule</div>
-        
-        <div class="form-group">
-          <label class="form-label">Active Days</label>
-          <div class="days-selector">
-            ${['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map((day, dayIndex) => `
-              <div class="day-checkbox">
-                <input type="checkbox" 
-                       id="day-${index}-${dayIndex}"
-                       ${group.schedule?.days?.includes(dayIndex) ? 'checked' : ''}
-                       data-day="${dayIndex}">
-                <label for="day-${index}-${dayIndex}">${day}</label>
-              </div>
-            `).join('')}
-          </div>
-        </div>
-        
-        <div class="form-group">
-          <label class="form-label">Time Ranges</label>
-          <div class="time-ranges" data-field="times">
-            ${(group.schedule?.times || ['0000-2359']).map((timeRange, timeIndex) => `
-              <div class="time-range-item">
-                <input type="text" 
-                       value="${timeRange}"
-                       data-time-index="${timeIndex}"
-                       placeholder="0900-1700"
-                       pattern="\\d{4}-\\d{4}">
-                <button class="btn btn-danger btn-small btn-icon btn-remove-time" 
-                        data-time-index="${timeIndex}"
-                        title="Remove time range">
-                  ×
-                </button>
-              </div>
-            `).join('')}
-          </div>
-          <button class="add-time-btn btn btn-secondary btn-small" style="width: 100%; margin-top: 8px;">
-            + Add Time Range
-          </button>
-          <span class="form-hint">Format: HHMM-HHMM (e.g., 0900-1700)</span>
-        </div>
-      </div>
-    </div>
-  `;
+  div.innerHTML = renderGroupHtml(group, index);
   
   // Set up event listeners for this group
   setupGroupEventListeners(div, index);
@@ -270,38 +233,49 @@ function setupGroupEventListeners(groupElement, index) {
     debouncedUpdate(index, 'name', e.target.value);
   });
   
-  // Duration input
-  const durationInput = groupElement.querySelector('[data-field="duration"]');
-  durationInput.addEventListener('input', (e) => {
-    let value = e.target.value;
-    // Try to parse as duration string
-    const parsed = parseDuration(value);
-    if (parsed !== null) {
-      value = parsed;
-    } else {
-      value = parseInt(value, 10);
+  // Limits
+  const limitList = groupElement.querySelector('[data-field="limits"]');
+  limitList.addEventListener('input', (e) => {
+    if (e.target.dataset.limitField && e.target.tagName !== 'SELECT') {
+      updateLimitField(index, e.target);
     }
-    
-    if (!isNaN(value) && value > 0) {
-      debouncedUpdate(index, 'duration', value);
-      // Update hint
-      const hint = durationInput.nextElementSibling;
-      hint.textContent = formatDuration(value);
+  });
+  
+  limitList.addEventListener('change', (e) => {
+    if (e.target.dataset.limitField && e.target.tagName === 'SELECT') {
+      updateLimitField(index, e.target);
     }
   });
   
-  // Max accesses input
-  const maxAccessesInput = groupElement.querySelector('[data-field="maxAccesses"]');
-  maxAccessesInput.addEventListener('input', (e) => {
-    const value = parseInt(e.target.value, 10);
-    if (!isNaN(value) && value > 0) {
-      debouncedUpdate(index, 'maxAccesses', value);
+  limitList.addEventListener('click', (e) => {
+    const removeBtn = e.target.closest('.btn-remove-limit');
+    if (removeBtn) {
+      removeLimit(index, parseInt(removeBtn.closest('.limit-item').dataset.limitIndex, 10));
     }
   });
   
+  groupElement.querySelector('.btn-add-limit').addEventListener('click', () => addLimit(index));
+  
+  // Time budget
+  const timeBudget = groupElement.querySelector('[data-field="timeBudget"]');
+  timeBudget.addEventListener('input', () => updateTimeBudget(index, timeBudget));
+  
+  // Session length
+  const sessionInput = groupElement.querySelector('[data-field="sessionMinutes"]');
+  sessionInput.addEventListener('input', (e) => updateSessionMinutes(index, e.target));
+  
+  // Cooldown
+  const cooldownInput = groupElement.querySelector('[data-field="cooldownMinutes"]');
+  cooldownInput.addEventListener('input', (e) => updateCooldownMinutes(index, e.target));
+  
   // Strict mode toggle
   const strictModeInput = groupElement.querySelector('[data-field="strictMode"]');
   strictModeInput.addEventListener('change', (e) => {
+    // Site costs only apply in strict mode
+    groupElement.querySelectorAll('.site-cost').forEach(costInput => {
+      const pattern = getSitePattern(currentConfig.groups[index].sites[costInput.dataset.siteCostIndex]);
+      costInput.classList.toggle('hidden', !e.target.checked || pattern.startsWith('!'));
+    });
     debouncedUpdate(index, 'strictMode', e.target.checked);
   });
   
@@ -310,7 +284,10 @@ function setupGroupEventListeners(groupElement, index) {
   sitesContainer.addEventListener('input', (e) => {
     if (e.target.hasAttribute('data-site-index')) {
       const siteIndex = parseInt(e.target.dataset.siteIndex, 10);
-      updateSite(index, siteIndex, e.target.value);
+      updateSite(index, siteIndex, e.target);
+    } else if (e.target.hasAttribute('data-site-cost-index')) {
+      const siteIndex = parseInt(e.target.dataset.siteCostIndex, 10);
+      updateSiteCost(index, siteIndex, e.target);
     }
   });
   
@@ -318,6 +295,14 @@ function setupGroupEventListeners(groupElement, index) {
     if (e.target.classList.contains('btn-remove-site')) {
       const siteIndex = parseInt(e.target.dataset.siteIndex, 10);
       removeSite(index, siteIndex);
+    } else if (e.target.classList.contains('btn-add-aliases')) {
+      const siteIndex = parseInt(e.target.dataset.siteIndex, 10);
+      addSiteAliases(index, siteIndex);
+    } else if (e.target.classList.contains('btn-use-suggestion')) {
+      const siteIndex = parseInt(e.target.dataset.siteIndex, 10);
+      const input = sitesContainer.querySelector(`input[data-site-index="${siteIndex}"]`);
+      input.value = normalizeSitePattern(input.value);
+      updateSite(index, siteIndex, input);
     }
   });
   
@@ -337,7 +322,7 @@ function setupGroupEventListeners(groupElement, index) {
   timeRanges.addEventListener('input', (e) => {
     if (e.target.hasAttribute('data-time-index')) {
       const timeIndex = parseInt(e.target.dataset.timeIndex, 10);
-      updateTimeRange(index, timeIndex, e.target.value);
+      updateTimeRange(index, timeIndex, e.target);
     }
   });
   
@@ -350,6 +335,50 @@ function setupGroupEventListeners(groupElement, index) {
   
   const addTimeBtn = groupElement.querySelector('.add-time-btn');
   addTimeBtn.addEventListener('click', () => addTimeRange(index));
+  
+  // Per-day time ranges
+  const dayTimes = groupElement.querySelector('[data-field="dayTimes"]');
+  dayTimes.addEventListener('input', (e) => {
+    if (e.target.hasAttribute('data-day-times')) {
+      const day = parseInt(e.target.dataset.dayTimes, 10);
+      updateDayTimes(index, day, e.target);
+    }
+  });
+  
+  // Schedule time zone
+  const timeZoneInput = groupElement.querySelector('[data-field="timeZone"]');
+  timeZoneInput.addEventListener('input', (e) => updateScheduleTimeZone(index, e.target));
+  
+  // Date range
+  const dateRange = groupElement.querySelector('[data-field="dateRange"]');
+  dateRange.addEventListener('change', (e) => {
+    if (e.target.hasAttribute('data-date-bound')) {
+      updateScheduleDateBound(index, e.target.dataset.dateBound, e.target.value);
+    }
+  });
+  
+  // Skip dates and only-on dates
+  groupElement.querySelectorAll('.date-list').forEach(list => {
+    const field = list.dataset.dateField;
+    list.addEventListener('click', (e) => {
+      if (e.target.classList.contains('btn-add-date')) {
+        addScheduleDate(index, field, list.querySelector('.date-picker input').value);
+      } else if (e.target.classList.contains('btn-remove-date')) {
+        removeScheduleDate(index, field, e.target.dataset.date);
+      }
+    });
+  });
+  
+  // Calendar import
+  const icsImport = groupElement.querySelector('.ics-import');
+  icsImport.querySelector('.ics-file').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = (event) => previewIcsImport(index, icsImport, event.target.result);
+    reader.readAsText(file);
+  });
 }
 
 /**
@@ -422,17 +451,194 @@ async function saveGroup(index) {
   } else {
     // Check for overlaps after save
     await checkOverlaps();
+    updateGroupStatuses();
+  }
+}
+
+/**
+ * Refresh the schedule status shown under each group's name
+ */
+function updateGroupStatuses() {
+  groupsContainer.querySelectorAll('.rule-group').forEach(groupElement => {
+    const group = currentConfig.groups[parseInt(groupElement.dataset.index, 10)];
+    if (group) {
+      groupElement.querySelector('.group-status').textContent = describeScheduleStatus(group.schedule);
+    }
+  });
+}
+
+/**
+ * Debounced save of the ignore list textareas
+ */
+function debouncedSaveIgnoreList() {
+  clearTimeout(ignoreSaveTimeout);
+  ignoreSaveTimeout = setTimeout(saveIgnoreList, 500);
+}
+
+/**
+ * Save the ignore list, keeping the typed text and listing errors if it is invalid
+ */
+async function saveIgnoreList() {
+  const ignoreList = {
+    hosts: parseListEntries(ignoreHosts.value),
+    schemes: parseListEntries(ignoreSchemes.value),
+    ipRanges: parseListEntries(ignoreIpRanges.value)
+  };
+  
+  const result = await updateIgnoreList(ignoreList);
+  
+  if (result.success) {
+    currentConfig.ignoreList = ignoreList;
+    ignoreErrors.classList.add('hidden');
+  } else {
+    ignoreErrors.innerHTML = `
+      <strong>Not saved:</strong>
+      <ul>
+        ${result.errors.map(e => `<li>${escapeHtml(e)}</li>`).join('')}
+      </ul>
+    `;
+    ignoreErrors.classList.remove('hidden');
+  }
+}
+
+/**
+ * Debounced save of the alias editor
+ */
+function debouncedSaveSiteAliases() {
+  clearTimeout(aliasSaveTimeout);
+  aliasSaveTimeout = setTimeout(saveSiteAliases, 500);
+}
+
+/**
+ * Save the alias editor, keeping the typed text and listing errors if it is invalid
+ */
+async function saveSiteAliases() {
+  const { aliases, errors } = parseAliasEntries(aliasEntries.value);
+  const result = errors.length > 0
+    ? { success: false, errors }
+    : await updateSiteAliases(aliases);
+  
+  if (result.success) {
+    currentConfig.aliases = aliases;
+    aliasErrors.classList.add('hidden');
+    // Aliases decide which sites count as the same one across groups
+    await checkOverlaps();
+  } else {
+    aliasErrors.innerHTML = `
+      <strong>Not saved:</strong>
+      <ul>
+        ${result.errors.map(e => `<li>${escapeHtml(e)}</li>`).join('')}
+      </ul>
+    `;
+    aliasErrors.classList.remove('hidden');
   }
 }
 
 /**
  * Update a site in the list
  */
-function updateSite(groupIndex, siteIndex, value) {
-  currentConfig.groups[groupIndex].sites[siteIndex] = value.trim();
+function updateSite(groupIndex, siteIndex, input) {
+  const site = input.value.trim();
+  const sites = currentConfig.groups[groupIndex].sites;
+  sites[siteIndex] = setSitePattern(sites[siteIndex], site);
+  
+  // Exclusions count nothing, so they have no cost
+  const costInput = input.closest('.site-item').querySelector('.site-cost');
+  costInput.classList.toggle('hidden', !currentConfig.groups[groupIndex].strictMode || site.startsWith('!'));
+  costInput.value = getSiteCost(sites[siteIndex]);
+  
+  // Validate live and hold off saving until the pattern is valid
+  const error = site ? validateSiteEntry(site) : null;
+  showSiteError(input, error);
+  
+  const regexBadge = input.closest('.site-item').querySelector('.site-badge-regex');
+  regexBadge.classList.toggle('hidden', !isRegexPattern(site.replace(/^!/, '')));
+  
+  // Pasted URLs ("https://www.reddit.com/") get a canonical pattern suggested
+  const normalized = site ? normalizeSitePattern(site) : site;
+  showNormalizationSuggestion(input, normalized !== site ? normalized : null);
+  
+  const aliases = site && !error
+    ? findMissingAliases(site, getGroupSites(currentConfig.groups[groupIndex]), currentConfig)
+    : [];
+  showAliasSuggestion(input, aliases);
+  
+  if (!site || error) {
+    clearTimeout(saveTimeout);
+    return;
+  }
+  
   debouncedUpdate(groupIndex, 'sites', currentConfig.groups[groupIndex].sites);
 }
 
+/**
+ * Update how many accesses a visit to a site counts as in strict mode
+ */
+function updateSiteCost(groupIndex, siteIndex, input) {
+  const cost = Number(input.value);
+  
+  // Validate live and hold off saving until the cost is usable
+  const error = input.value.trim() === '' || !(cost > 0) ? 'Cost must be a positive number' : null;
+  showSiteError(input, error);
+  
+  if (error) {
+    clearTimeout(saveTimeout);
+    return;
+  }
+  
+  const sites = currentConfig.groups[groupIndex].sites;
+  sites[siteIndex] = setSiteCost(sites[siteIndex], cost);
+  debouncedUpdate(groupIndex, 'sites', sites);
+}
+
+/**
+ * Show or clear the canonical form suggested for a site input
+ */
+function showNormalizationSuggestion(input, normalized) {
+  const suggestion = input.closest('.site-item').querySelector('.site-suggestion');
+  
+  suggestion.querySelector('.site-suggestion-text').textContent = normalized
+    ? `Did you mean ${normalized}?`
+    : '';
+  suggestion.classList.toggle('hidden', !normalized);
+}
+
+/**
+ * Offer to add the equivalent domains of a known site (e.g. x.com for twitter.com)
+ */
+function showAliasSuggestion(input, aliases) {
+  const suggestion = input.closest('.site-item').querySelector('.site-aliases');
+  
+  suggestion.querySelector('.site-aliases-text').textContent = aliases.length > 0
+    ? `Also add aliases? ${aliases.join(', ')}`
+    : '';
+  suggestion.classList.toggle('hidden', aliases.length === 0);
+}
+
+/**
+ * Add the missing aliases of a site to its group
+ */
+function addSiteAliases(groupIndex, siteIndex) {
+  const group = currentConfig.groups[groupIndex];
+  group.sites.push(...findMissingAliases(getSitePattern(group.sites[siteIndex]), getGroupSites(group), currentConfig));
+  
+  clearTimeout(saveTimeout);
+  renderGroups();
+  saveGroup(groupIndex);
+}
+
+/**
+ * Show or clear the validation error for a site input
+ */
+function showSiteError(input, error) {
+  const siteItem = input.closest('.site-item');
+  const errorElement = siteItem.querySelector('.site-error');
+  
+  siteItem.classList.toggle('invalid', Boolean(error));
+  errorElement.textContent = error || '';
+  errorElement.classList.toggle('hidden', !error);
+}
+
 /**
  * Add a new site to the list
  */
@@ -479,14 +685,391 @@ function updateScheduleDays(groupIndex, groupElement) {
     currentConfig.groups[groupIndex].schedule = { days: [], times: ['0000-2359'] };
   }
   
-  currentConfig.groups[groupIndex].schedule.days = days;
+  let schedule = { ...currentConfig.groups[groupIndex].schedule, days };
+  
+  // Only active days can have their own hours
+  groupElement.querySelectorAll('[data-day-times]').forEach(input => {
+    const day = parseInt(input.dataset.dayTimes, 10);
+    const active = days.includes(day);
+    input.closest('.day-times-item').classList.toggle('hidden', !active);
+    if (!active) {
+      input.value = '';
+      showDayTimesError(input, null);
+      schedule = setDayTimes(schedule, day, []);
+    }
+  });
+  
+  currentConfig.groups[groupIndex].schedule = schedule;
+  debouncedUpdate(groupIndex, 'schedule', schedule);
+}
+
+/**
+ * Update the time ranges of one day
+ */
+function updateDayTimes(groupIndex, day, input) {
+  const schedule = currentConfig.groups[groupIndex].schedule;
+  if (!schedule) {
+    return;
+  }
+  
+  // Validate live and hold off saving until every range is valid
+  const times = parseTimeRangeList(input.value);
+  const invalid = times.find(timeRange => validateTimeRange(timeRange));
+  const error = invalid ? `"${invalid}" ${validateTimeRange(invalid)}` : null;
+  showDayTimesError(input, error);
+  
+  if (error) {
+    clearTimeout(saveTimeout);
+    return;
+  }
+  
+  currentConfig.groups[groupIndex].schedule = setDayTimes(schedule, day, times);
   debouncedUpdate(groupIndex, 'schedule', currentConfig.groups[groupIndex].schedule);
 }
 
+/**
+ * Show or clear the validation error of a day's time ranges
+ */
+function showDayTimesError(input, error) {
+  const item = input.closest('.day-times-item');
+  const errorElement = item.querySelector('.day-times-error');
+  
+  item.classList.toggle('invalid', Boolean(error));
+  errorElement.textContent = error || '';
+  errorElement.classList.toggle('hidden', !error);
+}
+
+/**
+ * Update the time zone of a schedule
+ */
+function updateScheduleTimeZone(groupIndex, input) {
+  const timeZone = input.value.trim();
+  
+  // Validate live and hold off saving until the zone is known
+  const error = timeZone && !isValidTimeZone(timeZone)
+    ? `"${timeZone}" is not a known time zone`
+    : null;
+  const group = input.closest('.time-zone-group');
+  const errorElement = group.querySelector('.time-zone-error');
+  group.classList.toggle('invalid', Boolean(error));
+  errorElement.textContent = error || '';
+  errorElement.classList.toggle('hidden', !error);
+  
+  if (error) {
+    clearTimeout(saveTimeout);
+    return;
+  }
+  
+  const schedule = getScheduleOrDefault(groupIndex);
+  currentConfig.groups[groupIndex].schedule = setScheduleTimeZone(schedule, timeZone);
+  debouncedUpdate(groupIndex, 'schedule', currentConfig.groups[groupIndex].schedule);
+}
+
+/**
+ * Update a field of one of a group's limits
+ */
+function updateLimitField(groupIndex, input) {
+  const item = input.closest('.limit-item');
+  const limitIndex = parseInt(item.dataset.limitIndex, 10);
+  const limits = [...getGroupLimits(currentConfig.groups[groupIndex])];
+  const limit = limits[limitIndex];
+  
+  switch (input.dataset.limitField) {
+    case 'windowType':
+      // Switching shows other inputs, so redraw and save right away
+      limits[limitIndex] = setWindowType(limit, input.value);
+      currentConfig.groups[groupIndex] = setGroupLimits(currentConfig.groups[groupIndex], limits);
+      renderGroups();
+      saveGroup(groupIndex);
+      return;
+    case 'maxAccesses': {
+      const value = parseInt(input.value, 10);
+      if (isNaN(value) || value <= 0) {
+        return;
+      }
+      limits[limitIndex] = { ...limit, maxAccesses: value };
+      break;
+    }
+    case 'duration': {
+      // Try to parse as duration string, then as plain minutes
+      const value = parseDuration(input.value) ?? parseInt(input.value, 10);
+      if (isNaN(value) || value <= 0) {
+        return;
+      }
+      limits[limitIndex] = { ...limit, duration: value };
+      break;
+    }
+    case 'windowResetDay':
+      limits[limitIndex] = { ...limit, windowResetDay: parseInt(input.value, 10) };
+      break;
+    case 'windowResetTime': {
+      // Validate live and hold off saving until the time is valid
+      const resetTime = input.value.trim();
+      const error = validateTime(resetTime);
+      const errorElement = item.querySelector('.window-reset-error');
+      item.classList.toggle('invalid', Boolean(error));
+      errorElement.textContent = error ? `Reset time ${error}` : '';
+      errorElement.classList.toggle('hidden', !error);
+      
+      if (error) {
+        clearTimeout(saveTimeout);
+        return;
+      }
+      limits[limitIndex] = { ...limit, windowResetTime: resetTime };
+      break;
+    }
+  }
+  
+  currentConfig.groups[groupIndex] = setGroupLimits(currentConfig.groups[groupIndex], limits);
+  debouncedUpdate(groupIndex, 'limits', limits);
+  item.querySelector('.window-hint').textContent = formatWindow(limits[limitIndex]);
+}
+
+/**
+ * Add a limit to a group, by default a daily one on top of the existing limits
+ */
+function addLimit(groupIndex) {
+  const group = currentConfig.groups[groupIndex];
+  const limits = [...getGroupLimits(group), { maxAccesses: 10, duration: 60, windowType: 'daily', windowResetTime: '0000' }];
+  
+  currentConfig.groups[groupIndex] = setGroupLimits(group, limits);
+  renderGroups();
+  saveGroup(groupIndex);
+}
+
+/**
+ * Remove one of a group's limits
+ */
+function removeLimit(groupIndex, limitIndex) {
+  const group = currentConfig.groups[groupIndex];
+  const limits = getGroupLimits(group).filter((limit, i) => i !== limitIndex);
+  
+  // Ensure at least one limit
+  if (limits.length === 0) {
+    return;
+  }
+  
+  currentConfig.groups[groupIndex] = setGroupLimits(group, limits);
+  renderGroups();
+  saveGroup(groupIndex);
+}
+
+/**
+ * Update a group's time budget from its inputs; an empty time allowed removes the budget
+ */
+function updateTimeBudget(groupIndex, container) {
+  const minutesText = container.querySelector('[data-budget-field="minutes"]').value.trim();
+  const durationText = container.querySelector('[data-budget-field="duration"]').value.trim();
+  
+  let timeBudget = null;
+  let error = null;
+  if (minutesText !== '') {
+    timeBudget = { minutes: parseDuration(minutesText), duration: parseDuration(durationText) };
+    if (timeBudget.minutes === null) {
+      error = 'Enter the time allowed, e.g. 30 or 1h';
+    } else if (timeBudget.duration === null) {
+      error = 'Enter the time window, e.g. 240 or 4h';
+    } else if (timeBudget.minutes > timeBudget.duration) {
+      error = 'The time allowed cannot be longer than the time window';
+    }
+  }
+  
+  // Validate live and hold off saving until the budget is complete
+  const errorElement = container.querySelector('.time-budget-error');
+  container.classList.toggle('invalid', Boolean(error));
+  errorElement.textContent = error || '';
+  errorElement.classList.toggle('hidden', !error);
+  
+  if (error) {
+    clearTimeout(saveTimeout);
+    return;
+  }
+  
+  container.querySelector('.time-budget-hint').textContent =
+    `${timeBudget ? formatTimeBudget(timeBudget) : 'No time budget'} - time counts while the site is open in the focused window`;
+  
+  // Removing the budget drops the field, so save the whole group
+  currentConfig.groups[groupIndex] = setTimeBudget(currentConfig.groups[groupIndex], timeBudget);
+  clearTimeout(saveTimeout);
+  saveTimeout = setTimeout(() => {
+    saveGroup(groupIndex);
+  }, 500);
+}
+
+/**
+ * Update how long each visit lasts; empty means unlimited
+ */
+function updateSessionMinutes(groupIndex, input) {
+  const text = input.value.trim();
+  const sessionMinutes = text === '' ? null : parseDuration(text);
+  
+  // Validate live and hold off saving until the length is readable
+  const error = text !== '' && sessionMinutes === null ? 'Enter a length, e.g. 10 or 1h' : null;
+  const container = input.closest('.session-group');
+  const errorElement = container.querySelector('.session-error');
+  container.classList.toggle('invalid', Boolean(error));
+  errorElement.textContent = error || '';
+  errorElement.classList.toggle('hidden', !error);
+  
+  if (error) {
+    clearTimeout(saveTimeout);
+    return;
+  }
+  
+  container.querySelector('.session-hint').textContent = sessionMinutes
+    ? `Each visit lasts ${formatDuration(sessionMinutes)}`
+    : 'Visits last as long as you like';
+  
+  // Clearing the length drops the field, so save the whole group
+  currentConfig.groups[groupIndex] = setSessionMinutes(currentConfig.groups[groupIndex], sessionMinutes);
+  clearTimeout(saveTimeout);
+  saveTimeout = setTimeout(() => {
+    saveGroup(groupIndex);
+  }, 500);
+}
+
+/**
+ * Update the wait after each access; empty means none
+ */
+function updateCooldownMinutes(groupIndex, input) {
+  const text = input.value.trim();
+  const cooldownMinutes = text === '' ? null : parseDuration(text);
+  
+  // Validate live and hold off saving until the cooldown is readable
+  const error = text !== '' && cooldownMinutes === null ? 'Enter a wait, e.g. 30 or 2h' : null;
+  const container = input.closest('.cooldown-group');
+  const errorElement = container.querySelector('.cooldown-error');
+  container.classList.toggle('invalid', Boolean(error));
+  errorElement.textContent = error || '';
+  errorElement.classList.toggle('hidden', !error);
+  
+  if (error) {
+    clearTimeout(saveTimeout);
+    return;
+  }
+  
+  container.querySelector('.cooldown-hint').textContent = cooldownMinutes
+    ? `Wait ${formatDuration(cooldownMinutes)} after each access`
+    : 'No wait between accesses';
+  
+  // Clearing the cooldown drops the field, so save the whole group
+  currentConfig.groups[groupIndex] = setCooldownMinutes(currentConfig.groups[groupIndex], cooldownMinutes);
+  clearTimeout(saveTimeout);
+  saveTimeout = setTimeout(() => {
+    saveGroup(groupIndex);
+  }, 500);
+}
+
+/**
+ * Get a group's schedule, or an every-day schedule to start editing from
+ */
+function getScheduleOrDefault(groupIndex) {
+  return currentConfig.groups[groupIndex].schedule || {
+    days: [0, 1, 2, 3, 4, 5, 6],
+    times: ['0000-2359']
+  };
+}
+
+/**
+ * Update the first or last date of a schedule
+ */
+function updateScheduleDateBound(groupIndex, field, date) {
+  const schedule = setScheduleDateBound(getScheduleOrDefault(groupIndex), field, date);
+  if (schedule.startDate && schedule.endDate && schedule.startDate > schedule.endDate) {
+    showMessage('The first date must not be after the last date', 'error');
+    renderGroups();
+    return;
+  }
+  
+  currentConfig.groups[groupIndex].schedule = schedule;
+  renderGroups();
+  saveGroup(groupIndex);
+}
+
+/**
+ * Add a date to a schedule's skip or only-on list
+ */
+function addScheduleDate(groupIndex, field, date) {
+  if (validateDate(date)) {
+    showMessage('Pick a date first', 'error');
+    return;
+  }
+  
+  const schedule = getScheduleOrDefault(groupIndex);
+  currentConfig.groups[groupIndex].schedule = setScheduleDates(schedule, field, [...(schedule[field] || []), date]);
+  renderGroups();
+  saveGroup(groupIndex);
+}
+
+/**
+ * Remove a date from a schedule's skip or only-on list
+ */
+function removeScheduleDate(groupIndex, field, date) {
+  const schedule = currentConfig.groups[groupIndex].schedule;
+  if (!schedule) {
+    return;
+  }
+  
+  const dates = (schedule[field] || []).filter(d => d !== date);
+  currentConfig.groups[groupIndex].schedule = setScheduleDates(schedule, field, dates);
+  renderGroups();
+  saveGroup(groupIndex);
+}
+
+/**
+ * Show the schedule an .ics file converts to, with buttons to apply or discard it
+ */
+function previewIcsImport(groupIndex, container, icsText) {
+  const preview = container.querySelector('.ics-preview');
+  const result = importScheduleFromIcs(icsText);
+  
+  if (!result.success) {
+    preview.innerHTML = `
+      <div class="error-messages">
+        <strong>Import failed:</strong>
+        <ul>
+          ${result.errors.map(e => `<li>${escapeHtml(e)}</li>`).join('')}
+        </ul>
+      </div>
+    `;
+    preview.classList.remove('hidden');
+    return;
+  }
+  
+  preview.innerHTML = `
+    <div class="ics-preview-title">Resulting schedule</div>
+    <ul class="ics-preview-lines">
+      ${result.preview.map(line => `<li>${escapeHtml(line)}</li>`).join('')}
+    </ul>
+    ${result.warnings.length > 0 ? `
+      <ul class="ics-preview-warnings">
+        ${result.warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('')}
+      </ul>
+    ` : ''}
+    <div class="ics-preview-actions">
+      <button class="btn btn-primary btn-small btn-apply-ics">Use This Schedule</button>
+      <button class="btn btn-secondary btn-small btn-discard-ics">Discard</button>
+    </div>
+  `;
+  preview.classList.remove('hidden');
+  
+  preview.querySelector('.btn-apply-ics').addEventListener('click', () => {
+    currentConfig.groups[groupIndex].schedule = result.schedule;
+    renderGroups();
+    saveGroup(groupIndex);
+    showMessage('Schedule imported from calendar', 'success');
+  });
+  preview.querySelector('.btn-discard-ics').addEventListener('click', () => {
+    preview.classList.add('hidden');
+    preview.innerHTML = '';
+    container.querySelector('.ics-file').value = '';
+  });
+}
+
 /**
  * Update a time range
  */
-function updateTimeRange(groupIndex, timeIndex, value) {
+function updateTimeRange(groupIndex, timeIndex, input) {
   if (!currentConfig.groups[groupIndex].schedule) {
     currentConfig.groups[groupIndex].schedule = { 
       days: [0, 1, 2, 3, 4, 5, 6], 
@@ -494,10 +1077,34 @@ function updateTimeRange(groupIndex, timeIndex, value) {
     };
   }
   
-  currentConfig.groups[groupIndex].schedule.times[timeIndex] = value.trim();
+  const timeRange = input.value.trim();
+  currentConfig.groups[groupIndex].schedule.times[timeIndex] = timeRange;
+  
+  // Validate live and hold off saving until the range is valid
+  const error = validateTimeRange(timeRange);
+  showTimeRangeNote(input, error ? `Time range ${error}` : null, timeRange);
+  
+  if (error) {
+    clearTimeout(saveTimeout);
+    return;
+  }
+  
   debouncedUpdate(groupIndex, 'schedule', currentConfig.groups[groupIndex].schedule);
 }
 
+/**
+ * Show a time range's validation error, or when it runs overnight
+ */
+function showTimeRangeNote(input, error, timeRange) {
+  const item = input.closest('.time-range-item');
+  const note = item.querySelector('.time-range-note');
+  const overnight = !error && isOvernightTimeRange(timeRange);
+  
+  item.classList.toggle('invalid', Boolean(error));
+  note.textContent = error || (overnight ? `Overnight: ${formatTimeRange(timeRange)}` : '');
+  note.classList.toggle('hidden', !error && !overnight);
+}
+
 /**
  * Add a new time range
  */
@@ -541,6 +1148,8 @@ async function updateStatistics() {
     statGroups.textContent = stats.totalGroups;
     statSites.textContent = stats.totalSites;
     statActive.textContent = stats.activeGroups;
+    statEnded.textContent = stats.endedGroups > 0 ? `${stats.endedGroups} past end date` : '';
+    statEnded.classList.toggle('hidden', stats.endedGroups === 0);
   } catch (error) {
     console.error('Error updating statistics:', error);
   }
@@ -690,14 +1299,5 @@ function showMessage(text, type = 'success') {
   }, 5000);
 }
 
-/**
- * Escape HTML to prevent XSS
- */
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
-}
-
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', init);
@@ -104,7 +104,7 @@ async function testAddAccessLog() {
     const timestamp = Date.now();
     const tabId = Math.floor(Math.random() * 100);
     
-    await addAccessLog(randomSite, timestamp, tabId);
+    await addAccessLog(randomSite, timestamp, tabId, { path: '/' });
     log(`Access log added: ${randomSite} (tab ${tabId})`, 'success');
     await updateStats();
   } catch (error) {
@@ -3,25 +3,90 @@
  * Using JSDoc for type documentation
  */
 
+import {
+  validateSitePattern,
+  isExclusionPattern,
+  isRegexPattern,
+  isGlobPattern,
+  splitSitePattern,
+  REGEX_PATTERN_PREFIX
+} from '../utils/url-matcher.js';
+import { isPublicSuffix } from '../utils/public-suffix.js';
+import { DEFAULT_SITE_ALIASES } from '../utils/site-aliases.js';
+import { parseIpRange, validateIgnoredHost } from '../utils/ignore-list.js';
+import { isValidTimeZone, validateDate, validateTime, validateTimeRange } from '../utils/time-utils.js';
+
 /**
  * @typedef {Object} Schedule
  * @property {number[]} days - Array of day indices (0=Sunday, 6=Saturday)
- * @property {string[]} times - Array of time ranges like ["0900-1700", "1900-2300"]
+ * @property {string[]} times - Array of time ranges like ["0900-1700", "1900-2300"];
+ *   a range ending before it starts runs overnight (e.g., "2200-0200")
+ * @property {Object<string, string[]>} [dayTimes] - Time ranges for specific days that
+ *   replace `times` on those days (e.g., { "6": ["1000-1400"] } for shorter Saturdays)
+ * @property {string} [timeZone] - IANA time zone the days and times are read in
+ *   (e.g., "America/New_York"); the browser's local time zone when omitted
+ * @property {string} [startDate] - First date the schedule applies on ("YYYY-MM-DD")
+ * @property {string} [endDate] - Last date the schedule applies on ("YYYY-MM-DD")
+ * @property {string[]} [onlyDates] - If set, the only dates the schedule applies on
+ * @property {string[]} [exceptDates] - Dates the schedule doesn't apply on (e.g., holidays)
+ */
+
+/**
+ * @typedef {Object} Limit
+ * @property {number} maxAccesses - Maximum allowed accesses within the window
+ * @property {number} duration - Rolling time window in minutes (e.g., 60 = 1 hour)
+ * @property {string} [windowType] - "rolling" (default: the last `duration` minutes),
+ *   a calendar-aligned "hourly", "daily" or "weekly" window that resets all at once, or
+ *   "bucket", which banks up to `maxAccesses` and gains one back every `duration` minutes
+ * @property {string} [windowResetTime] - Time daily and weekly windows reset ("HHMM",
+ *   default "0000"), in the schedule's time zone if it has one
+ * @property {number} [windowResetDay] - Day weekly windows reset (0=Sunday, default 1 = Monday)
+ */
+
+/**
+ * @typedef {Object} TimeBudget
+ * @property {number} minutes - Time allowed on the group's sites within the window
+ * @property {number} duration - Rolling time window in minutes (e.g., 30 minutes per 240)
+ */
+
+/**
+ * @typedef {Object} WeightedSite
+ * @property {string} pattern - Site pattern, as in a plain entry
+ * @property {number} cost - Accesses each visit counts as in strict mode (e.g., 2)
+ */
+
+/**
+ * @typedef {string|WeightedSite} SiteEntry
  */
 
 /**
  * @typedef {Object} RuleGroup
  * @property {string} name - User-friendly name for the rule group
- * @property {number} duration - Time window in minutes (e.g., 60 = 1 hour)
- * @property {number} maxAccesses - Maximum allowed accesses within the duration
- * @property {boolean} strictMode - If true, maxAccesses applies to all sites combined
- * @property {string[]} sites - Array of site patterns (e.g., ["discord.com", "gmail.com"])
+ * @property {Limit[]} limits - Limits that all apply at once (e.g., 3 per hour and 10 per
+ *   day); access is blocked as soon as any of them is reached. Groups saved before
+ *   version 3 have a single limit's fields (maxAccesses, duration, ...) on the group
+ *   itself instead, which `getGroupLimits()` reads as a one-item list
+ * @property {boolean} strictMode - If true, each limit applies to all sites combined
+ * @property {SiteEntry[]} sites - Array of site patterns (e.g., ["discord.com", "news.ycombinator.com/item*"]);
+ *   entries prefixed with "!" exclude matching URLs (e.g., "!discord.com/developers");
+ *   entries prefixed with "re:" are regular expressions tested against the full URL.
+ *   A pattern can carry a strict-mode cost instead (e.g., { pattern: "youtube.com", cost: 2 })
  * @property {Schedule} [schedule] - Optional schedule for when rule is active
+ * @property {TimeBudget} [timeBudget] - Optional limit on time spent viewing the group's
+ *   sites, counted per pattern like accesses (or for all sites combined in strict mode)
+ * @property {number} [sessionMinutes] - Optional length of each visit; the tab is sent
+ *   to the blocked page this many minutes after an access
+ * @property {number} [cooldownMinutes] - Optional wait after each counted access before
+ *   the next one is allowed
  */
 
 /**
  * @typedef {Object} Configuration
  * @property {RuleGroup[]} groups - Array of rule groups
+ * @property {SiteAliases} [aliases] - Equivalent domains, merged over the built-in
+ *   table (e.g., { "twitter.com": ["x.com"] }); an empty list turns a built-in entry off
+ * @property {IgnoreList} [ignoreList] - Hosts, schemes and IP ranges that are never
+ *   tracked or blocked (e.g., { hosts: ["localhost"], schemes: ["file"], ipRanges: ["10.0.0.0/8"] })
  */
 
 /**
@@ -29,6 +94,19 @@
  * @property {string} site - Domain of the accessed site
  * @property {number} timestamp - Unix timestamp in milliseconds
  * @property {number} tabId - Chrome tab ID
+ * @property {string|null} [path] - Path of the accessed URL (e.g., "/channels/123");
+ *   null for logs migrated from version 1, which only stored the domain
+ * @property {string} [url] - Full accessed URL, recorded when a pattern needs the query or fragment
+ */
+
+/**
+ * @typedef {Object} TimeLog
+ * @property {string} site - Domain of the viewed site
+ * @property {number} start - When viewing began (Unix timestamp in milliseconds)
+ * @property {number} end - When viewing stopped (Unix timestamp in milliseconds)
+ * @property {number} tabId - Chrome tab ID
+ * @property {string} path - Path of the viewed URL
+ * @property {string} [url] - Full viewed URL, recorded when a pattern needs the query or fragment
  */
 
 /**
@@ -37,13 +115,15 @@
 export const STORAGE_KEYS = {
   CONFIGURATION: 'configuration',
   ACCESS_LOGS: 'accessLogs',
+  TIME_LOGS: 'timeLogs',
+  ACTIVE_VIEW: 'activeView',
   VERSION: 'storageVersion'
 };
 
 /**
  * Current storage schema version
  */
-export const STORAGE_VERSION = 1;
+export const STORAGE_VERSION = 3;
 
 /**
  * Default configuration for new installations
@@ -53,8 +133,7 @@ export const DEFAULT_CONFIGURATION = {
   groups: [
     {
       name: 'Example Rule - Delete Me',
-      duration: 60,
-      maxAccesses: 3,
+      limits: [{ maxAccesses: 3, duration: 60 }],
       strictMode: false,
       sites: ['example.com'],
       schedule: {
@@ -65,6 +144,317 @@ export const DEFAULT_CONFIGURATION = {
   ]
 };
 
+/**
+ * Supported values of a limit's `windowType`
+ */
+export const WINDOW_TYPES = ['rolling', 'hourly', 'daily', 'weekly', 'bucket'];
+
+/**
+ * Fields of a limit, which groups saved before version 3 kept on the group itself
+ */
+export const LIMIT_FIELDS = ['maxAccesses', 'duration', 'windowType', 'windowResetTime', 'windowResetDay'];
+
+/**
+ * Get the limits of a rule group
+ * @param {RuleGroup} group - Rule group, in the current or the pre-version 3 format
+ * @returns {Limit[]} The group's limits; a single limit built from the group's own
+ *   fields for groups without a `limits` list
+ */
+export function getGroupLimits(group) {
+  if (Array.isArray(group.limits)) {
+    return group.limits;
+  }
+  
+  const limit = {};
+  for (const field of LIMIT_FIELDS) {
+    if (group[field] !== undefined) {
+      limit[field] = group[field];
+    }
+  }
+  return [limit];
+}
+
+/**
+ * Get the pattern of a site entry
+ * @param {SiteEntry} entry - Plain pattern or weighted site
+ * @returns {string} Site pattern
+ */
+export function getSitePattern(entry) {
+  return typeof entry === 'string' ? entry : entry.pattern;
+}
+
+/**
+ * Get how many accesses a visit to a site entry counts as in strict mode
+ * @param {SiteEntry} entry - Plain pattern or weighted site
+ * @returns {number} The entry's cost, 1 for plain patterns
+ */
+export function getSiteCost(entry) {
+  return typeof entry === 'string' ? 1 : entry.cost;
+}
+
+/**
+ * Get the site patterns of a rule group, without their costs
+ * @param {RuleGroup} group - Rule group
+ * @returns {string[]} Site patterns in configured order
+ */
+export function getGroupSites(group) {
+  return group.sites.map(getSitePattern);
+}
+
+/**
+ * Maximum length of a "re:" site pattern's regex source
+ */
+export const MAX_REGEX_PATTERN_LENGTH = 500;
+
+/**
+ * Detect repeated groups that can match the same text in more than one way: nested
+ * quantifiers like "(a+)+" or "(.*\d)*", and alternatives like "(a|aa)*", the usual
+ * causes of catastrophic backtracking. This is a heuristic, not a full analysis, so it
+ * also rejects harmless ones like "(com|org)+"
+ * @param {string} source - Regex source
+ * @returns {boolean} True if a repeated group contains another quantifier or a "|"
+ */
+function hasBacktrackingRisk(source) {
+  // Each entry tracks whether the group contains a repeating quantifier or alternatives
+  const stack = [{ hasQuantifier: false, hasAlternation: false }];
+  const isRepeatAt = (index) => {
+    const char = source[index];
+    return char === '*' || char === '+' || (char === '{' && /^\{\d*,\d*\}/.test(source.slice(index)));
+  };
+  
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const top = stack[stack.length - 1];
+    
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // Skip the character class; only a quantifier after it matters
+      i++;
+      while (i < source.length && source[i] !== ']') {
+        if (source[i] === '\\') i++;
+        i++;
+      }
+    } else if (char === '(') {
+      stack.push({ hasQuantifier: false, hasAlternation: false });
+    } else if (char === ')' && stack.length > 1) {
+      const group = stack.pop();
+      const quantified = isRepeatAt(i + 1);
+      
+      if (quantified && (group.hasQuantifier || group.hasAlternation)) {
+        return true;
+      }
+      if (quantified || group.hasQuantifier) {
+        stack[stack.length - 1].hasQuantifier = true;
+      }
+      if (group.hasAlternation) {
+        stack[stack.length - 1].hasAlternation = true;
+      }
+    } else if (char === '|') {
+      top.hasAlternation = true;
+    } else if (isRepeatAt(i)) {
+      top.hasQuantifier = true;
+    }
+  }
+  
+  return false;
+}
+
+/**
+ * Validate a single site entry, including regex safety for "re:" patterns and
+ * rejecting public suffixes, bare or as the literal end of a glob
+ * @param {string} site - Site pattern (plain, glob, "!" exclusion or "re:" regex)
+ * @returns {string|null} Error message, or null if the entry is valid
+ */
+export function validateSiteEntry(site) {
+  const patternError = validateSitePattern(site);
+  if (patternError) {
+    return patternError;
+  }
+  
+  const pattern = isExclusionPattern(site) ? site.slice(1) : site;
+  if (isRegexPattern(pattern)) {
+    const source = pattern.slice(REGEX_PATTERN_PREFIX.length);
+    
+    if (source.length > MAX_REGEX_PATTERN_LENGTH) {
+      return `Regex must be at most ${MAX_REGEX_PATTERN_LENGTH} characters`;
+    }
+    
+    if (hasBacktrackingRisk(source)) {
+      return 'Regex repeats a group with nested quantifiers or alternatives (e.g. "(a+)+", "(a|aa)*") that can cause catastrophic backtracking';
+    }
+    return null;
+  }
+  
+  // A public suffix ("co.uk", "github.io") is shared by unrelated sites, and so is
+  // everything a glob can match under one ("*.com", "g?thub.io"): check the labels
+  // after the last one with a wildcard
+  const { host } = splitSitePattern(pattern);
+  const labels = host.split('.');
+  const literalSuffix = labels.slice(labels.findLastIndex(label => /[*?]/.test(label)) + 1).join('.');
+  if (literalSuffix && isPublicSuffix(literalSuffix)) {
+    return literalSuffix === host
+      ? `"${host}" is a public suffix shared by unrelated sites; enter a specific site instead`
+      : `"${host}" matches sites under the public suffix "${literalSuffix}"; enter a specific site instead`;
+  }
+  
+  return null;
+}
+
+/**
+ * Validate the per-day time ranges of a schedule
+ * @param {any} dayTimes - Object mapping day indices to time ranges
+ * @param {number[]} days - Active days of the schedule
+ * @returns {string[]} Error messages (empty if valid)
+ */
+function validateDayTimes(dayTimes, days) {
+  if (!dayTimes || typeof dayTimes !== 'object' || Array.isArray(dayTimes)) {
+    return ['Schedule dayTimes must be an object mapping days to time ranges'];
+  }
+  
+  const errors = [];
+  Object.entries(dayTimes).forEach(([day, times]) => {
+    if (!/^[0-6]$/.test(day)) {
+      errors.push(`Schedule dayTimes key "${day}" must be a day from 0 (Sunday) to 6 (Saturday)`);
+      return;
+    }
+    if (Array.isArray(days) && !days.includes(Number(day))) {
+      errors.push(`Schedule dayTimes has ranges for day ${day}, which is not an active day`);
+    }
+    if (!Array.isArray(times)) {
+      errors.push(`Schedule dayTimes for day ${day} must be an array`);
+      return;
+    }
+    times.forEach((time, index) => {
+      const timeError = validateTimeRange(time);
+      if (timeError) {
+        errors.push(`Time range at index ${index} for day ${day} ${timeError}`);
+      }
+    });
+  });
+  
+  return errors;
+}
+
+/**
+ * Validate the date restrictions of a schedule
+ * @param {Schedule} schedule - Schedule to check
+ * @returns {string[]} Error messages (empty if valid)
+ */
+function validateScheduleDates(schedule) {
+  const errors = [];
+  
+  for (const field of ['startDate', 'endDate']) {
+    if (schedule[field] !== undefined) {
+      const dateError = validateDate(schedule[field]);
+      if (dateError) {
+        errors.push(`Schedule ${field} ${dateError}`);
+      }
+    }
+  }
+  if (errors.length === 0 && schedule.startDate && schedule.endDate &&
+      schedule.startDate > schedule.endDate) {
+    errors.push('Schedule startDate must not be after endDate');
+  }
+  
+  for (const field of ['onlyDates', 'exceptDates']) {
+    if (schedule[field] === undefined) {
+      continue;
+    }
+    if (!Array.isArray(schedule[field])) {
+      errors.push(`Schedule ${field} must be an array`);
+      continue;
+    }
+    schedule[field].forEach((date, index) => {
+      const dateError = validateDate(date);
+      if (dateError) {
+        errors.push(`Schedule ${field} entry at index ${index} ${dateError}`);
+      }
+    });
+  }
+  
+  return errors;
+}
+
+/**
+ * Validate the fields of a single limit
+ * @param {Limit} limit - Limit to check (or a pre-version 3 group carrying its fields)
+ * @returns {string[]} Error messages (empty if valid)
+ */
+function validateLimit(limit) {
+  const errors = [];
+  
+  if (typeof limit.duration !== 'number' || limit.duration <= 0) {
+    errors.push('Duration must be a positive number');
+  }
+  
+  if (typeof limit.maxAccesses !== 'number' || limit.maxAccesses <= 0) {
+    errors.push('Max accesses must be a positive number');
+  }
+  
+  if (limit.windowType !== undefined && !WINDOW_TYPES.includes(limit.windowType)) {
+    errors.push(`Window type must be one of: ${WINDOW_TYPES.join(', ')}`);
+  }
+  
+  if (limit.windowResetTime !== undefined) {
+    const resetTimeError = validateTime(limit.windowResetTime);
+    if (resetTimeError) {
+      errors.push(`Window reset time ${resetTimeError}`);
+    }
+  }
+  
+  if (limit.windowResetDay !== undefined &&
+      (!Number.isInteger(limit.windowResetDay) || limit.windowResetDay < 0 || limit.windowResetDay > 6)) {
+    errors.push('Window reset day must be between 0 (Sunday) and 6 (Saturday)');
+  }
+  
+  return errors;
+}
+
+/**
+ * Validate the cost of a weighted site entry
+ * @param {WeightedSite} entry - Site entry with a cost
+ * @returns {string|null} Error message (to follow "Site at index N"), or null if valid
+ */
+function validateSiteCost(entry) {
+  if (typeof entry.cost !== 'number' || !Number.isFinite(entry.cost) || entry.cost <= 0) {
+    return 'cost must be a positive number';
+  }
+  
+  if (typeof entry.pattern === 'string' && isExclusionPattern(entry.pattern)) {
+    return 'is an exclusion and cannot have a cost';
+  }
+  
+  return null;
+}
+
+/**
+ * Validate a group's time budget
+ * @param {TimeBudget} budget - Time budget to check
+ * @returns {string[]} Error messages (empty if valid)
+ */
+function validateTimeBudget(budget) {
+  if (!budget || typeof budget !== 'object') {
+    return ['Time budget must be an object'];
+  }
+  
+  const errors = [];
+  
+  if (typeof budget.minutes !== 'number' || budget.minutes <= 0) {
+    errors.push('Time budget minutes must be a positive number');
+  }
+  
+  if (typeof budget.duration !== 'number' || budget.duration <= 0) {
+    errors.push('Time budget duration must be a positive number');
+  }
+  
+  if (errors.length === 0 && budget.minutes > budget.duration) {
+    errors.push('Time budget minutes cannot be longer than its duration');
+  }
+  
+  return errors;
+}
+
 /**
  * Validate a rule group object
  * @param {any} group - Object to validate
@@ -82,12 +472,18 @@ export function validateRuleGroup(group) {
     errors.push('Rule group must have a non-empty name');
   }
   
-  if (typeof group.duration !== 'number' || group.duration <= 0) {
-    errors.push('Duration must be a positive number');
-  }
-  
-  if (typeof group.maxAccesses !== 'number' || group.maxAccesses <= 0) {
-    errors.push('Max accesses must be a positive number');
+  if (group.limits === undefined) {
+    errors.push(...validateLimit(group));
+  } else if (!Array.isArray(group.limits) || group.limits.length === 0) {
+    errors.push('Limits must be a non-empty array');
+  } else {
+    group.limits.forEach((limit, index) => {
+      if (!limit || typeof limit !== 'object') {
+        errors.push(`Limit at index ${index} must be an object`);
+        return;
+      }
+      validateLimit(limit).forEach(error => errors.push(`Limit at index ${index}: ${error}`));
+    });
   }
   
   if (typeof group.strictMode !== 'boolean') {
@@ -97,11 +493,31 @@ export function validateRuleGroup(group) {
   if (!Array.isArray(group.sites) || group.sites.length === 0) {
     errors.push('Sites must be a non-empty array');
   } else {
-    group.sites.forEach((site, index) => {
+    group.sites.forEach((entry, index) => {
+      // Weighted entries are checked for their cost, then their pattern like plain ones
+      const isWeighted = entry !== null && typeof entry === 'object';
+      const site = isWeighted ? entry.pattern : entry;
+      if (isWeighted) {
+        const costError = validateSiteCost(entry);
+        if (costError) {
+          errors.push(`Site at index ${index} ${costError}`);
+        }
+      }
+      
       if (typeof site !== 'string' || site.trim() === '') {
         errors.push(`Site at index ${index} must be a non-empty string`);
+        return;
+      }
+      
+      const patternError = validateSiteEntry(site);
+      if (patternError) {
+        errors.push(`Site at index ${index} is not a valid pattern: ${patternError}`);
       }
     });
+    
+    if (group.sites.every(entry => isExclusionPattern(entry?.pattern ?? entry))) {
+      errors.push('Sites must include at least one pattern that is not an exclusion');
+    }
   }
   
   if (group.schedule) {
@@ -115,13 +531,152 @@ export function validateRuleGroup(group) {
       errors.push('Schedule times must be an array');
     } else {
       group.schedule.times.forEach((time, index) => {
-        if (!/^\d{4}-\d{4}$/.test(time)) {
-          errors.push(`Time range at index ${index} must be in format HHMM-HHMM`);
+        const timeError = validateTimeRange(time);
+        if (timeError) {
+          errors.push(`Time range at index ${index} ${timeError}`);
         }
       });
     }
+    
+    if (group.schedule.dayTimes !== undefined) {
+      errors.push(...validateDayTimes(group.schedule.dayTimes, group.schedule.days));
+    }
+    
+    if (group.schedule.timeZone !== undefined && !isValidTimeZone(group.schedule.timeZone)) {
+      errors.push(`Schedule time zone "${group.schedule.timeZone}" is not a known IANA time zone`);
+    }
+    
+    errors.push(...validateScheduleDates(group.schedule));
+  }
+  
+  if (group.timeBudget !== undefined) {
+    errors.push(...validateTimeBudget(group.timeBudget));
+  }
+  
+  if (group.sessionMinutes !== undefined &&
+      (typeof group.sessionMinutes !== 'number' || group.sessionMinutes <= 0)) {
+    errors.push('Session minutes must be a positive number');
+  }
+  
+  if (group.cooldownMinutes !== undefined &&
+      (typeof group.cooldownMinutes !== 'number' || group.cooldownMinutes <= 0)) {
+    errors.push('Cooldown minutes must be a positive number');
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+// A bare lowercase domain with at least two labels, e.g. "x.com" or "m.youtube.com"
+const DOMAIN_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/;
+
+/**
+ * Validate a site alias table
+ * Checked together with the built-in aliases it is merged over, so every alias
+ * maps to exactly one canonical domain
+ * @param {any} aliases - Object mapping canonical domains to alias domains
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateSiteAliases(aliases) {
+  const errors = [];
+  
+  if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) {
+    errors.push('Aliases must be an object mapping domains to lists of domains');
+    return { valid: false, errors };
+  }
+  
+  Object.entries(aliases).forEach(([canonical, domains]) => {
+    if (!DOMAIN_PATTERN.test(canonical)) {
+      errors.push(`"${canonical}" is not a valid domain`);
+    }
+    if (!Array.isArray(domains)) {
+      errors.push(`Aliases of "${canonical}" must be an array`);
+      return;
+    }
+    domains.forEach(domain => {
+      if (typeof domain !== 'string' || !DOMAIN_PATTERN.test(domain)) {
+        errors.push(`Alias "${domain}" of "${canonical}" is not a valid domain`);
+      } else if (domain === canonical) {
+        errors.push(`"${canonical}" cannot be an alias of itself`);
+      }
+    });
+  });
+  
+  if (errors.length > 0) {
+    return { valid: false, errors };
   }
   
+  const merged = { ...DEFAULT_SITE_ALIASES, ...aliases };
+  const canonicalOf = new Map();
+  
+  Object.entries(merged).forEach(([canonical, domains]) => {
+    domains.forEach(domain => {
+      if (canonicalOf.has(domain) && canonicalOf.get(domain) !== canonical) {
+        errors.push(`"${domain}" is an alias of both "${canonicalOf.get(domain)}" and "${canonical}"`);
+      }
+      canonicalOf.set(domain, canonical);
+    });
+  });
+  
+  Object.entries(merged).forEach(([canonical, domains]) => {
+    if (domains.length > 0 && canonicalOf.has(canonical)) {
+      errors.push(`"${canonical}" has aliases but is itself an alias of "${canonicalOf.get(canonical)}"`);
+    }
+  });
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+// A URL scheme name without the "://", e.g. "file" or "chrome-extension"
+const SCHEME_PATTERN = /^[a-z][a-z0-9+.-]*$/;
+
+/**
+ * Validate a global ignore list
+ * @param {any} ignoreList - Object with optional hosts, schemes and ipRanges arrays
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateIgnoreList(ignoreList) {
+  const errors = [];
+  
+  if (!ignoreList || typeof ignoreList !== 'object' || Array.isArray(ignoreList)) {
+    errors.push('Ignore list must be an object with hosts, schemes and ipRanges arrays');
+    return { valid: false, errors };
+  }
+  
+  ['hosts', 'schemes', 'ipRanges'].forEach(key => {
+    if (ignoreList[key] !== undefined && !Array.isArray(ignoreList[key])) {
+      errors.push(`${key} must be an array`);
+    }
+  });
+  
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+  
+  (ignoreList.hosts || []).forEach(host => {
+    const hostError = validateIgnoredHost(host);
+    if (hostError) {
+      errors.push(`Host "${host}": ${hostError}`);
+    }
+  });
+  
+  (ignoreList.schemes || []).forEach(scheme => {
+    if (typeof scheme !== 'string' || !SCHEME_PATTERN.test(scheme)) {
+      errors.push(`Scheme "${scheme}" must be a lowercase scheme name like "file" (without "://")`);
+    }
+  });
+  
+  (ignoreList.ipRanges || []).forEach(range => {
+    if (parseIpRange(range) === null) {
+      errors.push(`IP range "${range}" must be an IP address or CIDR range like "10.0.0.0/8"`);
+    }
+  });
+  
   return {
     valid: errors.length === 0,
     errors
@@ -153,6 +708,20 @@ export function validateConfiguration(config) {
     }
   });
   
+  if (config.aliases !== undefined) {
+    const validation = validateSiteAliases(config.aliases);
+    if (!validation.valid) {
+      errors.push(`Aliases: ${validation.errors.join(', ')}`);
+    }
+  }
+  
+  if (config.ignoreList !== undefined) {
+    const validation = validateIgnoreList(config.ignoreList);
+    if (!validation.valid) {
+      errors.push(`Ignore list: ${validation.errors.join(', ')}`);
+    }
+  }
+  
   return {
     valid: errors.length === 0,
     errors
@@ -184,8 +753,130 @@ export function validateAccessLog(log) {
     errors.push('Access log must have a tabId');
   }
   
+  if (log.path !== undefined && log.path !== null &&
+      (typeof log.path !== 'string' || !log.path.startsWith('/'))) {
+    errors.push('Access log path must be a string starting with "/"');
+  }
+  
+  if (log.url !== undefined && !isValidUrl(log.url)) {
+    errors.push('Access log url must be a valid URL');
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate a time log entry
+ * @param {any} log - Object to validate
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateTimeLog(log) {
+  const errors = [];
+  
+  if (!log || typeof log !== 'object') {
+    errors.push('Time log must be an object');
+    return { valid: false, errors };
+  }
+  
+  if (typeof log.site !== 'string' || log.site.trim() === '') {
+    errors.push('Time log must have a site (domain) string');
+  }
+  
+  if (typeof log.start !== 'number' || log.start <= 0) {
+    errors.push('Time log must have a valid start');
+  }
+  
+  if (typeof log.end !== 'number' || log.end < log.start) {
+    errors.push('Time log must have an end no earlier than its start');
+  }
+  
+  if (typeof log.tabId !== 'number') {
+    errors.push('Time log must have a tabId');
+  }
+  
+  if (typeof log.path !== 'string' || !log.path.startsWith('/')) {
+    errors.push('Time log path must be a string starting with "/"');
+  }
+  
+  if (log.url !== undefined && !isValidUrl(log.url)) {
+    errors.push('Time log url must be a valid URL');
+  }
+  
   return {
     valid: errors.length === 0,
     errors
   };
 }
+
+/**
+ * Check if a value is a parseable absolute URL
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a valid URL string
+ */
+function isValidUrl(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  try {
+    new URL(value);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Migrate stored access logs to the current storage version
+ * Version 2 added `path` to each log; version 1 logs get `path: null` since their
+ * path was never recorded, and invalid entries are dropped
+ * @param {AccessLog[]} logs - Logs as stored
+ * @param {number} fromVersion - Storage version the logs were written with
+ * @returns {AccessLog[]} Logs in the current format
+ */
+export function migrateAccessLogs(logs, fromVersion) {
+  if (!Array.isArray(logs)) {
+    return [];
+  }
+  
+  let migrated = logs;
+  
+  if (fromVersion < 2) {
+    migrated = migrated
+      .filter(log => validateAccessLog(log).valid)
+      .map(log => ({ ...log, path: log.path === undefined ? null : log.path }));
+  }
+  
+  return migrated;
+}
+
+/**
+ * Migrate a stored configuration to the current storage version
+ * Version 3 moved each group's limit (maxAccesses, duration and window fields) into
+ * a `limits` list so a group can stack several
+ * @param {Configuration} config - Configuration as stored
+ * @param {number} fromVersion - Storage version the configuration was written with
+ * @returns {Configuration} Configuration in the current format
+ */
+export function migrateConfiguration(config, fromVersion) {
+  if (!config || !Array.isArray(config.groups)) {
+    return config;
+  }
+  
+  let migrated = config;
+  
+  if (fromVersion < 3) {
+    migrated = {
+      ...migrated,
+      groups: migrated.groups.map(group => {
+        const updated = { ...group, limits: getGroupLimits(group) };
+        LIMIT_FIELDS.forEach(field => delete updated[field]);
+        return updated;
+      })
+    };
+  }
+  
+  return migrated;
+}
@@ -7,7 +7,10 @@ import {
   STORAGE_VERSION,
   DEFAULT_CONFIGURATION,
   validateConfiguration,
-  validateAccessLog
+  validateAccessLog,
+  validateTimeLog,
+  migrateAccessLogs,
+  migrateConfiguration
 } from './schema.js';
 
 /**
@@ -97,11 +100,19 @@ export async function getAccessLogs() {
  * @param {string} site - Domain of the accessed site
  * @param {number} timestamp - Unix timestamp in milliseconds
  * @param {number} tabId - Chrome tab ID
+ * @param {{path?: string, url?: string}} [location] - Path of the accessed URL, and
+ *   optionally the full URL when patterns need its query or fragment
  * @returns {Promise<boolean>} True if added successfully
  */
-export async function addAccessLog(site, timestamp, tabId) {
+export async function addAccessLog(site, timestamp, tabId, location = {}) {
   try {
     const log = { site, timestamp, tabId };
+    if (location.path !== undefined) {
+      log.path = location.path;
+    }
+    if (location.url !== undefined) {
+      log.url = location.url;
+    }
     const validation = validateAccessLog(log);
     
     if (!validation.valid) {
@@ -116,7 +127,7 @@ export async function addAccessLog(site, timestamp, tabId) {
       [STORAGE_KEYS.ACCESS_LOGS]: logs
     });
     
-    console.log('Access log added:', { site, timestamp, tabId });
+    console.log('Access log added:', log);
     return true;
   } catch (error) {
     console.error('Error adding access log:', error);
@@ -152,6 +163,120 @@ export async function pruneOldAccessLogs(maxAgeMinutes) {
   }
 }
 
+/**
+ * Get all time logs from storage
+ * @returns {Promise<TimeLog[]>} Array of time logs
+ */
+export async function getTimeLogs() {
+  try {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.TIME_LOGS);
+    const logs = result[STORAGE_KEYS.TIME_LOGS];
+    
+    if (!logs) {
+      return [];
+    }
+    
+    if (!Array.isArray(logs)) {
+      console.error('Time logs in storage is not an array');
+      return [];
+    }
+    
+    return logs;
+  } catch (error) {
+    console.error('Error getting time logs:', error);
+    return [];
+  }
+}
+
+/**
+ * Add a time log entry for a stretch of time spent viewing a site
+ * @param {TimeLog} log - Time log to add
+ * @returns {Promise<boolean>} True if added successfully
+ */
+export async function addTimeLog(log) {
+  try {
+    const validation = validateTimeLog(log);
+    
+    if (!validation.valid) {
+      console.error('Cannot add invalid time log:', validation.errors);
+      throw new Error(`Invalid time log: ${validation.errors.join(', ')}`);
+    }
+    
+    const logs = await getTimeLogs();
+    logs.push(log);
+    
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.TIME_LOGS]: logs
+    });
+    
+    return true;
+  } catch (error) {
+    console.error('Error adding time log:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove time logs that ended longer ago than the specified age
+ * @param {number} maxAgeMinutes - Maximum age in minutes
+ * @returns {Promise<number>} Number of logs removed
+ */
+export async function pruneOldTimeLogs(maxAgeMinutes) {
+  try {
+    const logs = await getTimeLogs();
+    const cutoffTime = Date.now() - (maxAgeMinutes * 60 * 1000);
+    
+    const filteredLogs = logs.filter(log => log.end >= cutoffTime);
+    const removed = logs.length - filteredLogs.length;
+    
+    if (removed > 0) {
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.TIME_LOGS]: filteredLogs
+      });
+      console.log(`Pruned ${removed} old time logs`);
+    }
+    
+    return removed;
+  } catch (error) {
+    console.error('Error pruning time logs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the site currently being viewed, as saved by the service worker
+ * Kept in storage so time spent survives the service worker being restarted
+ * @returns {Promise<TimeLog|null>} The open time log (without an `end`), or null if no
+ *   tracked site is being viewed
+ */
+export async function getActiveView() {
+  try {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.ACTIVE_VIEW);
+    return result[STORAGE_KEYS.ACTIVE_VIEW] || null;
+  } catch (error) {
+    console.error('Error getting active view:', error);
+    return null;
+  }
+}
+
+/**
+ * Save the site currently being viewed
+ * @param {TimeLog|null} view - Open time log, or null when no tracked site is being viewed
+ * @returns {Promise<void>}
+ */
+export async function setActiveView(view) {
+  try {
+    if (view) {
+      await chrome.storage.local.set({ [STORAGE_KEYS.ACTIVE_VIEW]: view });
+    } else {
+      await chrome.storage.local.remove(STORAGE_KEYS.ACTIVE_VIEW);
+    }
+  } catch (error) {
+    console.error('Error saving active view:', error);
+    throw error;
+  }
+}
+
 /**
  * Clear all data from storage (for testing/development)
  * @returns {Promise<boolean>} True if cleared successfully
@@ -187,6 +312,23 @@ export async function initializeStorage() {
       needsInit = true;
     }
     
+    // Migrate access logs written by an older version (unversioned storage is version 1)
+    const storedVersion = result[STORAGE_KEYS.VERSION] || 1;
+    if (result[STORAGE_KEYS.ACCESS_LOGS] && storedVersion < STORAGE_VERSION) {
+      console.log(`Migrating access logs from version ${storedVersion} to ${STORAGE_VERSION}`);
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.ACCESS_LOGS]: migrateAccessLogs(result[STORAGE_KEYS.ACCESS_LOGS], storedVersion)
+      });
+    }
+    
+    // Migrate a configuration saved by an older version
+    if (result[STORAGE_KEYS.CONFIGURATION] && storedVersion < STORAGE_VERSION) {
+      console.log(`Migrating configuration from version ${storedVersion} to ${STORAGE_VERSION}`);
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.CONFIGURATION]: migrateConfiguration(result[STORAGE_KEYS.CONFIGURATION], storedVersion)
+      });
+    }
+    
     // Initialize configuration if missing
     if (!result[STORAGE_KEYS.CONFIGURATION]) {
       console.log('Initializing default configuration');
@@ -2,27 +2,189 @@
  * Access calculation utilities
  */
 
+import {
+  matchesSiteDomain,
+  isExclusionPattern,
+  findMatchingSitePattern,
+  matchesSiteList,
+  extractDomain,
+  toMatchableUrl
+} from './url-matcher.js';
+import { canonicalizeDomain, canonicalizeUrl, canonicalizeSites } from './site-aliases.js';
+import { getActivePeriodStart } from './time-utils.js';
+import { getSitePattern, getSiteCost } from '../storage/schema.js';
+
 /**
- * Filter accesses to only those within the rolling time window
- * @param {Array<{site: string, timestamp: number, tabId: number}>} accesses - Array of access logs
+ * Filter accesses to only those within the time window
+ * @param {AccessLog[]} accesses - Array of access logs
  * @param {number} durationMinutes - Duration of the rolling window in minutes
+ * @param {Date|null} [periodStart] - Start of the rule's current schedule period; the
+ *   window never reaches back before it
+ * @param {{start: Date, end: Date}|null} [calendarWindow] - Current calendar-aligned
+ *   window (from `getCalendarWindow()`); replaces the rolling window when given
  * @returns {Array} Filtered array of accesses within the window
  */
-export function filterAccessesInWindow(accesses, durationMinutes) {
-  const now = Date.now();
-  const windowStart = now - (durationMinutes * 60 * 1000);
+export function filterAccessesInWindow(accesses, durationMinutes, periodStart = null, calendarWindow = null) {
+  const windowStart = getWindowStart(durationMinutes, periodStart, calendarWindow);
   
   return accesses.filter(access => access.timestamp >= windowStart);
 }
 
+/**
+ * Get the timestamp a window starts at
+ * @param {number} durationMinutes - Duration of the rolling window in minutes
+ * @param {Date|null} periodStart - Start of the rule's current schedule period
+ * @param {{start: Date, end: Date}|null} calendarWindow - Calendar-aligned window, if any
+ * @returns {number} Window start in milliseconds
+ */
+function getWindowStart(durationMinutes, periodStart, calendarWindow) {
+  return Math.max(
+    calendarWindow ? calendarWindow.start.getTime() : Date.now() - (durationMinutes * 60 * 1000),
+    periodStart ? periodStart.getTime() : -Infinity
+  );
+}
+
+/**
+ * Filter time logs to the time spent within the rolling window
+ * Logs that began before the window are cut to start at the window's start
+ * @param {TimeLog[]} timeLogs - Array of time logs
+ * @param {number} durationMinutes - Duration of the rolling window in minutes
+ * @param {Date|null} [periodStart] - Start of the rule's current schedule period; the
+ *   window never reaches back before it
+ * @returns {TimeLog[]} Time logs overlapping the window, cut to it
+ */
+export function filterTimeInWindow(timeLogs, durationMinutes, periodStart = null) {
+  const windowStart = getWindowStart(durationMinutes, periodStart, null);
+  
+  return timeLogs
+    .filter(log => log.end > windowStart)
+    .map(log => (log.start < windowStart ? { ...log, start: windowStart } : log));
+}
+
+/**
+ * Rebuild the URL a logged access was made to
+ * @param {AccessLog} access - Access log entry
+ * @returns {string|null} Full URL if the log recorded one, a URL built from the site
+ *   and path otherwise, or null for legacy logs that only stored the domain
+ */
+export function getAccessUrl(access) {
+  if (typeof access.url === 'string' && access.url !== '') {
+    return access.url;
+  }
+  if (typeof access.path === 'string') {
+    return `https://${access.site}${access.path}`;
+  }
+  return null;
+}
+
+/**
+ * Check if a logged access belongs to a group's site list
+ * Logs with a path (or full URL) are matched against the full patterns. Legacy logs
+ * only stored the domain, so for them a path pattern counts every access to its
+ * domain and only domain-wide exclusions (e.g. "!developer.discord.com") rule it out
+ * @param {AccessLog} access - Access log entry
+ * @param {string[]} sites - Site patterns of the group
+ * @param {SiteAliases} [aliases] - Alias table; aliased domains are matched as their canonical site
+ * @returns {boolean} True if the access should count toward the group
+ */
+export function accessMatchesSites(access, sites, aliases = null) {
+  const canonicalSites = canonicalizeSites(sites, aliases);
+  const url = getAccessUrl(access);
+  if (url !== null) {
+    return matchesSiteList(canonicalizeUrl(url, aliases), canonicalSites);
+  }
+  
+  const site = canonicalizeDomain(access.site, aliases);
+  let included = false;
+  
+  for (const pattern of canonicalSites) {
+    if (isExclusionPattern(pattern)) {
+      const exclusion = pattern.slice(1);
+      if (!exclusion.includes('/') && matchesSiteDomain(site, exclusion)) {
+        return false;
+      }
+    } else if (!included && matchesSiteDomain(site, pattern)) {
+      included = true;
+    }
+  }
+  
+  return included;
+}
+
+/**
+ * Filter accesses to those that count toward a rule group for the current site
+ * In strict mode every site in the group counts. In non-strict mode accesses are keyed
+ * on the configured pattern the current site matches, so "www.reddit.com" and
+ * "old.reddit.com" share the allowance of a "reddit.com" entry. Aliased domains
+ * (e.g. "x.com" for "twitter.com") count as their canonical site in both modes
+ * @param {AccessLog[]} accesses - Access logs to filter
+ * @param {boolean} strictMode - If true, count all sites together
+ * @param {string[]} sites - Array of site patterns in the rule group
+ * @param {string} currentSite - Domain or full URL being accessed
+ * @param {SiteAliases} [aliases] - Alias table
+ * @returns {AccessLog[]} Accesses counting toward the group
+ */
+export function filterRelevantAccesses(accesses, strictMode, sites, currentSite, aliases = null) {
+  const canonicalSites = canonicalizeSites(sites, aliases);
+  
+  if (strictMode) {
+    // In strict mode, count all accesses to ANY site in the group
+    return accesses.filter(access => accessMatchesSites(access, canonicalSites, aliases));
+  }
+  
+  // In non-strict mode, count accesses to the pattern the current site matches
+  const currentUrl = canonicalizeUrl(toMatchableUrl(currentSite), aliases);
+  const pattern = findMatchingSitePattern(currentUrl, canonicalSites);
+  
+  if (!pattern) {
+    // Site isn't covered by the group; fall back to the exact (canonical) domain
+    const domain = extractDomain(currentUrl);
+    return accesses.filter(access => canonicalizeDomain(access.site, aliases) === domain);
+  }
+  
+  const patternSites = [pattern, ...canonicalSites.filter(isExclusionPattern)];
+  return accesses.filter(access => accessMatchesSites(access, patternSites, aliases));
+}
+
+/**
+ * Get how many accesses a visit counts as in strict mode
+ * A visit costs what the entry it is counted under costs; plain patterns cost 1. When
+ * that pattern is listed more than once (e.g. "x.com" and, through its alias,
+ * "twitter.com"), the highest cost of those entries applies
+ * @param {string} url - Domain or full URL visited
+ * @param {SiteEntry[]} sites - Site entries of the rule group
+ * @param {SiteAliases} [aliases] - Alias table
+ * @returns {number} Cost of the visit (1 if no entry matches)
+ */
+export function getVisitCost(url, sites, aliases = null) {
+  if (sites.every(entry => getSiteCost(entry) === 1)) {
+    return 1;
+  }
+  
+  const canonicalSites = canonicalizeSites(sites.map(getSitePattern), aliases);
+  const pattern = findMatchingSitePattern(canonicalizeUrl(toMatchableUrl(url), aliases), canonicalSites);
+  if (!pattern) {
+    return 1;
+  }
+  
+  return Math.max(...sites.filter((entry, index) => canonicalSites[index] === pattern).map(getSiteCost));
+}
+
 /**
  * Calculate remaining accesses for a site based on rules and history
- * @param {Array<{site: string, timestamp: number, tabId: number}>} accesses - All access logs
+ * @param {AccessLog[]} accesses - All access logs
  * @param {number} maxAccesses - Maximum allowed accesses in the window
  * @param {number} durationMinutes - Duration of the rolling window in minutes
- * @param {boolean} strictMode - If true, count all sites together; if false, count per-site
- * @param {string[]} sites - Array of site patterns in the rule group
- * @param {string} currentSite - The site we're calculating for (domain)
+ * @param {boolean} strictMode - If true, count all sites together; if false, count per configured pattern
+ * @param {SiteEntry[]} sites - Site entries in the rule group; in strict mode each access
+ *   counts as the cost of the entry it matches
+ * @param {string} currentSite - The site we're calculating for (domain or full URL)
+ * @param {Object} [options]
+ * @param {SiteAliases} [options.aliases] - Alias table for equivalent domains
+ * @param {Schedule} [options.schedule] - Rule schedule; accesses before its current
+ *   active period began don't count (schedule boundaries are hard)
+ * @param {{start: Date, end: Date}} [options.calendarWindow] - Calendar-aligned window
+ *   to count in instead of the rolling window (e.g. today for a daily limit)
  * @returns {number} Number of remaining accesses (0 means blocked)
  */
 export function calculateRemainingAccesses(
@@ -31,42 +193,119 @@ export function calculateRemainingAccesses(
   durationMinutes,
   strictMode,
   sites,
-  currentSite
+  currentSite,
+  { aliases = null, schedule = null, calendarWindow = null } = {}
 ) {
-  // Filter to accesses within the time window
-  const recentAccesses = filterAccessesInWindow(accesses, durationMinutes);
-  
-  let relevantAccesses;
+  // Filter to accesses within the time window and the current schedule period
+  const recentAccesses = filterAccessesInWindow(
+    accesses,
+    durationMinutes,
+    getActivePeriodStart(schedule),
+    calendarWindow
+  );
   
-  if (strictMode) {
-    // In strict mode, count all accesses to ANY site in the group
-    relevantAccesses = recentAccesses.filter(access => 
-      sites.some(sitePattern => {
-        // Check if the access site matches any pattern in the group
-        // We need to reconstruct a URL for matching, use https as default
-        const accessUrl = `https://${access.site}`;
-        const patternParts = sitePattern.split('/');
-        const patternDomain = patternParts[0];
-        const patternPath = patternParts.slice(1).join('/');
-        
-        const domainMatches = access.site === patternDomain || 
-                            access.site.endsWith('.' + patternDomain);
-        
-        if (!domainMatches) return false;
-        if (!patternPath) return true;
-        
-        // For path checking, we'd need to store the full path in access logs
-        // For now, we'll assume domain-only matching in strict mode
-        return true;
-      })
-    );
-  } else {
-    // In non-strict mode, only count accesses to the current specific site
-    relevantAccesses = recentAccesses.filter(access => access.site === currentSite);
-  }
+  const relevantAccesses = filterRelevantAccesses(recentAccesses, strictMode, sites.map(getSitePattern), currentSite, aliases);
   
-  const accessCount = relevantAccesses.length;
+  // Strict mode adds up the weights of the sites visited
+  const accessCount = strictMode
+    ? relevantAccesses.reduce((total, access) => total + getVisitCost(getAccessUrl(access) ?? access.site, sites, aliases), 0)
+    : relevantAccesses.length;
   const remaining = maxAccesses - accessCount;
   
   return Math.max(0, remaining);
 }
+
+/**
+ * Work out the state of a refilling (token bucket) limit from the access history
+ * The bucket holds up to `maxAccesses` accesses and gains one every `refillMinutes`;
+ * each access takes one, or in strict mode the cost of its site. It starts full when
+ * the rule's schedule period begins (or with the oldest kept log) and never goes below
+ * empty, so a long enough gap between accesses always fills it again
+ * @param {AccessLog[]} accesses - All access logs
+ * @param {number} maxAccesses - Most accesses the bucket can bank
+ * @param {number} refillMinutes - Minutes it takes to gain one access
+ * @param {boolean} strictMode - If true, count all sites together; if false, count per configured pattern
+ * @param {SiteEntry[]} sites - Site entries in the rule group
+ * @param {string} currentSite - The site we're calculating for (domain or full URL)
+ * @param {Object} [options]
+ * @param {SiteAliases} [options.aliases] - Alias table for equivalent domains
+ * @param {Schedule} [options.schedule] - Rule schedule; the bucket is full again when
+ *   its current active period begins
+ * @returns {{remaining: number, nextRefill: Date|null}} Visits to the current site the
+ *   bucket holds now, and when it holds one more (null when it can't, e.g. it is full)
+ */
+export function calculateBucketState(
+  accesses,
+  maxAccesses,
+  refillMinutes,
+  strictMode,
+  sites,
+  currentSite,
+  { aliases = null, schedule = null } = {}
+) {
+  // An access can hold the bucket down for longer than a full refill, as long as later
+  // accesses keep it from filling, so every access of the schedule period is replayed
+  const periodStart = getActivePeriodStart(schedule);
+  const periodAccesses = periodStart
+    ? accesses.filter(access => access.timestamp >= periodStart.getTime())
+    : accesses;
+  const relevantAccesses = filterRelevantAccesses(periodAccesses, strictMode, sites.map(getSitePattern), currentSite, aliases)
+    .sort((a, b) => a.timestamp - b.timestamp);
+  
+  // Strict mode takes the weight of the site visited
+  const getCost = url => (strictMode ? getVisitCost(url, sites, aliases) : 1);
+  
+  // Keep the level in milliseconds of refill time so it stays exact
+  const refillMs = refillMinutes * 60 * 1000;
+  const capacityMs = maxAccesses * refillMs;
+  const now = Date.now();
+  let level = capacityMs;
+  let last = -Infinity;
+  
+  for (const access of relevantAccesses) {
+    level = Math.min(capacityMs, level + (access.timestamp - last));
+    level = Math.max(0, level - getCost(getAccessUrl(access) ?? access.site) * refillMs);
+    last = access.timestamp;
+  }
+  level = Math.min(capacityMs, level + (now - last));
+  
+  // A visit to a site costing more than the bucket holds never fits
+  const visitMs = getCost(currentSite) * refillMs;
+  const remaining = Math.floor(level / visitMs);
+  const nextLevel = (remaining + 1) * visitMs;
+  
+  return {
+    remaining,
+    nextRefill: nextLevel <= capacityMs ? new Date(now + nextLevel - level) : null
+  };
+}
+
+/**
+ * Add up the time spent on a site within a rolling window
+ * Time logs are matched to the site the same way accesses are, so in non-strict mode
+ * time is kept per configured pattern and in strict mode for all sites together
+ * @param {TimeLog[]} timeLogs - All time logs
+ * @param {number} durationMinutes - Duration of the rolling window in minutes
+ * @param {boolean} strictMode - If true, add up time on all sites together
+ * @param {string[]} sites - Array of site patterns in the rule group
+ * @param {string} currentSite - The site we're calculating for (domain or full URL)
+ * @param {Object} [options]
+ * @param {SiteAliases} [options.aliases] - Alias table for equivalent domains
+ * @param {Schedule} [options.schedule] - Rule schedule; time before its current active
+ *   period began doesn't count
+ * @returns {number} Minutes spent (fractional)
+ */
+export function calculateTimeSpent(
+  timeLogs,
+  durationMinutes,
+  strictMode,
+  sites,
+  currentSite,
+  { aliases = null, schedule = null } = {}
+) {
+  const recentLogs = filterTimeInWindow(timeLogs, durationMinutes, getActivePeriodStart(schedule));
+  const relevantLogs = filterRelevantAccesses(recentLogs, strictMode, sites, currentSite, aliases);
+  
+  const spentMs = relevantLogs.reduce((total, log) => total + (log.end - log.start), 0);
+  return spentMs / (60 * 1000);
+}
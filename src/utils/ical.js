@@ -0,0 +1,224 @@
+/**
+ * iCalendar (.ics) parsing - reads the events of a calendar file (RFC 5545)
+ */
+
+/**
+ * @typedef {Object} ICalDateTime
+ * @property {string} date - Calendar date "YYYY-MM-DD"
+ * @property {string|null} time - Wall-clock time "HHMM", or null for all-day values
+ * @property {string|null} timeZone - "UTC" for UTC times, the TZID parameter for zoned
+ *   times, or null for floating times and dates
+ */
+
+/**
+ * @typedef {Object} ICalEvent
+ * @property {string} summary - Event title
+ * @property {ICalDateTime|null} start - DTSTART
+ * @property {ICalDateTime|null} end - DTEND, if given
+ * @property {number|null} duration - DURATION in minutes, if given instead of DTEND
+ * @property {Object<string, string>|null} rrule - RRULE parts, e.g. { FREQ: "WEEKLY", BYDAY: "MO,WE" }
+ * @property {ICalDateTime[]} exdates - EXDATE values
+ * @property {string|null} status - STATUS, e.g. "CONFIRMED" or "CANCELLED"
+ */
+
+const DATE_TIME_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+const DURATION_PATTERN = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+/**
+ * Join folded lines back together
+ * Long lines are folded by inserting a line break followed by a space or tab
+ * @param {string} text - Raw calendar text
+ * @returns {string[]} Unfolded content lines
+ */
+function unfoldLines(text) {
+  return text
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim() !== '');
+}
+
+/**
+ * Split a content line like `DTSTART;TZID="America/New_York":20240513T090000`
+ * @param {string} line - Unfolded content line
+ * @returns {{name: string, params: Object<string, string>, value: string}|null}
+ *   Property name (uppercase), parameters and value, or null if the line is malformed
+ */
+function parseContentLine(line) {
+  // The value starts at the first colon outside a quoted parameter value
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) {
+    return null;
+  }
+  
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const part of paramParts) {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+  
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * @param {string} value - Value like "20240513", "20240513T090000" or "20240513T130000Z"
+ * @param {Object<string, string>} params - Property parameters (TZID)
+ * @returns {ICalDateTime|null} Parsed value, or null if malformed
+ */
+function parseDateTime(value, params) {
+  const match = value.trim().match(DATE_TIME_PATTERN);
+  if (!match) {
+    return null;
+  }
+  
+  const [, year, month, day, hours, minutes, , utc] = match;
+  const isDateOnly = hours === undefined;
+  
+  return {
+    date: `${year}-${month}-${day}`,
+    time: isDateOnly ? null : `${hours}${minutes}`,
+    timeZone: isDateOnly ? null : (utc ? 'UTC' : params.TZID || null)
+  };
+}
+
+/**
+ * Parse a DURATION value into minutes
+ * @param {string} value - Duration like "PT1H30M" or "P1D"
+ * @returns {number|null} Duration in minutes (seconds are dropped), or null if malformed
+ */
+function parseDurationValue(value) {
+  const match = value.trim().match(DURATION_PATTERN);
+  if (!match || value.trim() === 'P' || value.trim().endsWith('T')) {
+    return null;
+  }
+  
+  const [, sign, weeks, days, hours, minutes] = match;
+  const total = (Number(weeks || 0) * 7 + Number(days || 0)) * 24 * 60 +
+    Number(hours || 0) * 60 + Number(minutes || 0);
+  
+  return sign === '-' ? -total : total;
+}
+
+/**
+ * Parse an RRULE value into its parts
+ * @param {string} value - Rule like "FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20240630T000000Z"
+ * @returns {Object<string, string>} Parts keyed by uppercase name
+ */
+function parseRecurrenceRule(value) {
+  const rule = {};
+  for (const part of value.split(';')) {
+    const [key, ...rest] = part.split('=');
+    if (key) {
+      rule[key.trim().toUpperCase()] = rest.join('=').trim().toUpperCase();
+    }
+  }
+  return rule;
+}
+
+/**
+ * Record a property on the event being read
+ * @param {ICalEvent} event - Event under construction
+ * @param {{name: string, params: Object<string, string>, value: string}} property - Property
+ */
+function applyEventProperty(event, property) {
+  const { name, params, value } = property;
+  
+  switch (name) {
+    case 'SUMMARY':
+      event.summary = value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ');
+      break;
+    case 'DTSTART':
+      event.start = parseDateTime(value, params);
+      break;
+    case 'DTEND':
+      event.end = parseDateTime(value, params);
+      break;
+    case 'DURATION':
+      event.duration = parseDurationValue(value);
+      break;
+    case 'RRULE':
+      event.rrule = parseRecurrenceRule(value);
+      break;
+    case 'EXDATE':
+      // One EXDATE property may list several comma-separated values
+      value.split(',').forEach(item => {
+        const exdate = parseDateTime(item, params);
+        if (exdate) {
+          event.exdates.push(exdate);
+        }
+      });
+      break;
+    case 'STATUS':
+      event.status = value.trim().toUpperCase();
+      break;
+  }
+}
+
+/**
+ * Parse the events of an iCalendar file
+ * Nested components (VALARM inside an event, VTIMEZONE definitions) are skipped;
+ * time zones are taken from TZID parameters as IANA names
+ * @param {string} text - Contents of a .ics file
+ * @returns {{events: ICalEvent[], errors: string[]}} Events in file order, and
+ *   problems that made the file or an event unreadable
+ */
+export function parseICalendar(text) {
+  const errors = [];
+  const events = [];
+  
+  if (typeof text !== 'string' || !/^BEGIN:VCALENDAR/i.test(text.trim())) {
+    return { events, errors: ['Not an iCalendar file (expected BEGIN:VCALENDAR)'] };
+  }
+  
+  const components = [];
+  let event = null;
+  
+  for (const line of unfoldLines(text)) {
+    const property = parseContentLine(line);
+    if (!property) {
+      continue;
+    }
+    
+    if (property.name === 'BEGIN') {
+      const component = property.value.trim().toUpperCase();
+      components.push(component);
+      if (component === 'VEVENT') {
+        event = { summary: '', start: null, end: null, duration: null, rrule: null, exdates: [], status: null };
+      }
+    } else if (property.name === 'END') {
+      // An END that doesn't close the innermost component is ignored
+      const component = property.value.trim().toUpperCase();
+      if (components[components.length - 1] !== component) {
+        continue;
+      }
+      components.pop();
+      if (component === 'VEVENT') {
+        if (event.start) {
+          events.push(event);
+        } else {
+          errors.push(`Event "${event.summary || 'Untitled'}" has no valid start (DTSTART)`);
+        }
+        event = null;
+      }
+    } else if (event && components[components.length - 1] === 'VEVENT') {
+      applyEventProperty(event, property);
+    }
+  }
+  
+  if (components.length > 0) {
+    errors.push(`Calendar ends inside ${components[components.length - 1]} (missing END line)`);
+  }
+  
+  return { events, errors };
+}
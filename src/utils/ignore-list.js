@@ -0,0 +1,220 @@
+/**
+ * Global ignore list - URLs that are never tracked or blocked
+ */
+
+import {
+  isExclusionPattern,
+  isRegexPattern,
+  matchesSitePattern,
+  splitSitePattern,
+  validateSitePattern
+} from './url-matcher.js';
+
+/**
+ * @typedef {Object} IgnoreList
+ * @property {string[]} [hosts] - Host patterns like "localhost:3000" or "*.corp.example.com"
+ * @property {string[]} [schemes] - URL schemes like "file" or "ftp"
+ * @property {string[]} [ipRanges] - IP addresses or CIDR ranges like "10.0.0.0/8" or "fd00::/8"
+ */
+
+/**
+ * Browser-internal schemes that are always ignored
+ * @type {string[]}
+ */
+export const BROWSER_SCHEMES = ['chrome', 'chrome-extension', 'about', 'edge'];
+
+/**
+ * Ignore list used when the configuration doesn't define one
+ * @type {IgnoreList}
+ */
+export const DEFAULT_IGNORE_LIST = { hosts: [], schemes: [], ipRanges: [] };
+
+/**
+ * Get the ignore list in effect for a configuration
+ * @param {Configuration} config - Current configuration
+ * @returns {IgnoreList} Configured ignore list, or the empty default
+ */
+export function getIgnoreList(config) {
+  return (config && config.ignoreList) || DEFAULT_IGNORE_LIST;
+}
+
+const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+/**
+ * Parse an IPv4 address into a number
+ * @param {string} address - Address like "192.168.0.1"
+ * @returns {bigint|null} Address value, or null if invalid
+ */
+function parseIPv4(address) {
+  const match = address.match(IPV4_PATTERN);
+  if (!match) {
+    return null;
+  }
+  
+  let value = 0n;
+  for (const octet of match.slice(1)) {
+    const n = Number(octet);
+    if (n > 255) {
+      return null;
+    }
+    value = (value << 8n) | BigInt(n);
+  }
+  
+  return value;
+}
+
+/**
+ * Parse an IPv6 address into a number
+ * @param {string} address - Address like "fd00::1" (no brackets, no zone)
+ * @returns {bigint|null} Address value, or null if invalid
+ */
+function parseIPv6(address) {
+  if (!address.includes(':')) {
+    return null;
+  }
+  
+  // An embedded IPv4 tail ("::ffff:10.0.0.1") stands for the last two groups
+  if (address.includes('.')) {
+    const split = address.lastIndexOf(':');
+    const ipv4 = parseIPv4(address.slice(split + 1));
+    if (ipv4 === null) {
+      return null;
+    }
+    address = `${address.slice(0, split + 1)}${(ipv4 >> 16n).toString(16)}:${(ipv4 & 0xffffn).toString(16)}`;
+  }
+  
+  // Expand the "::" shorthand into zero groups
+  const halves = address.split('::');
+  if (halves.length > 2) {
+    return null;
+  }
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 2 && missing < 1) {
+    return null;
+  }
+  const groups = halves.length === 2 ? [...head, ...Array(missing).fill('0'), ...tail] : head;
+  
+  if (groups.length !== 8 || !groups.every(group => /^[0-9a-f]{1,4}$/i.test(group))) {
+    return null;
+  }
+  
+  return groups.reduce((value, group) => (value << 16n) | BigInt(parseInt(group, 16)), 0n);
+}
+
+/**
+ * Parse an IP address of either family
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {{bits: number, value: bigint}|null} Address width and value, or null if invalid
+ */
+function parseIpAddress(address) {
+  const ipv4 = parseIPv4(address);
+  if (ipv4 !== null) {
+    return { bits: 32, value: ipv4 };
+  }
+  
+  const ipv6 = parseIPv6(address);
+  return ipv6 !== null ? { bits: 128, value: ipv6 } : null;
+}
+
+// Parsed ranges, keyed by range string
+const rangeCache = new Map();
+
+/**
+ * Parse an IP address or CIDR range
+ * @param {string} range - Range like "10.0.0.0/8", "fd00::/8" or a single address
+ * @returns {{bits: number, prefix: number, value: bigint}|null} Parsed range, or null if invalid
+ */
+export function parseIpRange(range) {
+  if (typeof range !== 'string') {
+    return null;
+  }
+  if (rangeCache.has(range)) {
+    return rangeCache.get(range);
+  }
+  
+  const [address, prefixText, ...extra] = range.trim().split('/');
+  const ip = parseIpAddress(address);
+  let parsed = null;
+  
+  if (ip && extra.length === 0) {
+    const prefix = prefixText === undefined ? ip.bits : Number(prefixText);
+    if (/^\d+$/.test(prefixText ?? String(prefix)) && prefix <= ip.bits) {
+      parsed = { bits: ip.bits, prefix, value: ip.value };
+    }
+  }
+  rangeCache.set(range, parsed);
+  
+  return parsed;
+}
+
+/**
+ * Check whether an IP address falls inside a range
+ * @param {string} address - IPv4 or IPv6 address
+ * @param {string} range - IP address or CIDR range
+ * @returns {boolean} True if the address is in the range (always false across families)
+ */
+export function isIpInRange(address, range) {
+  const ip = parseIpAddress(address);
+  const parsed = parseIpRange(range);
+  if (!ip || !parsed || ip.bits !== parsed.bits) {
+    return false;
+  }
+  
+  const shift = BigInt(parsed.bits - parsed.prefix);
+  return (ip.value >> shift) === (parsed.value >> shift);
+}
+
+/**
+ * Check whether a URL is never tracked: browser pages plus the configured
+ * schemes, hosts and IP ranges
+ * @param {string} url - Full URL
+ * @param {IgnoreList} [ignoreList] - Configured ignore list
+ * @returns {boolean} True if the URL should be ignored
+ */
+export function isIgnoredUrl(url, ignoreList = DEFAULT_IGNORE_LIST) {
+  if (!url) {
+    return true;
+  }
+  
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (e) {
+    return true;
+  }
+  
+  const scheme = urlObj.protocol.slice(0, -1).toLowerCase();
+  if (BROWSER_SCHEMES.includes(scheme) || (ignoreList.schemes || []).includes(scheme)) {
+    return true;
+  }
+  
+  if ((ignoreList.hosts || []).some(host => matchesSitePattern(url, host))) {
+    return true;
+  }
+  
+  // IPv6 hosts come bracketed, e.g. "[::1]"
+  const hostname = urlObj.hostname.replace(/^\[|\]$/g, '');
+  return (ignoreList.ipRanges || []).some(range => isIpInRange(hostname, range));
+}
+
+/**
+ * Validate a single ignore list host entry
+ * @param {string} host - Host pattern like "localhost:3000" or "*.internal"
+ * @returns {string|null} Error message, or null if the entry is valid
+ */
+export function validateIgnoredHost(host) {
+  const patternError = validateSitePattern(host);
+  if (patternError) {
+    return patternError;
+  }
+  
+  // Exclusions, regexes, schemes, paths and query constraints make no sense for a host
+  const { scheme, rest } = splitSitePattern(host);
+  if (isExclusionPattern(host) || isRegexPattern(host) || scheme !== null || rest !== '') {
+    return 'Must be a host, optionally with a port (e.g. "localhost:3000")';
+  }
+  
+  return null;
+}
@@ -0,0 +1,68 @@
+/**
+ * Public suffix lookups (e.g. "co.uk", "github.io") backed by the bundled list
+ */
+
+import { PUBLIC_SUFFIX_RULES } from './public-suffix-list.js';
+
+// Rules split by kind, built on first use
+let ruleSets = null;
+
+/**
+ * Build the rule lookup sets
+ * @returns {{exact: Set<string>, wildcard: Set<string>, exception: Set<string>}}
+ */
+function getRuleSets() {
+  if (!ruleSets) {
+    ruleSets = { exact: new Set(), wildcard: new Set(), exception: new Set() };
+    for (const rule of PUBLIC_SUFFIX_RULES) {
+      if (rule.startsWith('!')) {
+        ruleSets.exception.add(rule.slice(1));
+      } else if (rule.startsWith('*.')) {
+        ruleSets.wildcard.add(rule.slice(2));
+      } else {
+        ruleSets.exact.add(rule);
+      }
+    }
+  }
+  
+  return ruleSets;
+}
+
+/**
+ * Find the public suffix of a domain using the list's rules
+ * Only explicit rules count, so unlisted hosts like "localhost" have no public suffix
+ * @param {string} domain - Punycode domain (e.g., "foo.bar.co.uk")
+ * @returns {string|null} Longest matching public suffix (e.g., "co.uk"), or null if none
+ */
+export function getPublicSuffix(domain) {
+  if (!domain) {
+    return null;
+  }
+  
+  const { exact, wildcard, exception } = getRuleSets();
+  const labels = domain.toLowerCase().replace(/\.$/, '').split('.');
+  
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+    
+    // Exceptions ("!www.ck") carve a registrable domain out of a wildcard rule
+    if (exception.has(candidate)) {
+      return labels.slice(i + 1).join('.');
+    }
+    
+    if (exact.has(candidate) || (i + 1 < labels.length && wildcard.has(labels.slice(i + 1).join('.')))) {
+      return candidate;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Check if a domain is itself a public suffix
+ * @param {string} domain - Punycode domain (e.g., "co.uk", "github.io")
+ * @returns {boolean} True if sites can be registered directly under the domain
+ */
+export function isPublicSuffix(domain) {
+  return Boolean(domain) && getPublicSuffix(domain) === domain.toLowerCase().replace(/\.$/, '');
+}
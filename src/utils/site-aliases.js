@@ -0,0 +1,195 @@
+/**
+ * Site alias utilities - equivalent domains that count as one canonical site
+ */
+
+import { isExclusionPattern, isRegexPattern, splitSitePattern } from './url-matcher.js';
+
+/**
+ * @typedef {Object<string, string[]>} SiteAliases
+ * Canonical domain mapped to the domains that count as it,
+ * e.g. { "twitter.com": ["x.com"] }
+ */
+
+/**
+ * Built-in aliases for well-known sites that live at several domains
+ * @type {SiteAliases}
+ */
+export const DEFAULT_SITE_ALIASES = {
+  'twitter.com': ['x.com'],
+  'youtube.com': ['youtu.be', 'm.youtube.com'],
+  'facebook.com': ['fb.com', 'm.facebook.com'],
+  'reddit.com': ['redd.it'],
+  'instagram.com': ['instagr.am']
+};
+
+// Merged alias tables, keyed by the configured table
+const mergedCache = new WeakMap();
+
+/**
+ * Get the alias table in effect for a configuration
+ * Configured entries replace the built-in entry for the same canonical domain;
+ * an empty list turns a built-in entry off
+ * @param {Configuration} config - Current configuration
+ * @returns {SiteAliases} Merged alias table
+ */
+export function getSiteAliases(config) {
+  if (!config || !config.aliases) {
+    return DEFAULT_SITE_ALIASES;
+  }
+  
+  // Keep one merged table per configured table so its lookups stay cached
+  if (!mergedCache.has(config.aliases)) {
+    mergedCache.set(config.aliases, { ...DEFAULT_SITE_ALIASES, ...config.aliases });
+  }
+  
+  return mergedCache.get(config.aliases);
+}
+
+// Alias lookups per alias table: alias domain -> canonical domain, plus canonicalized patterns
+const indexCache = new WeakMap();
+
+/**
+ * Build (or fetch) the lookup structures for an alias table
+ * @param {SiteAliases} aliases - Alias table
+ * @returns {{canonicalOf: Map<string, string>, patterns: Map<string, string>}}
+ */
+function getAliasIndex(aliases) {
+  if (!indexCache.has(aliases)) {
+    const canonicalOf = new Map();
+    for (const [canonical, domains] of Object.entries(aliases)) {
+      for (const domain of domains) {
+        canonicalOf.set(domain.toLowerCase(), canonical.toLowerCase());
+      }
+    }
+    indexCache.set(aliases, { canonicalOf, patterns: new Map() });
+  }
+  
+  return indexCache.get(aliases);
+}
+
+/**
+ * Map a domain (or a subdomain of an alias) to its canonical domain
+ * @param {string} domain - Domain like "x.com" or "mobile.x.com"
+ * @param {SiteAliases} aliases - Alias table
+ * @returns {string} Canonical domain like "twitter.com" or "mobile.twitter.com",
+ *   or the domain unchanged if it isn't an alias
+ */
+export function canonicalizeDomain(domain, aliases) {
+  if (!domain || !aliases) {
+    return domain;
+  }
+  
+  const { canonicalOf } = getAliasIndex(aliases);
+  if (canonicalOf.size === 0) {
+    return domain;
+  }
+  
+  const labels = domain.toLowerCase().split('.');
+  
+  // Longest alias suffix wins, so "m.youtube.com" maps before "youtube.com" is considered
+  for (let i = 0; i < labels.length - 1; i++) {
+    const canonical = canonicalOf.get(labels.slice(i).join('.'));
+    if (canonical) {
+      return [...labels.slice(0, i), canonical].join('.');
+    }
+  }
+  
+  return domain;
+}
+
+/**
+ * Rewrite a URL's host to its canonical domain
+ * @param {string} url - Full URL
+ * @param {SiteAliases} aliases - Alias table
+ * @returns {string} URL on the canonical domain, or the URL unchanged
+ */
+export function canonicalizeUrl(url, aliases) {
+  if (!aliases) {
+    return url;
+  }
+  
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (e) {
+    return url;
+  }
+  
+  const canonical = canonicalizeDomain(urlObj.hostname, aliases);
+  if (canonical === urlObj.hostname) {
+    return url;
+  }
+  
+  urlObj.hostname = canonical;
+  return urlObj.href;
+}
+
+/**
+ * Rewrite the host of a site pattern to its canonical domain
+ * Regex patterns are left unchanged (they see the canonical URL)
+ * @param {string} pattern - Site pattern like "x.com/home" or "!*.x.com"
+ * @param {SiteAliases} aliases - Alias table
+ * @returns {string} Pattern on the canonical domain
+ */
+export function canonicalizeSitePattern(pattern, aliases) {
+  if (isExclusionPattern(pattern)) {
+    return '!' + canonicalizeSitePattern(pattern.slice(1), aliases);
+  }
+  if (isRegexPattern(pattern)) {
+    return pattern;
+  }
+  
+  const { patterns } = getAliasIndex(aliases);
+  if (!patterns.has(pattern)) {
+    const { host } = splitSitePattern(pattern);
+    const canonical = canonicalizeDomain(host, aliases);
+    patterns.set(pattern, canonical === host ? pattern : replacePatternHost(pattern, canonical));
+  }
+  
+  return patterns.get(pattern);
+}
+
+/**
+ * Rewrite every pattern of a site list to its canonical domain
+ * @param {string[]} sites - Site patterns
+ * @param {SiteAliases} aliases - Alias table
+ * @returns {string[]} Canonical site patterns
+ */
+export function canonicalizeSites(sites, aliases) {
+  if (!aliases) {
+    return sites;
+  }
+  return sites.map(pattern => canonicalizeSitePattern(pattern, aliases));
+}
+
+/**
+ * Find the equivalent domains of a site pattern's host
+ * @param {string} pattern - Site pattern like "twitter.com/home"
+ * @param {SiteAliases} aliases - Alias table
+ * @returns {string[]} The pattern rewritten onto each equivalent domain
+ *   (e.g. ["x.com/home"]), empty for regex patterns and sites without aliases
+ */
+export function getAliasPatterns(pattern, aliases) {
+  if (!pattern || isExclusionPattern(pattern) || isRegexPattern(pattern)) {
+    return [];
+  }
+  
+  const host = splitSitePattern(pattern).host.toLowerCase();
+  const canonical = canonicalizeDomain(host, aliases);
+  
+  const domains = [canonical, ...(aliases[canonical] || [])];
+  return domains
+    .filter(domain => domain !== host)
+    .map(domain => replacePatternHost(pattern, domain));
+}
+
+/**
+ * Swap the host of a site pattern, keeping its scheme, port, path and constraints
+ * @param {string} pattern - Site pattern like "https://x.com:443/home"
+ * @param {string} host - New host
+ * @returns {string} Pattern on the new host
+ */
+function replacePatternHost(pattern, host) {
+  const { scheme, port, rest } = splitSitePattern(pattern);
+  return (scheme !== null ? `${scheme}://` : '') + host + (port !== null ? `:${port}` : '') + rest;
+}
@@ -0,0 +1,130 @@
+/**
+ * Site index - finds the patterns that can match a URL without testing every pattern
+ */
+
+import {
+  extractDomain,
+  isExclusionPattern,
+  isGlobPattern,
+  isRegexPattern,
+  splitSitePattern
+} from './url-matcher.js';
+
+/**
+ * @typedef {Object} SiteIndexEntry
+ * @property {number} group - Index of the site list the pattern belongs to
+ * @property {number} position - Position of the pattern in its site list
+ * @property {string} pattern - The pattern as configured (including any "!" prefix)
+ */
+
+/**
+ * @typedef {Object} SiteIndexNode
+ * @property {Map<string, SiteIndexNode>} children - Child nodes by domain label
+ * @property {SiteIndexEntry[]} entries - Patterns whose host ends at this node
+ */
+
+/**
+ * @typedef {Object} SiteIndex
+ * @property {SiteIndexNode} root - Reverse-domain trie ("com" -> "reddit" -> ...)
+ * @property {SiteIndexEntry[]} unindexed - Patterns tested against every URL
+ *   (regexes and globs without a literal domain suffix, e.g. "reddit.*")
+ */
+
+/**
+ * Create an empty trie node
+ * @returns {SiteIndexNode}
+ */
+function createNode() {
+  return { children: new Map(), entries: [] };
+}
+
+/**
+ * Find the literal domain labels a pattern's host must end with
+ * @param {string} pattern - Site pattern without "!" prefix
+ * @returns {string[]|null} Labels from the top-level domain down (e.g. ["com", "reddit"]
+ *   for "*.reddit.com"), or null if the pattern can't be indexed by domain
+ */
+function getIndexLabels(pattern) {
+  if (isRegexPattern(pattern)) {
+    return null;
+  }
+  
+  const labels = splitSitePattern(pattern).host.toLowerCase().split('.').reverse();
+  const literalCount = labels.findIndex(label => isGlobPattern(label));
+  const literal = literalCount === -1 ? labels : labels.slice(0, literalCount);
+  
+  return literal.length > 0 ? literal : null;
+}
+
+/**
+ * Compile site lists into a reverse-domain index
+ * A pattern is filed under the literal end of its host, so "reddit.com",
+ * "old.reddit.com/r/all" and "*.reddit.com" all sit on the path com -> reddit
+ * @param {string[][]} siteLists - Site patterns of each group, in group order
+ * @returns {SiteIndex} Compiled index
+ */
+export function buildSiteIndex(siteLists) {
+  const index = { root: createNode(), unindexed: [] };
+  
+  siteLists.forEach((sites, group) => {
+    sites.forEach((pattern, position) => {
+      const entry = { group, position, pattern };
+      const labels = getIndexLabels(isExclusionPattern(pattern) ? pattern.slice(1) : pattern);
+      
+      if (!labels) {
+        index.unindexed.push(entry);
+        return;
+      }
+      
+      let node = index.root;
+      for (const label of labels) {
+        if (!node.children.has(label)) {
+          node.children.set(label, createNode());
+        }
+        node = node.children.get(label);
+      }
+      node.entries.push(entry);
+    });
+  });
+  
+  return index;
+}
+
+/**
+ * Find the patterns of each site list that could match a URL
+ * Only the candidates still have to be tested with `matchesSiteList()`; every other
+ * pattern is known not to match
+ * @param {SiteIndex} index - Index from `buildSiteIndex()`
+ * @param {string} url - Full URL
+ * @returns {Map<number, string[]>} Candidate patterns by group index, in configured order;
+ *   groups without candidates are left out
+ */
+export function findCandidateSites(index, url) {
+  const entries = [...index.unindexed];
+  
+  // Every node on the host's path holds a suffix of the host: "www.reddit.com" visits
+  // com, reddit.com and www.reddit.com
+  const host = extractDomain(url).toLowerCase();
+  if (host) {
+    let node = index.root;
+    for (const label of host.split('.').reverse()) {
+      node = node.children.get(label);
+      if (!node) {
+        break;
+      }
+      entries.push(...node.entries);
+    }
+  }
+  
+  const byGroup = new Map();
+  entries
+    .sort((a, b) => a.group - b.group || a.position - b.position)
+    .forEach(({ group, pattern }) => {
+      if (!byGroup.has(group)) {
+        byGroup.set(group, []);
+      }
+      byGroup.get(group).push(pattern);
+    });
+  
+  return byGroup;
+}
@@ -22,8 +22,50 @@ export function parseTimeRange(timeString) {
   };
 }
 
+/**
+ * Validate a time range string
+ * Hours run 00-24 and minutes 00-59; "2400" is the end of the day. An end before
+ * the start is an overnight range (e.g. "2200-0200")
+ * @param {string} timeString - Time range in format "HHMM-HHMM"
+ * @returns {string|null} Error message, or null if the range is valid
+ */
+export function validateTimeRange(timeString) {
+  if (typeof timeString !== 'string' || !/^\d{4}-\d{4}$/.test(timeString)) {
+    return 'must be in format HHMM-HHMM';
+  }
+  
+  const { start, end } = parseTimeRange(timeString);
+  for (const time of [start, end]) {
+    if (time.hours > 24 || time.minutes > 59 || (time.hours === 24 && time.minutes !== 0)) {
+      return 'must use times from 0000 to 2400';
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Convert a time object to minutes since midnight
+ * @param {{hours: number, minutes: number}} time - Time object
+ * @returns {number} Minutes since midnight
+ */
+function toMinutes(time) {
+  return time.hours * 60 + time.minutes;
+}
+
+/**
+ * Check if a time range crosses midnight (its end is before its start)
+ * @param {{hours: number, minutes: number}} startTime - Start time object
+ * @param {{hours: number, minutes: number}} endTime - End time object
+ * @returns {boolean} True for overnight ranges like 22:00-02:00
+ */
+export function isOvernightRange(startTime, endTime) {
+  return toMinutes(endTime) < toMinutes(startTime);
+}
+
 /**
  * Check if current time falls within a time range
+ * Overnight ranges match from the start until midnight and from midnight until the end
  * @param {Date} currentTime - The current time
  * @param {{hours: number, minutes: number}} startTime - Start time object
  * @param {{hours: number, minutes: number}} endTime - End time object
@@ -31,40 +73,458 @@ export function parseTimeRange(timeString) {
  */
 export function isTimeInRange(currentTime, startTime, endTime) {
   const currentMinutes = currentTime.getHours() * 60 + currentTime.getMinutes();
-  const startMinutes = startTime.hours * 60 + startTime.minutes;
-  const endMinutes = endTime.hours * 60 + endTime.minutes;
+  const startMinutes = toMinutes(startTime);
+  const endMinutes = toMinutes(endTime);
+  
+  if (isOvernightRange(startTime, endTime)) {
+    return currentMinutes >= startMinutes || currentMinutes <= endMinutes;
+  }
   
   return currentMinutes >= startMinutes && currentMinutes <= endMinutes;
 }
 
+/**
+ * Get the time ranges a schedule uses on a given day
+ * @param {Schedule} schedule - Schedule object
+ * @param {number} day - Day index (0=Sunday, 6=Saturday)
+ * @returns {string[]} The day's own ranges from `dayTimes`, or the shared `times`
+ */
+export function getScheduleTimes(schedule, day) {
+  return schedule.dayTimes?.[day] ?? schedule.times;
+}
+
+// Formatters per IANA time zone, created on first use
+const zoneFormatters = new Map();
+
+/**
+ * Get a formatter that reads the weekday and wall-clock time in a time zone
+ * @param {string} timeZone - IANA time zone like "Europe/Berlin"
+ * @returns {Intl.DateTimeFormat} Cached formatter
+ */
+function getZoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return zoneFormatters.get(timeZone);
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Check if a string is a time zone the browser knows
+ * @param {string} timeZone - IANA time zone like "America/New_York"
+ * @returns {boolean} True if the time zone can be used in a schedule
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') {
+    return false;
+  }
+  
+  try {
+    getZoneFormatter(timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Get the calendar date, weekday and wall-clock time of an instant in a time zone
+ * Intl applies the zone's DST rules, so the result follows the local clock through
+ * transitions (e.g. 10:00 in New York is 14:00 UTC in summer and 15:00 UTC in winter)
+ * @param {Date} date - The instant
+ * @param {string} [timeZone] - IANA time zone; the browser's local zone when omitted
+ * @returns {{date: string, day: number, hours: number, minutes: number}} Date as
+ *   "YYYY-MM-DD", day index (0=Sunday) and time
+ */
+export function getZonedTime(date, timeZone) {
+  if (!timeZone) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const dayOfMonth = String(date.getDate()).padStart(2, '0');
+    return {
+      date: `${date.getFullYear()}-${month}-${dayOfMonth}`,
+      day: date.getDay(),
+      hours: date.getHours(),
+      minutes: date.getMinutes()
+    };
+  }
+  
+  const parts = {};
+  for (const { type, value } of getZoneFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: WEEKDAYS.indexOf(parts.weekday),
+    hours: parseInt(parts.hour, 10),
+    minutes: parseInt(parts.minute, 10)
+  };
+}
+
+/**
+ * Validate a calendar date string
+ * @param {string} dateString - Date in format "YYYY-MM-DD"
+ * @returns {string|null} Error message, or null if the date is valid
+ */
+export function validateDate(dateString) {
+  if (typeof dateString !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
+    return 'must be a date in format YYYY-MM-DD';
+  }
+  
+  // Date.UTC rolls over out-of-range parts, so "2024-02-30" comes back as March 1st
+  const [year, month, day] = dateString.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return 'is not a calendar date';
+  }
+  
+  return null;
+}
+
+/**
+ * Get the date a number of days before or after a date
+ * @param {string} dateString - Date in format "YYYY-MM-DD"
+ * @param {number} days - Days to add (negative for earlier dates)
+ * @returns {string} Shifted date in format "YYYY-MM-DD"
+ */
+export function addDays(dateString, days) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the weekday of a calendar date
+ * @param {string} dateString - Date in format "YYYY-MM-DD"
+ * @returns {number} Day index (0=Sunday, 6=Saturday)
+ */
+export function getWeekday(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Check if a schedule's date restrictions allow a calendar date
+ * Dates are compared as "YYYY-MM-DD" strings, which sort chronologically
+ * @param {Schedule} schedule - Schedule object
+ * @param {string} date - Date in format "YYYY-MM-DD"
+ * @returns {boolean} True if the date is within startDate/endDate, listed in
+ *   onlyDates (when set) and not listed in exceptDates
+ */
+export function isScheduledOnDate(schedule, date) {
+  if ((schedule.startDate && date < schedule.startDate) ||
+      (schedule.endDate && date > schedule.endDate)) {
+    return false;
+  }
+  if (schedule.onlyDates?.length > 0 && !schedule.onlyDates.includes(date)) {
+    return false;
+  }
+  
+  return !(schedule.exceptDates || []).includes(date);
+}
+
+/**
+ * Check if a schedule will never be active again because its dates are all past
+ * @param {Schedule} schedule - Schedule object
+ * @param {Date} [now] - The current time
+ * @returns {boolean} True if endDate, or the last of onlyDates, is before today
+ *   (in the schedule's time zone)
+ */
+export function hasScheduleEnded(schedule, now = new Date()) {
+  if (!schedule) {
+    return false;
+  }
+  
+  const timeZone = isValidTimeZone(schedule.timeZone) ? schedule.timeZone : undefined;
+  const today = getZonedTime(now, timeZone).date;
+  const lastDates = [
+    schedule.endDate,
+    schedule.onlyDates?.length > 0 ? [...schedule.onlyDates].sort().pop() : null
+  ].filter(Boolean);
+  
+  return lastDates.some(date => date < today);
+}
+
 /**
  * Check if a rule's schedule is currently active
+ * The part of an overnight range after midnight belongs to the day it started on,
+ * so Friday's "2200-0200" is active early on Saturday even if Saturday isn't scheduled.
+ * Date restrictions (startDate/endDate, onlyDates, exceptDates) apply to that day as well
  * @param {Object} schedule - Schedule object with days and times arrays
  * @param {number[]} schedule.days - Array of day indices (0=Sunday, 6=Saturday)
- * @param {string[]} schedule.times - Array of time ranges like ["0900-1700", "1900-2300"]
+ * @param {string[]} schedule.times - Array of time ranges like ["0900-1700", "2200-0200"]
+ * @param {Object<string, string[]>} [schedule.dayTimes] - Ranges for specific days that
+ *   replace `times`, e.g. { "6": ["1000-1400"] }
+ * @param {string} [schedule.timeZone] - IANA time zone the days and times are in;
+ *   the browser's local zone when omitted
+ * @param {string} [schedule.startDate] - First date the rule applies on ("YYYY-MM-DD")
+ * @param {string} [schedule.endDate] - Last date the rule applies on
+ * @param {string[]} [schedule.onlyDates] - If set, the only dates the rule applies on
+ * @param {string[]} [schedule.exceptDates] - Dates the rule doesn't apply on (e.g. holidays)
+ * @param {Date} [at] - The time to check; defaults to now
  * @returns {boolean} True if the rule is active now
  */
-export function isRuleActiveNow(schedule) {
+export function isRuleActiveNow(schedule, at = new Date()) {
   // If no schedule provided, rule is always active
   if (!schedule || !schedule.days || !schedule.times) {
     return true;
   }
   
-  const now = new Date();
-  const currentDay = now.getDay(); // 0-6, where 0 is Sunday
+  // An unknown zone (e.g. one dropped from the browser's tz data) falls back to local time
+  const timeZone = isValidTimeZone(schedule.timeZone) ? schedule.timeZone : undefined;
+  const now = getZonedTime(at, timeZone);
+  const currentDay = now.day; // 0-6, where 0 is Sunday
+  const previousDay = (currentDay + 6) % 7;
+  const currentMinutes = toMinutes(now);
   
-  // Check if current day is in the schedule
-  if (!schedule.days.includes(currentDay)) {
-    return false;
+  // Today's ranges, overnight ones up to midnight
+  const activeToday = schedule.days.includes(currentDay) &&
+    isScheduledOnDate(schedule, now.date) &&
+    getScheduleTimes(schedule, currentDay).some(timeRange => {
+      const { start, end } = parseTimeRange(timeRange);
+      return isOvernightRange(start, end)
+        ? currentMinutes >= toMinutes(start)
+        : currentMinutes >= toMinutes(start) && currentMinutes <= toMinutes(end);
+    });
+  
+  if (activeToday) {
+    return true;
+  }
+  
+  // Yesterday's overnight ranges, after midnight
+  return schedule.days.includes(previousDay) &&
+    isScheduledOnDate(schedule, addDays(now.date, -1)) &&
+    getScheduleTimes(schedule, previousDay).some(timeRange => {
+      const { start, end } = parseTimeRange(timeRange);
+      return isOvernightRange(start, end) && currentMinutes <= toMinutes(end);
+    });
+}
+
+// How far back to look for the start of an active period. Any weekly schedule with a
+// gap shows it within a week, so a period running longer has no boundary
+const PERIOD_LOOKBACK_DAYS = 8;
+
+// How far ahead to look for the next activation, enough to reach a startDate or
+// onlyDates entry up to a year away
+const ACTIVATION_LOOKAHEAD_DAYS = 366;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Convert a wall-clock time on a calendar date in a time zone to an instant
+ * The zone's offset is read at a first guess and corrected once, which lands on the
+ * right side of DST transitions
+ * @param {string} date - Date in format "YYYY-MM-DD"
+ * @param {number} minutes - Minutes since midnight
+ * @param {string} [timeZone] - IANA time zone; the browser's local zone when omitted
+ * @returns {Date} The instant
+ */
+function toInstant(date, minutes, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  if (!timeZone) {
+    return new Date(year, month - 1, day, 0, minutes);
   }
   
-  // Check if current time falls within any of the time ranges
-  for (const timeRange of schedule.times) {
-    const { start, end } = parseTimeRange(timeRange);
-    if (isTimeInRange(now, start, end)) {
-      return true;
+  const wallTime = Date.UTC(year, month - 1, day, 0, minutes);
+  let instant = wallTime;
+  for (let i = 0; i < 2; i++) {
+    const zoned = getZonedTime(new Date(instant), timeZone);
+    const [zonedYear, zonedMonth, zonedDay] = zoned.date.split('-').map(Number);
+    instant += wallTime - Date.UTC(zonedYear, zonedMonth - 1, zonedDay, zoned.hours, zoned.minutes);
+  }
+  
+  return new Date(instant);
+}
+
+/**
+ * Read a schedule's current time and its active periods around it
+ * Periods are in minutes from today's midnight (in the schedule's time zone) with
+ * inclusive ends. Ranges that touch or overlap, including across midnight (e.g.
+ * "1800-2400" and "0000-0200" the next day), form one period
+ * @param {Schedule} schedule - Schedule object with days and times
+ * @param {Date} now - The current time
+ * @param {number} fromOffset - First day to include, relative to today (e.g. -1)
+ * @param {number} toOffset - Last day to include, relative to today
+ * @returns {{zoned: {date: string, day: number, hours: number, minutes: number},
+ *   timeZone: string|undefined, currentMinutes: number, periods: number[][]}}
+ */
+function getSchedulePeriods(schedule, now, fromOffset, toOffset) {
+  const timeZone = isValidTimeZone(schedule.timeZone) ? schedule.timeZone : undefined;
+  const zoned = getZonedTime(now, timeZone);
+  
+  const intervals = [];
+  for (let offset = fromOffset; offset <= toOffset; offset++) {
+    const date = addDays(zoned.date, offset);
+    const day = ((zoned.day + offset) % 7 + 7) % 7;
+    if (!schedule.days.includes(day) || !isScheduledOnDate(schedule, date)) {
+      continue;
+    }
+    
+    for (const timeRange of getScheduleTimes(schedule, day)) {
+      const { start, end } = parseTimeRange(timeRange);
+      const endMinutes = isOvernightRange(start, end) ? toMinutes(end) + MINUTES_PER_DAY : toMinutes(end);
+      intervals.push([offset * MINUTES_PER_DAY + toMinutes(start), offset * MINUTES_PER_DAY + endMinutes]);
     }
   }
+  intervals.sort((a, b) => a[0] - b[0]);
+  
+  // A gap of a minute or more starts a new period
+  const periods = [];
+  for (const [start, end] of intervals) {
+    const last = periods[periods.length - 1];
+    if (last && start <= last[1] + 1) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      periods.push([start, end]);
+    }
+  }
+  
+  return { zoned, timeZone, currentMinutes: toMinutes(zoned), periods };
+}
+
+/**
+ * Convert minutes from today's midnight back to an instant
+ * @param {string} today - Today's date in the schedule's time zone
+ * @param {number} minutes - Minutes from today's midnight (may be negative or past a day)
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {Date} The instant
+ */
+function periodMinutesToInstant(today, minutes, timeZone) {
+  const dayOffset = Math.floor(minutes / MINUTES_PER_DAY);
+  return toInstant(addDays(today, dayOffset), minutes - dayOffset * MINUTES_PER_DAY, timeZone);
+}
+
+/**
+ * Find when the schedule's current active period began
+ * @param {Schedule} schedule - Schedule object
+ * @param {Date} [now] - The current time
+ * @returns {Date|null} Start of the current period, or null if the rule has no
+ *   schedule, isn't active now, or has been active for over a week without a break
+ */
+export function getActivePeriodStart(schedule, now = new Date()) {
+  if (!schedule || !schedule.days || !schedule.times) {
+    return null;
+  }
+  
+  const { zoned, timeZone, currentMinutes, periods } = getSchedulePeriods(schedule, now, -PERIOD_LOOKBACK_DAYS, 0);
+  const current = periods.find(([start, end]) => start <= currentMinutes && currentMinutes <= end);
+  
+  if (!current || current[0] < (1 - PERIOD_LOOKBACK_DAYS) * MINUTES_PER_DAY) {
+    return null;
+  }
+  
+  return periodMinutesToInstant(zoned.date, current[0], timeZone);
+}
+
+/**
+ * Find when the schedule's current active period ends
+ * @param {Schedule} schedule - Schedule object
+ * @param {Date} [now] - The current time
+ * @returns {Date|null} End time of the current period (the rule stays active through
+ *   that minute), or null if the rule has no schedule, isn't active now, or stays
+ *   active for over a week
+ */
+export function getNextDeactivation(schedule, now = new Date()) {
+  if (!schedule || !schedule.days || !schedule.times) {
+    return null;
+  }
+  
+  const { zoned, timeZone, currentMinutes, periods } = getSchedulePeriods(schedule, now, -1, PERIOD_LOOKBACK_DAYS);
+  const current = periods.find(([start, end]) => start <= currentMinutes && currentMinutes <= end);
+  
+  if (!current || current[1] >= PERIOD_LOOKBACK_DAYS * MINUTES_PER_DAY) {
+    return null;
+  }
   
-  return false;
+  return periodMinutesToInstant(zoned.date, current[1], timeZone);
+}
+
+/**
+ * Find when the schedule next turns on
+ * If the rule is active now, this is the start of the period after the current one
+ * @param {Schedule} schedule - Schedule object
+ * @param {Date} [now] - The current time
+ * @returns {Date|null} Start of the next period, or null if the rule has no schedule
+ *   or no period starts within a year (e.g. its endDate has passed)
+ */
+export function getNextActivation(schedule, now = new Date()) {
+  if (!schedule || !schedule.days || !schedule.times) {
+    return null;
+  }
+  
+  const { zoned, timeZone, currentMinutes, periods } = getSchedulePeriods(schedule, now, -1, ACTIVATION_LOOKAHEAD_DAYS);
+  const next = periods.find(([start]) => start > currentMinutes);
+  
+  return next ? periodMinutesToInstant(zoned.date, next[0], timeZone) : null;
+}
+
+/**
+ * Validate a time of day string
+ * @param {string} timeString - Time in format "HHMM", from "0000" to "2359"
+ * @returns {string|null} Error message, or null if the time is valid
+ */
+export function validateTime(timeString) {
+  if (typeof timeString !== 'string' || !/^([01]\d|2[0-3])[0-5]\d$/.test(timeString)) {
+    return 'must be a time from 0000 to 2359 in format HHMM';
+  }
+  
+  return null;
+}
+
+/**
+ * Find the calendar-aligned window that contains a moment
+ * Hourly windows start on the hour; daily windows at the reset time; weekly windows
+ * at the reset time on the reset day. Reset times are read in the given time zone
+ * @param {string} windowType - "hourly", "daily" or "weekly" ("rolling" has no fixed window)
+ * @param {Object} [reset]
+ * @param {string} [reset.resetTime] - Time of day the window resets ("HHMM"), default "0000"
+ * @param {number} [reset.resetDay] - Day the weekly window resets (0=Sunday), default 1 (Monday)
+ * @param {string} [reset.timeZone] - IANA time zone; local time if missing or unknown
+ * @param {Date} [now] - The current time
+ * @returns {{start: Date, end: Date}|null} When the current window began and when the
+ *   next one begins, or null for rolling (or unknown) window types
+ */
+export function getCalendarWindow(windowType, { resetTime = '0000', resetDay = 1, timeZone } = {}, now = new Date()) {
+  const zone = isValidTimeZone(timeZone) ? timeZone : undefined;
+  const zoned = getZonedTime(now, zone);
+  const currentMinutes = toMinutes(zoned);
+  const resetMinutes = validateTime(resetTime)
+    ? 0
+    : toMinutes({ hours: parseInt(resetTime.slice(0, 2), 10), minutes: parseInt(resetTime.slice(2), 10) });
+  
+  switch (windowType) {
+    case 'hourly': {
+      const start = zoned.hours * 60;
+      return { start: toInstant(zoned.date, start, zone), end: toInstant(zoned.date, start + 60, zone) };
+    }
+    case 'daily': {
+      const startDate = currentMinutes >= resetMinutes ? zoned.date : addDays(zoned.date, -1);
+      return {
+        start: toInstant(startDate, resetMinutes, zone),
+        end: toInstant(addDays(startDate, 1), resetMinutes, zone)
+      };
+    }
+    case 'weekly': {
+      let daysSinceReset = (zoned.day - resetDay + 7) % 7;
+      if (daysSinceReset === 0 && currentMinutes < resetMinutes) {
+        daysSinceReset = 7;
+      }
+      const startDate = addDays(zoned.date, -daysSinceReset);
+      return {
+        start: toInstant(startDate, resetMinutes, zone),
+        end: toInstant(addDays(startDate, 7), resetMinutes, zone)
+      };
+    }
+    default:
+      return null;
+  }
 }
@@ -2,6 +2,8 @@
  * URL matching utilities for site pattern matching
  */
 
+import { isPublicSuffix } from './public-suffix.js';
+
 /**
  * Extract domain from a URL
  * @param {string} url - Full URL
@@ -32,10 +34,413 @@ export function extractPath(url) {
   }
 }
 
+/**
+ * Check if a site pattern is an exclusion (prefixed with "!")
+ * @param {string} pattern - Site pattern
+ * @returns {boolean} True if the pattern excludes matching URLs from its group
+ */
+export function isExclusionPattern(pattern) {
+  return typeof pattern === 'string' && pattern.startsWith('!');
+}
+
+/**
+ * Prefix marking a site pattern as a regular expression
+ */
+export const REGEX_PATTERN_PREFIX = 're:';
+
+/**
+ * Check if a site pattern is a regular expression (prefixed with "re:")
+ * @param {string} pattern - Site pattern
+ * @returns {boolean} True if the pattern is matched as a regex against the full URL
+ */
+export function isRegexPattern(pattern) {
+  return typeof pattern === 'string' && pattern.startsWith(REGEX_PATTERN_PREFIX);
+}
+
+/**
+ * Check if a site pattern uses glob syntax
+ * @param {string} pattern - Site pattern
+ * @returns {boolean} True if the pattern contains `*` or `?` wildcards
+ */
+export function isGlobPattern(pattern) {
+  return typeof pattern === 'string' &&
+    !isRegexPattern(pattern) &&
+    /[*?]/.test(parseUrlConstraints(pattern).base);
+}
+
+/**
+ * Check if matching a site pattern needs more of the URL than its host and path
+ * @param {string} pattern - Site pattern (exclusions are checked without their "!")
+ * @returns {boolean} True for regex patterns and patterns with query or fragment constraints
+ */
+export function requiresFullUrl(pattern) {
+  if (typeof pattern !== 'string') {
+    return false;
+  }
+  
+  const body = isExclusionPattern(pattern) ? pattern.slice(1) : pattern;
+  if (isRegexPattern(body)) {
+    return true;
+  }
+  
+  const { query, hash } = parseUrlConstraints(body);
+  return query.length > 0 || hash !== null;
+}
+
+// A query constraint: "name=" or "name=*" (present), "name=value" (equal) or "!name" (absent).
+// Presence needs the "=", so "example.com/p?ge" stays a glob rather than a "ge" parameter
+const QUERY_NAME = '[A-Za-z0-9_\\-\\[\\]%]+';
+const QUERY_TOKEN = `(?:${QUERY_NAME}=[^&#]*|!${QUERY_NAME})`;
+const QUERY_SECTION = new RegExp(`^${QUERY_TOKEN}(?:&${QUERY_TOKEN})*$`);
+
+// Parsed query/fragment constraints, keyed by pattern string
+const constraintCache = new Map();
+
+/**
+ * Split a site pattern into its domain/path base and its query and fragment constraints
+ * A "?" starts the query section only when everything after it is a list of
+ * parameter constraints ("name=", "name=value", "!name"); otherwise it stays a
+ * single-character glob wildcard
+ * @param {string} pattern - Pattern like "youtube.com/results?search_query=" or "app.com#/feed"
+ * @returns {{base: string, query: Array<{name: string, value: string|null, negated: boolean}>, hash: string|null}}
+ */
+export function parseUrlConstraints(pattern) {
+  if (constraintCache.has(pattern)) {
+    return constraintCache.get(pattern);
+  }
+  
+  const hashIndex = pattern.indexOf('#');
+  const hash = hashIndex === -1 ? null : pattern.slice(hashIndex + 1) || null;
+  let base = hashIndex === -1 ? pattern : pattern.slice(0, hashIndex);
+  const query = [];
+  
+  for (let i = base.indexOf('?'); i !== -1; i = base.indexOf('?', i + 1)) {
+    const section = base.slice(i + 1);
+    if (!QUERY_SECTION.test(section)) {
+      continue;
+    }
+    
+    section.split('&').forEach(token => {
+      const negated = token.startsWith('!');
+      const [name, ...rest] = (negated ? token.slice(1) : token).split('=');
+      const value = rest.join('=');
+      query.push({
+        name: safeDecode(name),
+        // Empty values and "*" only require the parameter to be present
+        value: value === '' || value === '*' ? null : safeDecode(value),
+        negated
+      });
+    });
+    base = base.slice(0, i);
+    break;
+  }
+  
+  const parsed = { base, query, hash };
+  constraintCache.set(pattern, parsed);
+  
+  return parsed;
+}
+
+// Scheme prefix of a pattern or URL, e.g. "http://"
+const SCHEME_PREFIX = /^([a-z][a-z0-9+.-]*):\/\//i;
+
+// Ports implied by a scheme when a URL doesn't state one
+const DEFAULT_PORTS = { http: '80', https: '443', ws: '80', wss: '443', ftp: '21' };
+
+// Split patterns, keyed by pattern string
+const splitCache = new Map();
+
+/**
+ * Split a (non-regex) site pattern into its scheme, host, port and the rest
+ * @param {string} pattern - Pattern like "http://localhost:3000/app?debug"
+ * @returns {{scheme: string|null, host: string, port: string|null, rest: string}}
+ *   e.g. { scheme: "http", host: "localhost", port: "3000", rest: "/app?debug" };
+ *   scheme and port are null when the pattern doesn't restrict them
+ */
+export function splitSitePattern(pattern) {
+  if (splitCache.has(pattern)) {
+    return splitCache.get(pattern);
+  }
+  
+  const schemeMatch = pattern.match(SCHEME_PREFIX);
+  const afterScheme = schemeMatch ? pattern.slice(schemeMatch[0].length) : pattern;
+  const base = parseUrlConstraints(afterScheme).base;
+  const hostEnd = base.indexOf('/');
+  const authority = hostEnd === -1 ? base : base.slice(0, hostEnd);
+  const portMatch = authority.match(/:(\d*)$/);
+  
+  const parts = {
+    scheme: schemeMatch ? schemeMatch[1].toLowerCase() : null,
+    host: portMatch ? authority.slice(0, portMatch.index) : authority,
+    port: portMatch ? portMatch[1] : null,
+    rest: afterScheme.slice(authority.length)
+  };
+  splitCache.set(pattern, parts);
+  
+  return parts;
+}
+
+/**
+ * Check a URL's scheme and port against a pattern's restrictions
+ * @param {string} url - Full URL
+ * @param {string|null} scheme - Required scheme (e.g. "http"), or null for any
+ * @param {string|null} port - Required port (e.g. "3000"), or null for any
+ * @returns {boolean} True if the URL uses the scheme and port
+ */
+function matchesSchemeAndPort(url, scheme, port) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (e) {
+    return false;
+  }
+  
+  const urlScheme = urlObj.protocol.slice(0, -1);
+  if (scheme !== null && urlScheme !== scheme) {
+    return false;
+  }
+  
+  // "example.com:443" matches https://example.com/, whose port is implied
+  return port === null || (urlObj.port || DEFAULT_PORTS[urlScheme]) === String(Number(port));
+}
+
+/**
+ * Decode a URI component, falling back to the raw string if it is malformed
+ * @param {string} str - Encoded string
+ * @returns {string} Decoded string
+ */
+function safeDecode(str) {
+  try {
+    return decodeURIComponent(str.replace(/\+/g, ' '));
+  } catch (e) {
+    return str;
+  }
+}
+
+/**
+ * Check a URL's query string and fragment against parsed pattern constraints
+ * @param {string} url - Full URL
+ * @param {{query: Array<{name: string, value: string|null, negated: boolean}>, hash: string|null}} constraints
+ * @returns {boolean} True if every constraint holds
+ */
+function matchesUrlConstraints(url, constraints) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (e) {
+    return false;
+  }
+  
+  const queryMatches = constraints.query.every(({ name, value, negated }) => {
+    if (negated) {
+      return !urlObj.searchParams.has(name);
+    }
+    if (value === null) {
+      return urlObj.searchParams.has(name);
+    }
+    return urlObj.searchParams.getAll(name).includes(value);
+  });
+  
+  if (!queryMatches || constraints.hash === null) {
+    return queryMatches;
+  }
+  
+  const fragment = urlObj.hash.slice(1);
+  const hash = constraints.hash;
+  
+  if (/[*?]/.test(hash)) {
+    const hashSource = hash.endsWith('/**')
+      ? `${globToRegExpSource(hash.slice(0, -3), '/')}(?:/.*)?`
+      : globToRegExpSource(hash, '/');
+    return new RegExp(`^${hashSource}$`).test(fragment);
+  }
+  
+  // Literal fragments match like path prefixes ("#/feed" matches "#/feed/123")
+  return fragment === hash ||
+    (fragment.startsWith(hash) && (hash.endsWith('/') || '/?'.includes(fragment[hash.length])));
+}
+
+// Compiled regex patterns, keyed by pattern string (null if the regex is invalid)
+const regexCache = new Map();
+
+/**
+ * Compile a "re:" site pattern
+ * @param {string} pattern - Pattern like "re:^https://(www\.)?youtube\.com/watch"
+ * @returns {RegExp|null} Compiled regex, or null if the source is invalid
+ */
+function compileRegexPattern(pattern) {
+  if (!regexCache.has(pattern)) {
+    let compiled = null;
+    try {
+      compiled = new RegExp(pattern.slice(REGEX_PATTERN_PREFIX.length));
+    } catch (e) {
+      console.error('Invalid regex site pattern:', pattern, e);
+    }
+    regexCache.set(pattern, compiled);
+  }
+  
+  return regexCache.get(pattern);
+}
+
+// Compiled glob patterns, keyed by pattern string
+const globCache = new Map();
+
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Convert a glob string to a regular expression source
+ * `**` matches anything, `*` matches within one segment, `?` matches one character
+ * @param {string} glob - Glob string
+ * @param {string} separator - Segment separator ("." for hosts, "/" for paths)
+ * @returns {string} Regular expression source (unanchored)
+ */
+function globToRegExpSource(glob, separator) {
+  const notSeparator = `[^${escapeRegExp(separator)}]`;
+  let source = '';
+  
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += `${notSeparator}*`;
+    } else if (char === '?') {
+      source += notSeparator;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  
+  return source;
+}
+
+/**
+ * Compile a glob site pattern into host and path regular expressions
+ * @param {string} pattern - Glob pattern like "*.reddit.com/r/**"
+ * @returns {{host: RegExp, path: RegExp|null}} Compiled matchers
+ */
+function compileGlobPattern(pattern) {
+  if (globCache.has(pattern)) {
+    return globCache.get(pattern);
+  }
+  
+  const slashIndex = pattern.indexOf('/');
+  const hostGlob = slashIndex === -1 ? pattern : pattern.slice(0, slashIndex);
+  const pathGlob = slashIndex === -1 ? '' : pattern.slice(slashIndex);
+  
+  // A leading "*." (or "**.") also matches the bare domain, mirroring plain patterns
+  let hostSource;
+  const leadingWildcard = hostGlob.match(/^\*{1,2}\./);
+  if (leadingWildcard) {
+    hostSource = `(?:.+\\.)?${globToRegExpSource(hostGlob.slice(leadingWildcard[0].length), '.')}`;
+  } else if (isGlobPattern(hostGlob)) {
+    hostSource = globToRegExpSource(hostGlob, '.');
+  } else {
+    // Literal host keeps the usual exact-or-subdomain behavior
+    hostSource = `(?:.+\\.)?${escapeRegExp(hostGlob)}`;
+  }
+  
+  let pathRegExp = null;
+  if (pathGlob && pathGlob !== '/') {
+    let pathSource;
+    if (isGlobPattern(pathGlob)) {
+      // A trailing "/**" also matches the parent path itself
+      pathSource = pathGlob.endsWith('/**')
+        ? `${globToRegExpSource(pathGlob.slice(0, -3), '/')}(?:/.*)?`
+        : globToRegExpSource(pathGlob, '/');
+    } else {
+      // Literal paths keep prefix semantics ("/channels" matches "/channels/123")
+      pathSource = `${escapeRegExp(pathGlob.replace(/\/+$/, ''))}(?:/.*)?`;
+    }
+    pathRegExp = new RegExp(`^${pathSource}$`);
+  }
+  
+  const compiled = {
+    host: new RegExp(`^${hostSource}$`, 'i'),
+    path: pathRegExp
+  };
+  globCache.set(pattern, compiled);
+  
+  return compiled;
+}
+
+/**
+ * Validate the syntax of a site pattern
+ * @param {string} pattern - Site pattern to validate
+ * @returns {string|null} Error message, or null if the pattern is valid
+ */
+export function validateSitePattern(pattern) {
+  if (typeof pattern !== 'string' || pattern.trim() === '') {
+    return 'Pattern must be a non-empty string';
+  }
+  
+  if (isExclusionPattern(pattern)) {
+    if (pattern.startsWith('!!')) {
+      return 'Exclusion must start with a single "!"';
+    }
+    pattern = pattern.slice(1);
+  }
+  
+  if (isRegexPattern(pattern)) {
+    const source = pattern.slice(REGEX_PATTERN_PREFIX.length);
+    if (source === '') {
+      return 'Regex pattern must not be empty';
+    }
+    try {
+      new RegExp(source);
+    } catch (e) {
+      return `Invalid regex: ${e.message}`;
+    }
+    return null;
+  }
+  
+  if (/\s/.test(pattern)) {
+    return 'Pattern must not contain whitespace';
+  }
+  
+  // Query and fragment constraints are free-form; validate the domain, port and path
+  if (parseUrlConstraints(pattern).base.includes('***')) {
+    return 'Pattern must not contain more than two consecutive "*"';
+  }
+  
+  const { host, port } = splitSitePattern(pattern);
+  
+  if (host === '') {
+    return 'Pattern must start with a domain';
+  }
+  
+  if (port !== null && !(/^\d+$/.test(port) && Number(port) >= 1 && Number(port) <= 65535)) {
+    return 'Port must be a number from 1 to 65535';
+  }
+  
+  if (/[^\x00-\x7f]/.test(host)) {
+    return 'Internationalized domains must be written in punycode (e.g. "xn--bcher-kva.de")';
+  }
+  
+  // Require at least one literal label so a pattern can't match every site
+  const literalLabels = host.split('.').filter(label => label && !isGlobPattern(label));
+  if (literalLabels.length === 0) {
+    return 'Pattern domain must contain at least one label without wildcards';
+  }
+  
+  return null;
+}
+
 /**
  * Check if a URL matches a configured site pattern
  * @param {string} url - Full URL to check
- * @param {string} pattern - Pattern like "discord.com" or "discord.com/channels"
+ * @param {string} pattern - Pattern like "discord.com", "discord.com/channels",
+ *   a glob like "news.ycombinator.com/item*", a regex like "re:^https://[^/]+/watch",
+ *   optionally with query/fragment constraints like "youtube.com/results?search_query="
  * @returns {boolean} True if URL matches the pattern
  */
 export function matchesSitePattern(url, pattern) {
@@ -46,15 +451,43 @@ export function matchesSitePattern(url, pattern) {
     return false;
   }
   
-  // Check if pattern includes a path
+  // Regex patterns see the full URL, including query string and fragment
+  if (isRegexPattern(pattern)) {
+    const regex = compileRegexPattern(pattern);
+    return regex ? regex.test(url) : false;
+  }
+  
+  const constraints = parseUrlConstraints(pattern);
+  if (constraints.query.length > 0 || constraints.hash !== null) {
+    if (!matchesUrlConstraints(url, constraints)) {
+      return false;
+    }
+    pattern = constraints.base;
+  }
+  
+  // "http://localhost:3000" only matches that scheme and port
+  const { scheme, host, port, rest } = splitSitePattern(pattern);
+  if (scheme !== null || port !== null) {
+    if (!matchesSchemeAndPort(url, scheme, port)) {
+      return false;
+    }
+    pattern = host + rest;
+  }
+  
+  if (isGlobPattern(pattern)) {
+    const compiled = compileGlobPattern(pattern);
+    if (!compiled.host.test(domain)) {
+      return false;
+    }
+    return !compiled.path || compiled.path.test(path || '/');
+  }
+  
+  // Check if pattern includes a path (a trailing slash doesn't change what it matches)
   const patternParts = pattern.split('/');
   const patternDomain = patternParts[0];
-  const patternPath = patternParts.slice(1).join('/');
+  const patternPath = patternParts.slice(1).join('/').replace(/\/+$/, '');
   
-  // Domain must match (exact or subdomain)
-  const domainMatches = domain === patternDomain || domain.endsWith('.' + patternDomain);
-  
-  if (!domainMatches) {
+  if (!matchesPlainDomain(domain, patternDomain)) {
     return false;
   }
   
@@ -67,3 +500,234 @@ export function matchesSitePattern(url, pattern) {
   const normalizedPath = path.startsWith('/') ? path.slice(1) : path;
   return normalizedPath === patternPath || normalizedPath.startsWith(patternPath + '/');
 }
+
+/**
+ * Check if a domain matches the domain part of a site pattern, ignoring any path,
+ * query or fragment constraints
+ * Used where only the hostname of an access is known
+ * @param {string} domain - Domain to check (e.g., "www.reddit.com")
+ * @param {string} pattern - Site pattern (plain or glob)
+ * @returns {boolean} True if the domain matches the pattern's domain part
+ */
+export function matchesSiteDomain(domain, pattern) {
+  if (!domain || !pattern) {
+    return false;
+  }
+  
+  // Without a path, a regex can only be tested against the domain's root URL
+  if (isRegexPattern(pattern)) {
+    return matchesSitePattern(`https://${domain}/`, pattern);
+  }
+  
+  // The scheme and port can't be checked without a URL
+  const { host } = splitSitePattern(parseUrlConstraints(pattern).base);
+  
+  if (isGlobPattern(host)) {
+    return compileGlobPattern(host).host.test(domain);
+  }
+  
+  return matchesPlainDomain(domain, host);
+}
+
+/**
+ * Check a domain against the domain of a plain (non-glob) pattern
+ * Subdomains match too, except under a public suffix: "co.uk" or "github.io"
+ * only match themselves instead of every site registered under them
+ * @param {string} domain - Domain to check (e.g., "www.reddit.com")
+ * @param {string} patternDomain - Pattern domain (e.g., "reddit.com")
+ * @returns {boolean} True if the domain is the pattern domain or one of its subdomains
+ */
+function matchesPlainDomain(domain, patternDomain) {
+  const host = domain.toLowerCase();
+  const target = patternDomain.toLowerCase();
+  
+  if (host === target) {
+    return true;
+  }
+  return host.endsWith('.' + target) && !isPublicSuffix(target);
+}
+
+/**
+ * Build a matchable URL from either a bare domain or a full URL
+ * @param {string} siteOrUrl - Domain like "discord.com" or URL like "https://discord.com/channels"
+ * @returns {string} Full URL (bare domains get an https:// scheme)
+ */
+export function toMatchableUrl(siteOrUrl) {
+  if (!siteOrUrl) {
+    return '';
+  }
+  return SCHEME_PREFIX.test(siteOrUrl) ? siteOrUrl : `https://${siteOrUrl}`;
+}
+
+/**
+ * Check if a URL matches a group's site list, honoring exclusion entries
+ * The URL must match at least one regular pattern and no "!" exclusion
+ * @param {string} url - Full URL to check
+ * @param {string[]} sites - Site patterns, e.g. ["discord.com", "!discord.com/developers"]
+ * @returns {boolean} True if the URL belongs to the site list
+ */
+export function matchesSiteList(url, sites) {
+  let included = false;
+  
+  for (const pattern of sites) {
+    if (isExclusionPattern(pattern)) {
+      if (matchesSitePattern(url, pattern.slice(1))) {
+        return false;
+      }
+    } else if (!included && matchesSitePattern(url, pattern)) {
+      included = true;
+    }
+  }
+  
+  return included;
+}
+
+/**
+ * Find the configured pattern a URL is counted under in a group's site list
+ * @param {string} url - Full URL to check
+ * @param {string[]} sites - Site patterns of the group
+ * @returns {string|null} First regular pattern matching the URL, or null if none
+ *   matches or an exclusion applies
+ */
+export function findMatchingSitePattern(url, sites) {
+  if (!matchesSiteList(url, sites)) {
+    return null;
+  }
+  
+  return sites.find(pattern => !isExclusionPattern(pattern) && matchesSitePattern(url, pattern));
+}
+
+/**
+ * Known redirector pages that carry their destination in a query parameter
+ * Each entry matches the redirector's host and path and names the parameters to read
+ */
+const REDIRECTORS = [
+  { host: /^(www\.)?google\.[a-z]{2,3}(\.[a-z]{2})?$/, path: /^\/url$/, params: ['q', 'url'] },
+  { host: /^(l|lm)\.facebook\.com$/, path: /^\/l\.php$/, params: ['u'] },
+  { host: /^l\.instagram\.com$/, path: /^\/$/, params: ['u'] },
+  { host: /^l\.messenger\.com$/, path: /^\/l\.php$/, params: ['u'] },
+  { host: /^slack-redir\.net$/, path: /^\/link$/, params: ['url'] },
+  { host: /^(www\.)?youtube\.com$/, path: /^\/redirect$/, params: ['q'] },
+  { host: /^out\.reddit\.com$/, path: /^\//, params: ['url'] },
+  { host: /^duckduckgo\.com$/, path: /^\/l\/?$/, params: ['uddg'] },
+  { host: /\.safelinks\.protection\.outlook\.com$/, path: /^\//, params: ['url'] }
+];
+
+/**
+ * Link shorteners that redirect without exposing the destination in the URL
+ */
+const OPAQUE_REDIRECTORS = ['t.co', 'bit.ly', 'lnkd.in', 'ow.ly', 'buff.ly', 'tinyurl.com'];
+
+// Redirector chains longer than this are left unresolved
+const MAX_REDIRECT_DEPTH = 5;
+
+/**
+ * Check if a URL is a redirector hop rather than a real destination
+ * @param {string} url - Full URL
+ * @returns {boolean} True for known redirectors (google.com/url?q=, l.facebook.com, t.co, ...)
+ */
+export function isRedirectorUrl(url) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (e) {
+    return false;
+  }
+  
+  const host = urlObj.hostname.toLowerCase();
+  return OPAQUE_REDIRECTORS.includes(host) ||
+    REDIRECTORS.some(r => r.host.test(host) && r.path.test(urlObj.pathname));
+}
+
+/**
+ * Unwrap a redirector URL to the destination it sends the browser to
+ * Nested redirectors (e.g. a Google result pointing at l.facebook.com) are unwrapped
+ * until a real destination is reached
+ * @param {string} url - Full URL, e.g. "https://www.google.com/url?q=https://reddit.com/"
+ * @returns {string|null} Destination URL, or null if the URL isn't a redirector or
+ *   doesn't reveal an http(s) destination (e.g. t.co links)
+ */
+export function resolveRedirectUrl(url) {
+  let current = url;
+  
+  for (let depth = 0; depth < MAX_REDIRECT_DEPTH; depth++) {
+    let urlObj;
+    try {
+      urlObj = new URL(current);
+    } catch (e) {
+      return null;
+    }
+    
+    const host = urlObj.hostname.toLowerCase();
+    const redirector = REDIRECTORS.find(r => r.host.test(host) && r.path.test(urlObj.pathname));
+    if (!redirector) {
+      return current === url ? null : current;
+    }
+    
+    const destination = redirector.params
+      .map(name => urlObj.searchParams.get(name))
+      .find(value => value && /^https?:\/\//i.test(value));
+    if (!destination) {
+      return current === url ? null : current;
+    }
+    
+    current = destination;
+  }
+  
+  return null;
+}
+
+/**
+ * Normalize a pasted site entry into the canonical pattern form
+ * Strips an http(s) scheme, a leading "www." and trailing slashes, lowercases the domain and
+ * converts internationalized domains to punycode. Regex patterns are left unchanged
+ * @param {string} pattern - Entry like "https://www.Reddit.com/r/all/"
+ * @returns {string} Canonical pattern like "reddit.com/r/all"
+ */
+export function normalizeSitePattern(pattern) {
+  if (typeof pattern !== 'string') {
+    return pattern;
+  }
+  
+  const trimmed = pattern.trim();
+  if (isExclusionPattern(trimmed)) {
+    return '!' + normalizeSitePattern(trimmed.slice(1));
+  }
+  if (isRegexPattern(trimmed)) {
+    return trimmed;
+  }
+  
+  // Pasted http(s) URLs lose their scheme; other schemes stay as a restriction
+  const schemeMatch = trimmed.match(SCHEME_PREFIX);
+  const scheme = schemeMatch ? schemeMatch[1].toLowerCase() : null;
+  const prefix = scheme && scheme !== 'http' && scheme !== 'https' ? `${scheme}://` : '';
+  const withoutScheme = schemeMatch ? trimmed.slice(schemeMatch[0].length) : trimmed;
+  
+  // Query and fragment constraints are kept as they are
+  const { base } = parseUrlConstraints(withoutScheme);
+  const tail = withoutScheme.slice(base.length);
+  const hostEnd = base.indexOf('/');
+  let host = (hostEnd === -1 ? base : base.slice(0, hostEnd)).toLowerCase();
+  
+  if (host && !isGlobPattern(host)) {
+    const portIndex = host.lastIndexOf(':');
+    const port = portIndex === -1 ? '' : host.slice(portIndex);
+    let hostname = (portIndex === -1 ? host : host.slice(0, portIndex)).replace(/\.$/, '');
+    
+    try {
+      hostname = new URL(`https://${hostname}`).hostname;
+    } catch (e) {
+      // Leave hosts the URL parser rejects for validation to report
+    }
+    
+    if (hostname.startsWith('www.') && !isPublicSuffix(hostname.slice(4))) {
+      hostname = hostname.slice(4);
+    }
+    host = hostname + port;
+  }
+  
+  // Trailing slashes on the path don't change what a pattern matches
+  const path = hostEnd === -1 ? '' : base.slice(hostEnd).replace(/\/+$/, '');
+  
+  return prefix + host + path + tail;
+}
@@ -0,0 +1,51 @@
+/**
+ * Site Index Benchmark
+ * Times the rule engine's indexed site lookup against matching every pattern
+ * of every group. Run with `npm run bench`; kept out of the unit tests because
+ * timings depend on the machine.
+ */
+
+import { getActiveRulesForSite } from '../../src/background/rule-engine.js';
+import { matchesSiteList } from '../../src/utils/url-matcher.js';
+
+const RUNS = 5;
+
+// 60 groups of 20 patterns: plain domains, paths, globs and exclusions
+const groups = Array.from({ length: 60 }, (_, g) => ({
+  name: `Group ${g}`,
+  duration: 60,
+  maxAccesses: 5,
+  strictMode: false,
+  sites: Array.from({ length: 20 }, (_, i) =>
+    [`site${g}-${i}.com`, `docs${g}-${i}.org/guide`, `*.blog${g}-${i}.net`, `!site${g}-${i - 3}.com/help`][i % 4]
+  )
+}));
+const config = { groups };
+const urls = Array.from({ length: 90 }, (_, n) => [
+  `https://nomatch${n}.com/`,
+  `https://www.site${n % 60}-${(n % 5) * 4}.com/page`,
+  `https://a.blog${n % 60}-${2 + (n % 5) * 4}.net/x`
+][n % 3]);
+
+// The rule engine's matching before the index: every pattern of every group
+const matchLinearly = url => groups.filter(group => matchesSiteList(url, group.sites));
+
+/**
+ * Best wall time of several runs over all URLs
+ */
+function bestTime(fn) {
+  let best = Infinity;
+  for (let run = 0; run < RUNS; run++) {
+    const start = performance.now();
+    urls.forEach(fn);
+    best = Math.min(best, performance.now() - start);
+  }
+  return best;
+}
+
+const linear = bestTime(matchLinearly);
+const indexed = bestTime(url => getActiveRulesForSite(url, config));
+
+console.log(`Site matching for ${urls.length} URLs against 1200 patterns (best of ${RUNS}):`);
+console.log(`  linear  ${linear.toFixed(1)}ms`);
+console.log(`  indexed ${indexed.toFixed(1)}ms (${(linear / indexed).toFixed(0)}x faster)`);
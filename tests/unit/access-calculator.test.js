@@ -1,5 +1,42 @@
-import { describe, it, expect } from '@jest/globals';
-import { filterAccessesInWindow, calculateRemainingAccesses } from '../../src/utils/access-calculator.js';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import {
+  filterAccessesInWindow,
+  calculateRemainingAccesses,
+  accessMatchesSites,
+  filterRelevantAccesses,
+  getAccessUrl,
+  filterTimeInWindow,
+  calculateTimeSpent,
+  calculateBucketState,
+  getVisitCost
+} from '../../src/utils/access-calculator.js';
+
+/**
+ * Pin Date.now() for the tests of the enclosing describe block, so values
+ * computed in a test match the ones the code under test reads
+ */
+function useFixedClock() {
+  const OriginalDate = Date;
+  const mockDate = new OriginalDate('2024-01-01T10:00:00');
+
+  beforeEach(() => {
+    global.Date = class extends OriginalDate {
+      constructor(...args) {
+        if (args.length === 0) {
+          return mockDate;
+        }
+        return new OriginalDate(...args);
+      }
+      static now() {
+        return mockDate.getTime();
+      }
+    };
+  });
+
+  afterEach(() => {
+    global.Date = OriginalDate;
+  });
+}
 
 describe('access-calculator', () => {
   describe('filterAccessesInWindow', () => {
@@ -42,6 +79,35 @@ describe('access-calculator', () => {
       expect(result).toHaveLength(2);
     });
 
+    it('never reaches back before the schedule period start', () => {
+      const now = Date.now();
+      const accesses = [
+        { site: 'example.com', timestamp: now - 5 * 60 * 1000, tabId: 1 },
+        { site: 'example.com', timestamp: now - 30 * 60 * 1000, tabId: 2 }
+      ];
+
+      const result = filterAccessesInWindow(accesses, 60, new Date(now - 10 * 60 * 1000));
+      
+      expect(result).toHaveLength(1);
+      expect(result[0].tabId).toBe(1);
+      expect(filterAccessesInWindow(accesses, 60, new Date(now - 90 * 60 * 1000))).toHaveLength(2);
+    });
+
+    it('counts from the start of a calendar window instead of the rolling window', () => {
+      const now = Date.now();
+      const accesses = [
+        { site: 'example.com', timestamp: now - 5 * 60 * 1000, tabId: 1 },
+        { site: 'example.com', timestamp: now - 300 * 60 * 1000, tabId: 2 },
+        { site: 'example.com', timestamp: now - 600 * 60 * 1000, tabId: 3 }
+      ];
+      const calendarWindow = { start: new Date(now - 360 * 60 * 1000), end: new Date(now + 60 * 60 * 1000) };
+
+      const result = filterAccessesInWindow(accesses, 60, null, calendarWindow);
+      
+      expect(result.map(access => access.tabId)).toEqual([1, 2]);
+      expect(filterAccessesInWindow(accesses, 60, new Date(now - 10 * 60 * 1000), calendarWindow)).toHaveLength(1);
+    });
+
     it('handles empty array', () => {
       const result = filterAccessesInWindow([], 60);
       expect(result).toHaveLength(0);
@@ -141,6 +207,57 @@ describe('access-calculator', () => {
       });
     });
 
+    describe('non-strict pattern keying', () => {
+      it('shares one allowance across subdomains of a configured site', () => {
+        const now = Date.now();
+        const accesses = [
+          { site: 'www.reddit.com', timestamp: now - 5 * 60 * 1000, tabId: 1 },
+          { site: 'old.reddit.com', timestamp: now - 10 * 60 * 1000, tabId: 2 },
+          { site: 'reddit.com', timestamp: now - 15 * 60 * 1000, tabId: 3 }
+        ];
+
+        const remaining = calculateRemainingAccesses(
+          accesses,
+          3,
+          60,
+          false,
+          ['reddit.com'],
+          'np.reddit.com'
+        );
+
+        expect(remaining).toBe(0); // All three count against "reddit.com"
+      });
+
+      it('keeps separate allowances for separate patterns', () => {
+        const now = Date.now();
+        const accesses = [
+          { site: 'www.reddit.com', timestamp: now - 5 * 60 * 1000, tabId: 1 },
+          { site: 'twitter.com', timestamp: now - 10 * 60 * 1000, tabId: 2 }
+        ];
+
+        const remaining = calculateRemainingAccesses(
+          accesses,
+          3,
+          60,
+          false,
+          ['reddit.com', 'twitter.com'],
+          'https://old.reddit.com/r/news'
+        );
+
+        expect(remaining).toBe(2);
+      });
+
+      it('falls back to the exact domain when no pattern matches', () => {
+        const accesses = [
+          { site: 'example.com', timestamp: Date.now() - 1000, tabId: 1 },
+          { site: 'www.example.com', timestamp: Date.now() - 2000, tabId: 2 }
+        ];
+
+        const result = filterRelevantAccesses(accesses, false, ['other.com'], 'example.com');
+        expect(result).toHaveLength(1);
+      });
+    });
+
     describe('strict mode', () => {
       it('counts accesses across all sites in group', () => {
         const now = Date.now();
@@ -183,6 +300,164 @@ describe('access-calculator', () => {
 
         expect(remaining).toBe(0); // 5 total accesses across all sites
       });
+
+      it('adds up the cost of weighted sites', () => {
+        const now = Date.now();
+        const accesses = [
+          { site: 'www.youtube.com', timestamp: now - 5 * 60 * 1000, tabId: 1, path: '/watch' },
+          { site: 'youtube.com', timestamp: now - 10 * 60 * 1000, tabId: 2 },
+          { site: 'news.ycombinator.com', timestamp: now - 15 * 60 * 1000, tabId: 3, path: '/' }
+        ];
+        const sites = [{ pattern: 'youtube.com', cost: 2 }, 'news.ycombinator.com'];
+
+        expect(calculateRemainingAccesses(accesses, 10, 60, true, sites, 'news.ycombinator.com')).toBe(5);
+        
+        // Costs only weigh the shared pool of strict mode
+        expect(calculateRemainingAccesses(accesses, 10, 60, false, sites, 'youtube.com')).toBe(8);
+      });
+    });
+
+    describe('exclusions', () => {
+      it('skips domain-wide exclusions in strict mode', () => {
+        const now = Date.now();
+        const accesses = [
+          { site: 'discord.com', timestamp: now - 5 * 60 * 1000, tabId: 1 },
+          { site: 'developer.discord.com', timestamp: now - 10 * 60 * 1000, tabId: 2 },
+          { site: 'reddit.com', timestamp: now - 15 * 60 * 1000, tabId: 3 }
+        ];
+
+        const remaining = calculateRemainingAccesses(
+          accesses,
+          5,
+          60,
+          true,
+          ['discord.com', 'reddit.com', '!developer.discord.com'],
+          'discord.com'
+        );
+
+        expect(remaining).toBe(3); // developer.discord.com not counted
+      });
+
+      it('matches accesses against the site list', () => {
+        const sites = ['discord.com', '!developer.discord.com', '!discord.com/settings'];
+        expect(accessMatchesSites({ site: 'ptb.discord.com' }, sites)).toBe(true);
+        expect(accessMatchesSites({ site: 'developer.discord.com' }, sites)).toBe(false);
+        expect(accessMatchesSites({ site: 'example.com' }, sites)).toBe(false);
+      });
+    });
+
+    describe('logged paths', () => {
+      it('only counts logged paths under a path pattern in strict mode', () => {
+        const now = Date.now();
+        const accesses = [
+          { site: 'discord.com', path: '/channels/123', timestamp: now - 5 * 60 * 1000, tabId: 1 },
+          { site: 'discord.com', path: '/settings', timestamp: now - 10 * 60 * 1000, tabId: 2 },
+          { site: 'reddit.com', path: '/r/all', timestamp: now - 15 * 60 * 1000, tabId: 3 }
+        ];
+
+        const remaining = calculateRemainingAccesses(
+          accesses,
+          5,
+          60,
+          true,
+          ['discord.com/channels', 'reddit.com'],
+          'https://discord.com/channels/456'
+        );
+
+        expect(remaining).toBe(3); // /settings not counted
+      });
+
+      it('applies path exclusions to logged paths', () => {
+        const sites = ['discord.com', '!discord.com/settings'];
+        expect(accessMatchesSites({ site: 'discord.com', path: '/channels' }, sites)).toBe(true);
+        expect(accessMatchesSites({ site: 'discord.com', path: '/settings/profile' }, sites)).toBe(false);
+      });
+
+      it('matches query patterns against logged URLs', () => {
+        const sites = ['youtube.com/results?search_query='];
+        expect(accessMatchesSites({
+          site: 'www.youtube.com',
+          path: '/results',
+          url: 'https://www.youtube.com/results?search_query=cats'
+        }, sites)).toBe(true);
+        expect(accessMatchesSites({
+          site: 'www.youtube.com',
+          path: '/results',
+          url: 'https://www.youtube.com/results'
+        }, sites)).toBe(false);
+      });
+
+      it('falls back to domain matching for legacy logs', () => {
+        const sites = ['discord.com/channels'];
+        expect(accessMatchesSites({ site: 'discord.com' }, sites)).toBe(true);
+        expect(accessMatchesSites({ site: 'discord.com', path: null }, sites)).toBe(true);
+      });
+
+      it('rebuilds the accessed URL', () => {
+        expect(getAccessUrl({ site: 'a.com', path: '/x', url: 'https://a.com/x?y=1' })).toBe('https://a.com/x?y=1');
+        expect(getAccessUrl({ site: 'a.com', path: '/x' })).toBe('https://a.com/x');
+        expect(getAccessUrl({ site: 'a.com', path: null })).toBeNull();
+        expect(getAccessUrl({ site: 'a.com' })).toBeNull();
+      });
+    });
+
+    describe('site aliases', () => {
+      const aliases = { 'twitter.com': ['x.com'] };
+
+      it('counts alias accesses against the canonical site in non-strict mode', () => {
+        const now = Date.now();
+        const accesses = [
+          { site: 'x.com', path: '/home', timestamp: now - 5 * 60 * 1000, tabId: 1 },
+          { site: 'twitter.com', path: '/home', timestamp: now - 10 * 60 * 1000, tabId: 2 }
+        ];
+
+        const remaining = calculateRemainingAccesses(
+          accesses,
+          3,
+          60,
+          false,
+          ['twitter.com'],
+          'https://x.com/explore',
+          { aliases }
+        );
+
+        expect(remaining).toBe(1);
+      });
+
+      it('counts alias accesses in strict mode', () => {
+        const now = Date.now();
+        const accesses = [
+          { site: 'x.com', timestamp: now - 5 * 60 * 1000, tabId: 1 },
+          { site: 'reddit.com', timestamp: now - 10 * 60 * 1000, tabId: 2 }
+        ];
+
+        const remaining = calculateRemainingAccesses(
+          accesses,
+          5,
+          60,
+          true,
+          ['twitter.com', 'reddit.com'],
+          'reddit.com',
+          { aliases }
+        );
+
+        expect(remaining).toBe(3);
+      });
+
+      it('keys an alias entry and its canonical entry together', () => {
+        const now = Date.now();
+        const accesses = [
+          { site: 'twitter.com', path: '/', timestamp: now - 5 * 60 * 1000, tabId: 1 }
+        ];
+
+        const relevant = filterRelevantAccesses(accesses, false, ['x.com'], 'x.com', aliases);
+        expect(relevant).toHaveLength(1);
+      });
+
+      it('ignores aliases when no table is given', () => {
+        expect(accessMatchesSites({ site: 'x.com', path: '/' }, ['twitter.com'])).toBe(false);
+        expect(accessMatchesSites({ site: 'x.com', path: '/' }, ['twitter.com'], aliases)).toBe(true);
+      });
     });
 
     describe('edge cases', () => {
@@ -220,4 +495,166 @@ describe('access-calculator', () => {
       });
     });
   });
+
+  describe('getVisitCost', () => {
+    const sites = [{ pattern: 'youtube.com', cost: 3 }, 'news.ycombinator.com', '!youtube.com/kids'];
+
+    it('returns the cost of the entry a visit is counted under', () => {
+      expect(getVisitCost('https://www.youtube.com/watch?v=1', sites)).toBe(3);
+      expect(getVisitCost('news.ycombinator.com', sites)).toBe(1);
+    });
+
+    it('costs 1 for excluded and unmatched sites', () => {
+      expect(getVisitCost('https://youtube.com/kids', sites)).toBe(1);
+      expect(getVisitCost('example.com', sites)).toBe(1);
+    });
+
+    it('weighs aliased domains like their canonical site', () => {
+      expect(getVisitCost('x.com', [{ pattern: 'twitter.com', cost: 2 }], { 'twitter.com': ['x.com'] })).toBe(2);
+    });
+
+    it('takes the highest cost of a pattern listed twice', () => {
+      const aliases = { 'twitter.com': ['x.com'] };
+      expect(getVisitCost('x.com', ['x.com', { pattern: 'twitter.com', cost: 3 }], aliases)).toBe(3);
+      expect(getVisitCost('twitter.com', [{ pattern: 'twitter.com', cost: 3 }, 'x.com'], aliases)).toBe(3);
+    });
+  });
+
+  describe('filterTimeInWindow', () => {
+    useFixedClock();
+
+    it('cuts time logs to the window', () => {
+      const now = Date.now();
+      const timeLogs = [
+        { site: 'example.com', start: now - 90 * 60 * 1000, end: now - 50 * 60 * 1000, tabId: 1, path: '/' },
+        { site: 'example.com', start: now - 20 * 60 * 1000, end: now - 10 * 60 * 1000, tabId: 1, path: '/' },
+        { site: 'example.com', start: now - 180 * 60 * 1000, end: now - 120 * 60 * 1000, tabId: 1, path: '/' }
+      ];
+
+      const result = filterTimeInWindow(timeLogs, 60);
+      
+      expect(result).toHaveLength(2);
+      expect(result[0].start).toBe(now - 60 * 60 * 1000);
+      expect(result[1]).toBe(timeLogs[1]);
+    });
+
+    it('never reaches back before the schedule period start', () => {
+      const now = Date.now();
+      const timeLogs = [{ site: 'example.com', start: now - 30 * 60 * 1000, end: now, tabId: 1, path: '/' }];
+
+      const result = filterTimeInWindow(timeLogs, 60, new Date(now - 10 * 60 * 1000));
+      
+      expect(result[0].start).toBe(now - 10 * 60 * 1000);
+    });
+  });
+
+  describe('calculateBucketState', () => {
+    useFixedClock();
+
+    const minutesAgo = (minutes) => Date.now() - minutes * 60 * 1000;
+    const minutesUntil = (date) => (date.getTime() - Date.now()) / (60 * 1000);
+
+    it('starts full', () => {
+      const state = calculateBucketState([], 3, 20, false, ['reddit.com'], 'reddit.com');
+      
+      expect(state).toEqual({ remaining: 3, nextRefill: null });
+    });
+
+    it('takes one access per visit and refills one at a time', () => {
+      const accesses = [
+        { site: 'reddit.com', timestamp: minutesAgo(30), tabId: 1 },
+        { site: 'reddit.com', timestamp: minutesAgo(25), tabId: 2 },
+        { site: 'reddit.com', timestamp: minutesAgo(10), tabId: 3 }
+      ];
+
+      const state = calculateBucketState(accesses, 3, 20, false, ['reddit.com'], 'reddit.com');
+      
+      // Down to 1.25 after the second visit, 1 after the third, halfway to 2 now
+      expect(state.remaining).toBe(1);
+      expect(minutesUntil(state.nextRefill)).toBeCloseTo(10, 1);
+    });
+
+    it('runs empty after a burst of visits', () => {
+      const accesses = [7, 6, 5].map((minutes, tabId) => ({ site: 'reddit.com', timestamp: minutesAgo(minutes), tabId }));
+
+      const state = calculateBucketState(accesses, 3, 20, false, ['reddit.com'], 'reddit.com');
+      
+      expect(state.remaining).toBe(0);
+      expect(minutesUntil(state.nextRefill)).toBeCloseTo(13, 1);
+    });
+
+    it('is full again after a long enough gap', () => {
+      const accesses = [62, 61, 60].map((minutes, tabId) => ({ site: 'reddit.com', timestamp: minutesAgo(minutes), tabId }));
+
+      expect(calculateBucketState(accesses, 3, 20, false, ['reddit.com'], 'reddit.com'))
+        .toEqual({ remaining: 3, nextRefill: null });
+    });
+
+    it('shares one bucket across the group in strict mode', () => {
+      const accesses = [
+        { site: 'reddit.com', timestamp: minutesAgo(2), tabId: 1 },
+        { site: 'youtube.com', timestamp: minutesAgo(1), tabId: 2 }
+      ];
+      const sites = ['reddit.com', 'youtube.com'];
+      
+      expect(calculateBucketState(accesses, 3, 20, false, sites, 'reddit.com').remaining).toBe(2);
+      expect(calculateBucketState(accesses, 3, 20, true, sites, 'reddit.com').remaining).toBe(1);
+    });
+
+    it('takes the cost of weighted sites in strict mode', () => {
+      const accesses = [{ site: 'youtube.com', timestamp: minutesAgo(1), tabId: 1 }];
+      const sites = [{ pattern: 'youtube.com', cost: 2 }, 'reddit.com'];
+      
+      // 3 - 2 + 0.05 = 1.05 banked: a reddit.com visit fits, a youtube.com one in 19 minutes
+      expect(calculateBucketState(accesses, 3, 20, true, sites, 'reddit.com').remaining).toBe(1);
+      const youtube = calculateBucketState(accesses, 3, 20, true, sites, 'youtube.com');
+      expect(youtube.remaining).toBe(0);
+      expect(minutesUntil(youtube.nextRefill)).toBeCloseTo(19, 5);
+      
+      // Costs don't apply outside strict mode
+      expect(calculateBucketState(accesses, 3, 20, false, sites, 'youtube.com').remaining).toBe(2);
+    });
+    
+    it('never fits a visit costing more than the bucket holds', () => {
+      const sites = [{ pattern: 'youtube.com', cost: 5 }];
+      
+      expect(calculateBucketState([], 3, 20, true, sites, 'youtube.com')).toEqual({ remaining: 0, nextRefill: null });
+    });
+  });
+
+  describe('calculateTimeSpent', () => {
+    const minutesAgo = (minutes) => Date.now() - minutes * 60 * 1000;
+
+    it('adds up the time spent on the matching pattern', () => {
+      const timeLogs = [
+        { site: 'www.reddit.com', start: minutesAgo(30), end: minutesAgo(20), tabId: 1, path: '/' },
+        { site: 'old.reddit.com', start: minutesAgo(15), end: minutesAgo(10), tabId: 2, path: '/r/all' },
+        { site: 'youtube.com', start: minutesAgo(10), end: minutesAgo(5), tabId: 1, path: '/' }
+      ];
+
+      const spent = calculateTimeSpent(timeLogs, 60, false, ['reddit.com', 'youtube.com'], 'reddit.com');
+      
+      expect(spent).toBeCloseTo(15);
+    });
+
+    it('adds up time on every site of the group in strict mode', () => {
+      const timeLogs = [
+        { site: 'reddit.com', start: minutesAgo(30), end: minutesAgo(20), tabId: 1, path: '/' },
+        { site: 'youtube.com', start: minutesAgo(10), end: minutesAgo(5), tabId: 1, path: '/' },
+        { site: 'example.com', start: minutesAgo(5), end: minutesAgo(0), tabId: 1, path: '/' }
+      ];
+
+      const spent = calculateTimeSpent(timeLogs, 60, true, ['reddit.com', 'youtube.com'], 'reddit.com');
+      
+      expect(spent).toBeCloseTo(15);
+    });
+
+    it('only counts the part of a visit inside the window', () => {
+      const timeLogs = [{ site: 'reddit.com', start: minutesAgo(90), end: minutesAgo(40), tabId: 1, path: '/' }];
+
+      const spent = calculateTimeSpent(timeLogs, 60, false, ['reddit.com'], 'reddit.com');
+      
+      expect(spent).toBeCloseTo(20);
+    });
+  });
 });
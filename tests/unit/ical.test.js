@@ -0,0 +1,113 @@
+import { describe, it, expect } from '@jest/globals';
+import { parseICalendar } from '../../src/utils/ical.js';
+
+const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+describe('ical', () => {
+  describe('parseICalendar', () => {
+    it('reads event start, end and summary', () => {
+      const { events, errors } = parseICalendar(calendar(
+        'BEGIN:VEVENT',
+        'SUMMARY:Focus block',
+        'DTSTART;TZID=America/New_York:20240513T090000',
+        'DTEND;TZID=America/New_York:20240513T120000',
+        'END:VEVENT'
+      ));
+      
+      expect(errors).toEqual([]);
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({
+        summary: 'Focus block',
+        start: { date: '2024-05-13', time: '0900', timeZone: 'America/New_York' },
+        end: { date: '2024-05-13', time: '1200', timeZone: 'America/New_York' }
+      });
+    });
+
+    it('distinguishes UTC, floating and all-day values', () => {
+      const { events } = parseICalendar(calendar(
+        'BEGIN:VEVENT',
+        'DTSTART:20240513T130000Z',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART:20240513T090000',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20240513',
+        'END:VEVENT'
+      ));
+      
+      expect(events.map(event => event.start)).toEqual([
+        { date: '2024-05-13', time: '1300', timeZone: 'UTC' },
+        { date: '2024-05-13', time: '0900', timeZone: null },
+        { date: '2024-05-13', time: null, timeZone: null }
+      ]);
+    });
+
+    it('reads recurrence rules, exception dates and durations', () => {
+      const { events } = parseICalendar(calendar(
+        'BEGIN:VEVENT',
+        'DTSTART:20240513T090000',
+        'DURATION:PT1H30M',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20240630T000000Z',
+        'EXDATE:20240520T090000,20240522T090000',
+        'EXDATE:20240527T090000',
+        'END:VEVENT'
+      ));
+      
+      expect(events[0].duration).toBe(90);
+      expect(events[0].rrule).toEqual({ FREQ: 'WEEKLY', BYDAY: 'MO,WE', UNTIL: '20240630T000000Z' });
+      expect(events[0].exdates.map(exdate => exdate.date)).toEqual(['2024-05-20', '2024-05-22', '2024-05-27']);
+    });
+
+    it('unfolds long lines and handles quoted parameters', () => {
+      const { events } = parseICalendar(calendar(
+        'BEGIN:VEVENT',
+        'SUMMARY:Deep work\\, no',
+        '  meetings',
+        'DTSTART;TZID="Europe/Berlin":20240513T090000',
+        'END:VEVENT'
+      ));
+      
+      expect(events[0].summary).toBe('Deep work, no meetings');
+      expect(events[0].start.timeZone).toBe('Europe/Berlin');
+    });
+
+    it('skips properties of nested components', () => {
+      const { events } = parseICalendar(calendar(
+        'BEGIN:VTIMEZONE',
+        'TZID:America/New_York',
+        'BEGIN:STANDARD',
+        'DTSTART:19701101T020000',
+        'END:STANDARD',
+        'END:VTIMEZONE',
+        'BEGIN:VEVENT',
+        'DTSTART:20240513T090000',
+        'BEGIN:VALARM',
+        'DURATION:PT15M',
+        'END:VALARM',
+        'END:VEVENT'
+      ));
+      
+      expect(events).toHaveLength(1);
+      expect(events[0].duration).toBeNull();
+    });
+
+    it('reports unreadable files and events', () => {
+      expect(parseICalendar('not a calendar').errors).toEqual(['Not an iCalendar file (expected BEGIN:VCALENDAR)']);
+      
+      const { events, errors } = parseICalendar(calendar(
+        'BEGIN:VEVENT',
+        'SUMMARY:Broken',
+        'DTSTART:tomorrow',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART:20240513T090000'
+      ));
+      expect(events).toEqual([]);
+      expect(errors).toEqual([
+        'Event "Broken" has no valid start (DTSTART)',
+        'Calendar ends inside VEVENT (missing END line)'
+      ]);
+    });
+  });
+});
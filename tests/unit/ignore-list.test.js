@@ -0,0 +1,106 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  isIgnoredUrl,
+  isIpInRange,
+  parseIpRange,
+  getIgnoreList,
+  validateIgnoredHost,
+  DEFAULT_IGNORE_LIST
+} from '../../src/utils/ignore-list.js';
+
+describe('ignore-list', () => {
+  describe('parseIpRange', () => {
+    it('parses CIDR ranges and single addresses', () => {
+      expect(parseIpRange('10.0.0.0/8')).toEqual({ bits: 32, prefix: 8, value: 10n << 24n });
+      expect(parseIpRange('192.168.1.1').prefix).toBe(32);
+      expect(parseIpRange('fd00::/8')).toMatchObject({ bits: 128, prefix: 8 });
+      expect(parseIpRange('::1').prefix).toBe(128);
+    });
+
+    it('rejects invalid addresses and prefixes', () => {
+      expect(parseIpRange('10.0.0.0/33')).toBeNull();
+      expect(parseIpRange('10.0.0.0/')).toBeNull();
+      expect(parseIpRange('256.0.0.1')).toBeNull();
+      expect(parseIpRange('1::2::3')).toBeNull();
+      expect(parseIpRange('localhost')).toBeNull();
+    });
+  });
+
+  describe('isIpInRange', () => {
+    it('checks IPv4 ranges', () => {
+      expect(isIpInRange('10.1.2.3', '10.0.0.0/8')).toBe(true);
+      expect(isIpInRange('11.0.0.1', '10.0.0.0/8')).toBe(false);
+      expect(isIpInRange('192.168.1.1', '192.168.1.1')).toBe(true);
+      expect(isIpInRange('1.2.3.4', '0.0.0.0/0')).toBe(true);
+    });
+
+    it('checks IPv6 ranges, including embedded IPv4', () => {
+      expect(isIpInRange('fd00::5', 'fd00::/8')).toBe(true);
+      expect(isIpInRange('fe80::1', 'fd00::/8')).toBe(false);
+      expect(isIpInRange('::ffff:10.0.0.1', '::ffff:10.0.0.0/104')).toBe(true);
+    });
+
+    it('never matches across address families', () => {
+      expect(isIpInRange('10.0.0.1', '::/0')).toBe(false);
+    });
+  });
+
+  describe('isIgnoredUrl', () => {
+    it('always ignores browser pages and unparseable URLs', () => {
+      expect(isIgnoredUrl('chrome://extensions')).toBe(true);
+      expect(isIgnoredUrl('about:blank')).toBe(true);
+      expect(isIgnoredUrl('edge://settings')).toBe(true);
+      expect(isIgnoredUrl('')).toBe(true);
+      expect(isIgnoredUrl('not a url')).toBe(true);
+      expect(isIgnoredUrl('https://example.com/')).toBe(false);
+    });
+
+    it('ignores configured schemes', () => {
+      const ignoreList = { schemes: ['file'] };
+      expect(isIgnoredUrl('file:///home/me/notes.html', ignoreList)).toBe(true);
+      expect(isIgnoredUrl('https://example.com/', ignoreList)).toBe(false);
+    });
+
+    it('ignores configured hosts, with globs and ports', () => {
+      const ignoreList = { hosts: ['localhost:3000', '*.corp.example.com'] };
+      expect(isIgnoredUrl('http://localhost:3000/app', ignoreList)).toBe(true);
+      expect(isIgnoredUrl('http://localhost:8080/app', ignoreList)).toBe(false);
+      expect(isIgnoredUrl('https://wiki.corp.example.com/', ignoreList)).toBe(true);
+      expect(isIgnoredUrl('https://example.com/', ignoreList)).toBe(false);
+    });
+
+    it('ignores hosts in configured IP ranges', () => {
+      const ignoreList = { ipRanges: ['192.168.0.0/16', 'fd00::/8'] };
+      expect(isIgnoredUrl('http://192.168.1.20:8080/', ignoreList)).toBe(true);
+      expect(isIgnoredUrl('http://[fd00::1]/', ignoreList)).toBe(true);
+      expect(isIgnoredUrl('http://8.8.8.8/', ignoreList)).toBe(false);
+    });
+  });
+
+  describe('getIgnoreList', () => {
+    it('falls back to the empty default', () => {
+      expect(getIgnoreList({ groups: [] })).toBe(DEFAULT_IGNORE_LIST);
+      expect(getIgnoreList(null)).toBe(DEFAULT_IGNORE_LIST);
+    });
+
+    it('returns the configured list', () => {
+      const ignoreList = { hosts: ['localhost'] };
+      expect(getIgnoreList({ groups: [], ignoreList })).toBe(ignoreList);
+    });
+  });
+
+  describe('validateIgnoredHost', () => {
+    it('accepts hosts with optional ports and globs', () => {
+      expect(validateIgnoredHost('localhost')).toBeNull();
+      expect(validateIgnoredHost('localhost:3000')).toBeNull();
+      expect(validateIgnoredHost('*.internal.example')).toBeNull();
+    });
+
+    it('rejects paths, schemes, exclusions and regexes', () => {
+      expect(validateIgnoredHost('example.com/app')).toContain('host');
+      expect(validateIgnoredHost('http://example.com')).toContain('host');
+      expect(validateIgnoredHost('!example.com')).toContain('host');
+      expect(validateIgnoredHost('re:^http://')).toContain('host');
+    });
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect } from '@jest/globals';
+import { getPublicSuffix, isPublicSuffix } from '../../src/utils/public-suffix.js';
+import { PUBLIC_SUFFIX_RULES } from '../../src/utils/public-suffix-list.js';
+
+describe('public-suffix', () => {
+  describe('PUBLIC_SUFFIX_RULES', () => {
+    it('includes ICANN and private rules in punycode', () => {
+      expect(PUBLIC_SUFFIX_RULES).toContain('com');
+      expect(PUBLIC_SUFFIX_RULES).toContain('co.uk');
+      expect(PUBLIC_SUFFIX_RULES).toContain('github.io');
+      expect(PUBLIC_SUFFIX_RULES.every(rule => /^[\x00-\x7f]+$/.test(rule))).toBe(true);
+    });
+  });
+
+  describe('getPublicSuffix', () => {
+    it('finds the longest matching suffix', () => {
+      expect(getPublicSuffix('www.bbc.co.uk')).toBe('co.uk');
+      expect(getPublicSuffix('reddit.com')).toBe('com');
+      expect(getPublicSuffix('me.github.io')).toBe('github.io');
+    });
+
+    it('applies wildcard and exception rules', () => {
+      expect(getPublicSuffix('foo.bar.ck')).toBe('bar.ck');
+      expect(getPublicSuffix('www.ck')).toBe('ck');
+    });
+
+    it('returns null for hosts no rule covers', () => {
+      expect(getPublicSuffix('localhost')).toBeNull();
+      expect(getPublicSuffix('')).toBeNull();
+    });
+  });
+
+  describe('isPublicSuffix', () => {
+    it('detects bare public suffixes', () => {
+      expect(isPublicSuffix('co.uk')).toBe(true);
+      expect(isPublicSuffix('github.io')).toBe(true);
+      expect(isPublicSuffix('com')).toBe(true);
+      expect(isPublicSuffix('CO.UK')).toBe(true);
+    });
+
+    it('does not flag registrable domains', () => {
+      expect(isPublicSuffix('bbc.co.uk')).toBe(false);
+      expect(isPublicSuffix('reddit.com')).toBe(false);
+      expect(isPublicSuffix('localhost')).toBe(false);
+    });
+  });
+});
@@ -3,7 +3,17 @@ import {
   getActiveRulesForSite,
   shouldBlockAccess,
   getMostRestrictiveCount,
-  calculateUnblockTime
+  getMostRestrictiveRule,
+  getTimeBudgetStatus,
+  getBudgetBlockDecision,
+  getCooldownStatus,
+  getSessionLimit,
+  calculateUnblockTime,
+  isSiteExcluded,
+  isSameRuleScope,
+  hasUrlConstrainedRule,
+  getLimitWindow,
+  getRuleWindowMinutes
 } from '../../src/background/rule-engine.js';
 import { mockRuleGroups } from '../fixtures/test-data.js';
 
@@ -119,6 +129,116 @@ describe('rule-engine', () => {
       expect(getActiveRulesForSite('facebook.com', config)).toHaveLength(1);
       expect(getActiveRulesForSite('instagram.com', config)).toHaveLength(1);
     });
+    it('matches glob patterns against full URLs', () => {
+      const rule = {
+        name: 'Reddit Comments',
+        duration: 60,
+        maxAccesses: 3,
+        strictMode: false,
+        sites: ['*.reddit.com/r/*/comments/**'],
+        schedule: null
+      };
+      const config = { groups: [rule] };
+      
+      expect(getActiveRulesForSite('https://old.reddit.com/r/news/comments/abc', config)).toHaveLength(1);
+      expect(getActiveRulesForSite('https://old.reddit.com/r/news', config)).toHaveLength(0);
+    });
+    it('skips groups whose exclusions match the URL', () => {
+      const rule = {
+        name: 'Discord',
+        duration: 60,
+        maxAccesses: 3,
+        strictMode: false,
+        sites: ['discord.com', '!discord.com/developers'],
+        schedule: null
+      };
+      const config = { groups: [rule] };
+      
+      expect(getActiveRulesForSite('https://discord.com/channels/1', config)).toHaveLength(1);
+      expect(getActiveRulesForSite('https://discord.com/developers/docs', config)).toHaveLength(0);
+    });
+  });
+
+  describe('isSiteExcluded', () => {
+    const discord = {
+      name: 'Discord',
+      duration: 60,
+      maxAccesses: 3,
+      strictMode: false,
+      sites: ['discord.com', '!discord.com/developers'],
+      schedule: null
+    };
+
+    it('returns true when every matching group excludes the URL', () => {
+      const config = { groups: [discord] };
+      expect(isSiteExcluded('https://discord.com/developers', config)).toBe(true);
+    });
+
+    it('returns false for included URLs and unrelated sites', () => {
+      const config = { groups: [discord] };
+      expect(isSiteExcluded('https://discord.com/channels', config)).toBe(false);
+      expect(isSiteExcluded('https://example.com', config)).toBe(false);
+      expect(isSiteExcluded('https://example.com', null)).toBe(false);
+    });
+
+    it('returns false when another group still includes the URL', () => {
+      const docs = { ...discord, name: 'Docs', sites: ['discord.com/developers'] };
+      const config = { groups: [discord, docs] };
+      expect(isSiteExcluded('https://discord.com/developers', config)).toBe(false);
+    });
+  });
+
+  describe('isSameRuleScope', () => {
+    const searches = {
+      name: 'Searches',
+      duration: 60,
+      maxAccesses: 3,
+      strictMode: false,
+      sites: ['youtube.com/results?search_query='],
+      schedule: null
+    };
+
+    it('treats URLs matched by the same groups as the same scope', () => {
+      const config = { groups: [mockRuleGroups.simple, searches] };
+      expect(isSameRuleScope('https://example.com/a', 'https://example.com/b', config)).toBe(true);
+      expect(isSameRuleScope(
+        'https://youtube.com/results?search_query=a',
+        'https://youtube.com/results?search_query=b',
+        config
+      )).toBe(true);
+    });
+
+    it('detects entering or leaving a query-constrained group', () => {
+      const config = { groups: [searches] };
+      expect(isSameRuleScope('https://youtube.com/', 'https://youtube.com/results?search_query=a', config)).toBe(false);
+      expect(isSameRuleScope('https://youtube.com/results?search_query=a', 'https://youtube.com/watch?v=1', config)).toBe(false);
+    });
+
+    it('returns true without a configuration', () => {
+      expect(isSameRuleScope('https://a.com', 'https://b.com', null)).toBe(true);
+    });
+  });
+
+  describe('hasUrlConstrainedRule', () => {
+    const feed = {
+      name: 'Feed',
+      duration: 60,
+      maxAccesses: 3,
+      strictMode: false,
+      sites: ['app.example.com#/feed'],
+      schedule: null
+    };
+
+    it('finds matching groups with query or fragment patterns', () => {
+      const config = { groups: [mockRuleGroups.simple, feed] };
+      expect(hasUrlConstrainedRule('https://app.example.com/#/feed', config)).toBe(true);
+    });
+
+    it('ignores groups that only match on host and path', () => {
+      const config = { groups: [mockRuleGroups.simple, feed] };
+      expect(hasUrlConstrainedRule('https://example.com/#/feed', config)).toBe(false);
+      expect(hasUrlConstrainedRule('https://other.com/', config)).toBe(false);
+    });
   });
 
   describe('shouldBlockAccess', () => {
@@ -334,6 +454,74 @@ describe('rule-engine', () => {
     });
   });
 
+  describe('getMostRestrictiveRule', () => {
+    it('returns null when no active rules', () => {
+      expect(getMostRestrictiveRule('example.com', { groups: [] }, [])).toBeNull();
+    });
+
+    it('reports the pattern a site is counted under in non-strict mode', () => {
+      const config = { groups: [mockRuleGroups.simple] };
+      const logs = [
+        { site: 'www.example.com', timestamp: Date.now() - 1000, tabId: 1 }
+      ];
+      
+      const result = getMostRestrictiveRule('https://app.example.com/home', config, logs);
+      expect(result.remaining).toBe(2);
+      expect(result.rule.name).toBe('Simple Rule');
+      expect(result.countedAs).toBe('example.com');
+    });
+
+    it('reports no pattern in strict mode', () => {
+      const config = { groups: [mockRuleGroups.strictMode] };
+      const result = getMostRestrictiveRule('twitter.com', config, []);
+      expect(result.countedAs).toBeNull();
+    });
+  });
+
+  describe('site aliases', () => {
+    const twitterRule = {
+      ...mockRuleGroups.simple,
+      name: 'Twitter',
+      sites: ['twitter.com'],
+      maxAccesses: 2
+    };
+
+    it('applies rules to built-in aliases', () => {
+      const config = { groups: [twitterRule] };
+      expect(getActiveRulesForSite('https://x.com/home', config)).toHaveLength(1);
+    });
+
+    it('blocks an alias once the canonical site is used up', () => {
+      const config = { groups: [twitterRule] };
+      const logs = [
+        { site: 'twitter.com', path: '/home', timestamp: Date.now() - 1000, tabId: 1 },
+        { site: 'x.com', path: '/home', timestamp: Date.now() - 2000, tabId: 2 }
+      ];
+      
+      expect(shouldBlockAccess('https://x.com/explore', config, logs).block).toBe(true);
+      expect(getMostRestrictiveRule('https://x.com/explore', config, logs).countedAs).toBe('twitter.com');
+    });
+
+    it('honors configured aliases and disabled built-ins', () => {
+      const config = {
+        groups: [twitterRule],
+        aliases: { 'twitter.com': ['twitter.example'] }
+      };
+      
+      expect(getActiveRulesForSite('https://x.com/home', config)).toHaveLength(0);
+      expect(getActiveRulesForSite('https://twitter.example/home', config)).toHaveLength(1);
+    });
+
+    it('uses aliases for unblock times when given', () => {
+      const now = Date.now();
+      const logs = [{ site: 'x.com', path: '/', timestamp: now - 30 * 60 * 1000, tabId: 1 }];
+      
+      expect(calculateUnblockTime('twitter.com', twitterRule, logs)).toBeNull();
+      expect(calculateUnblockTime('twitter.com', twitterRule, logs, { 'twitter.com': ['x.com'] }).getTime())
+        .toBe(now - 30 * 60 * 1000 + 60 * 60 * 1000);
+    });
+  });
+
   describe('calculateUnblockTime', () => {
     it('returns null when no relevant logs', () => {
       const logs = [];
@@ -388,9 +576,50 @@ describe('rule-engine', () => {
       expect(result.getTime()).toBe(expectedTime.getTime());
     });
 
+    it('ignores logged paths outside the pattern in strict mode', () => {
+      const now = Date.now();
+      const rule = {
+        ...mockRuleGroups.strictMode,
+        sites: ['discord.com/channels']
+      };
+      const logs = [
+        { site: 'discord.com', path: '/settings', timestamp: now - 50 * 60 * 1000, tabId: 1 },
+        { site: 'discord.com', path: '/channels/1', timestamp: now - 20 * 60 * 1000, tabId: 2 }
+      ];
+      
+      const result = calculateUnblockTime('https://discord.com/channels/2', rule, logs);
+      expect(result.getTime()).toBe(now - 20 * 60 * 1000 + 120 * 60 * 1000);
+    });
+
+    it('ignores logs for domains excluded in strict mode', () => {
+      const now = Date.now();
+      const rule = {
+        ...mockRuleGroups.strictMode,
+        sites: ['discord.com', '!developer.discord.com']
+      };
+      const logs = [
+        { site: 'developer.discord.com', timestamp: now - 50 * 60 * 1000, tabId: 1 },
+        { site: 'discord.com', timestamp: now - 20 * 60 * 1000, tabId: 2 }
+      ];
+      
+      const result = calculateUnblockTime('discord.com', rule, logs);
+      expect(result.getTime()).toBe(now - 20 * 60 * 1000 + 120 * 60 * 1000);
+    });
+
+    it('counts subdomains of the configured site together in non-strict mode', () => {
+      const now = Date.now();
+      const logs = [
+        { site: 'www.example.com', timestamp: now - 40 * 60 * 1000, tabId: 1 },
+        { site: 'example.com', timestamp: now - 10 * 60 * 1000, tabId: 2 }
+      ];
+      
+      const result = calculateUnblockTime('app.example.com', mockRuleGroups.simple, logs);
+      expect(result.getTime()).toBe(now - 40 * 60 * 1000 + 60 * 60 * 1000);
+    });
+
     it('uses the correct duration from the rule', () => {
       const now = Date.now();
-      const oldestTime = now - 100 * 60 * 1000; // 100 minutes ago
+      const oldestTime = now - 50 * 60 * 1000; // 50 minutes ago, after the 9:00 schedule start
       const logs = [
         { site: 'slack.com', timestamp: oldestTime, tabId: 1 }
       ];
@@ -402,4 +631,437 @@ describe('rule-engine', () => {
       expect(result.getTime()).toBe(expectedTime.getTime());
     });
   });
+
+  describe('schedule boundaries', () => {
+    // Work hours from 9:00; the mocked time is Monday 10:00
+    const rule = {
+      name: 'Work Hours',
+      duration: 120,
+      maxAccesses: 2,
+      strictMode: false,
+      sites: ['slack.com'],
+      schedule: { days: [1, 2, 3, 4, 5], times: ['0900-1700'] }
+    };
+    const at = (time) => new Date(`2024-01-01T${time}:00`).getTime();
+
+    it('does not count accesses from before the schedule period started', () => {
+      const logs = [
+        { site: 'slack.com', timestamp: at('08:59'), tabId: 1 },
+        { site: 'slack.com', timestamp: at('09:30'), tabId: 2 }
+      ];
+      
+      expect(getMostRestrictiveCount('slack.com', { groups: [rule] }, logs)).toBe(1);
+      expect(shouldBlockAccess('slack.com', { groups: [rule] }, logs).block).toBe(false);
+    });
+
+    it('counts accesses from the first minute of the period', () => {
+      const logs = [
+        { site: 'slack.com', timestamp: at('09:00'), tabId: 1 },
+        { site: 'slack.com', timestamp: at('09:30'), tabId: 2 }
+      ];
+      
+      expect(shouldBlockAccess('slack.com', { groups: [rule] }, logs).block).toBe(true);
+    });
+
+    it('keeps counting across ranges that touch', () => {
+      const split = { ...rule, schedule: { days: [1], times: ['0800-0900', '0900-1700'] } };
+      const logs = [
+        { site: 'slack.com', timestamp: at('08:30'), tabId: 1 },
+        { site: 'slack.com', timestamp: at('09:30'), tabId: 2 }
+      ];
+      
+      expect(shouldBlockAccess('slack.com', { groups: [split] }, logs).block).toBe(true);
+    });
+
+    it('counts an access made during an overlap toward both groups', () => {
+      // 9:30 falls inside both the morning period and the 9:00 period; 7:00 only the morning
+      const morning = { ...rule, name: 'Morning', duration: 240, schedule: { days: [1], times: ['0600-1200'] } };
+      const logs = [
+        { site: 'slack.com', timestamp: at('07:00'), tabId: 1 },
+        { site: 'slack.com', timestamp: at('09:30'), tabId: 2 }
+      ];
+      
+      const result = getMostRestrictiveRule('slack.com', { groups: [morning, rule] }, logs);
+      expect(result.remaining).toBe(0);
+      expect(result.rule.name).toBe('Morning');
+      expect(getMostRestrictiveCount('slack.com', { groups: [rule] }, logs)).toBe(1);
+    });
+
+    it('unblocks based on accesses in the current period only', () => {
+      const logs = [
+        { site: 'slack.com', timestamp: at('08:30'), tabId: 1 },
+        { site: 'slack.com', timestamp: at('09:10'), tabId: 2 },
+        { site: 'slack.com', timestamp: at('09:40'), tabId: 3 }
+      ];
+      
+      // 9:10 is the oldest access that counts; it leaves the 2 hour window at 11:10
+      expect(calculateUnblockTime('slack.com', rule, logs).getTime()).toBe(at('11:10'));
+    });
+
+    it('unblocks once the access that brings the count under the limit expires', () => {
+      const logs = [
+        { site: 'slack.com', timestamp: at('09:10'), tabId: 1 },
+        { site: 'slack.com', timestamp: at('09:20'), tabId: 2 },
+        { site: 'slack.com', timestamp: at('09:40'), tabId: 3 }
+      ];
+      
+      // With 3 accesses and a limit of 2, two have to expire: 9:20 + 2 hours
+      expect(calculateUnblockTime('slack.com', rule, logs).getTime()).toBe(at('11:20'));
+    });
+  });
+
+  describe('calendar windows', () => {
+    // The mocked time is Monday 2024-01-01 10:00
+    const rule = {
+      name: 'Daily News',
+      duration: 60,
+      maxAccesses: 2,
+      strictMode: false,
+      sites: ['news.com'],
+      windowType: 'daily'
+    };
+    const at = (dateTime) => new Date(dateTime).getTime();
+
+    it('counts every access since the daily reset, however long ago', () => {
+      const logs = [
+        { site: 'news.com', timestamp: at('2024-01-01T00:30:00'), tabId: 1 },
+        { site: 'news.com', timestamp: at('2024-01-01T07:00:00'), tabId: 2 }
+      ];
+      
+      expect(shouldBlockAccess('news.com', { groups: [rule] }, logs).block).toBe(true);
+      expect(shouldBlockAccess('news.com', { groups: [{ ...rule, windowType: 'rolling' }] }, logs).block).toBe(false);
+    });
+
+    it('starts over after the reset', () => {
+      const logs = [
+        { site: 'news.com', timestamp: at('2023-12-31T22:00:00'), tabId: 1 },
+        { site: 'news.com', timestamp: at('2023-12-31T23:30:00'), tabId: 2 }
+      ];
+      
+      expect(getMostRestrictiveCount('news.com', { groups: [rule] }, logs)).toBe(2);
+    });
+
+    it('uses the configured reset time', () => {
+      const logs = [
+        { site: 'news.com', timestamp: at('2024-01-01T05:00:00'), tabId: 1 },
+        { site: 'news.com', timestamp: at('2024-01-01T07:00:00'), tabId: 2 }
+      ];
+      const sixAm = { ...rule, windowResetTime: '0600' };
+      
+      expect(getMostRestrictiveCount('news.com', { groups: [sixAm] }, logs)).toBe(1);
+    });
+
+    it('counts the week since the reset day for weekly windows', () => {
+      const weekly = { ...rule, windowType: 'weekly', windowResetDay: 6 };
+      const logs = [
+        { site: 'news.com', timestamp: at('2023-12-29T12:00:00'), tabId: 1 },
+        { site: 'news.com', timestamp: at('2023-12-30T12:00:00'), tabId: 2 }
+      ];
+      
+      // The week began Saturday at midnight, so only Saturday's access counts
+      expect(getMostRestrictiveCount('news.com', { groups: [weekly] }, logs)).toBe(1);
+    });
+
+    it('unblocks when the window resets', () => {
+      const logs = [
+        { site: 'news.com', timestamp: at('2024-01-01T08:00:00'), tabId: 1 },
+        { site: 'news.com', timestamp: at('2024-01-01T09:00:00'), tabId: 2 }
+      ];
+      
+      expect(calculateUnblockTime('news.com', rule, logs).getTime()).toBe(at('2024-01-02T00:00:00'));
+      expect(calculateUnblockTime('news.com', { ...rule, windowType: 'hourly' }, logs)).toBeNull();
+    });
+
+    it('reports the window in the block decision', () => {
+      const logs = [
+        { site: 'news.com', timestamp: at('2024-01-01T08:00:00'), tabId: 1 },
+        { site: 'news.com', timestamp: at('2024-01-01T09:00:00'), tabId: 2 }
+      ];
+      
+      expect(shouldBlockAccess('news.com', { groups: [rule] }, logs).windowType).toBe('daily');
+    });
+
+    it('reads reset times in the schedule\'s time zone', () => {
+      const tokyo = { ...rule, schedule: { days: [0, 1, 2, 3, 4, 5, 6], times: ['0000-2400'], timeZone: 'Asia/Tokyo' } };
+      const now = new Date('2024-01-01T10:00:00Z');
+      
+      // 10:00 UTC is 19:00 in Tokyo, whose day began at 15:00 UTC the day before
+      expect(getLimitWindow(tokyo, tokyo.schedule, now).start).toEqual(new Date('2023-12-31T15:00:00Z'));
+      expect(getLimitWindow(rule, null, now)).not.toBeNull();
+      expect(getLimitWindow({ ...rule, windowType: undefined }, null, now)).toBeNull();
+    });
+
+    it('knows how far back each window type reaches', () => {
+      expect(getRuleWindowMinutes({ ...rule, windowType: undefined })).toBe(60);
+      expect(getRuleWindowMinutes({ ...rule, windowType: 'hourly' })).toBe(60);
+      expect(getRuleWindowMinutes(rule)).toBe(24 * 60);
+      expect(getRuleWindowMinutes({ ...rule, windowType: 'weekly' })).toBe(7 * 24 * 60);
+    });
+  });
+
+  describe('stacked limits', () => {
+    // The mocked time is Monday 2024-01-01 10:00
+    const rule = {
+      name: 'Social',
+      strictMode: false,
+      sites: ['reddit.com'],
+      limits: [
+        { maxAccesses: 3, duration: 60 },
+        { maxAccesses: 4, duration: 60, windowType: 'daily' }
+      ]
+    };
+    const at = (dateTime) => new Date(dateTime).getTime();
+    const logs = [
+      { site: 'reddit.com', timestamp: at('2024-01-01T07:00:00'), tabId: 1 },
+      { site: 'reddit.com', timestamp: at('2024-01-01T08:00:00'), tabId: 2 },
+      { site: 'reddit.com', timestamp: at('2024-01-01T09:30:00'), tabId: 3 },
+      { site: 'reddit.com', timestamp: at('2024-01-01T09:45:00'), tabId: 4 }
+    ];
+
+    it('blocks when any one limit is reached', () => {
+      const decision = shouldBlockAccess('reddit.com', { groups: [rule] }, logs);
+      
+      // Only two accesses in the last hour, but four today
+      expect(decision.block).toBe(true);
+      expect(decision.maxAccesses).toBe(4);
+      expect(decision.windowType).toBe('daily');
+      expect(decision.limitIndex).toBe(1);
+      expect(decision.limitCount).toBe(2);
+    });
+
+    it('allows access while every limit has room', () => {
+      const decision = shouldBlockAccess('reddit.com', { groups: [rule] }, logs.slice(1));
+      
+      expect(decision.block).toBe(false);
+    });
+
+    it('reports the limit with the fewest accesses left', () => {
+      const result = getMostRestrictiveRule('reddit.com', { groups: [rule] }, logs.slice(1));
+      
+      expect(result.remaining).toBe(1);
+      expect(result.limit).toBe(rule.limits[0]);
+    });
+
+    it('unblocks once every reached limit has room again', () => {
+      const both = {
+        ...rule,
+        limits: [
+          { maxAccesses: 2, duration: 60 },
+          { maxAccesses: 3, duration: 180 }
+        ]
+      };
+      
+      // The hour frees up at 10:30, but the three-hour limit holds until 11:00
+      expect(calculateUnblockTime('reddit.com', both, logs).getTime()).toBe(at('2024-01-01T11:00:00'));
+    });
+
+    it('still reads legacy single-limit groups', () => {
+      const legacy = { name: 'Legacy', duration: 60, maxAccesses: 2, strictMode: false, sites: ['reddit.com'] };
+      const decision = shouldBlockAccess('reddit.com', { groups: [legacy] }, logs);
+      
+      expect(decision.block).toBe(true);
+      expect(decision.limitCount).toBe(1);
+    });
+  });
+
+  describe('weighted sites', () => {
+    // The mocked time is Monday 2024-01-01 10:00
+    const rule = {
+      name: 'Media',
+      limits: [{ maxAccesses: 5, duration: 60 }],
+      strictMode: true,
+      sites: [{ pattern: 'youtube.com', cost: 2 }, 'news.ycombinator.com']
+    };
+    const at = (dateTime) => new Date(dateTime).getTime();
+    const logs = [
+      { site: 'youtube.com', timestamp: at('2024-01-01T09:20:00'), tabId: 1, path: '/' },
+      { site: 'news.ycombinator.com', timestamp: at('2024-01-01T09:30:00'), tabId: 2, path: '/' },
+      { site: 'news.ycombinator.com', timestamp: at('2024-01-01T09:40:00'), tabId: 3, path: '/' }
+    ];
+
+    it('blocks a site whose cost no longer fits in the shared limit', () => {
+      // 2 + 1 + 1 = 4 of 5 used: one more cheap visit fits, an expensive one doesn't
+      expect(shouldBlockAccess('news.ycombinator.com', { groups: [rule] }, logs).block).toBe(false);
+      expect(shouldBlockAccess('youtube.com', { groups: [rule] }, logs).block).toBe(true);
+      expect(getMostRestrictiveCount('youtube.com', { groups: [rule] }, logs)).toBe(0);
+    });
+
+    it('unblocks once enough cost has left the window', () => {
+      // The youtube.com visit leaves at 10:20, freeing 2
+      expect(calculateUnblockTime('youtube.com', rule, logs).getTime()).toBe(at('2024-01-01T10:20:00'));
+      
+      // Four cheap visits leave room for a fifth, but youtube.com waits for the oldest to leave
+      const cheapLogs = ['09:30', '09:40', '09:45', '09:50'].map((time, tabId) => ({
+        site: 'news.ycombinator.com',
+        timestamp: at(`2024-01-01T${time}:00`),
+        tabId,
+        path: '/'
+      }));
+      expect(shouldBlockAccess('news.ycombinator.com', { groups: [rule] }, cheapLogs).block).toBe(false);
+      expect(calculateUnblockTime('youtube.com', rule, cheapLogs).getTime()).toBe(at('2024-01-01T10:30:00'));
+    });
+
+    it('weighs visits against refilling limits too', () => {
+      const bucketRule = { ...rule, limits: [{ maxAccesses: 3, duration: 20, windowType: 'bucket' }] };
+      
+      // 3 - 2 = 1 banked at 09:59, 1.05 now: enough for a cheap visit only
+      const bucketLogs = [{ site: 'youtube.com', timestamp: at('2024-01-01T09:59:00'), tabId: 1, path: '/' }];
+      expect(shouldBlockAccess('news.ycombinator.com', { groups: [bucketRule] }, bucketLogs).block).toBe(false);
+      expect(shouldBlockAccess('youtube.com', { groups: [bucketRule] }, bucketLogs).block).toBe(true);
+      expect(calculateUnblockTime('youtube.com', bucketRule, bucketLogs).getTime()).toBe(at('2024-01-01T10:19:00'));
+    });
+  });
+
+  describe('refilling limits', () => {
+    // The mocked time is Monday 2024-01-01 10:00
+    const rule = {
+      name: 'Reddit',
+      limits: [{ maxAccesses: 3, duration: 20, windowType: 'bucket' }],
+      strictMode: false,
+      sites: ['reddit.com']
+    };
+    const at = (dateTime) => new Date(dateTime).getTime();
+    const logs = ['09:50', '09:52', '09:54'].map((time, tabId) => ({
+      site: 'reddit.com',
+      timestamp: at(`2024-01-01T${time}:00`),
+      tabId
+    }));
+
+    it('blocks once the bucket is empty and frees up with the next refill', () => {
+      const decision = shouldBlockAccess('reddit.com', { groups: [rule] }, logs);
+      
+      expect(decision.block).toBe(true);
+      expect(decision.windowType).toBe('bucket');
+      expect(calculateUnblockTime('reddit.com', rule, logs).getTime()).toBe(at('2024-01-01T10:10:00'));
+    });
+
+    it('reports the next refill with the remaining count', () => {
+      const mostRestrictive = getMostRestrictiveRule('reddit.com', { groups: [rule] }, logs.slice(0, 2));
+      
+      // 3 - 1, +0.1, -1 = 1.1 at 09:52, 1.5 now
+      expect(mostRestrictive.remaining).toBe(1);
+      expect(mostRestrictive.refillsAt.getTime()).toBe(at('2024-01-01T10:10:00'));
+      expect(getMostRestrictiveRule('reddit.com', { groups: [rule] }, []).refillsAt).toBeNull();
+    });
+
+    it('keeps access logs for a full refill', () => {
+      expect(getRuleWindowMinutes(rule)).toBe(60);
+    });
+  });
+
+  describe('time budgets', () => {
+    // The mocked time is Monday 2024-01-01 10:00
+    const rule = {
+      name: 'Reddit',
+      limits: [{ maxAccesses: 10, duration: 60 }],
+      strictMode: false,
+      sites: ['reddit.com'],
+      timeBudget: { minutes: 30, duration: 240 }
+    };
+    const at = (dateTime) => new Date(dateTime).getTime();
+    const view = (start, end) => ({ site: 'reddit.com', start: at(start), end: at(end), tabId: 1, path: '/' });
+
+    it('blocks once the time budget is used up', () => {
+      const timeLogs = [view('2024-01-01T07:00:00', '2024-01-01T07:20:00'), view('2024-01-01T09:30:00', '2024-01-01T09:40:00')];
+      const decision = shouldBlockAccess('reddit.com', { groups: [rule] }, [], timeLogs);
+      
+      expect(decision.block).toBe(true);
+      expect(decision.budgetMinutes).toBe(30);
+      expect(decision.duration).toBe(240);
+      expect(decision.reason).toContain('Time budget');
+    });
+
+    it('builds the same block decision for a used-up budget on its own', () => {
+      const timeLogs = [view('2024-01-01T07:00:00', '2024-01-01T07:30:00')];
+      
+      expect(getBudgetBlockDecision(rule)).toEqual(shouldBlockAccess('reddit.com', { groups: [rule] }, [], timeLogs));
+    });
+
+    it('allows access while time is left', () => {
+      const timeLogs = [view('2024-01-01T05:00:00', '2024-01-01T05:50:00'), view('2024-01-01T09:30:00', '2024-01-01T09:40:00')];
+      
+      // Only 10 minutes fall in the last 4 hours
+      expect(shouldBlockAccess('reddit.com', { groups: [rule] }, [], timeLogs).block).toBe(false);
+      expect(getTimeBudgetStatus('reddit.com', { groups: [rule] }, timeLogs).remainingMinutes).toBeCloseTo(20);
+    });
+
+    it('reports no budget for rules without one', () => {
+      const withoutBudget = { ...rule };
+      delete withoutBudget.timeBudget;
+      
+      expect(getTimeBudgetStatus('reddit.com', { groups: [withoutBudget] }, [])).toBeNull();
+    });
+
+    it('unblocks once enough time has left the window', () => {
+      const timeLogs = [view('2024-01-01T07:00:00', '2024-01-01T07:20:00'), view('2024-01-01T09:30:00', '2024-01-01T09:45:00')];
+      
+      // 35 minutes spent; the first 5 leave the window at 11:05
+      expect(calculateUnblockTime('reddit.com', rule, [], null, timeLogs).getTime()).toBe(at('2024-01-01T11:05:00'));
+    });
+  });
+
+  describe('cooldowns', () => {
+    // The mocked time is Monday 2024-01-01 10:00
+    const rule = {
+      name: 'News',
+      limits: [{ maxAccesses: 10, duration: 1440 }],
+      strictMode: false,
+      sites: ['news.com', 'blog.com'],
+      cooldownMinutes: 30
+    };
+    const at = (dateTime) => new Date(dateTime).getTime();
+    const access = (site, dateTime) => ({ site, timestamp: at(dateTime), tabId: 1 });
+
+    it('blocks within the cooldown after the last access', () => {
+      const logs = [access('news.com', '2024-01-01T08:00:00'), access('news.com', '2024-01-01T09:45:00')];
+      const decision = shouldBlockAccess('news.com', { groups: [rule] }, logs);
+      
+      expect(decision.block).toBe(true);
+      expect(decision.cooldownMinutes).toBe(30);
+      expect(decision.reason).toContain('Cooling down');
+      expect(calculateUnblockTime('news.com', rule, logs).getTime()).toBe(at('2024-01-01T10:15:00'));
+      expect(getCooldownStatus('news.com', { groups: [rule] }, logs).ends.getTime()).toBe(at('2024-01-01T10:15:00'));
+    });
+
+    it('allows access once the cooldown has passed', () => {
+      const logs = [access('news.com', '2024-01-01T09:15:00')];
+      
+      expect(shouldBlockAccess('news.com', { groups: [rule] }, logs).block).toBe(false);
+      expect(getCooldownStatus('news.com', { groups: [rule] }, logs)).toBeNull();
+    });
+
+    it('counts the cooldown per site unless in strict mode', () => {
+      const logs = [access('blog.com', '2024-01-01T09:50:00')];
+      
+      expect(shouldBlockAccess('news.com', { groups: [rule] }, logs).block).toBe(false);
+      expect(shouldBlockAccess('news.com', { groups: [{ ...rule, strictMode: true }] }, logs).block).toBe(true);
+    });
+
+    it('keeps access logs for at least the cooldown', () => {
+      expect(getRuleWindowMinutes({ ...rule, cooldownMinutes: 2880 })).toBe(2880);
+    });
+  });
+
+  describe('getSessionLimit', () => {
+    const group = { name: 'Video', limits: [{ maxAccesses: 3, duration: 60 }], strictMode: false, sites: ['youtube.com'] };
+
+    it('returns the shortest session of the active rules', () => {
+      const config = {
+        groups: [
+          { ...group, sessionMinutes: 20 },
+          { ...group, name: 'Short', sessionMinutes: 10 },
+          { ...group, name: 'Unlimited' }
+        ]
+      };
+      
+      const session = getSessionLimit('youtube.com', config);
+      expect(session.minutes).toBe(10);
+      expect(session.rule.name).toBe('Short');
+    });
+
+    it('returns null when no rule limits sessions', () => {
+      expect(getSessionLimit('youtube.com', { groups: [group] })).toBeNull();
+      expect(getSessionLimit('example.com', { groups: [{ ...group, sessionMinutes: 10 }] })).toBeNull();
+    });
+  });
 });
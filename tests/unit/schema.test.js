@@ -3,6 +3,16 @@ import {
   validateRuleGroup,
   validateConfiguration,
   validateAccessLog,
+  validateTimeLog,
+  validateSiteEntry,
+  migrateAccessLogs,
+  migrateConfiguration,
+  getGroupLimits,
+  getSitePattern,
+  getSiteCost,
+  getGroupSites,
+  validateSiteAliases,
+  validateIgnoreList,
   STORAGE_KEYS,
   STORAGE_VERSION,
   DEFAULT_CONFIGURATION
@@ -222,6 +232,63 @@ describe('schema', () => {
       expect(result.errors.some(e => e.includes('index 4'))).toBe(true);
     });
 
+    it('accepts glob site patterns', () => {
+      const group = {
+        name: 'Test',
+        duration: 60,
+        maxAccesses: 3,
+        strictMode: false,
+        sites: ['*.reddit.com/r/*/comments/**', 'news.ycombinator.com/item*'],
+        schedule: null
+      };
+      
+      const result = validateRuleGroup(group);
+      expect(result.valid).toBe(true);
+    });
+
+    it('rejects invalid glob site patterns', () => {
+      const group = {
+        name: 'Test',
+        duration: 60,
+        maxAccesses: 3,
+        strictMode: false,
+        sites: ['example.com', '*.*'],
+        schedule: null
+      };
+      
+      const result = validateRuleGroup(group);
+      expect(result.valid).toBe(false);
+      expect(result.errors.some(e => e.includes('index 1') && e.includes('pattern'))).toBe(true);
+    });
+
+    it('accepts exclusion entries alongside regular sites', () => {
+      const group = {
+        name: 'Test',
+        duration: 60,
+        maxAccesses: 3,
+        strictMode: false,
+        sites: ['discord.com', '!discord.com/developers'],
+        schedule: null
+      };
+      
+      expect(validateRuleGroup(group).valid).toBe(true);
+    });
+
+    it('rejects site lists made only of exclusions', () => {
+      const group = {
+        name: 'Test',
+        duration: 60,
+        maxAccesses: 3,
+        strictMode: false,
+        sites: ['!discord.com/developers'],
+        schedule: null
+      };
+      
+      const result = validateRuleGroup(group);
+      expect(result.valid).toBe(false);
+      expect(result.errors.some(e => e.includes('exclusion'))).toBe(true);
+    });
+
     it('rejects invalid schedule days', () => {
       const group = {
         name: 'Test',
@@ -304,6 +371,199 @@ describe('schema', () => {
       });
     });
 
+    it('accepts overnight time ranges', () => {
+      const group = {
+        name: 'Test',
+        duration: 60,
+        maxAccesses: 3,
+        strictMode: false,
+        sites: ['example.com'],
+        schedule: { days: [5], times: ['2200-0200'] }
+      };
+      
+      expect(validateRuleGroup(group).valid).toBe(true);
+    });
+
+    it('rejects times outside the day', () => {
+      const group = {
+        name: 'Test',
+        duration: 60,
+        maxAccesses: 3,
+        strictMode: false,
+        sites: ['example.com'],
+        schedule: { days: [5], times: ['2500-0200'] }
+      };
+      
+      const result = validateRuleGroup(group);
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('0000 to 2400');
+    });
+
+    it('accepts per-day time ranges for active days', () => {
+      const group = {
+        name: 'Test',
+        duration: 60,
+        maxAccesses: 3,
+        strictMode: false,
+        sites: ['example.com'],
+        schedule: { days: [1, 2, 3, 4, 5, 6], times: ['0900-1700'], dayTimes: { 6: ['1000-1400'] } }
+      };
+      
+      expect(validateRuleGroup(group).valid).toBe(true);
+    });
+
+    it('rejects invalid per-day time ranges', () => {
+      const group = {
+        name: 'Test',
+        duration: 60,
+        maxAccesses: 3,
+        strictMode: false,
+        sites: ['example.com'],
+        schedule: {
+          days: [1, 6],
+          times: ['0900-1700'],
+          dayTimes: { 6: ['10-14'], 7: ['0900-1000'], 0: ['0900-1000'], 1: '0900-1000' }
+        }
+      };
+      
+      const result = validateRuleGroup(group);
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveLength(4);
+      expect(result.errors.some(e => e.includes('not an active day'))).toBe(true);
+    });
+
+    it('rejects non-object per-day time ranges', () => {
+      const group = {
+        name: 'Test',
+        duration: 60,
+        maxAccesses: 3,
+        strictMode: false,
+        sites: ['example.com'],
+        schedule: { days: [1], times: ['0900-1700'], dayTimes: [['0900-1000']] }
+      };
+      
+      expect(validateRuleGroup(group).valid).toBe(false);
+    });
+
+    it('accepts calendar-aligned windows', () => {
+      const group = {
+        name: 'Test',
+        duration: 60,
+        maxAccesses: 20,
+        strictMode: false,
+        sites: ['example.com'],
+        windowType: 'weekly',
+        windowResetTime: '0600',
+        windowResetDay: 1
+      };
+      
+      expect(validateRuleGroup(group).valid).toBe(true);
+    });
+
+    it('rejects unknown window types and invalid resets', () => {
+      const group = {
+        name: 'Test',
+        duration: 60,
+        maxAccesses: 5,
+        strictMode: false,
+        sites: ['example.com']
+      };
+      
+      expect(validateRuleGroup({ ...group, windowType: 'monthly' }).errors).toEqual([
+        'Window type must be one of: rolling, hourly, daily, weekly, bucket'
+      ]);
+      expect(validateRuleGroup({ ...group, windowResetTime: '2400' }).errors[0]).toContain('Window reset time');
+      expect(validateRuleGroup({ ...group, windowResetDay: 7 }).errors).toEqual([
+        'Window reset day must be between 0 (Sunday) and 6 (Saturday)'
+      ]);
+    });
+
+    it('accepts an IANA schedule time zone', () => {
+      const group = {
+        name: 'Test',
+        duration: 60,
+        maxAccesses: 3,
+        strictMode: false,
+        sites: ['example.com'],
+        schedule: { days: [1], times: ['0900-1700'], timeZone: 'America/New_York' }
+      };
+      
+      expect(validateRuleGroup(group).valid).toBe(true);
+    });
+
+    it('rejects unknown schedule time zones', () => {
+      const group = {
+        name: 'Test',
+        duration: 60,
+        maxAccesses: 3,
+        strictMode: false,
+        sites: ['example.com'],
+        schedule: { days: [1], times: ['0900-1700'], timeZone: 'Eastern' }
+      };
+      
+      const result = validateRuleGroup(group);
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('time zone');
+    });
+
+    it('accepts schedule date restrictions', () => {
+      const group = {
+        name: 'Test',
+        duration: 60,
+        maxAccesses: 3,
+        strictMode: false,
+        sites: ['example.com'],
+        schedule: {
+          days: [1, 2, 3, 4, 5],
+          times: ['0900-1700'],
+          startDate: '2024-05-13',
+          endDate: '2024-05-24',
+          onlyDates: ['2024-05-14'],
+          exceptDates: ['2024-05-20']
+        }
+      };
+      
+      expect(validateRuleGroup(group).valid).toBe(true);
+    });
+
+    it('rejects invalid schedule dates', () => {
+      const group = {
+        name: 'Test',
+        duration: 60,
+        maxAccesses: 3,
+        strictMode: false,
+        sites: ['example.com'],
+        schedule: {
+          days: [1],
+          times: ['0900-1700'],
+          startDate: '2024-02-30',
+          onlyDates: '2024-05-14',
+          exceptDates: ['2024-12-25', '12/26/2024']
+        }
+      };
+      
+      const result = validateRuleGroup(group);
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'Schedule startDate is not a calendar date',
+        'Schedule onlyDates must be an array',
+        'Schedule exceptDates entry at index 1 must be a date in format YYYY-MM-DD'
+      ]);
+    });
+
+    it('rejects a start date after the end date', () => {
+      const group = {
+        name: 'Test',
+        duration: 60,
+        maxAccesses: 3,
+        strictMode: false,
+        sites: ['example.com'],
+        schedule: { days: [1], times: ['0900-1700'], startDate: '2024-05-24', endDate: '2024-05-13' }
+      };
+      
+      expect(validateRuleGroup(group).errors).toEqual(['Schedule startDate must not be after endDate']);
+    });
+
     it('rejects non-array schedule times', () => {
       const group = {
         name: 'Test',
@@ -356,6 +616,200 @@ describe('schema', () => {
       expect(result.valid).toBe(false);
       expect(result.errors.length).toBeGreaterThan(5);
     });
+
+    it('accepts a list of stacked limits', () => {
+      const group = {
+        name: 'Test',
+        strictMode: false,
+        sites: ['example.com'],
+        limits: [
+          { maxAccesses: 3, duration: 60 },
+          { maxAccesses: 10, duration: 60, windowType: 'daily', windowResetTime: '0400' }
+        ]
+      };
+      
+      expect(validateRuleGroup(group)).toEqual({ valid: true, errors: [] });
+    });
+
+    it('rejects an empty limits list', () => {
+      const group = { name: 'Test', strictMode: false, sites: ['example.com'], limits: [] };
+      
+      const result = validateRuleGroup(group);
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Limits must be a non-empty array');
+    });
+
+    it('reports which limit is invalid', () => {
+      const group = {
+        name: 'Test',
+        strictMode: false,
+        sites: ['example.com'],
+        limits: [{ maxAccesses: 3, duration: 60 }, { maxAccesses: 0, duration: 60 }, null]
+      };
+      
+      const result = validateRuleGroup(group);
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'Limit at index 1: Max accesses must be a positive number',
+        'Limit at index 2 must be an object'
+      ]);
+    });
+
+    it('accepts a time budget', () => {
+      const group = {
+        name: 'Test',
+        limits: [{ maxAccesses: 3, duration: 60 }],
+        strictMode: false,
+        sites: ['example.com'],
+        timeBudget: { minutes: 30, duration: 240 }
+      };
+      
+      expect(validateRuleGroup(group).valid).toBe(true);
+    });
+
+    it('rejects invalid time budgets', () => {
+      const group = { name: 'Test', limits: [{ maxAccesses: 3, duration: 60 }], strictMode: false, sites: ['example.com'] };
+      
+      expect(validateRuleGroup({ ...group, timeBudget: null }).errors).toEqual(['Time budget must be an object']);
+      expect(validateRuleGroup({ ...group, timeBudget: { minutes: 0, duration: 60 } }).errors)
+        .toEqual(['Time budget minutes must be a positive number']);
+      expect(validateRuleGroup({ ...group, timeBudget: { minutes: 90, duration: 60 } }).errors)
+        .toEqual(['Time budget minutes cannot be longer than its duration']);
+    });
+
+    it('validates the session length', () => {
+      const group = { name: 'Test', limits: [{ maxAccesses: 3, duration: 60 }], strictMode: false, sites: ['example.com'] };
+      
+      expect(validateRuleGroup({ ...group, sessionMinutes: 10 }).valid).toBe(true);
+      expect(validateRuleGroup({ ...group, sessionMinutes: 0 }).errors).toEqual(['Session minutes must be a positive number']);
+      expect(validateRuleGroup({ ...group, sessionMinutes: '10' }).valid).toBe(false);
+    });
+
+    it('validates weighted sites', () => {
+      const group = { name: 'Test', limits: [{ maxAccesses: 5, duration: 60 }], strictMode: true, sites: ['hn.com'] };
+      
+      expect(validateRuleGroup({ ...group, sites: [{ pattern: 'youtube.com', cost: 2 }, 'hn.com'] }).valid).toBe(true);
+      expect(validateRuleGroup({ ...group, sites: [{ pattern: 'youtube.com', cost: 0 }] }).errors)
+        .toEqual(['Site at index 0 cost must be a positive number']);
+      expect(validateRuleGroup({ ...group, sites: ['hn.com', { pattern: '!hn.com/jobs', cost: 2 }] }).errors)
+        .toEqual(['Site at index 1 is an exclusion and cannot have a cost']);
+      expect(validateRuleGroup({ ...group, sites: [{ cost: 2 }] }).errors)
+        .toContain('Site at index 0 must be a non-empty string');
+      expect(validateRuleGroup({ ...group, sites: [{ pattern: 're:(a+)+', cost: 2 }] }).errors[0])
+        .toContain('Site at index 0 is not a valid pattern');
+    });
+
+    it('validates the cooldown', () => {
+      const group = { name: 'Test', limits: [{ maxAccesses: 3, duration: 60 }], strictMode: false, sites: ['example.com'] };
+      
+      expect(validateRuleGroup({ ...group, cooldownMinutes: 30 }).valid).toBe(true);
+      expect(validateRuleGroup({ ...group, cooldownMinutes: -5 }).errors).toEqual(['Cooldown minutes must be a positive number']);
+      expect(validateRuleGroup({ ...group, cooldownMinutes: null }).valid).toBe(false);
+    });
+  });
+
+  describe('validateSiteEntry', () => {
+    it('accepts safe regex patterns', () => {
+      expect(validateSiteEntry('re:^https://(www\\.)?youtube\\.com/watch(?!.*[?&]list=)')).toBeNull();
+      expect(validateSiteEntry('!re:[?&]list=')).toBeNull();
+      expect(validateSiteEntry('re:^https://example\\.com/(a|b)$')).toBeNull();
+    });
+
+    it('rejects regex syntax errors', () => {
+      expect(validateSiteEntry('re:(unclosed')).toContain('Invalid regex');
+      expect(validateSiteEntry('re:[a-')).toContain('Invalid regex');
+    });
+
+    it('rejects nested quantifiers', () => {
+      const unsafe = ['re:(a+)+$', 're:(.*\\d)*', 're:((ab)*c)+', 're:(\\w+\\s?){2,}'];
+      
+      unsafe.forEach(pattern => {
+        expect(validateSiteEntry(pattern)).toContain('catastrophic backtracking');
+      });
+    });
+
+    it('rejects repeated groups with alternatives', () => {
+      const unsafe = ['re:(a|aa)*$', 're:(?:x|y)+z', 're:((a|b)c){2,}'];
+      
+      unsafe.forEach(pattern => {
+        expect(validateSiteEntry(pattern)).toContain('catastrophic backtracking');
+      });
+      
+      // The heuristic doesn't tell overlapping alternatives from harmless ones
+      expect(validateSiteEntry('re:(com|org)+')).toContain('catastrophic backtracking');
+      expect(validateSiteEntry('re:^https://example\\.com/(a|b)+$')).toContain('catastrophic backtracking');
+    });
+
+    it('allows alternatives in groups that are not repeated', () => {
+      expect(validateSiteEntry('re:^https://(www|old)\\.reddit\\.com/')).toBeNull();
+      expect(validateSiteEntry('re:(a|b)?c')).toBeNull();
+      expect(validateSiteEntry('re:[|]+')).toBeNull();
+    });
+
+    it('ignores quantifier characters inside classes and escapes', () => {
+      expect(validateSiteEntry('re:([*+])+')).toBeNull();
+      expect(validateSiteEntry('re:(\\+)+')).toBeNull();
+    });
+
+    it('rejects overly long regexes', () => {
+      expect(validateSiteEntry('re:' + 'a'.repeat(501))).toContain('at most');
+    });
+
+    it('rejects invalid regex entries in rule groups', () => {
+      const group = {
+        name: 'Test',
+        duration: 60,
+        maxAccesses: 3,
+        strictMode: false,
+        sites: ['example.com', 're:(a+)+'],
+        schedule: null
+      };
+      
+      const result = validateRuleGroup(group);
+      expect(result.valid).toBe(false);
+      expect(result.errors.some(e => e.includes('index 1'))).toBe(true);
+    });
+
+    it('rejects bare public suffixes', () => {
+      expect(validateSiteEntry('co.uk')).toContain('public suffix');
+      expect(validateSiteEntry('github.io/foo')).toContain('public suffix');
+      expect(validateSiteEntry('!github.io')).toContain('public suffix');
+    });
+
+    it('makes validateRuleGroup reject public suffix sites', () => {
+      const result = validateRuleGroup({
+        name: 'UK',
+        duration: 60,
+        maxAccesses: 3,
+        strictMode: false,
+        sites: ['co.uk']
+      });
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('public suffix');
+    });
+
+    it('rejects wildcards covering a whole public suffix', () => {
+      expect(validateSiteEntry('*.com')).toContain('public suffix "com"');
+      expect(validateSiteEntry('*.co.uk')).toContain('public suffix "co.uk"');
+      expect(validateSiteEntry('**.github.io')).toContain('public suffix "github.io"');
+      expect(validateSiteEntry('*.*.co.uk/news')).toContain('public suffix "co.uk"');
+    });
+
+    it('rejects globs whose literal suffix is a public suffix', () => {
+      expect(validateSiteEntry('?.com')).toContain('public suffix "com"');
+      expect(validateSiteEntry('g?thub.io')).toContain('public suffix "io"');
+      expect(validateSiteEntry('news*.co.uk')).toContain('public suffix "co.uk"');
+      expect(validateSiteEntry('*.g?thub.io')).toContain('public suffix "io"');
+    });
+
+    it('accepts registrable domains and globs under a public suffix', () => {
+      expect(validateSiteEntry('bbc.co.uk')).toBeNull();
+      expect(validateSiteEntry('someone.github.io')).toBeNull();
+      expect(validateSiteEntry('*.someone.github.io')).toBeNull();
+      expect(validateSiteEntry('*.bbc.co.uk')).toBeNull();
+      expect(validateSiteEntry('b?c.bbc.co.uk')).toBeNull();
+      expect(validateSiteEntry('reddit.*')).toBeNull();
+    });
   });
 
   describe('validateConfiguration', () => {
@@ -613,6 +1067,232 @@ describe('schema', () => {
       expect(result.valid).toBe(false);
       expect(result.errors.length).toBe(3);
     });
+
+    it('accepts an optional path and url', () => {
+      const log = {
+        site: 'discord.com',
+        timestamp: Date.now(),
+        tabId: 1,
+        path: '/channels/123',
+        url: 'https://discord.com/channels/123?x=1'
+      };
+      
+      expect(validateAccessLog(log).valid).toBe(true);
+      expect(validateAccessLog({ ...log, path: null }).valid).toBe(true);
+    });
+
+    it('rejects a path not starting with /', () => {
+      const log = { site: 'discord.com', timestamp: Date.now(), tabId: 1, path: 'channels' };
+      
+      const result = validateAccessLog(log);
+      expect(result.valid).toBe(false);
+      expect(result.errors.some(e => e.includes('path'))).toBe(true);
+    });
+
+    it('rejects an invalid url', () => {
+      const log = { site: 'discord.com', timestamp: Date.now(), tabId: 1, url: 'not a url' };
+      
+      const result = validateAccessLog(log);
+      expect(result.valid).toBe(false);
+      expect(result.errors.some(e => e.includes('url'))).toBe(true);
+    });
+  });
+
+  describe('validateTimeLog', () => {
+    it('accepts a valid time log', () => {
+      const log = { site: 'reddit.com', start: 1000, end: 61000, tabId: 1, path: '/r/all' };
+      
+      expect(validateTimeLog(log)).toEqual({ valid: true, errors: [] });
+    });
+
+    it('rejects a time log that ends before it starts', () => {
+      const log = { site: 'reddit.com', start: 61000, end: 1000, tabId: 1, path: '/' };
+      
+      expect(validateTimeLog(log).errors).toEqual(['Time log must have an end no earlier than its start']);
+    });
+
+    it('requires a site, tab and path', () => {
+      const result = validateTimeLog({ start: 1000, end: 2000 });
+      
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveLength(3);
+    });
+  });
+
+  describe('validateSiteAliases', () => {
+    it('accepts a valid alias table', () => {
+      expect(validateSiteAliases({ 'example.com': ['example.org', 'ex.am'] }).valid).toBe(true);
+      expect(validateSiteAliases({ 'twitter.com': [] }).valid).toBe(true);
+    });
+
+    it('rejects non-object tables', () => {
+      expect(validateSiteAliases([]).valid).toBe(false);
+      expect(validateSiteAliases(null).valid).toBe(false);
+    });
+
+    it('rejects invalid domains', () => {
+      const result = validateSiteAliases({ 'Example.com': ['example.org/path'] });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveLength(2);
+    });
+
+    it('rejects an alias of itself', () => {
+      expect(validateSiteAliases({ 'example.com': ['example.com'] }).valid).toBe(false);
+    });
+
+    it('rejects an alias claimed by two canonical domains, including built-ins', () => {
+      const result = validateSiteAliases({ 'twitter.example': ['x.com'] });
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('x.com');
+    });
+
+    it('rejects canonical domains that are aliases themselves', () => {
+      expect(validateSiteAliases({ 'x.com': ['x.example'] }).valid).toBe(false);
+    });
+
+    it('is checked as part of the configuration', () => {
+      const result = validateConfiguration({ groups: [], aliases: { 'example.com': 'example.org' } });
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('Aliases');
+    });
+  });
+
+  describe('validateIgnoreList', () => {
+    it('accepts hosts, schemes and IP ranges', () => {
+      const result = validateIgnoreList({
+        hosts: ['localhost:3000', '*.corp.example.com', 'intranet'],
+        schemes: ['file', 'ftp'],
+        ipRanges: ['10.0.0.0/8', '192.168.1.1', 'fd00::/8']
+      });
+      expect(result.valid).toBe(true);
+    });
+
+    it('accepts an empty or partial list', () => {
+      expect(validateIgnoreList({}).valid).toBe(true);
+      expect(validateIgnoreList({ schemes: ['file'] }).valid).toBe(true);
+    });
+
+    it('rejects non-object lists and non-array entries', () => {
+      expect(validateIgnoreList([]).valid).toBe(false);
+      expect(validateIgnoreList({ hosts: 'localhost' }).valid).toBe(false);
+    });
+
+    it('rejects hosts with paths, schemes or exclusions', () => {
+      const result = validateIgnoreList({ hosts: ['example.com/path', 'http://example.com', '!example.com'] });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveLength(3);
+    });
+
+    it('rejects invalid schemes', () => {
+      expect(validateIgnoreList({ schemes: ['file://'] }).valid).toBe(false);
+      expect(validateIgnoreList({ schemes: ['FILE'] }).valid).toBe(false);
+    });
+
+    it('rejects invalid IP ranges', () => {
+      const result = validateIgnoreList({ ipRanges: ['10.0.0.0/33', '300.1.1.1', 'intranet'] });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveLength(3);
+    });
+
+    it('is checked as part of the configuration', () => {
+      const result = validateConfiguration({ groups: [], ignoreList: { schemes: [''] } });
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('Ignore list');
+    });
+  });
+
+  describe('migrateAccessLogs', () => {
+    it('marks version 1 logs as having no recorded path', () => {
+      const logs = [{ site: 'discord.com', timestamp: 1000, tabId: 1 }];
+      
+      expect(migrateAccessLogs(logs, 1)).toEqual([
+        { site: 'discord.com', timestamp: 1000, tabId: 1, path: null }
+      ]);
+    });
+
+    it('drops invalid version 1 logs', () => {
+      const logs = [
+        { site: 'discord.com', timestamp: 1000, tabId: 1 },
+        { site: '', timestamp: 1000, tabId: 1 },
+        null
+      ];
+      
+      expect(migrateAccessLogs(logs, 1)).toHaveLength(1);
+    });
+
+    it('leaves current logs unchanged', () => {
+      const logs = [{ site: 'discord.com', timestamp: 1000, tabId: 1, path: '/channels' }];
+      
+      expect(migrateAccessLogs(logs, STORAGE_VERSION)).toEqual(logs);
+    });
+
+    it('returns an empty list for non-array input', () => {
+      expect(migrateAccessLogs(undefined, 1)).toEqual([]);
+    });
+  });
+
+  describe('getGroupLimits', () => {
+    it('returns the limits list', () => {
+      const limits = [{ maxAccesses: 3, duration: 60 }];
+      
+      expect(getGroupLimits({ name: 'Test', limits })).toBe(limits);
+    });
+
+    it('builds a single limit from a pre-version 3 group', () => {
+      const group = { name: 'Test', maxAccesses: 3, duration: 60, windowType: 'daily', sites: [] };
+      
+      expect(getGroupLimits(group)).toEqual([{ maxAccesses: 3, duration: 60, windowType: 'daily' }]);
+    });
+  });
+
+  describe('site entries', () => {
+    it('reads the pattern and cost of plain and weighted entries', () => {
+      expect(getSitePattern('hn.com')).toBe('hn.com');
+      expect(getSitePattern({ pattern: 'youtube.com', cost: 2 })).toBe('youtube.com');
+      expect(getSiteCost('hn.com')).toBe(1);
+      expect(getSiteCost({ pattern: 'youtube.com', cost: 2 })).toBe(2);
+    });
+
+    it('lists the patterns of a group', () => {
+      const group = { name: 'Test', sites: [{ pattern: 'youtube.com', cost: 2 }, 'hn.com', '!hn.com/jobs'] };
+      
+      expect(getGroupSites(group)).toEqual(['youtube.com', 'hn.com', '!hn.com/jobs']);
+    });
+  });
+
+  describe('migrateConfiguration', () => {
+    it('moves version 2 limit fields into a limits list', () => {
+      const config = {
+        groups: [{
+          name: 'Test',
+          maxAccesses: 3,
+          duration: 60,
+          windowType: 'weekly',
+          windowResetDay: 1,
+          strictMode: false,
+          sites: ['example.com']
+        }]
+      };
+      
+      expect(migrateConfiguration(config, 2).groups).toEqual([{
+        name: 'Test',
+        strictMode: false,
+        sites: ['example.com'],
+        limits: [{ maxAccesses: 3, duration: 60, windowType: 'weekly', windowResetDay: 1 }]
+      }]);
+    });
+
+    it('leaves current configurations unchanged', () => {
+      const config = DEFAULT_CONFIGURATION;
+      
+      expect(migrateConfiguration(config, STORAGE_VERSION)).toBe(config);
+    });
+
+    it('produces valid groups', () => {
+      const config = { groups: [{ name: 'Test', maxAccesses: 3, duration: 60, strictMode: false, sites: ['example.com'] }] };
+      
+      expect(validateConfiguration(migrateConfiguration(config, 1)).valid).toBe(true);
+    });
   });
 
   describe('constants', () => {
@@ -2,9 +2,34 @@ import { describe, it, expect } from '@jest/globals';
 import {
   formatDuration,
   parseDuration,
+  setWindowType,
+  setGroupLimits,
+  formatWindow,
+  setTimeBudget,
+  formatTimeBudget,
+  setSessionMinutes,
+  setCooldownMinutes,
+  setSitePattern,
+  setSiteCost,
   getDayName,
   formatTimeRange,
-  createDefaultRuleGroup
+  createDefaultRuleGroup,
+  findOverlappingSites,
+  findMissingAliases,
+  parseListEntries,
+  parseAliasEntries,
+  formatAliasEntries,
+  importConfiguration,
+  isOvernightTimeRange,
+  parseTimeRangeList,
+  setDayTimes,
+  setScheduleTimeZone,
+  setScheduleDates,
+  setScheduleDateBound,
+  formatScheduleDate,
+  describeScheduleStatus,
+  importScheduleFromIcs,
+  formatSchedulePreview
 } from '../../src/pages/settings/settings-data.js';
 
 describe('settings-data (pure functions)', () => {
@@ -148,6 +173,110 @@ describe('settings-data (pure functions)', () => {
     });
   });
 
+  describe('setWindowType', () => {
+    const limit = { maxAccesses: 5, duration: 60 };
+
+    it('adds default resets for daily and weekly windows', () => {
+      expect(setWindowType(limit, 'daily')).toEqual({ ...limit, windowType: 'daily', windowResetTime: '0000' });
+      expect(setWindowType(limit, 'weekly')).toEqual({
+        ...limit,
+        windowType: 'weekly',
+        windowResetTime: '0000',
+        windowResetDay: 1
+      });
+    });
+
+    it('keeps resets that still apply and drops the rest', () => {
+      const weekly = { ...limit, windowType: 'weekly', windowResetTime: '0600', windowResetDay: 0 };
+      
+      expect(setWindowType(weekly, 'daily')).toEqual({ ...limit, windowType: 'daily', windowResetTime: '0600' });
+      expect(setWindowType(weekly, 'hourly')).toEqual({ ...limit, windowType: 'hourly' });
+      expect(setWindowType(weekly, 'rolling')).toEqual(limit);
+    });
+  });
+
+  describe('setGroupLimits', () => {
+    it('replaces the limits and drops single-limit fields of older groups', () => {
+      const legacy = { name: 'News', duration: 60, maxAccesses: 3, windowType: 'daily', strictMode: false, sites: ['news.com'] };
+      const limits = [{ maxAccesses: 3, duration: 60 }, { maxAccesses: 10, duration: 60, windowType: 'daily' }];
+      
+      expect(setGroupLimits(legacy, limits)).toEqual({ name: 'News', strictMode: false, sites: ['news.com'], limits });
+    });
+  });
+
+  describe('formatWindow', () => {
+    it('describes each window type', () => {
+      expect(formatWindow({ duration: 120 })).toBe('Last 2 hours');
+      expect(formatWindow({ duration: 120, windowType: 'hourly' })).toBe('Resets every hour, on the hour');
+      expect(formatWindow({ duration: 120, windowType: 'daily', windowResetTime: '0600' })).toBe('Resets daily at 6:00 AM');
+      expect(formatWindow({ duration: 120, windowType: 'weekly' })).toBe('Resets every Monday at 12:00 AM');
+      expect(formatWindow({ maxAccesses: 3, duration: 20, windowType: 'bucket' })).toBe('One access every 20 minutes, up to 3 banked');
+    });
+  });
+
+  describe('setTimeBudget', () => {
+    const group = { name: 'Reddit', limits: [{ maxAccesses: 3, duration: 60 }], strictMode: false, sites: ['reddit.com'] };
+
+    it('sets the time budget', () => {
+      expect(setTimeBudget(group, { minutes: 30, duration: 240 }).timeBudget).toEqual({ minutes: 30, duration: 240 });
+    });
+
+    it('removes the time budget', () => {
+      const withBudget = { ...group, timeBudget: { minutes: 30, duration: 240 } };
+      
+      expect(setTimeBudget(withBudget, null)).toEqual(group);
+      expect(withBudget.timeBudget).toBeDefined();
+    });
+  });
+
+  describe('setSessionMinutes', () => {
+    const group = { name: 'Video', limits: [{ maxAccesses: 3, duration: 60 }], strictMode: false, sites: ['youtube.com'] };
+
+    it('sets and clears the session length', () => {
+      const limited = setSessionMinutes(group, 10);
+      
+      expect(limited.sessionMinutes).toBe(10);
+      expect(setSessionMinutes(limited, null)).toEqual(group);
+    });
+  });
+
+  describe('setSitePattern', () => {
+    it('keeps the cost of weighted sites', () => {
+      expect(setSitePattern('hn.com', 'news.ycombinator.com')).toBe('news.ycombinator.com');
+      expect(setSitePattern({ pattern: 'youtube.com', cost: 2 }, 'm.youtube.com')).toEqual({ pattern: 'm.youtube.com', cost: 2 });
+    });
+
+    it('drops the cost of exclusions', () => {
+      expect(setSitePattern({ pattern: 'youtube.com', cost: 2 }, '!youtube.com/kids')).toBe('!youtube.com/kids');
+    });
+  });
+
+  describe('setSiteCost', () => {
+    it('weighs a site and turns cost 1 back into a plain pattern', () => {
+      const weighted = setSiteCost('youtube.com', 2);
+      
+      expect(weighted).toEqual({ pattern: 'youtube.com', cost: 2 });
+      expect(setSiteCost(weighted, 1)).toBe('youtube.com');
+    });
+  });
+
+  describe('setCooldownMinutes', () => {
+    const group = { name: 'News', limits: [{ maxAccesses: 3, duration: 60 }], strictMode: false, sites: ['news.com'] };
+
+    it('sets and clears the cooldown', () => {
+      const cooled = setCooldownMinutes(group, 30);
+      
+      expect(cooled.cooldownMinutes).toBe(30);
+      expect(setCooldownMinutes(cooled, null)).toEqual(group);
+    });
+  });
+
+  describe('formatTimeBudget', () => {
+    it('describes the time allowed and its window', () => {
+      expect(formatTimeBudget({ minutes: 30, duration: 240 })).toBe('30 minutes per 4 hours');
+    });
+  });
+
   describe('getDayName', () => {
     it('returns correct day names', () => {
       expect(getDayName(0)).toBe('Sunday');
@@ -216,6 +345,21 @@ describe('settings-data (pure functions)', () => {
       const result = formatTimeRange('0900-1700');
       expect(result).toContain(':00');
     });
+
+    it('marks overnight ranges as ending the next day', () => {
+      expect(formatTimeRange('2200-0200')).toBe('10:00 PM - 2:00 AM (next day)');
+    });
+  });
+
+  describe('isOvernightTimeRange', () => {
+    it('detects ranges that end before they start', () => {
+      expect(isOvernightTimeRange('2200-0200')).toBe(true);
+      expect(isOvernightTimeRange('0900-1700')).toBe(false);
+    });
+
+    it('returns false for invalid ranges', () => {
+      expect(isOvernightTimeRange('22-02')).toBe(false);
+    });
   });
 
   describe('createDefaultRuleGroup', () => {
@@ -224,8 +368,7 @@ describe('settings-data (pure functions)', () => {
       
       expect(group).toBeDefined();
       expect(group.name).toBe('New Rule');
-      expect(group.duration).toBe(60);
-      expect(group.maxAccesses).toBe(3);
+      expect(group.limits).toEqual([{ maxAccesses: 3, duration: 60 }]);
       expect(group.strictMode).toBe(false);
       expect(Array.isArray(group.sites)).toBe(true);
       expect(group.sites).toEqual([]);
@@ -254,12 +397,483 @@ describe('settings-data (pure functions)', () => {
       // Basic validation checks
       expect(typeof group.name).toBe('string');
       expect(group.name.length).toBeGreaterThan(0);
-      expect(typeof group.duration).toBe('number');
-      expect(group.duration).toBeGreaterThan(0);
-      expect(typeof group.maxAccesses).toBe('number');
-      expect(group.maxAccesses).toBeGreaterThan(0);
+      expect(group.limits.length).toBeGreaterThan(0);
+      expect(group.limits[0].duration).toBeGreaterThan(0);
+      expect(group.limits[0].maxAccesses).toBeGreaterThan(0);
       expect(typeof group.strictMode).toBe('boolean');
       expect(Array.isArray(group.sites)).toBe(true);
     });
   });
+
+  describe('findOverlappingSites', () => {
+    const group = (name, sites, schedule = null) => ({
+      name,
+      duration: 60,
+      maxAccesses: 3,
+      strictMode: false,
+      sites,
+      schedule
+    });
+
+    it('reports identical sites in multiple groups', () => {
+      const overlaps = findOverlappingSites([
+        group('A', ['discord.com']),
+        group('B', ['discord.com'])
+      ]);
+      
+      expect(overlaps).toHaveLength(1);
+      expect(overlaps[0].site).toBe('discord.com');
+      expect(overlaps[0].groups.map(g => g.name)).toEqual(['A', 'B']);
+      expect(overlaps[0].groups[0].overlapping).toBe(true);
+    });
+
+    it('reports a path pattern covered by another group', () => {
+      const overlaps = findOverlappingSites([
+        group('A', ['discord.com']),
+        group('B', ['discord.com/channels'])
+      ]);
+      
+      expect(overlaps).toHaveLength(1);
+      expect(overlaps[0].site).toBe('discord.com/channels');
+    });
+
+    it('does not report sites that the other group excludes', () => {
+      const overlaps = findOverlappingSites([
+        group('A', ['discord.com', '!discord.com/developers']),
+        group('B', ['discord.com/developers'])
+      ]);
+      
+      expect(overlaps).toEqual([]);
+    });
+
+    it('ignores exclusion entries themselves', () => {
+      const overlaps = findOverlappingSites([
+        group('A', ['discord.com', '!discord.com/developers']),
+        group('B', ['reddit.com', '!discord.com/developers'])
+      ]);
+      
+      expect(overlaps).toEqual([]);
+    });
+
+    it('flags non-overlapping schedules', () => {
+      const overlaps = findOverlappingSites([
+        group('A', ['discord.com'], { days: [1], times: ['0900-1200'] }),
+        group('B', ['discord.com'], { days: [1], times: ['1300-1700'] })
+      ]);
+      
+      expect(overlaps[0].groups[0].overlapping).toBe(false);
+    });
+
+    it('compares overnight ranges with the next morning', () => {
+      const overnight = { days: [5], times: ['2200-0200'] }; // Friday night
+      
+      const overlapping = findOverlappingSites([
+        group('A', ['discord.com'], overnight),
+        group('B', ['discord.com'], { days: [6], times: ['0100-0900'] })
+      ]);
+      expect(overlapping[0].groups[0].overlapping).toBe(true);
+      
+      const separate = findOverlappingSites([
+        group('A', ['discord.com'], overnight),
+        group('B', ['discord.com'], { days: [6], times: ['0300-0900'] })
+      ]);
+      expect(separate[0].groups[0].overlapping).toBe(false);
+    });
+
+    it('compares the ranges each day actually uses', () => {
+      const weekdays = { days: [1, 2, 3, 4, 5, 6], times: ['0900-1700'], dayTimes: { 6: ['1000-1400'] } };
+      
+      const separate = findOverlappingSites([
+        group('A', ['discord.com'], weekdays),
+        group('B', ['discord.com'], { days: [6], times: ['1500-1800'] })
+      ]);
+      expect(separate[0].groups[0].overlapping).toBe(false);
+      
+      const overlapping = findOverlappingSites([
+        group('A', ['discord.com'], weekdays),
+        group('B', ['discord.com'], { days: [6], times: ['1300-1800'] })
+      ]);
+      expect(overlapping[0].groups[0].overlapping).toBe(true);
+    });
+
+    it('wraps Saturday night into Sunday', () => {
+      const overlaps = findOverlappingSites([
+        group('A', ['discord.com'], { days: [0], times: ['0000-0100'] }),
+        group('B', ['discord.com'], { days: [6], times: ['2300-0200'] })
+      ]);
+      
+      expect(overlaps[0].groups[0].overlapping).toBe(true);
+    });
+
+    it('assumes schedules in different time zones overlap', () => {
+      const overlaps = findOverlappingSites([
+        group('A', ['discord.com'], { days: [1], times: ['0900-1000'], timeZone: 'Europe/Berlin' }),
+        group('B', ['discord.com'], { days: [1], times: ['1500-1600'] })
+      ]);
+      
+      expect(overlaps[0].groups[0].overlapping).toBe(true);
+    });
+
+    it('ignores schedules whose date ranges don\'t meet', () => {
+      const overlaps = findOverlappingSites([
+        group('A', ['discord.com'], { days: [1], times: ['0900-1700'], endDate: '2024-05-31' }),
+        group('B', ['discord.com'], { days: [1], times: ['0900-1700'], startDate: '2024-06-01' })
+      ]);
+      
+      expect(overlaps[0].groups[0].overlapping).toBe(false);
+    });
+
+    it('treats aliases as the same site when given an alias table', () => {
+      const groups = [group('A', ['x.com']), group('B', ['twitter.com'])];
+      
+      expect(findOverlappingSites(groups)).toEqual([]);
+      expect(findOverlappingSites(groups, { 'twitter.com': ['x.com'] })).toHaveLength(2);
+    });
+  });
+
+  describe('findMissingAliases', () => {
+    const config = { groups: [] };
+
+    it('suggests the built-in aliases of a known site', () => {
+      expect(findMissingAliases('twitter.com', ['twitter.com'], config)).toEqual(['x.com']);
+    });
+
+    it('skips aliases the group already lists', () => {
+      expect(findMissingAliases('twitter.com', ['twitter.com', 'x.com'], config)).toEqual([]);
+    });
+
+    it('suggests nothing for sites without aliases', () => {
+      expect(findMissingAliases('discord.com', ['discord.com'], config)).toEqual([]);
+    });
+  });
+
+  describe('parseListEntries', () => {
+    it('splits lines and drops blank ones', () => {
+      expect(parseListEntries('localhost\n\n  *.corp.example.com  \n')).toEqual(['localhost', '*.corp.example.com']);
+    });
+
+    it('returns an empty list for empty text', () => {
+      expect(parseListEntries('')).toEqual([]);
+    });
+  });
+
+  describe('parseAliasEntries', () => {
+    it('reads one site and its aliases per line', () => {
+      expect(parseAliasEntries('Twitter.com = x.com,  \n\nyoutube.com =\n')).toEqual({
+        aliases: { 'twitter.com': ['x.com'], 'youtube.com': [] },
+        errors: []
+      });
+    });
+
+    it('reports lines without a site or listed twice', () => {
+      expect(parseAliasEntries('x.com\n= x.com\nreddit.com = redd.it\nreddit.com =').errors).toEqual([
+        'Line 1: expected "site = alias, alias"',
+        'Line 2: expected "site = alias, alias"',
+        'Line 4: "reddit.com" is listed more than once'
+      ]);
+    });
+
+    it('reads back what formatAliasEntries writes', () => {
+      const aliases = { 'twitter.com': ['x.com', 'mobile.twitter.com'], 'youtube.com': [] };
+      
+      expect(formatAliasEntries(aliases)).toBe('twitter.com = x.com, mobile.twitter.com\nyoutube.com =');
+      expect(parseAliasEntries(formatAliasEntries(aliases)).aliases).toEqual(aliases);
+    });
+  });
+
+  describe('importConfiguration', () => {
+    it('rejects an alias table that conflicts with the built-in aliases', async () => {
+      const result = await importConfiguration(JSON.stringify({
+        groups: [],
+        aliases: { 'example.com': ['x.com'] }
+      }));
+      
+      expect(result.success).toBe(false);
+      expect(result.errors).toEqual(['Site aliases: "x.com" is an alias of both "twitter.com" and "example.com"']);
+    });
+  });
+
+  describe('parseTimeRangeList', () => {
+    it('splits comma-separated ranges', () => {
+      expect(parseTimeRangeList('1000-1400, 1500-1800,')).toEqual(['1000-1400', '1500-1800']);
+      expect(parseTimeRangeList('  ')).toEqual([]);
+    });
+  });
+
+  describe('setDayTimes', () => {
+    const schedule = { days: [1, 6], times: ['0900-1700'] };
+
+    it('sets a day\'s own ranges without changing the original', () => {
+      const updated = setDayTimes(schedule, 6, ['1000-1400']);
+      
+      expect(updated).toEqual({ days: [1, 6], times: ['0900-1700'], dayTimes: { 6: ['1000-1400'] } });
+      expect(schedule.dayTimes).toBeUndefined();
+    });
+
+    it('drops dayTimes once no day has its own ranges', () => {
+      const updated = setDayTimes(setDayTimes(schedule, 6, ['1000-1400']), 6, []);
+      
+      expect(updated).toEqual(schedule);
+      expect('dayTimes' in updated).toBe(false);
+    });
+  });
+
+  describe('setScheduleTimeZone', () => {
+    const schedule = { days: [1], times: ['0900-1700'] };
+
+    it('sets the time zone without changing the original', () => {
+      const updated = setScheduleTimeZone(schedule, 'America/New_York');
+      
+      expect(updated).toEqual({ days: [1], times: ['0900-1700'], timeZone: 'America/New_York' });
+      expect(schedule.timeZone).toBeUndefined();
+    });
+
+    it('drops the time zone when cleared', () => {
+      const updated = setScheduleTimeZone(setScheduleTimeZone(schedule, 'America/New_York'), '');
+      
+      expect('timeZone' in updated).toBe(false);
+    });
+  });
+
+  describe('setScheduleDates', () => {
+    const schedule = { days: [1], times: ['0900-1700'] };
+
+    it('sorts and deduplicates dates', () => {
+      const updated = setScheduleDates(schedule, 'exceptDates', ['2024-12-26', '2024-12-25', '2024-12-26']);
+      
+      expect(updated.exceptDates).toEqual(['2024-12-25', '2024-12-26']);
+      expect(schedule.exceptDates).toBeUndefined();
+    });
+
+    it('drops the list when cleared', () => {
+      const updated = setScheduleDates(setScheduleDates(schedule, 'onlyDates', ['2024-05-14']), 'onlyDates', []);
+      
+      expect('onlyDates' in updated).toBe(false);
+    });
+  });
+
+  describe('setScheduleDateBound', () => {
+    it('sets and clears a bound', () => {
+      const schedule = { days: [1], times: ['0900-1700'] };
+      const updated = setScheduleDateBound(schedule, 'endDate', '2024-05-24');
+      
+      expect(updated.endDate).toBe('2024-05-24');
+      expect('endDate' in setScheduleDateBound(updated, 'endDate', '')).toBe(false);
+    });
+  });
+
+  describe('formatScheduleDate', () => {
+    it('formats the calendar date', () => {
+      expect(formatScheduleDate('2024-12-25')).toBe('Wed, Dec 25, 2024');
+      expect(formatScheduleDate('2024-01-01')).toBe('Mon, Jan 1, 2024');
+    });
+  });
+
+  describe('describeScheduleStatus', () => {
+    const local = (iso) => new Date(iso);
+    const weekdays = { days: [1, 2, 3, 4, 5], times: ['0900-1700'] };
+
+    it('says when an active schedule ends', () => {
+      expect(describeScheduleStatus(weekdays, local('2024-01-01T10:00:00'))).toBe('Active until 5:00 PM');
+      
+      const nights = { days: [1], times: ['2200-0200'] };
+      expect(describeScheduleStatus(nights, local('2024-01-01T23:00:00'))).toBe('Active until Tue 2:00 AM');
+    });
+
+    it('says when an inactive schedule starts', () => {
+      expect(describeScheduleStatus(weekdays, local('2024-01-01T08:00:00'))).toBe('Starts at 9:00 AM');
+      expect(describeScheduleStatus(weekdays, local('2024-01-05T18:00:00'))).toBe('Starts Mon at 9:00 AM');
+      
+      const later = { ...weekdays, startDate: '2024-03-01' };
+      expect(describeScheduleStatus(later, local('2024-01-01T10:00:00'))).toBe('Starts Fri, Mar 1, 2024 at 9:00 AM');
+    });
+
+    it('uses the schedule\'s time zone', () => {
+      const tokyo = { ...weekdays, timeZone: 'Asia/Tokyo' };
+      expect(describeScheduleStatus(tokyo, new Date('2024-01-01T01:00:00Z'))).toBe('Active until 5:00 PM');
+    });
+
+    it('describes unscheduled, endless and ended schedules', () => {
+      const always = { days: [0, 1, 2, 3, 4, 5, 6], times: ['0000-2400'] };
+      const ended = { ...weekdays, endDate: '2023-12-31' };
+      
+      expect(describeScheduleStatus(undefined)).toBe('Always active');
+      expect(describeScheduleStatus(always, local('2024-01-01T10:00:00'))).toBe('Active');
+      expect(describeScheduleStatus(ended, local('2024-01-01T10:00:00'))).toBe('Schedule ended');
+    });
+  });
+
+  describe('importScheduleFromIcs', () => {
+    const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+    const event = (...lines) => ['BEGIN:VEVENT', ...lines, 'END:VEVENT'];
+
+    it('converts weekly recurring events into days and times', () => {
+      const result = importScheduleFromIcs(calendar(
+        ...event(
+          'SUMMARY:Focus',
+          'DTSTART;TZID=America/New_York:20240513T090000',
+          'DTEND;TZID=America/New_York:20240513T120000',
+          'RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR'
+        )
+      ));
+      
+      expect(result.success).toBe(true);
+      expect(result.schedule).toEqual({
+        days: [1, 3, 5],
+        times: ['0900-1200'],
+        timeZone: 'America/New_York',
+        startDate: '2024-05-13'
+      });
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('gives days with other ranges their own hours', () => {
+      const result = importScheduleFromIcs(calendar(
+        ...event('DTSTART:20240513T090000', 'DURATION:PT3H', 'RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE'),
+        ...event('DTSTART:20240513T140000', 'DURATION:PT2H', 'RRULE:FREQ=WEEKLY;BYDAY=WE')
+      ));
+      
+      expect(result.schedule.days).toEqual([1, 2, 3]);
+      expect(result.schedule.times).toEqual(['0900-1200']);
+      expect(result.schedule.dayTimes).toEqual({ 3: ['0900-1200', '1400-1600'] });
+      expect(result.schedule.timeZone).toBeUndefined();
+    });
+
+    it('turns EXDATEs into skipped dates and UNTIL into an end date', () => {
+      const result = importScheduleFromIcs(calendar(
+        ...event(
+          'DTSTART;TZID=America/New_York:20240513T090000',
+          'DTEND;TZID=America/New_York:20240513T100000',
+          'RRULE:FREQ=WEEKLY;UNTIL=20240625T035959Z',
+          'EXDATE;TZID=America/New_York:20240527T090000'
+        )
+      ));
+      
+      // UNTIL is 23:59 on June 24th in New York
+      expect(result.schedule).toMatchObject({
+        days: [1],
+        endDate: '2024-06-24',
+        exceptDates: ['2024-05-27']
+      });
+    });
+
+    it('finds the end date of a counted series', () => {
+      const result = importScheduleFromIcs(calendar(
+        ...event('DTSTART:20240513T090000', 'DURATION:PT1H', 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=3')
+      ));
+      
+      expect(result.schedule.endDate).toBe('2024-05-20');
+    });
+
+    it('warns when merged events cover different dates', () => {
+      const result = importScheduleFromIcs(calendar(
+        ...event('SUMMARY:Mondays', 'DTSTART:20240513T090000', 'DURATION:PT1H', 'RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=2'),
+        ...event('SUMMARY:Wednesdays', 'DTSTART:20240605T090000', 'DURATION:PT1H', 'RRULE:FREQ=WEEKLY;BYDAY=WE')
+      ));
+      
+      expect(result.schedule).toMatchObject({ days: [1, 3], startDate: '2024-05-13' });
+      expect(result.schedule.endDate).toBeUndefined();
+      expect(result.warnings).toEqual([
+        '"Mondays" ends on Mon, May 20, 2024, but the schedule applies its days with no end',
+        '"Wednesdays" starts on Wed, Jun 5, 2024, but the schedule applies its days from Mon, May 13, 2024'
+      ]);
+    });
+    
+    it('warns when one event\'s exception skips another event', () => {
+      const result = importScheduleFromIcs(calendar(
+        ...event(
+          'SUMMARY:Focus',
+          'DTSTART:20240513T090000',
+          'DURATION:PT1H',
+          'RRULE:FREQ=WEEKLY;BYDAY=MO,WE',
+          'EXDATE:20240515T090000'
+        ),
+        ...event('SUMMARY:Writing', 'DTSTART:20240515T140000', 'DURATION:PT1H', 'RRULE:FREQ=WEEKLY;BYDAY=WE')
+      ));
+      
+      expect(result.schedule.exceptDates).toEqual(['2024-05-15']);
+      expect(result.warnings).toEqual([
+        '"Writing" is also skipped on Wed, May 15, 2024, another event\'s exception'
+      ]);
+    });
+    
+    it('does not warn when a later start adds no scheduled days', () => {
+      const result = importScheduleFromIcs(calendar(
+        ...event('DTSTART:20240513T090000', 'DURATION:PT1H', 'RRULE:FREQ=WEEKLY;BYDAY=MO'),
+        ...event('DTSTART:20240515T090000', 'DURATION:PT1H', 'RRULE:FREQ=WEEKLY;BYDAY=WE')
+      ));
+      
+      expect(result.schedule.startDate).toBe('2024-05-13');
+      expect(result.warnings).toEqual([]);
+    });
+    
+    it('rejects a counted series too long to walk', () => {
+      const result = importScheduleFromIcs(calendar(
+        ...event('DTSTART:20240513T090000', 'DURATION:PT1H', 'RRULE:FREQ=DAILY;COUNT=999999999')
+      ));
+      
+      expect(result.success).toBe(false);
+      expect(result.errors).toContain('"Untitled" repeats more than 10000 times; skipped');
+    });
+
+    it('handles daily, overnight and all-day events', () => {
+      const overnight = importScheduleFromIcs(calendar(
+        ...event('DTSTART:20240513T220000', 'DTEND:20240514T010000', 'RRULE:FREQ=DAILY')
+      ));
+      expect(overnight.schedule).toMatchObject({ days: [0, 1, 2, 3, 4, 5, 6], times: ['2200-0100'] });
+      
+      const allDay = importScheduleFromIcs(calendar(
+        ...event('DTSTART;VALUE=DATE:20240518', 'DTEND;VALUE=DATE:20240519', 'RRULE:FREQ=WEEKLY')
+      ));
+      expect(allDay.schedule).toMatchObject({ days: [6], times: ['0000-2400'] });
+    });
+
+    it('skips events a weekly schedule can\'t express, with warnings', () => {
+      const result = importScheduleFromIcs(calendar(
+        ...event('SUMMARY:Weekly', 'DTSTART:20240513T090000', 'DURATION:PT1H', 'RRULE:FREQ=WEEKLY'),
+        ...event('SUMMARY:Once', 'DTSTART:20240514T090000', 'DURATION:PT1H'),
+        ...event('SUMMARY:Monthly', 'DTSTART:20240514T090000', 'DURATION:PT1H', 'RRULE:FREQ=MONTHLY'),
+        ...event('SUMMARY:Biweekly', 'DTSTART:20240514T090000', 'DURATION:PT1H', 'RRULE:FREQ=WEEKLY;INTERVAL=2'),
+        ...event('SUMMARY:Elsewhere', 'DTSTART:20240514T090000Z', 'DURATION:PT1H', 'RRULE:FREQ=WEEKLY'),
+        ...event('SUMMARY:Off', 'DTSTART:20240514T090000', 'DURATION:PT1H', 'RRULE:FREQ=WEEKLY', 'STATUS:CANCELLED')
+      ));
+      
+      expect(result.schedule.days).toEqual([1]);
+      expect(result.schedule.endDate).toBeUndefined();
+      expect(result.warnings).toEqual([
+        '"Once" on 2024-05-14 doesn\'t repeat; skipped',
+        '"Monthly" doesn\'t repeat every day or every week; skipped',
+        '"Biweekly" doesn\'t repeat every day or every week; skipped',
+        '"Elsewhere" is in a different time zone (UTC); skipped',
+        '"Off" is cancelled; skipped'
+      ]);
+    });
+
+    it('fails without recurring events', () => {
+      const result = importScheduleFromIcs(calendar(...event('SUMMARY:Once', 'DTSTART:20240514T090000')));
+      
+      expect(result.success).toBe(false);
+      expect(result.errors).toContain('No weekly or daily recurring events to import');
+      expect(importScheduleFromIcs('hello').success).toBe(false);
+    });
+
+    it('previews the resulting schedule', () => {
+      const preview = formatSchedulePreview({
+        days: [1, 3, 6],
+        times: ['0900-1200'],
+        dayTimes: { 6: ['1000-1400'] },
+        timeZone: 'America/New_York',
+        startDate: '2024-05-13',
+        exceptDates: ['2024-05-27']
+      });
+      
+      expect(preview).toEqual([
+        'Mon, Wed: 9:00 AM - 12:00 PM',
+        'Sat: 10:00 AM - 2:00 PM',
+        'Time zone: America/New_York',
+        'Runs from Mon, May 13, 2024',
+        'Except Mon, May 27, 2024'
+      ]);
+    });
+  });
 });
@@ -0,0 +1,80 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  renderGroupHtml,
+  renderLimit,
+  escapeHtml
+} from '../../src/pages/settings/settings-render.js';
+import { createDefaultRuleGroup } from '../../src/pages/settings/settings-data.js';
+
+/**
+ * Pull the text of every limit-per label out of rendered HTML
+ */
+function getPerLabels(html) {
+  return [...html.matchAll(/<span class="limit-per">([^<]*)<\/span>/g)].map(m => m[1]);
+}
+
+describe('Settings Rendering', () => {
+  describe('renderGroupHtml', () => {
+    it('renders a group without a bucket limit', () => {
+      const group = {
+        ...createDefaultRuleGroup(),
+        limits: [{ maxAccesses: 3, windowType: 'rolling', duration: 60 }]
+      };
+      
+      const html = renderGroupHtml(group, 0);
+      
+      expect(html).toContain('data-field="timeBudget"');
+      expect(html).not.toContain('banked,');
+      expect(getPerLabels(html)).toEqual(['per', 'per']);
+    });
+    
+    it('renders a group with a bucket limit', () => {
+      const group = {
+        ...createDefaultRuleGroup(),
+        limits: [
+          { maxAccesses: 3, windowType: 'rolling', duration: 60 },
+          { maxAccesses: 5, windowType: 'bucket', duration: 30 }
+        ],
+        timeBudget: { minutes: 20, duration: 60 }
+      };
+      
+      const html = renderGroupHtml(group, 1);
+      
+      // One label per limit, then the time budget row
+      expect(getPerLabels(html)).toEqual(['per', 'banked,', 'per']);
+    });
+    
+    it('escapes the group name', () => {
+      const group = { ...createDefaultRuleGroup(), name: '<b>"News"</b>' };
+      
+      const html = renderGroupHtml(group, 0);
+      
+      expect(html).toContain('value="&lt;b&gt;&quot;News&quot;&lt;/b&gt;"');
+    });
+  });
+  
+  describe('renderLimit', () => {
+    it('labels a bucket limit as banked with a refill hint', () => {
+      const html = renderLimit({ maxAccesses: 5, windowType: 'bucket', duration: 30 }, 0, 1);
+      
+      expect(getPerLabels(html)).toEqual(['banked,']);
+      expect(html).toContain('title="Minutes to refill one access"');
+    });
+    
+    it('hides the remove button for the only limit', () => {
+      const html = renderLimit({ maxAccesses: 3, windowType: 'daily', duration: 60 }, 0, 1);
+      
+      expect(html).toMatch(/btn-remove-limit hidden/);
+    });
+  });
+  
+  describe('escapeHtml', () => {
+    it('escapes markup characters', () => {
+      expect(escapeHtml(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    });
+    
+    it('treats missing values as empty text', () => {
+      expect(escapeHtml(undefined)).toBe('');
+    });
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  DEFAULT_SITE_ALIASES,
+  getSiteAliases,
+  canonicalizeDomain,
+  canonicalizeUrl,
+  canonicalizeSitePattern,
+  canonicalizeSites,
+  getAliasPatterns
+} from '../../src/utils/site-aliases.js';
+
+describe('site-aliases', () => {
+  const aliases = {
+    'twitter.com': ['x.com'],
+    'youtube.com': ['youtu.be', 'm.youtube.com']
+  };
+
+  describe('getSiteAliases', () => {
+    it('returns the built-in table when none is configured', () => {
+      expect(getSiteAliases({ groups: [] })).toBe(DEFAULT_SITE_ALIASES);
+      expect(getSiteAliases(null)).toBe(DEFAULT_SITE_ALIASES);
+    });
+
+    it('merges configured entries over the built-in table', () => {
+      const config = { groups: [], aliases: { 'twitter.com': [], 'example.com': ['example.org'] } };
+      const merged = getSiteAliases(config);
+      
+      expect(merged['twitter.com']).toEqual([]);
+      expect(merged['example.com']).toEqual(['example.org']);
+      expect(merged['youtube.com']).toEqual(DEFAULT_SITE_ALIASES['youtube.com']);
+    });
+
+    it('returns the same merged table for the same configured table', () => {
+      const config = { groups: [], aliases: { 'example.com': ['example.org'] } };
+      expect(getSiteAliases(config)).toBe(getSiteAliases({ ...config }));
+    });
+  });
+
+  describe('canonicalizeDomain', () => {
+    it('maps aliases to their canonical domain', () => {
+      expect(canonicalizeDomain('x.com', aliases)).toBe('twitter.com');
+      expect(canonicalizeDomain('youtu.be', aliases)).toBe('youtube.com');
+      expect(canonicalizeDomain('m.youtube.com', aliases)).toBe('youtube.com');
+    });
+
+    it('maps subdomains of an alias', () => {
+      expect(canonicalizeDomain('mobile.x.com', aliases)).toBe('mobile.twitter.com');
+    });
+
+    it('leaves other domains unchanged', () => {
+      expect(canonicalizeDomain('twitter.com', aliases)).toBe('twitter.com');
+      expect(canonicalizeDomain('notx.com', aliases)).toBe('notx.com');
+      expect(canonicalizeDomain('x.com', null)).toBe('x.com');
+    });
+  });
+
+  describe('canonicalizeUrl', () => {
+    it('rewrites the host and keeps the rest of the URL', () => {
+      expect(canonicalizeUrl('https://x.com/home?lang=en#top', aliases))
+        .toBe('https://twitter.com/home?lang=en#top');
+    });
+
+    it('returns other URLs unchanged', () => {
+      expect(canonicalizeUrl('https://discord.com/channels', aliases)).toBe('https://discord.com/channels');
+      expect(canonicalizeUrl('not a url', aliases)).toBe('not a url');
+    });
+  });
+
+  describe('canonicalizeSitePattern', () => {
+    it('rewrites plain, glob and exclusion patterns', () => {
+      expect(canonicalizeSitePattern('x.com/home', aliases)).toBe('twitter.com/home');
+      expect(canonicalizeSitePattern('*.x.com/**', aliases)).toBe('*.twitter.com/**');
+      expect(canonicalizeSitePattern('!x.com/settings', aliases)).toBe('!twitter.com/settings');
+      expect(canonicalizeSitePattern('x.com?lang=en', aliases)).toBe('twitter.com?lang=en');
+    });
+
+    it('leaves regex patterns unchanged', () => {
+      expect(canonicalizeSitePattern('re:x\\.com', aliases)).toBe('re:x\\.com');
+    });
+
+    it('rewrites whole site lists', () => {
+      expect(canonicalizeSites(['x.com', 'reddit.com'], aliases)).toEqual(['twitter.com', 'reddit.com']);
+    });
+  });
+
+  describe('getAliasPatterns', () => {
+    it('lists the equivalent domains of a canonical site', () => {
+      expect(getAliasPatterns('youtube.com', aliases)).toEqual(['youtu.be', 'm.youtube.com']);
+    });
+
+    it('lists the canonical site and other aliases of an alias', () => {
+      expect(getAliasPatterns('youtu.be', aliases)).toEqual(['youtube.com', 'm.youtube.com']);
+    });
+
+    it('keeps the path of the pattern', () => {
+      expect(getAliasPatterns('twitter.com/home', aliases)).toEqual(['x.com/home']);
+    });
+
+    it('returns nothing for unknown sites, exclusions and regexes', () => {
+      expect(getAliasPatterns('discord.com', aliases)).toEqual([]);
+      expect(getAliasPatterns('!twitter.com', aliases)).toEqual([]);
+      expect(getAliasPatterns('re:twitter', aliases)).toEqual([]);
+    });
+  });
+});
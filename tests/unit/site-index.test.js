@@ -0,0 +1,74 @@
+import { describe, it, expect } from '@jest/globals';
+import { buildSiteIndex, findCandidateSites } from '../../src/utils/site-index.js';
+import { getActiveRulesForSite } from '../../src/background/rule-engine.js';
+import { matchesSiteList } from '../../src/utils/url-matcher.js';
+
+describe('site-index', () => {
+  describe('findCandidateSites', () => {
+    const index = buildSiteIndex([
+      ['reddit.com', '!old.reddit.com/r/all', 'discord.com'],
+      ['*.reddit.com/r/**', 'news.ycombinator.com'],
+      ['re:^https://[^/]+/watch', 'reddit.*']
+    ]);
+
+    it('returns patterns filed under any suffix of the host', () => {
+      const candidates = findCandidateSites(index, 'https://old.reddit.com/r/all');
+      expect(candidates.get(0)).toEqual(['reddit.com', '!old.reddit.com/r/all']);
+      expect(candidates.get(1)).toEqual(['*.reddit.com/r/**']);
+    });
+
+    it('always returns regexes and globs without a literal domain end', () => {
+      const candidates = findCandidateSites(index, 'https://example.com/');
+      expect(candidates.has(0)).toBe(false);
+      expect(candidates.get(2)).toEqual(['re:^https://[^/]+/watch', 'reddit.*']);
+    });
+
+    it('keeps patterns in configured order', () => {
+      const ordered = buildSiteIndex([['reddit.com/r/all', 'www.reddit.com', 'reddit.com']]);
+      expect(findCandidateSites(ordered, 'https://www.reddit.com/r/all').get(0))
+        .toEqual(['reddit.com/r/all', 'www.reddit.com', 'reddit.com']);
+    });
+
+    it('matches hosts case-insensitively and ignores ports', () => {
+      const portIndex = buildSiteIndex([['LocalHost:3000', 'Example.COM']]);
+      expect(findCandidateSites(portIndex, 'http://localhost:3000/').get(0)).toEqual(['LocalHost:3000']);
+      expect(findCandidateSites(portIndex, 'https://EXAMPLE.com/').get(0)).toEqual(['Example.COM']);
+    });
+
+    it('does not return patterns for unrelated domains sharing a suffix', () => {
+      expect(findCandidateSites(index, 'https://notreddit.com/').size).toBe(1);
+      expect(findCandidateSites(index, 'https://notreddit.com/').has(2)).toBe(true);
+    });
+  });
+
+  describe('compared with matching every pattern', () => {
+    const group = (name, sites) => ({ name, duration: 60, maxAccesses: 5, strictMode: false, sites });
+    const groups = [
+      group('Social', ['reddit.com', '!reddit.com/settings', 'x.com']),
+      group('Docs', ['docs.example.org/guide', '*.blog.example.net']),
+      group('Everywhere', ['re:/watch\\?', 'news.*']),
+      group('Overlap', ['old.reddit.com/r/**', 'example.org'])
+    ];
+    const config = { groups };
+    const urls = [
+      'https://www.reddit.com/',
+      'https://reddit.com/settings/profile',
+      'https://old.reddit.com/r/all',
+      'https://docs.example.org/guide/intro',
+      'https://docs.example.org/other',
+      'https://a.blog.example.net/x',
+      'https://youtube.com/watch?v=1',
+      'https://news.ycombinator.com/',
+      'https://nomatch.com/'
+    ];
+
+    // The rule engine's matching before the index: every pattern of every group
+    const matchLinearly = url => groups.filter(group => matchesSiteList(url, group.sites));
+
+    it('finds the same groups as matching every pattern', () => {
+      urls.forEach(url => {
+        expect(getActiveRulesForSite(url, config)).toEqual(matchLinearly(url));
+      });
+    });
+  });
+});
@@ -1,5 +1,24 @@
 import { describe, it, expect, beforeEach, jest } from '@jest/globals';
-import { parseTimeRange, isTimeInRange, isRuleActiveNow } from '../../src/utils/time-utils.js';
+import {
+  parseTimeRange,
+  isTimeInRange,
+  isRuleActiveNow,
+  isOvernightRange,
+  validateTimeRange,
+  getScheduleTimes,
+  getZonedTime,
+  isValidTimeZone,
+  validateDate,
+  addDays,
+  getWeekday,
+  isScheduledOnDate,
+  hasScheduleEnded,
+  getActivePeriodStart,
+  getNextDeactivation,
+  getNextActivation,
+  validateTime,
+  getCalendarWindow
+} from '../../src/utils/time-utils.js';
 
 describe('time-utils', () => {
   describe('parseTimeRange', () => {
@@ -228,4 +247,569 @@ describe('time-utils', () => {
       expect(isRuleActiveNow(schedule)).toBe(true);
     });
   });
+
+  describe('validateTimeRange', () => {
+    it('accepts same-day, overnight and end-of-day ranges', () => {
+      expect(validateTimeRange('0900-1700')).toBeNull();
+      expect(validateTimeRange('2200-0200')).toBeNull();
+      expect(validateTimeRange('0000-2400')).toBeNull();
+    });
+
+    it('rejects malformed ranges', () => {
+      expect(validateTimeRange('9:00-17:00')).toContain('HHMM-HHMM');
+      expect(validateTimeRange(null)).toContain('HHMM-HHMM');
+    });
+
+    it('rejects times outside the day', () => {
+      expect(validateTimeRange('0960-1700')).toContain('0000 to 2400');
+      expect(validateTimeRange('2500-0100')).toContain('0000 to 2400');
+      expect(validateTimeRange('0900-2430')).toContain('0000 to 2400');
+    });
+  });
+
+  describe('overnight ranges', () => {
+    let originalDate;
+
+    const mockNow = (isoString) => {
+      const mockDate = new originalDate(isoString);
+      global.Date = class extends originalDate {
+        constructor() {
+          return mockDate;
+        }
+        static now() {
+          return mockDate.getTime();
+        }
+      };
+    };
+
+    beforeEach(() => {
+      originalDate = global.Date;
+    });
+
+    afterEach(() => {
+      global.Date = originalDate;
+    });
+
+    it('detects ranges ending before they start', () => {
+      const { start, end } = parseTimeRange('2200-0200');
+      expect(isOvernightRange(start, end)).toBe(true);
+      
+      const sameDay = parseTimeRange('0900-1700');
+      expect(isOvernightRange(sameDay.start, sameDay.end)).toBe(false);
+    });
+
+    it('matches before and after midnight', () => {
+      const { start, end } = parseTimeRange('2200-0200');
+      expect(isTimeInRange(new Date('2024-01-01T23:00:00'), start, end)).toBe(true);
+      expect(isTimeInRange(new Date('2024-01-01T01:30:00'), start, end)).toBe(true);
+      expect(isTimeInRange(new Date('2024-01-01T02:00:00'), start, end)).toBe(true);
+      expect(isTimeInRange(new Date('2024-01-01T12:00:00'), start, end)).toBe(false);
+    });
+
+    it('is active after midnight when the range started on a scheduled day', () => {
+      mockNow('2024-01-06T01:00:00'); // Saturday, 1:00 AM
+      
+      expect(isRuleActiveNow({ days: [5], times: ['2200-0200'] })).toBe(true); // Friday
+      expect(isRuleActiveNow({ days: [6], times: ['2200-0200'] })).toBe(false); // Saturday
+    });
+
+    it('is active before midnight on a scheduled day', () => {
+      mockNow('2024-01-05T23:00:00'); // Friday, 11:00 PM
+      
+      expect(isRuleActiveNow({ days: [5], times: ['2200-0200'] })).toBe(true);
+      expect(isRuleActiveNow({ days: [4], times: ['2200-0200'] })).toBe(false);
+    });
+
+    it('carries Saturday night into Sunday morning', () => {
+      mockNow('2024-01-07T00:30:00'); // Sunday, 12:30 AM
+      
+      expect(isRuleActiveNow({ days: [6], times: ['2300-0100'] })).toBe(true);
+    });
+  });
+
+  describe('per-day time ranges', () => {
+    let originalDate;
+
+    const mockNow = (isoString) => {
+      const mockDate = new originalDate(isoString);
+      global.Date = class extends originalDate {
+        constructor() {
+          return mockDate;
+        }
+        static now() {
+          return mockDate.getTime();
+        }
+      };
+    };
+
+    // 9-5 on weekdays, 10-2 on Saturday
+    const schedule = {
+      days: [1, 2, 3, 4, 5, 6],
+      times: ['0900-1700'],
+      dayTimes: { 6: ['1000-1400'] }
+    };
+
+    beforeEach(() => {
+      originalDate = global.Date;
+    });
+
+    afterEach(() => {
+      global.Date = originalDate;
+    });
+
+    it('uses a day\'s own ranges and falls back to the shared ones', () => {
+      expect(getScheduleTimes(schedule, 6)).toEqual(['1000-1400']);
+      expect(getScheduleTimes(schedule, 1)).toEqual(['0900-1700']);
+      expect(getScheduleTimes({ days: [1], times: ['0900-1700'] }, 1)).toEqual(['0900-1700']);
+    });
+
+    it('applies the day\'s own ranges', () => {
+      mockNow('2024-01-06T15:00:00'); // Saturday, 3:00 PM
+      expect(isRuleActiveNow(schedule)).toBe(false);
+      
+      mockNow('2024-01-06T11:00:00'); // Saturday, 11:00 AM
+      expect(isRuleActiveNow(schedule)).toBe(true);
+    });
+
+    it('applies the shared ranges on other days', () => {
+      mockNow('2024-01-05T15:00:00'); // Friday, 3:00 PM
+      expect(isRuleActiveNow(schedule)).toBe(true);
+    });
+
+    it('carries a day\'s own overnight range into the next morning', () => {
+      mockNow('2024-01-06T01:00:00'); // Saturday, 1:00 AM
+      
+      expect(isRuleActiveNow({ days: [5], times: ['0900-1700'], dayTimes: { 5: ['2200-0200'] } })).toBe(true);
+      expect(isRuleActiveNow({ days: [5], times: ['2200-0200'], dayTimes: { 5: ['0900-1700'] } })).toBe(false);
+    });
+  });
+
+  describe('time zones', () => {
+    let originalDate;
+
+    const mockNow = (isoString) => {
+      const mockDate = new originalDate(isoString);
+      global.Date = class extends originalDate {
+        constructor() {
+          return mockDate;
+        }
+        static now() {
+          return mockDate.getTime();
+        }
+      };
+    };
+
+    // 10-5 every day, New York time
+    const schedule = {
+      days: [0, 1, 2, 3, 4, 5, 6],
+      times: ['1000-1700'],
+      timeZone: 'America/New_York'
+    };
+
+    beforeEach(() => {
+      originalDate = global.Date;
+    });
+
+    afterEach(() => {
+      global.Date = originalDate;
+    });
+
+    it('validates IANA time zones', () => {
+      expect(isValidTimeZone('America/New_York')).toBe(true);
+      expect(isValidTimeZone('UTC')).toBe(true);
+      expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+      expect(isValidTimeZone('')).toBe(false);
+      expect(isValidTimeZone(undefined)).toBe(false);
+    });
+
+    it('reads the weekday and time in a zone', () => {
+      const date = new Date('2024-01-06T03:30:00Z'); // Saturday 03:30 UTC
+      
+      expect(getZonedTime(date, 'UTC')).toEqual({ date: '2024-01-06', day: 6, hours: 3, minutes: 30 });
+      expect(getZonedTime(date, 'America/New_York')).toEqual({ date: '2024-01-05', day: 5, hours: 22, minutes: 30 });
+      expect(getZonedTime(date, 'Asia/Kolkata')).toEqual({ date: '2024-01-06', day: 6, hours: 9, minutes: 0 });
+    });
+
+    it('uses local time without a zone', () => {
+      const date = new Date(2024, 0, 6, 11, 15);
+      expect(getZonedTime(date)).toEqual({ date: '2024-01-06', day: 6, hours: 11, minutes: 15 });
+    });
+
+    it('evaluates the schedule in its zone', () => {
+      mockNow('2024-01-08T16:00:00Z'); // 11:00 in New York
+      expect(isRuleActiveNow(schedule)).toBe(true);
+      
+      mockNow('2024-01-08T23:00:00Z'); // 18:00 in New York
+      expect(isRuleActiveNow(schedule)).toBe(false);
+    });
+
+    it('uses the zone\'s weekday', () => {
+      // Saturday 01:00 UTC is still Friday evening in New York
+      mockNow('2024-01-06T01:00:00Z');
+      expect(isRuleActiveNow({ ...schedule, days: [5], times: ['1900-2200'] })).toBe(true);
+      expect(isRuleActiveNow({ ...schedule, days: [6], times: ['1900-2200'] })).toBe(false);
+    });
+
+    it('follows daylight saving time', () => {
+      // Spring forward: 14:00 UTC is 10:00 EDT, an hour before it would be 9:00 EST
+      mockNow('2024-03-10T14:00:00Z');
+      expect(isRuleActiveNow(schedule)).toBe(true);
+      mockNow('2024-03-09T14:00:00Z'); // Day before, 9:00 EST
+      expect(isRuleActiveNow(schedule)).toBe(false);
+      
+      // Fall back: 14:00 UTC is 9:00 EST, the day before it was 10:00 EDT
+      mockNow('2024-11-03T14:00:00Z');
+      expect(isRuleActiveNow(schedule)).toBe(false);
+      mockNow('2024-11-02T14:00:00Z');
+      expect(isRuleActiveNow(schedule)).toBe(true);
+    });
+
+    it('carries overnight ranges past midnight in the zone', () => {
+      // Saturday 05:30 UTC is 01:30 in New York in summer (EDT)
+      mockNow('2024-07-06T05:30:00Z');
+      expect(isRuleActiveNow({ ...schedule, days: [5], times: ['2200-0200'] })).toBe(true);
+      
+      // and 00:30 in winter (EST), both inside Friday's range
+      mockNow('2024-01-06T05:30:00Z');
+      expect(isRuleActiveNow({ ...schedule, days: [5], times: ['2200-0200'] })).toBe(true);
+      
+      mockNow('2024-01-06T08:00:00Z'); // 03:00 in New York
+      expect(isRuleActiveNow({ ...schedule, days: [5], times: ['2200-0200'] })).toBe(false);
+    });
+
+    it('falls back to local time for an unknown zone', () => {
+      mockNow('2024-01-08T12:00:00'); // Monday, 12:00 local
+      expect(isRuleActiveNow({ ...schedule, timeZone: 'Mars/Olympus_Mons' })).toBe(true);
+    });
+  });
+
+  describe('calendar dates', () => {
+    it('adds days across months and years', () => {
+      expect(addDays('2024-02-28', 1)).toBe('2024-02-29');
+      expect(addDays('2024-12-31', 1)).toBe('2025-01-01');
+      expect(addDays('2024-01-01', -1)).toBe('2023-12-31');
+    });
+
+    it('gets the weekday of a date', () => {
+      expect(getWeekday('2024-01-01')).toBe(1); // Monday
+      expect(getWeekday('2024-01-07')).toBe(0); // Sunday
+    });
+  });
+
+  describe('date restrictions', () => {
+    let originalDate;
+
+    const mockNow = (isoString) => {
+      const mockDate = new originalDate(isoString);
+      global.Date = class extends originalDate {
+        constructor(...args) {
+          return args.length > 0 ? new originalDate(...args) : mockDate;
+        }
+        static now() {
+          return mockDate.getTime();
+        }
+        static UTC(...args) {
+          return originalDate.UTC(...args);
+        }
+      };
+    };
+
+    // Every day, all day
+    const always = { days: [0, 1, 2, 3, 4, 5, 6], times: ['0000-2400'] };
+
+    beforeEach(() => {
+      originalDate = global.Date;
+    });
+
+    afterEach(() => {
+      global.Date = originalDate;
+    });
+
+    it('validates calendar dates', () => {
+      expect(validateDate('2024-02-29')).toBeNull();
+      expect(validateDate('2023-02-29')).toBe('is not a calendar date');
+      expect(validateDate('2024-13-01')).toBe('is not a calendar date');
+      expect(validateDate('2024-1-5')).toBe('must be a date in format YYYY-MM-DD');
+      expect(validateDate(20240105)).toBe('must be a date in format YYYY-MM-DD');
+    });
+
+    it('checks date ranges inclusively', () => {
+      const schedule = { ...always, startDate: '2024-05-13', endDate: '2024-05-24' };
+      
+      expect(isScheduledOnDate(schedule, '2024-05-12')).toBe(false);
+      expect(isScheduledOnDate(schedule, '2024-05-13')).toBe(true);
+      expect(isScheduledOnDate(schedule, '2024-05-24')).toBe(true);
+      expect(isScheduledOnDate(schedule, '2024-05-25')).toBe(false);
+      expect(isScheduledOnDate({ ...always, startDate: '2024-05-13' }, '2030-01-01')).toBe(true);
+    });
+
+    it('checks only-dates and except-dates', () => {
+      expect(isScheduledOnDate({ ...always, onlyDates: ['2024-05-13'] }, '2024-05-13')).toBe(true);
+      expect(isScheduledOnDate({ ...always, onlyDates: ['2024-05-13'] }, '2024-05-14')).toBe(false);
+      expect(isScheduledOnDate({ ...always, onlyDates: [] }, '2024-05-14')).toBe(true);
+      expect(isScheduledOnDate({ ...always, exceptDates: ['2024-12-25'] }, '2024-12-25')).toBe(false);
+      expect(isScheduledOnDate({ ...always, exceptDates: ['2024-12-25'] }, '2024-12-26')).toBe(true);
+    });
+
+    it('skips holidays', () => {
+      const schedule = { ...always, exceptDates: ['2024-12-25'] };
+      
+      mockNow('2024-12-25T12:00:00');
+      expect(isRuleActiveNow(schedule)).toBe(false);
+      
+      mockNow('2024-12-24T12:00:00');
+      expect(isRuleActiveNow(schedule)).toBe(true);
+    });
+
+    it('applies only within the date range', () => {
+      const schedule = { ...always, startDate: '2024-05-13', endDate: '2024-05-24' };
+      
+      mockNow('2024-05-20T12:00:00');
+      expect(isRuleActiveNow(schedule)).toBe(true);
+      
+      mockNow('2024-05-25T12:00:00');
+      expect(isRuleActiveNow(schedule)).toBe(false);
+    });
+
+    it('attributes overnight ranges to the date they start on', () => {
+      const schedule = { days: [0, 1, 2, 3, 4, 5, 6], times: ['2200-0200'] };
+      mockNow('2024-12-25T01:00:00'); // Early on Christmas, continuing Christmas Eve
+      
+      expect(isRuleActiveNow({ ...schedule, exceptDates: ['2024-12-25'] })).toBe(true);
+      expect(isRuleActiveNow({ ...schedule, exceptDates: ['2024-12-24'] })).toBe(false);
+      expect(isRuleActiveNow({ ...schedule, endDate: '2024-12-24' })).toBe(true);
+    });
+
+    it('reads dates in the schedule\'s time zone', () => {
+      // Dec 26 02:00 UTC is still Christmas evening in New York
+      mockNow('2024-12-26T02:00:00Z');
+      
+      const schedule = { ...always, exceptDates: ['2024-12-25'] };
+      expect(isRuleActiveNow({ ...schedule, timeZone: 'America/New_York' })).toBe(false);
+      expect(isRuleActiveNow({ ...schedule, timeZone: 'UTC' })).toBe(true);
+    });
+
+    it('detects schedules whose dates are all past', () => {
+      mockNow('2024-06-01T12:00:00');
+      
+      expect(hasScheduleEnded({ ...always, endDate: '2024-05-31' })).toBe(true);
+      expect(hasScheduleEnded({ ...always, endDate: '2024-06-01' })).toBe(false);
+      expect(hasScheduleEnded({ ...always, onlyDates: ['2024-05-01', '2024-05-02'] })).toBe(true);
+      expect(hasScheduleEnded({ ...always, onlyDates: ['2024-05-01', '2024-07-01'] })).toBe(false);
+      expect(hasScheduleEnded({ ...always, exceptDates: ['2024-01-01'] })).toBe(false);
+      expect(hasScheduleEnded(undefined)).toBe(false);
+    });
+  });
+
+  describe('getActivePeriodStart', () => {
+    const local = (iso) => new Date(iso);
+    const weekdays = { days: [1, 2, 3, 4, 5], times: ['0900-1700'] };
+
+    it('finds the start of today\'s range', () => {
+      expect(getActivePeriodStart(weekdays, local('2024-01-01T10:00:00'))).toEqual(local('2024-01-01T09:00:00'));
+      expect(getActivePeriodStart(weekdays, local('2024-01-01T09:00:00'))).toEqual(local('2024-01-01T09:00:00'));
+    });
+
+    it('returns null when the rule is inactive or unscheduled', () => {
+      expect(getActivePeriodStart(weekdays, local('2024-01-01T08:59:00'))).toBeNull();
+      expect(getActivePeriodStart(weekdays, local('2024-01-06T10:00:00'))).toBeNull();
+      expect(getActivePeriodStart(null, local('2024-01-01T10:00:00'))).toBeNull();
+    });
+
+    it('starts a new period after a gap', () => {
+      const split = { days: [1], times: ['0900-1200', '1300-1700'] };
+      expect(getActivePeriodStart(split, local('2024-01-01T14:00:00'))).toEqual(local('2024-01-01T13:00:00'));
+    });
+
+    it('joins ranges that touch', () => {
+      const split = { days: [1], times: ['0900-1200', '1200-1700'] };
+      expect(getActivePeriodStart(split, local('2024-01-01T14:00:00'))).toEqual(local('2024-01-01T09:00:00'));
+    });
+
+    it('goes back to the previous evening for overnight ranges', () => {
+      const nights = { days: [0], times: ['2200-0200'] };
+      expect(getActivePeriodStart(nights, local('2024-01-01T01:00:00'))).toEqual(local('2023-12-31T22:00:00'));
+    });
+
+    it('joins ranges across midnight', () => {
+      const evenings = { days: [0, 1], times: ['1800-2400'], dayTimes: { 1: ['0000-0200'] } };
+      expect(getActivePeriodStart(evenings, local('2024-01-01T01:00:00'))).toEqual(local('2023-12-31T18:00:00'));
+    });
+
+    it('has no boundary for schedules that never pause', () => {
+      const always = { days: [0, 1, 2, 3, 4, 5, 6], times: ['0000-2359'] };
+      expect(getActivePeriodStart(always, local('2024-01-01T10:00:00'))).toBeNull();
+    });
+
+    it('respects date restrictions', () => {
+      const allDay = { days: [0, 1, 2, 3, 4, 5, 6], times: ['0000-2400'], startDate: '2024-01-01' };
+      expect(getActivePeriodStart(allDay, local('2024-01-02T10:00:00'))).toEqual(local('2024-01-01T00:00:00'));
+    });
+
+    it('converts the start from the schedule\'s time zone, across DST', () => {
+      const newYork = { days: [0, 1, 2, 3, 4, 5, 6], times: ['0100-1200'], timeZone: 'America/New_York' };
+      
+      // Clocks sprang forward at 2:00 on March 10th, so 1:00 EST is 06:00 UTC
+      expect(getActivePeriodStart(newYork, new Date('2024-03-10T14:00:00Z'))).toEqual(new Date('2024-03-10T06:00:00Z'));
+      expect(getActivePeriodStart(newYork, new Date('2024-03-11T14:00:00Z'))).toEqual(new Date('2024-03-11T05:00:00Z'));
+    });
+  });
+
+  describe('getNextDeactivation', () => {
+    const local = (iso) => new Date(iso);
+    const weekdays = { days: [1, 2, 3, 4, 5], times: ['0900-1700'] };
+
+    it('finds the end of the current range', () => {
+      expect(getNextDeactivation(weekdays, local('2024-01-01T10:00:00'))).toEqual(local('2024-01-01T17:00:00'));
+      expect(getNextDeactivation(weekdays, local('2024-01-01T17:00:00'))).toEqual(local('2024-01-01T17:00:00'));
+    });
+
+    it('returns null when the rule is inactive or unscheduled', () => {
+      expect(getNextDeactivation(weekdays, local('2024-01-01T17:01:00'))).toBeNull();
+      expect(getNextDeactivation(weekdays, local('2024-01-06T10:00:00'))).toBeNull();
+      expect(getNextDeactivation(null, local('2024-01-01T10:00:00'))).toBeNull();
+    });
+
+    it('picks the range containing now among several', () => {
+      const split = { days: [1], times: ['0900-1200', '1300-1700'] };
+      expect(getNextDeactivation(split, local('2024-01-01T10:00:00'))).toEqual(local('2024-01-01T12:00:00'));
+      expect(getNextDeactivation(split, local('2024-01-01T14:00:00'))).toEqual(local('2024-01-01T17:00:00'));
+    });
+
+    it('follows ranges that touch across midnight', () => {
+      const evenings = { days: [0, 1], times: ['1800-2400'], dayTimes: { 1: ['0000-0200'] } };
+      expect(getNextDeactivation(evenings, local('2023-12-31T20:00:00'))).toEqual(local('2024-01-01T02:00:00'));
+    });
+
+    it('ends overnight ranges the next morning', () => {
+      const nights = { days: [0], times: ['2200-0200'] };
+      expect(getNextDeactivation(nights, local('2024-01-01T01:00:00'))).toEqual(local('2024-01-01T02:00:00'));
+    });
+
+    it('has no end for schedules that never pause', () => {
+      const always = { days: [0, 1, 2, 3, 4, 5, 6], times: ['0000-2400'] };
+      expect(getNextDeactivation(always, local('2024-01-01T10:00:00'))).toBeNull();
+    });
+
+    it('ends at the schedule\'s end date', () => {
+      const allDay = { days: [0, 1, 2, 3, 4, 5, 6], times: ['0000-2400'], endDate: '2024-01-03' };
+      expect(getNextDeactivation(allDay, local('2024-01-01T10:00:00'))).toEqual(local('2024-01-04T00:00:00'));
+    });
+
+    it('converts the end from the schedule\'s time zone', () => {
+      const tokyo = { days: [0, 1, 2, 3, 4, 5, 6], times: ['0900-1700'], timeZone: 'Asia/Tokyo' };
+      expect(getNextDeactivation(tokyo, new Date('2024-01-01T01:00:00Z'))).toEqual(new Date('2024-01-01T08:00:00Z'));
+    });
+  });
+
+  describe('getNextActivation', () => {
+    const local = (iso) => new Date(iso);
+    const weekdays = { days: [1, 2, 3, 4, 5], times: ['0900-1700'] };
+
+    it('finds the next start later today', () => {
+      expect(getNextActivation(weekdays, local('2024-01-01T08:00:00'))).toEqual(local('2024-01-01T09:00:00'));
+    });
+
+    it('skips the current period', () => {
+      expect(getNextActivation(weekdays, local('2024-01-01T10:00:00'))).toEqual(local('2024-01-02T09:00:00'));
+      
+      const split = { days: [1], times: ['0900-1200', '1300-1700'] };
+      expect(getNextActivation(split, local('2024-01-01T10:00:00'))).toEqual(local('2024-01-01T13:00:00'));
+    });
+
+    it('wraps around the week', () => {
+      // Friday evening to Monday morning
+      expect(getNextActivation(weekdays, local('2024-01-05T18:00:00'))).toEqual(local('2024-01-08T09:00:00'));
+      
+      const mondays = { days: [1], times: ['0900-1700'] };
+      expect(getNextActivation(mondays, local('2024-01-01T18:00:00'))).toEqual(local('2024-01-08T09:00:00'));
+    });
+
+    it('uses per-day ranges', () => {
+      const perDay = { days: [1, 2], times: ['0900-1700'], dayTimes: { 2: ['1300-1500'] } };
+      expect(getNextActivation(perDay, local('2024-01-01T18:00:00'))).toEqual(local('2024-01-02T13:00:00'));
+    });
+
+    it('waits for the start date', () => {
+      const later = { days: [1, 2, 3, 4, 5], times: ['0900-1700'], startDate: '2024-03-01' };
+      expect(getNextActivation(later, local('2024-01-01T10:00:00'))).toEqual(local('2024-03-01T09:00:00'));
+    });
+
+    it('returns null when the schedule has ended or is missing', () => {
+      const ended = { days: [1, 2, 3, 4, 5], times: ['0900-1700'], endDate: '2023-12-31' };
+      expect(getNextActivation(ended, local('2024-01-01T10:00:00'))).toBeNull();
+      expect(getNextActivation(null, local('2024-01-01T10:00:00'))).toBeNull();
+    });
+
+    it('converts the start from the schedule\'s time zone', () => {
+      const tokyo = { days: [0, 1, 2, 3, 4, 5, 6], times: ['0900-1700'], timeZone: 'Asia/Tokyo' };
+      expect(getNextActivation(tokyo, new Date('2024-01-01T10:00:00Z'))).toEqual(new Date('2024-01-02T00:00:00Z'));
+    });
+  });
+
+  describe('validateTime', () => {
+    it('accepts times of day', () => {
+      expect(validateTime('0000')).toBeNull();
+      expect(validateTime('2359')).toBeNull();
+    });
+
+    it('rejects malformed and out-of-range times', () => {
+      expect(validateTime('2400')).toBe('must be a time from 0000 to 2359 in format HHMM');
+      expect(validateTime('0960')).not.toBeNull();
+      expect(validateTime('9:00')).not.toBeNull();
+      expect(validateTime(900)).not.toBeNull();
+    });
+  });
+
+  describe('getCalendarWindow', () => {
+    const local = (iso) => new Date(iso);
+    const now = local('2024-01-03T10:25:00'); // A Wednesday
+
+    it('aligns hourly windows to the hour', () => {
+      expect(getCalendarWindow('hourly', {}, now)).toEqual({
+        start: local('2024-01-03T10:00:00'),
+        end: local('2024-01-03T11:00:00')
+      });
+    });
+
+    it('resets daily windows at the reset time', () => {
+      expect(getCalendarWindow('daily', {}, now)).toEqual({
+        start: local('2024-01-03T00:00:00'),
+        end: local('2024-01-04T00:00:00')
+      });
+      
+      // Before today's reset, the window began yesterday
+      expect(getCalendarWindow('daily', { resetTime: '1100' }, now)).toEqual({
+        start: local('2024-01-02T11:00:00'),
+        end: local('2024-01-03T11:00:00')
+      });
+    });
+
+    it('resets weekly windows on the reset day', () => {
+      expect(getCalendarWindow('weekly', {}, now)).toEqual({
+        start: local('2024-01-01T00:00:00'),
+        end: local('2024-01-08T00:00:00')
+      });
+      expect(getCalendarWindow('weekly', { resetDay: 3, resetTime: '1200' }, now)).toEqual({
+        start: local('2023-12-27T12:00:00'),
+        end: local('2024-01-03T12:00:00')
+      });
+      expect(getCalendarWindow('weekly', { resetDay: 3, resetTime: '0900' }, now).start).toEqual(local('2024-01-03T09:00:00'));
+    });
+
+    it('reads the reset in a time zone', () => {
+      const window = getCalendarWindow('daily', { timeZone: 'America/New_York' }, new Date('2024-01-03T03:00:00Z'));
+      
+      // 03:00 UTC is still January 2nd in New York (UTC-5)
+      expect(window).toEqual({
+        start: new Date('2024-01-02T05:00:00Z'),
+        end: new Date('2024-01-03T05:00:00Z')
+      });
+    });
+
+    it('has no fixed window for rolling windows', () => {
+      expect(getCalendarWindow('rolling', {}, now)).toBeNull();
+      expect(getCalendarWindow(undefined, {}, now)).toBeNull();
+    });
+  });
 });
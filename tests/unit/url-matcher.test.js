@@ -1,5 +1,22 @@
 import { describe, it, expect, jest } from '@jest/globals';
-import { extractDomain, extractPath, matchesSitePattern } from '../../src/utils/url-matcher.js';
+import {
+  extractDomain,
+  extractPath,
+  matchesSitePattern,
+  matchesSiteDomain,
+  matchesSiteList,
+  isExclusionPattern,
+  isRegexPattern,
+  isGlobPattern,
+  requiresFullUrl,
+  parseUrlConstraints,
+  splitSitePattern,
+  validateSitePattern,
+  toMatchableUrl,
+  isRedirectorUrl,
+  resolveRedirectUrl,
+  normalizeSitePattern
+} from '../../src/utils/url-matcher.js';
 
 describe('url-matcher', () => {
   describe('extractDomain', () => {
@@ -145,5 +162,409 @@ describe('url-matcher', () => {
         )).toBe(true);
       });
     });
+
+    describe('glob patterns', () => {
+      it('matches any subdomain with a leading *.', () => {
+        expect(matchesSitePattern('https://old.reddit.com', '*.reddit.com')).toBe(true);
+        expect(matchesSitePattern('https://a.b.reddit.com', '*.reddit.com')).toBe(true);
+        expect(matchesSitePattern('https://reddit.com', '*.reddit.com')).toBe(true);
+        expect(matchesSitePattern('https://notreddit.com', '*.reddit.com')).toBe(false);
+      });
+
+      it('matches * within a single path segment', () => {
+        const pattern = '*.reddit.com/r/*/comments/**';
+        expect(matchesSitePattern('https://www.reddit.com/r/javascript/comments/abc/title', pattern)).toBe(true);
+        expect(matchesSitePattern('https://www.reddit.com/r/javascript/comments', pattern)).toBe(true);
+        expect(matchesSitePattern('https://www.reddit.com/r/javascript', pattern)).toBe(false);
+        expect(matchesSitePattern('https://www.reddit.com/r/a/b/comments/abc', pattern)).toBe(false);
+      });
+
+      it('matches ** across path segments', () => {
+        expect(matchesSitePattern('https://github.com/a/b/pulls', 'github.com/**/pulls')).toBe(true);
+        expect(matchesSitePattern('https://github.com/a/b/issues', 'github.com/**/pulls')).toBe(false);
+      });
+
+      it('matches a trailing * on a path segment', () => {
+        expect(matchesSitePattern('https://news.ycombinator.com/item?id=1', 'news.ycombinator.com/item*')).toBe(true);
+        expect(matchesSitePattern('https://news.ycombinator.com/items', 'news.ycombinator.com/item*')).toBe(true);
+        expect(matchesSitePattern('https://news.ycombinator.com/news', 'news.ycombinator.com/item*')).toBe(false);
+      });
+
+      it('matches ? as exactly one character', () => {
+        expect(matchesSitePattern('https://example.com/v1/docs', 'example.com/v?/docs')).toBe(true);
+        expect(matchesSitePattern('https://example.com/v10/docs', 'example.com/v?/docs')).toBe(false);
+      });
+
+      it('matches wildcards inside the domain', () => {
+        expect(matchesSitePattern('https://ptb.discord.com', '*.discord.com')).toBe(true);
+        expect(matchesSitePattern('https://mail1.example.com', 'mail?.example.com')).toBe(true);
+        expect(matchesSitePattern('https://mail12.example.com', 'mail?.example.com')).toBe(false);
+      });
+
+      it('treats regex characters in the pattern literally', () => {
+        expect(matchesSitePattern('https://exampleXcom.org', 'example.com*')).toBe(false);
+      });
+    });
+
+    describe('isGlobPattern', () => {
+      it('detects wildcard characters', () => {
+        expect(isGlobPattern('*.reddit.com')).toBe(true);
+        expect(isGlobPattern('example.com/v?')).toBe(true);
+        expect(isGlobPattern('example.com/path')).toBe(false);
+      });
+    });
+
+    describe('requiresFullUrl', () => {
+      it('detects patterns that look past the path', () => {
+        expect(requiresFullUrl('youtube.com/results?search_query=')).toBe(true);
+        expect(requiresFullUrl('app.com#/feed')).toBe(true);
+        expect(requiresFullUrl('re:youtube\\.com')).toBe(true);
+        expect(requiresFullUrl('!youtube.com/watch?list=')).toBe(true);
+        expect(requiresFullUrl('discord.com/channels')).toBe(false);
+        expect(requiresFullUrl('example.com/v?')).toBe(false);
+      });
+    });
+
+    describe('matchesSiteDomain', () => {
+      it('matches plain and glob domains ignoring the pattern path', () => {
+        expect(matchesSiteDomain('discord.com', 'discord.com/channels')).toBe(true);
+        expect(matchesSiteDomain('old.reddit.com', '*.reddit.com/r/**')).toBe(true);
+        expect(matchesSiteDomain('example.com', '*.reddit.com')).toBe(false);
+      });
+    });
+
+    describe('validateSitePattern', () => {
+      it('accepts plain and glob patterns', () => {
+        expect(validateSitePattern('discord.com')).toBeNull();
+        expect(validateSitePattern('*.reddit.com/r/*/comments/**')).toBeNull();
+        expect(validateSitePattern('news.ycombinator.com/item*')).toBeNull();
+      });
+
+      it('rejects patterns that would match every site', () => {
+        expect(validateSitePattern('*')).not.toBeNull();
+        expect(validateSitePattern('*.*')).not.toBeNull();
+        expect(validateSitePattern('**/path')).not.toBeNull();
+      });
+
+      it('rejects malformed patterns', () => {
+        expect(validateSitePattern('')).not.toBeNull();
+        expect(validateSitePattern('/path/only')).not.toBeNull();
+        expect(validateSitePattern('example .com')).not.toBeNull();
+        expect(validateSitePattern('example.com/***')).not.toBeNull();
+      });
+    });
+
+    describe('toMatchableUrl', () => {
+      it('adds https:// to bare domains and keeps full URLs', () => {
+        expect(toMatchableUrl('example.com')).toBe('https://example.com');
+        expect(toMatchableUrl('http://example.com/a')).toBe('http://example.com/a');
+        expect(toMatchableUrl('')).toBe('');
+      });
+    });
+
+    describe('exclusion patterns', () => {
+      const sites = ['discord.com', '!discord.com/developers', '!discord.com/settings'];
+
+      it('detects exclusion entries', () => {
+        expect(isExclusionPattern('!discord.com/developers')).toBe(true);
+        expect(isExclusionPattern('discord.com')).toBe(false);
+      });
+
+      it('matches URLs included by the list', () => {
+        expect(matchesSiteList('https://discord.com/channels/1', sites)).toBe(true);
+        expect(matchesSiteList('https://ptb.discord.com', sites)).toBe(true);
+      });
+
+      it('skips URLs matched by an exclusion', () => {
+        expect(matchesSiteList('https://discord.com/developers/applications', sites)).toBe(false);
+        expect(matchesSiteList('https://discord.com/settings', sites)).toBe(false);
+      });
+
+      it('supports glob and domain-wide exclusions', () => {
+        expect(matchesSiteList('https://developer.discord.com', ['discord.com', '!developer.discord.com'])).toBe(false);
+        expect(matchesSiteList('https://www.reddit.com/r/a/wiki', ['reddit.com', '!reddit.com/r/*/wiki'])).toBe(false);
+      });
+
+      it('requires a regular pattern to match', () => {
+        expect(matchesSiteList('https://example.com', ['!discord.com'])).toBe(false);
+        expect(matchesSiteList('https://example.com', sites)).toBe(false);
+      });
+
+      it('validates exclusion syntax', () => {
+        expect(validateSitePattern('!discord.com/developers')).toBeNull();
+        expect(validateSitePattern('!')).not.toBeNull();
+        expect(validateSitePattern('!!discord.com')).not.toBeNull();
+      });
+    });
+
+    describe('regex patterns', () => {
+      const noPlaylist = 're:^https://(www\\.)?youtube\\.com/watch(?!.*[?&]list=)';
+
+      it('detects regex entries', () => {
+        expect(isRegexPattern(noPlaylist)).toBe(true);
+        expect(isRegexPattern('youtube.com')).toBe(false);
+        expect(isGlobPattern(noPlaylist)).toBe(false);
+      });
+
+      it('matches against the full URL including the query string', () => {
+        expect(matchesSitePattern('https://www.youtube.com/watch?v=abc', noPlaylist)).toBe(true);
+        expect(matchesSitePattern('https://www.youtube.com/watch?v=abc&list=PL1', noPlaylist)).toBe(false);
+        expect(matchesSitePattern('https://www.youtube.com/feed', noPlaylist)).toBe(false);
+      });
+
+      it('works as an exclusion', () => {
+        const sites = ['youtube.com', '!re:[?&]list='];
+        expect(matchesSiteList('https://youtube.com/watch?v=a', sites)).toBe(true);
+        expect(matchesSiteList('https://youtube.com/watch?v=a&list=b', sites)).toBe(false);
+      });
+
+      it('never matches with an invalid regex', () => {
+        const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        
+        expect(matchesSitePattern('https://example.com', 're:(unclosed')).toBe(false);
+        
+        consoleErrorSpy.mockRestore();
+      });
+
+      it('tests domains against their root URL', () => {
+        expect(matchesSiteDomain('www.youtube.com', 're:youtube\\.com')).toBe(true);
+        expect(matchesSiteDomain('www.youtube.com', noPlaylist)).toBe(false);
+      });
+
+      it('validates regex syntax', () => {
+        expect(validateSitePattern(noPlaylist)).toBeNull();
+        expect(validateSitePattern('re:(unclosed')).toContain('Invalid regex');
+        expect(validateSitePattern('re:')).not.toBeNull();
+      });
+    });
+
+    describe('query and fragment constraints', () => {
+      it('parses query and fragment sections', () => {
+        expect(parseUrlConstraints('youtube.com/results?search_query=')).toEqual({
+          base: 'youtube.com/results',
+          query: [{ name: 'search_query', value: null, negated: false }],
+          hash: null
+        });
+        expect(parseUrlConstraints('app.com/home?tab=feed&!debug#/feed')).toEqual({
+          base: 'app.com/home',
+          query: [
+            { name: 'tab', value: 'feed', negated: false },
+            { name: 'debug', value: null, negated: true }
+          ],
+          hash: '/feed'
+        });
+      });
+
+      it('keeps ? as a glob wildcard when it does not start a parameter list', () => {
+        expect(parseUrlConstraints('example.com/v?/docs').base).toBe('example.com/v?/docs');
+        expect(parseUrlConstraints('mail?.example.com').base).toBe('mail?.example.com');
+        expect(parseUrlConstraints('example.com/p?ge')).toEqual({ base: 'example.com/p?ge', query: [], hash: null });
+        expect(matchesSitePattern('https://example.com/page', 'example.com/p?ge')).toBe(true);
+        expect(matchesSitePattern('https://example.com/p?ge=1', 'example.com/p?ge')).toBe(false);
+        expect(isGlobPattern('youtube.com/results?search_query=')).toBe(false);
+      });
+
+      it('matches parameter presence', () => {
+        const pattern = 'youtube.com/results?search_query=';
+        expect(matchesSitePattern('https://www.youtube.com/results?search_query=cats', pattern)).toBe(true);
+        expect(matchesSitePattern('https://www.youtube.com/results', pattern)).toBe(false);
+        expect(matchesSitePattern('https://www.youtube.com/results?sp=x', pattern)).toBe(false);
+      });
+
+      it('matches parameter equality', () => {
+        const pattern = 'example.com/search?tab=news';
+        expect(matchesSitePattern('https://example.com/search?q=a&tab=news', pattern)).toBe(true);
+        expect(matchesSitePattern('https://example.com/search?tab=images', pattern)).toBe(false);
+        expect(matchesSitePattern('https://example.com/search?q=hello%20world', 'example.com/search?q=hello%20world')).toBe(true);
+      });
+
+      it('matches parameter absence', () => {
+        const pattern = 'youtube.com/watch?!list';
+        expect(matchesSitePattern('https://youtube.com/watch?v=abc', pattern)).toBe(true);
+        expect(matchesSitePattern('https://youtube.com/watch?v=abc&list=PL1', pattern)).toBe(false);
+      });
+
+      it('matches fragment routes as prefixes', () => {
+        expect(matchesSitePattern('https://app.example.com/#/feed', 'app.example.com#/feed')).toBe(true);
+        expect(matchesSitePattern('https://app.example.com/#/feed/123', 'app.example.com#/feed')).toBe(true);
+        expect(matchesSitePattern('https://app.example.com/#/feedback', 'app.example.com#/feed')).toBe(false);
+        expect(matchesSitePattern('https://app.example.com/#/settings', 'app.example.com#/feed')).toBe(false);
+        expect(matchesSitePattern('https://app.example.com/', 'app.example.com#/feed')).toBe(false);
+      });
+
+      it('matches glob fragment routes', () => {
+        expect(matchesSitePattern('https://app.example.com/#/users/42/posts', 'app.example.com#/users/*/posts')).toBe(true);
+        expect(matchesSitePattern('https://app.example.com/#/users/42', 'app.example.com#/users/*/posts')).toBe(false);
+      });
+
+      it('combines with glob paths', () => {
+        const pattern = '*.reddit.com/r/*?sort=top';
+        expect(matchesSitePattern('https://old.reddit.com/r/news?sort=top', pattern)).toBe(true);
+        expect(matchesSitePattern('https://old.reddit.com/r/news?sort=new', pattern)).toBe(false);
+      });
+
+      it('ignores constraints when matching domains only', () => {
+        expect(matchesSiteDomain('www.youtube.com', 'youtube.com/results?search_query=')).toBe(true);
+      });
+
+      it('validates the domain and path part', () => {
+        expect(validateSitePattern('youtube.com/results?search_query=')).toBeNull();
+        expect(validateSitePattern('app.example.com#/feed')).toBeNull();
+        expect(validateSitePattern('*?tab=1')).not.toBeNull();
+      });
+    });
+  });
+
+  describe('redirectors', () => {
+    describe('isRedirectorUrl', () => {
+      it('recognizes wrapper redirectors', () => {
+        expect(isRedirectorUrl('https://www.google.com/url?q=https://reddit.com/')).toBe(true);
+        expect(isRedirectorUrl('https://www.google.co.uk/url?q=https://reddit.com/')).toBe(true);
+        expect(isRedirectorUrl('https://l.facebook.com/l.php?u=https%3A%2F%2Freddit.com%2F')).toBe(true);
+        expect(isRedirectorUrl('https://slack-redir.net/link?url=https://reddit.com')).toBe(true);
+      });
+
+      it('recognizes opaque shorteners', () => {
+        expect(isRedirectorUrl('https://t.co/abc123')).toBe(true);
+      });
+
+      it('does not flag regular pages on redirector domains', () => {
+        expect(isRedirectorUrl('https://www.google.com/search?q=reddit')).toBe(false);
+        expect(isRedirectorUrl('https://www.facebook.com/')).toBe(false);
+        expect(isRedirectorUrl('https://reddit.com/')).toBe(false);
+        expect(isRedirectorUrl('not a url')).toBe(false);
+      });
+    });
+
+    describe('resolveRedirectUrl', () => {
+      it('unwraps the destination', () => {
+        expect(resolveRedirectUrl('https://www.google.com/url?q=https://reddit.com/r/all&sa=D'))
+          .toBe('https://reddit.com/r/all');
+        expect(resolveRedirectUrl('https://l.facebook.com/l.php?u=https%3A%2F%2Fyoutube.com%2Fwatch%3Fv%3D1&h=x'))
+          .toBe('https://youtube.com/watch?v=1');
+        expect(resolveRedirectUrl('https://slack-redir.net/link?url=https%3A%2F%2Fnews.ycombinator.com'))
+          .toBe('https://news.ycombinator.com');
+      });
+
+      it('unwraps nested redirectors', () => {
+        const inner = 'https://l.facebook.com/l.php?u=' + encodeURIComponent('https://reddit.com/');
+        const outer = 'https://www.google.com/url?q=' + encodeURIComponent(inner);
+        expect(resolveRedirectUrl(outer)).toBe('https://reddit.com/');
+      });
+
+      it('returns null when there is no destination to unwrap', () => {
+        expect(resolveRedirectUrl('https://t.co/abc123')).toBeNull();
+        expect(resolveRedirectUrl('https://reddit.com/')).toBeNull();
+        expect(resolveRedirectUrl('https://www.google.com/url?q=/search')).toBeNull();
+        expect(resolveRedirectUrl('https://www.google.com/url?q=javascript:alert(1)')).toBeNull();
+      });
+    });
+  });
+
+  describe('public suffixes', () => {
+    it('matches a public suffix pattern only exactly', () => {
+      expect(matchesSitePattern('https://bbc.co.uk/news', 'co.uk')).toBe(false);
+      expect(matchesSitePattern('https://someone.github.io/', 'github.io')).toBe(false);
+      expect(matchesSitePattern('https://github.io/', 'github.io')).toBe(true);
+      expect(matchesSiteDomain('someone.github.io', 'github.io')).toBe(false);
+    });
+
+    it('still matches subdomains of registrable domains', () => {
+      expect(matchesSitePattern('https://news.bbc.co.uk/', 'bbc.co.uk')).toBe(true);
+      expect(matchesSitePattern('https://someone.github.io/', 'someone.github.io')).toBe(true);
+    });
+
+    it('lets globs target every site under a suffix', () => {
+      expect(matchesSitePattern('https://someone.github.io/', '*.github.io')).toBe(true);
+    });
+  });
+
+  describe('schemes and ports', () => {
+    it('splits a pattern into scheme, host, port and the rest', () => {
+      expect(splitSitePattern('HTTP://localhost:3000/app?debug')).toEqual({
+        scheme: 'http', host: 'localhost', port: '3000', rest: '/app?debug'
+      });
+      expect(splitSitePattern('example.com/path')).toEqual({
+        scheme: null, host: 'example.com', port: null, rest: '/path'
+      });
+    });
+
+    it('matches a port only on that port', () => {
+      expect(matchesSitePattern('http://localhost:3000/app', 'localhost:3000')).toBe(true);
+      expect(matchesSitePattern('http://localhost:8080/app', 'localhost:3000')).toBe(false);
+      expect(matchesSitePattern('http://localhost/app', 'localhost:3000')).toBe(false);
+    });
+
+    it('treats the default port of the scheme as implied', () => {
+      expect(matchesSitePattern('https://example.com/', 'example.com:443')).toBe(true);
+      expect(matchesSitePattern('http://example.com/', 'example.com:443')).toBe(false);
+    });
+
+    it('matches a scheme only on that scheme', () => {
+      expect(matchesSitePattern('http://example.com/', 'http://example.com')).toBe(true);
+      expect(matchesSitePattern('https://example.com/', 'http://example.com')).toBe(false);
+      expect(matchesSitePattern('http://localhost:3000/api/x', 'http://localhost:3000/api')).toBe(true);
+    });
+
+    it('matches any scheme and port when the pattern names none', () => {
+      expect(matchesSitePattern('http://localhost:3000/', 'localhost')).toBe(true);
+      expect(matchesSitePattern('http://example.com:8080/', 'example.com')).toBe(true);
+    });
+
+    it('validates ports', () => {
+      expect(validateSitePattern('localhost:3000')).toBeNull();
+      expect(validateSitePattern('http://localhost:3000/app')).toBeNull();
+      expect(validateSitePattern('localhost:0')).toContain('Port');
+      expect(validateSitePattern('localhost:70000')).toContain('Port');
+      expect(validateSitePattern('localhost:')).toContain('Port');
+    });
+
+    it('keeps non-http schemes when normalizing', () => {
+      expect(normalizeSitePattern('FTP://Files.example.com/')).toBe('ftp://files.example.com');
+      expect(normalizeSitePattern('http://localhost:3000/')).toBe('localhost:3000');
+    });
+  });
+
+  describe('normalizeSitePattern', () => {
+    it('strips scheme, www. and trailing slashes', () => {
+      expect(normalizeSitePattern('https://www.reddit.com/')).toBe('reddit.com');
+      expect(normalizeSitePattern('http://discord.com/channels/')).toBe('discord.com/channels');
+    });
+
+    it('lowercases the domain but not the path', () => {
+      expect(normalizeSitePattern('Reddit.COM/r/AskReddit')).toBe('reddit.com/r/AskReddit');
+    });
+
+    it('converts internationalized domains to punycode', () => {
+      expect(normalizeSitePattern('bücher.de')).toBe('xn--bcher-kva.de');
+    });
+
+    it('keeps query and fragment constraints and glob wildcards', () => {
+      expect(normalizeSitePattern('https://www.youtube.com/watch?v=abc')).toBe('youtube.com/watch?v=abc');
+      expect(normalizeSitePattern('https://app.example.com/#/feed')).toBe('app.example.com#/feed');
+      expect(normalizeSitePattern('example.com/v?')).toBe('example.com/v?');
+      expect(normalizeSitePattern('*.Reddit.com/r/**')).toBe('*.reddit.com/r/**');
+    });
+
+    it('normalizes exclusions and leaves regexes alone', () => {
+      expect(normalizeSitePattern('!https://www.discord.com/settings/')).toBe('!discord.com/settings');
+      expect(normalizeSitePattern('re:^https://www\\.x\\.com/')).toBe('re:^https://www\\.x\\.com/');
+    });
+
+    it('returns canonical patterns unchanged', () => {
+      expect(normalizeSitePattern('reddit.com')).toBe('reddit.com');
+      expect(normalizeSitePattern('www.co.uk')).toBe('www.co.uk');
+    });
+  });
+
+  describe('pasted URLs and case', () => {
+    it('rejects non-punycode domains', () => {
+      expect(validateSitePattern('bücher.de')).toContain('punycode');
+    });
+
+    it('matches domains case-insensitively and ignores trailing slashes', () => {
+      expect(matchesSitePattern('https://reddit.com/', 'Reddit.com')).toBe(true);
+      expect(matchesSitePattern('https://discord.com/channels/1', 'discord.com/channels/')).toBe(true);
+    });
   });
 });